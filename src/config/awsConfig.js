@@ -1,9 +1,18 @@
 import aws from 'aws-sdk';
-import { AWS_ACCESS_KEY_ID, AWS_REGION, AWS_SECRET_ACCESS_KEY } from "./serverConfig.js";
+import config from './serverConfig.js';
+
 const s3 = new aws.S3({
-    region:AWS_REGION,
-    accessKeyId: AWS_ACCESS_KEY_ID,
-    secretAccessKey: AWS_SECRET_ACCESS_KEY
+    region: config.AWS_REGION,
+    accessKeyId: config.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.AWS_SECRET_ACCESS_KEY,
+    signatureVersion: 'v4'
+});
+
+// Amazon SES client for the 'ses' mail transport
+export const ses = new aws.SES({
+    region: config.MAIL_SES_REGION,
+    accessKeyId: config.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.AWS_SECRET_ACCESS_KEY
 });
 
-export default s3;
\ No newline at end of file
+export default s3;
@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// OpenID Connect providers, keyed by the :provider route segment.
+// OIDC_PROVIDERS holds a JSON object, for example:
+// {
+//   "stmarys": {
+//     "displayName": "St. Mary's Hospital",
+//     "issuer": "https://login.stmarys.example",
+//     "clientId": "mediclean",
+//     "clientSecret": "...",            // omit for public clients (PKCE only)
+//     "scope": "openid email profile",
+//     "allowProvisioning": true          // create clinic accounts on first sign-in
+//   }
+// }
+const DEFAULT_SCOPE = 'openid email profile';
+const PROVIDER_KEY_PATTERN = /^[a-z0-9_-]+$/;
+
+const parseProviders = (raw) => {
+    if (!raw) return {};
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new Error('OIDC_PROVIDERS must be valid JSON');
+    }
+
+    return Object.fromEntries(Object.entries(parsed).map(([key, provider]) => {
+        if (!PROVIDER_KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid OIDC provider key "${key}"`);
+        }
+        if (!provider.issuer || !provider.clientId) {
+            throw new Error(`OIDC provider "${key}" requires issuer and clientId`);
+        }
+        if (process.env.NODE_ENV === 'production' && !provider.issuer.startsWith('https://')) {
+            throw new Error(`OIDC provider "${key}" must use an https issuer in production`);
+        }
+
+        return [key, {
+            key,
+            displayName: provider.displayName || key,
+            issuer: provider.issuer.replace(/\/+$/, ''),
+            clientId: provider.clientId,
+            clientSecret: provider.clientSecret || null,
+            scope: provider.scope || DEFAULT_SCOPE,
+            allowProvisioning: provider.allowProvisioning !== false
+        }];
+    }));
+};
+
+const oidcProviders = parseProviders(process.env.OIDC_PROVIDERS);
+
+export const getOidcProvider = (key) =>
+    Object.prototype.hasOwnProperty.call(oidcProviders, key) ? oidcProviders[key] : null;
+
+export default oidcProviders;
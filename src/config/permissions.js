@@ -0,0 +1,280 @@
+// Role → permission matrix used by the authorization layer.
+//
+// Permissions are named "<resource>:<action>[:<scope>]". A scope of "any"
+// grants the action on every record; "own" grants it only on records the
+// user owns (see the ownership rules in services/policyservice.js).
+// Routes ask for the action without a scope, e.g. authorize('wastelog:delete').
+
+export const PERMISSIONS = Object.freeze({
+  WASTELOG_CREATE: 'wastelog:create',
+  WASTELOG_READ_OWN: 'wastelog:read:own',
+  WASTELOG_READ_ANY: 'wastelog:read:any',
+  WASTELOG_UPDATE_OWN: 'wastelog:update:own',
+  WASTELOG_UPDATE_ANY: 'wastelog:update:any',
+  WASTELOG_DELETE_OWN: 'wastelog:delete:own',
+  WASTELOG_DELETE_ANY: 'wastelog:delete:any',
+  WASTELOG_STATISTICS_OWN: 'wastelog:statistics:own',
+  WASTELOG_STATISTICS_ANY: 'wastelog:statistics:any',
+  WASTELOG_IMPORT_OWN: 'wastelog:import:own',
+  WASTELOG_IMPORT_ANY: 'wastelog:import:any',
+  WASTELOG_AMEND_OWN: 'wastelog:amend:own',
+  WASTELOG_AMEND_ANY: 'wastelog:amend:any',
+  WASTELOG_AMENDMENT_REVIEW: 'wastelog:review',
+
+  PICKUP_CREATE: 'pickup:create',
+  PICKUP_READ_OWN: 'pickup:read:own',
+  PICKUP_READ_ANY: 'pickup:read:any',
+  PICKUP_UPDATE_OWN: 'pickup:update:own',
+  PICKUP_UPDATE_ANY: 'pickup:update:any',
+  PICKUP_CANCEL_OWN: 'pickup:cancel:own',
+  PICKUP_CANCEL_ANY: 'pickup:cancel:any',
+  PICKUP_STATUS_OWN: 'pickup:status:own',
+  PICKUP_STATUS_ANY: 'pickup:status:any',
+  PICKUP_COLLECT: 'pickup:collect',
+  PICKUP_ASSIGN: 'pickup:assign',
+  PICKUP_DELETE: 'pickup:delete',
+  PICKUP_STATISTICS_OWN: 'pickup:statistics:own',
+  PICKUP_STATISTICS_ANY: 'pickup:statistics:any',
+  PICKUP_DELIVER_OWN: 'pickup:deliver:own',
+  PICKUP_DELIVER_ANY: 'pickup:deliver:any',
+  PICKUP_SCHEDULE_OWN: 'pickup:schedule:own',
+  PICKUP_SCHEDULE_ANY: 'pickup:schedule:any',
+
+  AVAILABILITY_MANAGE_OWN: 'availability:manage:own',
+  AVAILABILITY_MANAGE_ANY: 'availability:manage:any',
+  BOOKING_READ_OWN: 'booking:read:own',
+  BOOKING_READ_ANY: 'booking:read:any',
+
+  DISCREPANCY_READ_OWN: 'discrepancy:read:own',
+  DISCREPANCY_READ_ANY: 'discrepancy:read:any',
+  DISCREPANCY_EXPLAIN_OWN: 'discrepancy:explain:own',
+  DISCREPANCY_RESOLVE: 'discrepancy:resolve',
+
+  USER_READ_OWN: 'user:read:own',
+  USER_READ_ANY: 'user:read:any',
+  USER_UPDATE_OWN: 'user:update:own',
+  USER_UPDATE_ANY: 'user:update:any',
+  USER_MANAGE: 'user:manage',
+  USER_IMPERSONATE: 'user:impersonate',
+
+  SESSION_MANAGE_OWN: 'session:manage:own',
+  SESSION_MANAGE_ANY: 'session:manage:any',
+
+  APIKEY_MANAGE_OWN: 'apikey:manage:own',
+  APIKEY_MANAGE_ANY: 'apikey:manage:any',
+
+  CLINIC_CREATE: 'clinic:create',
+  CLINIC_READ_OWN: 'clinic:read:own',
+  CLINIC_READ_ANY: 'clinic:read:any',
+  CLINIC_MANAGE_OWN: 'clinic:manage:own',
+  CLINIC_MANAGE_ANY: 'clinic:manage:any',
+  CLINIC_TRANSFER_OWN: 'clinic:transfer:own',
+  CLINIC_TRANSFER_ANY: 'clinic:transfer:any',
+
+  MANIFEST_READ_OWN: 'manifest:read:own',
+  MANIFEST_READ_ANY: 'manifest:read:any',
+  MANIFEST_HANDOVER: 'manifest:handover',
+
+  CONTAINER_REGISTER: 'container:register',
+  CONTAINER_READ_OWN: 'container:read:own',
+  CONTAINER_READ_ANY: 'container:read:any',
+  CONTAINER_SCAN: 'container:scan',
+
+  ATTACHMENT_CREATE_OWN: 'attachment:create:own',
+  ATTACHMENT_CREATE_ANY: 'attachment:create:any',
+  ATTACHMENT_READ_OWN: 'attachment:read:own',
+  ATTACHMENT_READ_ANY: 'attachment:read:any',
+  ATTACHMENT_DELETE_OWN: 'attachment:delete:own',
+  ATTACHMENT_DELETE_ANY: 'attachment:delete:any',
+
+  STORAGE_AREA_READ_OWN: 'storagearea:read:own',
+  STORAGE_AREA_READ_ANY: 'storagearea:read:any',
+  STORAGE_AREA_MANAGE_OWN: 'storagearea:manage:own',
+  STORAGE_AREA_MANAGE_ANY: 'storagearea:manage:any',
+  TELEMETRY_INGEST_OWN: 'telemetry:ingest:own',
+  TELEMETRY_INGEST_ANY: 'telemetry:ingest:any',
+
+  COMPLIANCE_READ_OWN: 'compliance:read:own',
+  COMPLIANCE_READ_ANY: 'compliance:read:any',
+
+  FACILITY_CREATE: 'facility:create',
+  FACILITY_READ: 'facility:read',
+  FACILITY_MANAGE_OWN: 'facility:manage:own',
+  FACILITY_MANAGE_ANY: 'facility:manage:any',
+  FACILITY_INTAKE_OWN: 'facility:intake:own',
+  FACILITY_INTAKE_ANY: 'facility:intake:any',
+
+  CERTIFICATE_READ_OWN: 'certificate:read:own',
+  CERTIFICATE_READ_ANY: 'certificate:read:any',
+  CERTIFICATE_ISSUE: 'certificate:issue',
+
+  WASTE_CATEGORY_MANAGE: 'wastecategory:manage'
+});
+
+export const ALL_PERMISSIONS = Object.freeze(Object.values(PERMISSIONS));
+
+const P = PERMISSIONS;
+
+const ACCOUNT_PERMISSIONS = [P.USER_READ_OWN, P.USER_UPDATE_OWN, P.SESSION_MANAGE_OWN];
+
+// Organisations that may issue API keys for their integrations
+const INTEGRATION_PERMISSIONS = [P.APIKEY_MANAGE_OWN];
+
+// Staff roles inside a clinic organisation. A clinic account's permissions
+// come from its role in the clinic it belongs to, not from the account role.
+export const CLINIC_ROLES = Object.freeze(['owner', 'waste_officer', 'nurse', 'viewer']);
+
+const CLINIC_VIEWER_PERMISSIONS = [
+  ...ACCOUNT_PERMISSIONS,
+  P.CLINIC_READ_OWN,
+  P.WASTELOG_READ_OWN,
+  P.WASTELOG_STATISTICS_OWN,
+  P.PICKUP_READ_OWN,
+  P.PICKUP_STATISTICS_OWN,
+  P.BOOKING_READ_OWN,
+  P.DISCREPANCY_READ_OWN,
+  P.MANIFEST_READ_OWN,
+  P.CERTIFICATE_READ_OWN,
+  P.CONTAINER_READ_OWN,
+  P.ATTACHMENT_READ_OWN,
+  P.STORAGE_AREA_READ_OWN,
+  P.COMPLIANCE_READ_OWN
+];
+
+// Staff who bag waste register, label and scan the containers they fill, and photograph them
+const CLINIC_CONTAINER_PERMISSIONS = [P.CONTAINER_REGISTER, P.CONTAINER_SCAN, P.ATTACHMENT_CREATE_OWN];
+
+const CLINIC_OFFICER_PERMISSIONS = [
+  ...CLINIC_VIEWER_PERMISSIONS,
+  P.WASTELOG_CREATE,
+  P.WASTELOG_UPDATE_OWN,
+  P.WASTELOG_DELETE_OWN,
+  P.PICKUP_CREATE,
+  P.PICKUP_UPDATE_OWN,
+  P.PICKUP_CANCEL_OWN,
+  P.PICKUP_SCHEDULE_OWN,
+  P.DISCREPANCY_EXPLAIN_OWN,
+  P.MANIFEST_HANDOVER,
+  P.WASTELOG_IMPORT_OWN,
+  P.WASTELOG_AMEND_OWN,
+  P.ATTACHMENT_DELETE_OWN,
+  P.STORAGE_AREA_MANAGE_OWN,
+  P.TELEMETRY_INGEST_OWN,
+  ...CLINIC_CONTAINER_PERMISSIONS
+];
+
+export const CLINIC_ROLE_PERMISSIONS = Object.freeze({
+  owner: Object.freeze([
+    ...CLINIC_OFFICER_PERMISSIONS,
+    ...INTEGRATION_PERMISSIONS,
+    P.CLINIC_MANAGE_OWN,
+    P.CLINIC_TRANSFER_OWN
+  ]),
+  waste_officer: Object.freeze(CLINIC_OFFICER_PERMISSIONS),
+  nurse: Object.freeze([
+    ...CLINIC_VIEWER_PERMISSIONS,
+    P.WASTELOG_CREATE,
+    ...CLINIC_CONTAINER_PERMISSIONS
+  ]),
+  viewer: Object.freeze(CLINIC_VIEWER_PERMISSIONS)
+});
+
+// Clinic accounts that do not belong to a clinic yet can only set one up or accept an invitation
+export const UNAFFILIATED_CLINIC_PERMISSIONS = Object.freeze([
+  ...ACCOUNT_PERMISSIONS,
+  P.CLINIC_CREATE
+]);
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  admin: ALL_PERMISSIONS,
+
+  // Upper bound for clinic accounts; narrowed by CLINIC_ROLE_PERMISSIONS
+  clinic: Object.freeze([
+    ...new Set([...CLINIC_ROLE_PERMISSIONS.owner, ...UNAFFILIATED_CLINIC_PERMISSIONS])
+  ]),
+
+  collector: Object.freeze([
+    ...ACCOUNT_PERMISSIONS,
+    ...INTEGRATION_PERMISSIONS,
+    P.WASTELOG_READ_ANY,
+    P.PICKUP_READ_OWN,
+    P.PICKUP_UPDATE_OWN,
+    P.PICKUP_STATUS_OWN,
+    P.PICKUP_COLLECT,
+    P.PICKUP_DELIVER_OWN,
+    P.PICKUP_STATISTICS_OWN,
+    P.AVAILABILITY_MANAGE_OWN,
+    P.BOOKING_READ_OWN,
+    P.DISCREPANCY_READ_OWN,
+    P.DISCREPANCY_EXPLAIN_OWN,
+    P.MANIFEST_READ_OWN,
+    P.MANIFEST_HANDOVER,
+    P.CERTIFICATE_READ_OWN,
+    P.CONTAINER_READ_ANY,
+    P.CONTAINER_SCAN,
+    P.ATTACHMENT_CREATE_OWN,
+    P.ATTACHMENT_READ_OWN,
+    P.ATTACHMENT_DELETE_OWN,
+    P.FACILITY_READ
+  ]),
+
+  health: Object.freeze([
+    ...ACCOUNT_PERMISSIONS,
+    P.WASTELOG_READ_ANY,
+    P.WASTELOG_STATISTICS_ANY,
+    P.WASTELOG_AMENDMENT_REVIEW,
+    P.PICKUP_READ_ANY,
+    P.PICKUP_STATISTICS_ANY,
+    P.BOOKING_READ_ANY,
+    P.DISCREPANCY_READ_ANY,
+    P.DISCREPANCY_RESOLVE,
+    P.USER_READ_ANY,
+    P.CLINIC_READ_ANY,
+    P.MANIFEST_READ_ANY,
+    P.CERTIFICATE_READ_ANY,
+    P.CONTAINER_READ_ANY,
+    P.ATTACHMENT_READ_ANY,
+    P.STORAGE_AREA_READ_ANY,
+    P.COMPLIANCE_READ_ANY,
+    P.FACILITY_READ
+  ]),
+
+  recycler: Object.freeze([
+    ...ACCOUNT_PERMISSIONS,
+    P.FACILITY_CREATE,
+    P.FACILITY_READ,
+    P.FACILITY_MANAGE_OWN,
+    P.FACILITY_INTAKE_OWN,
+    P.MANIFEST_READ_OWN,
+    P.MANIFEST_HANDOVER,
+    P.CERTIFICATE_READ_OWN,
+    P.CONTAINER_READ_ANY,
+    P.CONTAINER_SCAN,
+    P.ATTACHMENT_CREATE_OWN,
+    P.ATTACHMENT_READ_OWN
+  ])
+});
+
+export const ROLES = Object.freeze(Object.keys(ROLE_PERMISSIONS));
+
+// Scopes that can be granted to API keys, and the permissions each one unlocks.
+// A key never gets more than its owner's role allows.
+export const API_KEY_SCOPES = Object.freeze({
+  'wastelog:read': [P.WASTELOG_READ_OWN, P.WASTELOG_READ_ANY, P.WASTELOG_STATISTICS_OWN],
+  'wastelog:write': [P.WASTELOG_CREATE, P.WASTELOG_UPDATE_OWN],
+  'pickup:read': [P.PICKUP_READ_OWN, P.PICKUP_STATISTICS_OWN],
+  'pickup:write': [P.PICKUP_CREATE, P.PICKUP_UPDATE_OWN, P.PICKUP_CANCEL_OWN, P.PICKUP_STATUS_OWN],
+  'telemetry:read': [P.STORAGE_AREA_READ_OWN],
+  'telemetry:write': [P.TELEMETRY_INGEST_OWN]
+});
+
+// Roles whose accounts can own API keys
+export const API_KEY_OWNER_ROLES = Object.freeze(['clinic', 'collector']);
+
+// Roles that cannot be impersonated
+export const PRIVILEGED_ROLES = Object.freeze(['admin']);
+
+// Roles open to self-registration; every other account is created by an admin
+export const SELF_REGISTRATION_ROLES = Object.freeze(['clinic', 'collector', 'recycler']);
+
+export default ROLE_PERMISSIONS;
@@ -22,6 +22,109 @@ const config = {
     // Authentication
     JWT_SECRET: process.env.JWT_SECRET,
     JWT_EXPIRY: process.env.JWT_EXPIRY || '1d',
+    REFRESH_TOKEN_EXPIRY_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30,
+    PASSWORD_RESET_EXPIRY_MINUTES: Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30,
+    EMAIL_VERIFICATION_EXPIRY: process.env.EMAIL_VERIFICATION_EXPIRY || '24h',
+    EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS: Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 300,
+
+    // Two-factor authentication
+    TWO_FACTOR_REQUIRED_ROLES: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,health,collector')
+        .split(',').map(role => role.trim()).filter(Boolean),
+    TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+    TWO_FACTOR_CHALLENGE_EXPIRY: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+    STEP_UP_MAX_AGE_SECONDS: Number(process.env.STEP_UP_MAX_AGE_SECONDS) || 300,
+
+    // Support impersonation ("log in as")
+    IMPERSONATION_EXPIRY_MINUTES: Number(process.env.IMPERSONATION_EXPIRY_MINUTES) || 15,
+
+    // API keys for machine-to-machine integrations
+    API_KEY_DEFAULT_EXPIRY_DAYS: Number(process.env.API_KEY_DEFAULT_EXPIRY_DAYS) || 90,
+    API_KEY_MAX_EXPIRY_DAYS: Number(process.env.API_KEY_MAX_EXPIRY_DAYS) || 365,
+    API_KEY_ROTATION_GRACE_HOURS: Number(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24,
+
+    // OpenID Connect sign-in (providers are configured in oidcConfig.js)
+    OIDC_REDIRECT_BASE_URL: process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 3000}/api/v1/auth/oauth`,
+    OAUTH_STATE_EXPIRY_MINUTES: Number(process.env.OAUTH_STATE_EXPIRY_MINUTES) || 10,
+
+    // Clinic organisations
+    CLINIC_INVITATION_EXPIRY_DAYS: Number(process.env.CLINIC_INVITATION_EXPIRY_DAYS) || 7,
+
+    // Chain-of-custody manifests: weight difference between handovers tolerated before flagging
+    MANIFEST_WEIGHT_TOLERANCE_PERCENT: Number(process.env.MANIFEST_WEIGHT_TOLERANCE_PERCENT) || 5,
+
+    // Pickup weight reconciliation: how far the collected weight may differ from the declared
+    // weight (percent of declared, but never less than the absolute kg) before it is queued
+    PICKUP_WEIGHT_TOLERANCE_PERCENT: Number(process.env.PICKUP_WEIGHT_TOLERANCE_PERCENT) || 10,
+    PICKUP_WEIGHT_TOLERANCE_KG: Number(process.env.PICKUP_WEIGHT_TOLERANCE_KG) || 0.5,
+
+    // Bulk waste log imports (CSV/XLSX)
+    IMPORT_MAX_FILE_SIZE_MB: Number(process.env.IMPORT_MAX_FILE_SIZE_MB) || 5,
+    IMPORT_MAX_ROWS: Number(process.env.IMPORT_MAX_ROWS) || 5000,
+    IMPORT_JOB_EXPIRY_HOURS: Number(process.env.IMPORT_JOB_EXPIRY_HOURS) || 24,
+
+    // Waste accumulation thresholds: how often clinics are checked for waste stored too long
+    WASTE_THRESHOLD_CHECK_INTERVAL_MINUTES: Number(process.env.WASTE_THRESHOLD_CHECK_INTERVAL_MINUTES) || 15,
+
+    // Maximum storage-time enforcement. Waste past its category's limit is escalated to
+    // health officers, then recorded as a violation, after these many further hours.
+    // Only waste logged from STORAGE_ENFORCEMENT_SINCE (an ISO date) on is enforced, and
+    // enforcement stays off until it is set, so logs from before the rollout are never flagged.
+    STORAGE_ENFORCEMENT_SINCE: process.env.STORAGE_ENFORCEMENT_SINCE ? new Date(process.env.STORAGE_ENFORCEMENT_SINCE) : null,
+    STORAGE_ENFORCEMENT_INTERVAL_MINUTES: Number(process.env.STORAGE_ENFORCEMENT_INTERVAL_MINUTES) || 15,
+    STORAGE_HEALTH_ALERT_AFTER_HOURS: Number(process.env.STORAGE_HEALTH_ALERT_AFTER_HOURS) || 12,
+    STORAGE_VIOLATION_AFTER_HOURS: Number(process.env.STORAGE_VIOLATION_AFTER_HOURS) || 24,
+
+    // Collector dispatch: new pickups are assigned automatically (unless DISPATCH_AUTO_ASSIGN=false)
+    // and pending ones are retried periodically. Collectors are considered within the search
+    // radius of their service area centre, up to a number of assigned pickups each.
+    DISPATCH_AUTO_ASSIGN: process.env.DISPATCH_AUTO_ASSIGN !== 'false',
+    DISPATCH_INTERVAL_MINUTES: Number(process.env.DISPATCH_INTERVAL_MINUTES) || 5,
+    DISPATCH_BATCH_SIZE: Number(process.env.DISPATCH_BATCH_SIZE) || 50,
+    DISPATCH_SEARCH_RADIUS_KM: Number(process.env.DISPATCH_SEARCH_RADIUS_KM) || 50,
+    DISPATCH_MAX_ACTIVE_PICKUPS: Number(process.env.DISPATCH_MAX_ACTIVE_PICKUPS) || 8,
+
+    // Route planning: default shift (HH:MM), average road speed, how much longer roads are
+    // than straight lines, and the time spent at each stop
+    ROUTE_SHIFT_START: process.env.ROUTE_SHIFT_START || '08:00',
+    ROUTE_SHIFT_END: process.env.ROUTE_SHIFT_END || '17:00',
+    ROUTE_AVERAGE_SPEED_KMH: Number(process.env.ROUTE_AVERAGE_SPEED_KMH) || 30,
+    ROUTE_ROAD_FACTOR: Number(process.env.ROUTE_ROAD_FACTOR) || 1.3,
+    ROUTE_SERVICE_MINUTES: Number(process.env.ROUTE_SERVICE_MINUTES) || 15,
+
+    // Pickup slot booking: how soon a slot can be booked (hours ahead), how far ahead
+    // (days), and the longest period one search for open slots covers (days)
+    SLOT_BOOKING_LEAD_HOURS: Number(process.env.SLOT_BOOKING_LEAD_HOURS) || 2,
+    SLOT_BOOKING_HORIZON_DAYS: Number(process.env.SLOT_BOOKING_HORIZON_DAYS) || 28,
+    SLOT_SEARCH_MAX_DAYS: Number(process.env.SLOT_SEARCH_MAX_DAYS) || 14,
+
+    // Attachments (photos and documents). Storage is 'local' (files under ATTACHMENT_LOCAL_DIR,
+    // served through signed API links) or 's3' (AWS_BUCKET_NAME, served through presigned URLs)
+    ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || 'local',
+    ATTACHMENT_LOCAL_DIR: process.env.ATTACHMENT_LOCAL_DIR || 'uploads',
+    ATTACHMENT_S3_PREFIX: process.env.ATTACHMENT_S3_PREFIX || 'attachments/',
+    ATTACHMENT_MAX_FILE_SIZE_MB: Number(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 15,
+    ATTACHMENT_URL_EXPIRY_SECONDS: Number(process.env.ATTACHMENT_URL_EXPIRY_SECONDS) || 900,
+    ATTACHMENT_URL_SECRET: process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET,
+    ATTACHMENT_PUBLIC_URL: process.env.ATTACHMENT_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/api/v1/attachments/files`,
+
+    // Certificates of destruction. CERTIFICATE_SIGNING_KEY is an Ed25519 private key (PEM), required
+    // in production; elsewhere a key is derived from JWT_SECRET. The public key is published for
+    // offline checks. After rotating the key, list the old public keys (PEM, concatenated) in
+    // CERTIFICATE_PREVIOUS_PUBLIC_KEYS so certificates they signed still verify.
+    CERTIFICATE_SIGNING_KEY: process.env.CERTIFICATE_SIGNING_KEY,
+    CERTIFICATE_PREVIOUS_PUBLIC_KEYS: process.env.CERTIFICATE_PREVIOUS_PUBLIC_KEYS,
+    CERTIFICATE_VERIFY_URL: process.env.CERTIFICATE_VERIFY_URL ||
+        `${process.env.APP_URL || 'http://localhost:5173'}/certificates/verify`,
+
+    // Frontend base URL used in links sent by email
+    APP_URL: process.env.APP_URL || 'http://localhost:5173',
+
+    // Mail delivery: 'console' or 'file' locally, 'ses' (Amazon SES, using the AWS
+    // credentials below) or a registered transport in production
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+    MAIL_FROM: process.env.MAIL_FROM || 'MediClean <no-reply@mediclean.local>',
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+    MAIL_SES_REGION: process.env.MAIL_SES_REGION || process.env.AWS_REGION || 'us-east-1',
     
     // AWS Configuration
     AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
@@ -55,9 +158,30 @@ if (config.NODE_ENV === 'production' && (!config.JWT_SECRET || config.JWT_SECRET
     throw new Error('JWT_SECRET must be at least 32 characters long in production');
 }
 
+// The console and file mail transports never deliver, so password reset and
+// verification emails would silently go nowhere in production
+if (config.NODE_ENV === 'production' && ['console', 'file'].includes(config.MAIL_TRANSPORT)) {
+    throw new Error("MAIL_TRANSPORT must be 'ses' or another delivering mail transport in production");
+}
+
+// A signing key derived from JWT_SECRET would change, and invalidate every
+// certificate, whenever the JWT secret is rotated
+if (config.NODE_ENV === 'production' && !config.CERTIFICATE_SIGNING_KEY) {
+    throw new Error('CERTIFICATE_SIGNING_KEY is required in production');
+}
+
+if (config.STORAGE_ENFORCEMENT_SINCE && Number.isNaN(config.STORAGE_ENFORCEMENT_SINCE.getTime())) {
+    throw new Error('STORAGE_ENFORCEMENT_SINCE must be a valid date');
+}
+
 // Validate AWS credentials if AWS features are used
 if (config.AWS_BUCKET_NAME && (!config.AWS_ACCESS_KEY_ID || !config.AWS_SECRET_ACCESS_KEY)) {
     throw new Error('AWS credentials are required when AWS_BUCKET_NAME is specified');
 }
 
+// S3 attachment storage needs a bucket
+if (config.ATTACHMENT_STORAGE === 's3' && !config.AWS_BUCKET_NAME) {
+    throw new Error('AWS_BUCKET_NAME is required when ATTACHMENT_STORAGE is s3');
+}
+
 export default config;
\ No newline at end of file
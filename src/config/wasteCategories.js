@@ -0,0 +1,90 @@
+// Categories seeded into an empty waste category catalogue, following the
+// colour-coded segregation streams of the biomedical waste rules. The original
+// four codes (sharps, biohazard, expired_meds, others) are kept so existing
+// records stay valid. Admins manage the catalogue through /api/v1/waste-categories.
+
+export const DEFAULT_WASTE_CATEGORIES = Object.freeze([
+  {
+    code: 'biohazard',
+    name: 'Infectious and anatomical waste',
+    colourCode: 'yellow',
+    description: 'Human and animal anatomical waste, soiled dressings and microbiology laboratory waste',
+    subcategories: [
+      { code: 'anatomical', name: 'Human and animal anatomical waste' },
+      { code: 'soiled', name: 'Soiled waste (dressings, swabs, plaster casts)' },
+      { code: 'microbiology', name: 'Microbiology, biotechnology and clinical laboratory waste' },
+      { code: 'chemical', name: 'Chemical waste and discarded linen' }
+    ],
+    allowedContainerTypes: ['bag', 'container'],
+    handlingInstructions: 'Use non-chlorinated yellow bags. Pre-treat laboratory cultures on site before handover.',
+    maxStorageHours: 48,
+    disposalMethods: ['incineration', 'plasma_pyrolysis', 'deep_burial'],
+    sortOrder: 10
+  },
+  {
+    code: 'expired_meds',
+    name: 'Expired and discarded medicines',
+    colourCode: 'yellow',
+    subcategories: [
+      { code: 'cytotoxic', name: 'Cytotoxic drugs' },
+      { code: 'other_medicines', name: 'Other expired or discarded medicines' }
+    ],
+    allowedContainerTypes: ['bag', 'box', 'container'],
+    handlingInstructions: 'Keep cytotoxic drugs separate and labelled "Cytotoxic". Return unopened stock to the manufacturer where possible.',
+    maxStorageHours: 48,
+    disposalMethods: ['return_to_manufacturer', 'incineration', 'encapsulation'],
+    sortOrder: 20
+  },
+  {
+    code: 'contaminated_recyclables',
+    name: 'Contaminated recyclable waste',
+    colourCode: 'red',
+    description: 'Tubing, bottles, IV sets, catheters, urine bags, syringes without needles and gloves',
+    allowedContainerTypes: ['bag', 'container'],
+    handlingInstructions: 'Use non-chlorinated red bags or containers. Do not mix with yellow-category waste.',
+    maxStorageHours: 48,
+    disposalMethods: ['autoclave', 'microwave', 'hydroclave', 'shredding', 'recycling'],
+    sortOrder: 30
+  },
+  {
+    code: 'sharps',
+    name: 'Sharps',
+    colourCode: 'white',
+    description: 'Needles, syringes with fixed needles, scalpels, blades and other sharp objects',
+    subcategories: [
+      { code: 'needles', name: 'Needles and syringes with fixed needles' },
+      { code: 'blades', name: 'Scalpels and blades' },
+      { code: 'other_sharps', name: 'Other sharps' }
+    ],
+    allowedContainerTypes: ['container', 'box'],
+    handlingInstructions: 'Use puncture-proof, leak-proof, tamper-proof white translucent containers. Never recap or bend needles.',
+    maxStorageHours: 48,
+    disposalMethods: ['autoclave', 'microwave', 'shredding', 'encapsulation'],
+    sortOrder: 40
+  },
+  {
+    code: 'glassware',
+    name: 'Glassware and metallic implants',
+    colourCode: 'blue',
+    description: 'Broken or discarded contaminated glass, including medicine vials and ampoules, and metallic body implants',
+    allowedContainerTypes: ['box', 'container'],
+    handlingInstructions: 'Use puncture-proof cardboard boxes with blue marking. Disinfect before handover.',
+    maxStorageHours: 48,
+    disposalMethods: ['chemical_disinfection', 'autoclave', 'recycling'],
+    sortOrder: 50
+  },
+  {
+    code: 'others',
+    name: 'Other waste',
+    colourCode: 'black',
+    description: 'Waste that does not fit another category; describe it in the sub-category',
+    requiresSubcategory: true,
+    allowedContainerTypes: ['bag', 'box', 'container', 'other'],
+    handlingInstructions: 'Describe the waste and follow the clinic\'s waste management plan.',
+    maxStorageHours: 48,
+    disposalMethods: ['incineration', 'secured_landfill'],
+    sortOrder: 90
+  }
+]);
+
+export default DEFAULT_WASTE_CATEGORIES;
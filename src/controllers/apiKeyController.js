@@ -0,0 +1,67 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey
+} from '../services/apikeyservice.js';
+
+// Admins (apikey:manage:any) may act for another account via ownerId
+const resolveOwnerId = (req, requestedOwnerId) =>
+  req.access.scope === 'any' && requestedOwnerId ? requestedOwnerId : req.user.id;
+
+export const handleCreateApiKey = async (req, res, next) => {
+  try {
+    const { ownerId, name, scopes, allowedIps, expiresInDays } = req.body;
+    const { apiKey, key } = await createApiKey(
+      resolveOwnerId(req, ownerId),
+      { name, scopes, allowedIps, expiresInDays },
+      req.user.id
+    );
+
+    res.status(StatusCodes.CREATED).json({
+      message: 'Store this key securely. It will not be shown again',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await listApiKeys(resolveOwnerId(req, req.query.ownerId), {
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+    res.status(StatusCodes.OK).json(apiKeys);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRotateApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, key, previousKeyValidUntil } = await rotateApiKey(req.params.id, {
+      gracePeriodHours: req.body.gracePeriodHours
+    });
+
+    res.status(StatusCodes.OK).json({
+      message: 'Store this key securely. It will not be shown again',
+      key,
+      previousKeyValidUntil,
+      apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRevokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, req.user.id);
+    res.status(StatusCodes.OK).json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,62 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  uploadAttachment,
+  listAttachments,
+  getAttachment,
+  deleteAttachment,
+  openSignedFile
+} from '../services/attachmentservice.js';
+
+export const handleUploadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await uploadAttachment(req.file, req.user, req.access.scope, req.body);
+    res.status(StatusCodes.CREATED).json(attachment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListAttachments = async (req, res, next) => {
+  try {
+    const { targetType, targetId, documentId } = req.query;
+    const attachments = await listAttachments(targetType, targetId, req.user, req.access.scope, { documentId });
+    res.status(StatusCodes.OK).json(attachments);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetAttachment = async (req, res, next) => {
+  try {
+    const attachment = await getAttachment(req.params.id, req.user, req.access.scope);
+    res.status(StatusCodes.OK).json(attachment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleDeleteAttachment = async (req, res, next) => {
+  try {
+    await deleteAttachment(req.params.id, req.user, req.access.scope);
+    res.status(StatusCodes.NO_CONTENT).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleDownloadFile = async (req, res, next) => {
+  try {
+    const { expires, signature } = req.query;
+    const file = await openSignedFile(req.params.key, { expires, signature });
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `inline; filename="${file.fileName.replace(/"/g, '')}"`);
+    res.set('Cache-Control', 'private, no-store');
+    // Let the frontend, served from another origin, display photos and thumbnails
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    file.stream.on('error', next);
+    file.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
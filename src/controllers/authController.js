@@ -1,34 +1,461 @@
 // src/controllers/authController.js
+import {
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  requestPasswordReset,
+  resetPasswordWithToken,
+  verifyEmailToken,
+  resendVerificationEmail,
+  createSession,
+  listUserSessions,
+  revokeAllUserSessions,
+  forceLogoutUser
+} from '../services/authservice.js';
+import {
+  isTwoFactorRequired,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  beginTwoFactorEnrollment,
+  completeTwoFactorEnrollment,
+  stepUpSession,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../services/twofactorservice.js';
+import { beginOidcLogin, completeOidcLogin } from '../services/oidcservice.js';
+import { startImpersonation, stopImpersonation } from '../services/impersonationservice.js';
+import { getEffectivePermissions } from '../services/policyservice.js';
+import { recordLogin, fetchUserById } from '../services/userservice.js';
+import { getDeviceContext } from '../utils/device.js';
+import { ValidationError, AuthenticationError } from '../utils/errors.js';
 
-export const handleForgotPassword = async (req, res) => {
-    res.json({ message: 'Forgot password handler' });
+// Helper Functions
+
+// Enrollment can be driven by a signed-in user or by the challenge issued at login
+const resolveEnrollmentUser = (req) => {
+  if (req.user?.id) return { userId: req.user.id, viaChallenge: false };
+
+  const { challengeToken } = req.body;
+  if (!challengeToken) {
+    throw new AuthenticationError('Authentication or an enrollment challenge is required');
+  }
+
+  return { userId: verifyLoginChallenge(challengeToken, '2fa_enroll'), viaChallenge: true };
+};
+
+const startTwoFactorSession = async (req, user) => {
+  if (user.status !== 'active') {
+    throw new AuthenticationError('Account is not active');
+  }
+
+  const session = await createSession(user, getDeviceContext(req), { twoFactorVerified: true });
+  await recordLogin(user._id);
+
+  return {
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    refreshExpiresAt: session.refreshExpiresAt,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    }
   };
-  
-  export const handleResetPassword = async (req, res) => {
-    res.json({ message: 'Reset password handler' });
+};
+
+// POST /api/auth/forgot-password
+export const handleForgotPassword = async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        throw new ValidationError('Email is required');
+      }
+
+      await requestPasswordReset(email);
+
+      res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+    } catch (err) {
+      next(err);
+    }
   };
   
-  export const handleVerifyEmail = async (req, res) => {
-    res.json({ message: 'Verify email handler' });
+  // POST /api/auth/reset-password
+  export const handleResetPassword = async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+      if (!token || !password) {
+        throw new ValidationError('Token and password are required');
+      }
+
+      await resetPasswordWithToken(token, password);
+
+      res.json({ message: 'Password has been reset. Please sign in again' });
+    } catch (err) {
+      next(err);
+    }
   };
   
-  export const handleResendVerification = async (req, res) => {
-    res.json({ message: 'Resend verification handler' });
+  // POST /api/auth/verify-email
+  export const handleVerifyEmail = async (req, res, next) => {
+    try {
+      const { token } = req.body;
+      if (!token) {
+        throw new ValidationError('Verification token is required');
+      }
+
+      const user = await verifyEmailToken(token);
+
+      res.json({
+        message: 'Email verified successfully',
+        verifiedAt: user.emailVerification.verifiedAt
+      });
+    } catch (err) {
+      next(err);
+    }
   };
   
-  export const handleLogout = async (req, res) => {
-    res.json({ message: 'Logout handler' });
+  // POST /api/auth/resend-verification
+  export const handleResendVerification = async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        throw new ValidationError('Email is required');
+      }
+
+      await resendVerificationEmail(email);
+
+      res.json({ message: 'If this email belongs to an unverified account, a new verification link has been sent' });
+    } catch (err) {
+      next(err);
+    }
   };
   
-  export const handleRefreshToken = async (req, res) => {
-    res.json({ message: 'Refresh token handler' });
+  // POST /api/auth/logout
+  export const handleLogout = async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      if (refreshToken) {
+        await revokeSessionByRefreshToken(refreshToken);
+      } else if (req.user?.sid) {
+        await revokeSession(req.user.sid, 'logout');
+      } else {
+        throw new ValidationError('Refresh token or authenticated session is required');
+      }
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+      next(err);
+    }
   };
-  
-  export const handleOAuthLogin = async (req, res) => {
-    res.json({ message: 'OAuth login handler' });
+
+  // GET /api/auth/sessions
+  export const handleListSessions = async (req, res, next) => {
+    try {
+      const sessions = await listUserSessions(req.user.id, req.user.sid);
+      res.json({ sessions });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // DELETE /api/auth/sessions/:id
+  export const handleRevokeSession = async (req, res, next) => {
+    try {
+      const isOwnSession = req.access.scope === 'own';
+      await revokeSession(req.params.id, 'revoked', isOwnSession ? undefined : req.user.id);
+
+      res.json({
+        message: 'Session revoked',
+        current: req.params.id === String(req.user.sid)
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // DELETE /api/auth/sessions (signs out every other device)
+  export const handleRevokeOtherSessions = async (req, res, next) => {
+    try {
+      if (!req.user.sid) {
+        throw new ValidationError('An authenticated session is required');
+      }
+
+      const revoked = await revokeAllUserSessions(req.user.id, 'revoked', {
+        exceptSessionId: req.user.sid
+      });
+      res.json({ message: 'Other sessions revoked', revoked });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // GET /api/auth/users/:userId/sessions
+  export const handleListUserSessions = async (req, res, next) => {
+    try {
+      const sessions = await listUserSessions(req.params.userId);
+      res.json({ sessions });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/users/:userId/force-logout
+  export const handleForceLogout = async (req, res, next) => {
+    try {
+      const revoked = await forceLogoutUser(req.params.userId, req.user.id);
+      res.json({ message: 'User signed out of all devices', revoked });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/impersonate/:userId
+  export const handleStartImpersonation = async (req, res, next) => {
+    try {
+      const { userAgent, ip } = getDeviceContext(req);
+      const impersonation = await startImpersonation(req.user, req.params.userId, {
+        reason: req.body.reason,
+        ip,
+        userAgent
+      });
+
+      res.status(201).json({
+        token: impersonation.accessToken,
+        expiresAt: impersonation.expiresAt,
+        sessionId: impersonation.sessionId,
+        user: {
+          id: impersonation.user._id,
+          username: impersonation.user.username,
+          email: impersonation.user.email,
+          role: impersonation.user.role
+        },
+        impersonatorId: req.user.id
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/impersonate/stop
+  export const handleStopImpersonation = async (req, res, next) => {
+    try {
+      const { userAgent, ip } = getDeviceContext(req);
+      await stopImpersonation(req.user, { ip, userAgent });
+      res.json({ message: 'Impersonation ended' });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/refresh-token
+  export const handleRefreshToken = async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        throw new ValidationError('Refresh token is required');
+      }
+
+      const tokens = await refreshSession(refreshToken);
+
+      res.json({
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        refreshExpiresAt: tokens.refreshExpiresAt
+      });
+    } catch (err) {
+      next(err);
+    }
   };
   
-  export const handleOAuthCallback = async (req, res) => {
-    res.json({ message: 'OAuth callback handler' });
+  // POST /api/auth/2fa/login
+  export const handleTwoFactorLogin = async (req, res, next) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!challengeToken) {
+        throw new ValidationError('Challenge token is required');
+      }
+
+      const userId = verifyLoginChallenge(challengeToken, '2fa_login');
+      const user = await verifySecondFactor(userId, { code, recoveryCode });
+
+      res.json(await startTwoFactorSession(req, user));
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/2fa/setup
+  export const handleTwoFactorSetup = async (req, res, next) => {
+    try {
+      const { userId } = resolveEnrollmentUser(req);
+      const enrollment = await beginTwoFactorEnrollment(userId);
+
+      res.json({
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret: enrollment.secret,
+        otpauthUri: enrollment.otpauthUri
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/2fa/enable
+  export const handleTwoFactorEnable = async (req, res, next) => {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        throw new ValidationError('Verification code is required');
+      }
+
+      const { userId, viaChallenge } = resolveEnrollmentUser(req);
+      const { recoveryCodes } = await completeTwoFactorEnrollment(userId, code);
+
+      const response = {
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once',
+        recoveryCodes
+      };
+
+      // Finishing mandatory enrollment completes the login it interrupted
+      if (viaChallenge) {
+        const user = await fetchUserById(userId);
+        Object.assign(response, await startTwoFactorSession(req, user));
+      }
+
+      res.json(response);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/2fa/disable
+  export const handleTwoFactorDisable = async (req, res, next) => {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        throw new ValidationError('Verification code is required');
+      }
+
+      await disableTwoFactor(req.user.id, code);
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/2fa/recovery-codes
+  export const handleRegenerateRecoveryCodes = async (req, res, next) => {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        throw new ValidationError('Verification code is required');
+      }
+
+      const { recoveryCodes } = await regenerateRecoveryCodes(req.user.id, code);
+
+      res.json({
+        message: 'New recovery codes generated. Previous codes no longer work',
+        recoveryCodes
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/auth/2fa/step-up
+  export const handleStepUp = async (req, res, next) => {
+    try {
+      const { code, recoveryCode } = req.body;
+
+      const validUntil = await stepUpSession({
+        userId: req.user.id,
+        sessionId: req.user.sid,
+        code,
+        recoveryCode
+      });
+
+      res.json({ message: 'Verification confirmed', validUntil });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // GET /api/auth/permissions
+  export const handleGetPermissions = async (req, res, next) => {
+    try {
+      res.json({
+        role: req.user.role,
+        ...(req.user.role === 'clinic' && {
+          clinicId: req.user.clinicId,
+          clinicRole: req.user.clinicRole
+        }),
+        permissions: getEffectivePermissions(req.user)
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // GET /api/auth/oauth/:provider
+  // Browsers are redirected to the provider; API clients asking for JSON get the URL
+  export const handleOAuthLogin = async (req, res, next) => {
+    try {
+      const { authorizationUrl, expiresAt } = await beginOidcLogin(req.params.provider, getDeviceContext(req));
+
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.json({ authorizationUrl, expiresAt });
+      }
+
+      res.redirect(302, authorizationUrl);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // GET /api/auth/oauth/:provider/callback
+  export const handleOAuthCallback = async (req, res, next) => {
+    try {
+      const { user, context, linked, provisioned } = await completeOidcLogin(req.params.provider, req.query);
+
+      if (user.status !== 'active') {
+        throw new AuthenticationError('Account is not active');
+      }
+
+      // External sign-in replaces the password step only; 2FA policy still applies
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user, '2fa_login')
+        });
+      }
+
+      if (isTwoFactorRequired(user.role)) {
+        return res.json({
+          twoFactorSetupRequired: true,
+          challengeToken: createLoginChallenge(user, '2fa_enroll')
+        });
+      }
+
+      const session = await createSession(user, context);
+
+      res.status(provisioned ? 201 : 200).json({
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        refreshExpiresAt: session.refreshExpiresAt,
+        linked,
+        provisioned,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
   };
-  
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  issueDestructionCertificate,
+  listCertificates,
+  getCertificate,
+  getCertificatePdf,
+  verifyCertificate,
+  getSigningKey
+} from '../services/certificateservice.js';
+
+// Which certificates an 'own' caller may list, by account role
+const ownFilter = (user) => {
+  if (user.role === 'collector') return { collectorId: user.id };
+  if (user.role === 'recycler') return { operatorId: user.id };
+  return { clinicId: user.clinicId };
+};
+
+export const handleListCertificates = async (req, res, next) => {
+  try {
+    const { clinicId, collectorId, facilityId, from, to, page, limit } = req.query;
+    const filters = req.access.scope === 'any'
+      ? { clinicId, collectorId, facilityId, from, to }
+      : { ...ownFilter(req.user), from, to };
+    const certificates = await listCertificates(filters, { page, limit });
+    res.status(StatusCodes.OK).json(certificates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetCertificate = async (req, res, next) => {
+  try {
+    const certificate = await getCertificate(req.params.id);
+    res.status(StatusCodes.OK).json(certificate);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleDownloadCertificate = async (req, res, next) => {
+  try {
+    const pdf = await getCertificatePdf(req.params.id);
+    res.set('Content-Type', pdf.contentType);
+    res.set('Content-Disposition', `inline; filename="${pdf.fileName}"`);
+    res.status(StatusCodes.OK).send(pdf.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Issues a missing certificate for a treated pickup, e.g. after a failure at treatment time
+export const handleIssueCertificate = async (req, res, next) => {
+  try {
+    const certificate = await issueDestructionCertificate(req.params.pickupId);
+    res.status(StatusCodes.CREATED).json(certificate);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleVerifyCertificate = async (req, res, next) => {
+  try {
+    const result = await verifyCertificate(req.query.number, req.query.checksum);
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetSigningKey = async (req, res, next) => {
+  try {
+    res.status(StatusCodes.OK).json(getSigningKey(req.query.keyId));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,124 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  createClinic,
+  getClinic,
+  updateClinicProfile,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  changeMemberRole,
+  removeMember,
+  transferOwnership
+} from '../services/clinicservice.js';
+import { NotFoundError } from '../utils/errors.js';
+
+export const handleGetMyClinic = async (req, res, next) => {
+  try {
+    if (!req.user.clinicId) {
+      throw new NotFoundError('You do not belong to a clinic yet');
+    }
+    const clinic = await getClinic(req.user.clinicId);
+    res.status(StatusCodes.OK).json({ ...clinic, myRole: req.user.clinicRole });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clinic accounts set up their own clinic; admins create one for an existing clinic account
+export const handleCreateClinic = async (req, res, next) => {
+  try {
+    const { ownerId, ...profile } = req.body;
+    const clinic = await createClinic(req.user.role === 'clinic' ? req.user.id : ownerId, profile);
+    res.status(StatusCodes.CREATED).json(clinic);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetClinic = async (req, res, next) => {
+  try {
+    const clinic = await getClinic(req.params.id);
+    res.status(StatusCodes.OK).json(clinic);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUpdateClinic = async (req, res, next) => {
+  try {
+    const clinic = await updateClinicProfile(req.params.id, req.body);
+    res.status(StatusCodes.OK).json(clinic);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListInvitations = async (req, res, next) => {
+  try {
+    const invitations = await listInvitations(req.params.id, {
+      pendingOnly: req.query.all !== 'true'
+    });
+    res.status(StatusCodes.OK).json(invitations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleInviteMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+    const invitation = await inviteMember(req.params.id, { email, role }, req.user.id);
+    res.status(StatusCodes.CREATED).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRevokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await revokeInvitation(req.params.id, req.params.invitationId);
+    res.status(StatusCodes.OK).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleAcceptInvitation = async (req, res, next) => {
+  try {
+    const membership = await acceptInvitation(req.body.token, req.user.id);
+    res.status(StatusCodes.OK).json({
+      message: 'You have joined the clinic',
+      ...membership
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleChangeMemberRole = async (req, res, next) => {
+  try {
+    const clinic = await changeMemberRole(req.params.id, req.params.userId, req.body.role);
+    res.status(StatusCodes.OK).json(clinic);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRemoveMember = async (req, res, next) => {
+  try {
+    const clinic = await removeMember(req.params.id, req.params.userId);
+    res.status(StatusCodes.OK).json(clinic);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleTransferOwnership = async (req, res, next) => {
+  try {
+    const clinic = await transferOwnership(req.params.id, req.body.userId);
+    res.status(StatusCodes.OK).json(clinic);
+  } catch (error) {
+    next(error);
+  }
+};
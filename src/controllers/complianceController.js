@@ -0,0 +1,67 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  listViolations,
+  getViolation,
+  getViolationSummary,
+  getComplianceReport
+} from '../services/storageenforcementservice.js';
+
+export const handleListViolations = async (req, res, next) => {
+  try {
+    const { clinicId, category, startDate, endDate, page, limit } = req.query;
+    const violations = await listViolations({
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId,
+      category,
+      startDate,
+      endDate
+    }, { page, limit });
+    res.status(StatusCodes.OK).json(violations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetViolationSummary = async (req, res, next) => {
+  try {
+    const { clinicId, category, startDate, endDate } = req.query;
+    const summary = await getViolationSummary({
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId,
+      category,
+      startDate,
+      endDate
+    });
+    res.status(StatusCodes.OK).json(summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetViolation = async (req, res, next) => {
+  try {
+    const violation = await getViolation(req.params.id);
+    res.status(StatusCodes.OK).json(violation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetComplianceReport = async (req, res, next) => {
+  try {
+    const { clinicId, category, startDate, endDate, format = 'json' } = req.query;
+    const report = await getComplianceReport({
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId,
+      category,
+      startDate,
+      endDate
+    }, format);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${report.fileName}"`);
+      return res.status(StatusCodes.OK).send(report.body);
+    }
+    res.status(StatusCodes.OK).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
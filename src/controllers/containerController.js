@@ -0,0 +1,69 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  registerContainers,
+  listContainers,
+  getLabelSheet,
+  getContainerHistory,
+  recordScan
+} from '../services/containerservice.js';
+
+export const handleRegisterContainers = async (req, res, next) => {
+  try {
+    const { wasteLogId, count } = req.body;
+    const containers = await registerContainers(wasteLogId, req.user, { count });
+    res.status(StatusCodes.CREATED).json(containers);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListContainers = async (req, res, next) => {
+  try {
+    const { wasteLogId, pickupRequestId, status, clinicId } = req.query;
+    const containers = await listContainers({
+      wasteLogId,
+      pickupRequestId,
+      status,
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId
+    });
+    res.status(StatusCodes.OK).json(containers);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetLabels = async (req, res, next) => {
+  try {
+    const { wasteLogId, format, symbology, page } = req.query;
+    const sheet = await getLabelSheet(wasteLogId, {
+      format,
+      symbology,
+      page: page === undefined ? 1 : Number(page)
+    });
+
+    res.set('Content-Type', sheet.contentType);
+    res.set('X-Label-Pages', String(sheet.pages));
+    res.set('Content-Disposition', `inline; filename="container-labels-${wasteLogId}.${format || 'pdf'}"`);
+    res.status(StatusCodes.OK).send(sheet.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetContainerHistory = async (req, res, next) => {
+  try {
+    const result = await getContainerHistory(req.params.code, req.user, req.access.scope);
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRecordScan = async (req, res, next) => {
+  try {
+    const result = await recordScan(req.params.code, req.user, req.body);
+    res.status(StatusCodes.CREATED).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
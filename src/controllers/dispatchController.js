@@ -0,0 +1,44 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  getAssignmentCandidates,
+  autoAssignPickup,
+  runDispatch,
+  updateDispatchProfile
+} from '../services/dispatchservice.js';
+
+// Ranked collectors for a pickup, with the reasons behind each score and why others were ruled out
+export const handleGetAssignmentCandidates = async (req, res, next) => {
+  try {
+    const ranking = await getAssignmentCandidates(req.params.id);
+    res.status(StatusCodes.OK).json(ranking);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleAutoAssignPickup = async (req, res, next) => {
+  try {
+    const result = await autoAssignPickup(req.params.id);
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRunDispatch = async (req, res, next) => {
+  try {
+    const totals = await runDispatch();
+    res.status(StatusCodes.OK).json(totals);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUpdateDispatchProfile = async (req, res, next) => {
+  try {
+    const collector = await updateDispatchProfile(req.params.collectorId, req.body);
+    res.status(StatusCodes.OK).json(collector);
+  } catch (error) {
+    next(error);
+  }
+};
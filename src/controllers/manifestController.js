@@ -0,0 +1,89 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  openManifest,
+  getManifest,
+  getManifestByNumber,
+  listManifests,
+  releaseCustody,
+  receiveCustody
+} from '../services/manifestservice.js';
+
+// Parties only see manifests they are on
+const scopeFilters = (user, scope) => {
+  if (scope === 'any') return {};
+  switch (user.role) {
+    case 'clinic':
+      return { clinicId: user.clinicId };
+    case 'recycler':
+      return { operatorId: user.id };
+    default:
+      return { collectorId: user.id };
+  }
+};
+
+export const handleListManifests = async (req, res, next) => {
+  try {
+    const { page, limit, status, hasDiscrepancy, clinicId, collectorId, facilityId } = req.query;
+    const filters = {
+      clinicId,
+      collectorId,
+      facilityId,
+      status,
+      ...(hasDiscrepancy !== undefined && { hasDiscrepancy: hasDiscrepancy === 'true' }),
+      ...scopeFilters(req.user, req.access.scope)
+    };
+
+    const manifests = await listManifests(filters, {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10
+    });
+    res.status(StatusCodes.OK).json(manifests);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleOpenManifest = async (req, res, next) => {
+  try {
+    const manifest = await openManifest(req.body.pickupRequestId);
+    res.status(StatusCodes.CREATED).json(manifest);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetManifestByNumber = async (req, res, next) => {
+  try {
+    const manifest = await getManifestByNumber(req.params.manifestNumber, req.user, req.access.scope);
+    res.status(StatusCodes.OK).json(manifest);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetManifest = async (req, res, next) => {
+  try {
+    const manifest = await getManifest(req.params.id);
+    res.status(StatusCodes.OK).json(manifest);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleReleaseCustody = async (req, res, next) => {
+  try {
+    const manifest = await releaseCustody(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(manifest);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleReceiveCustody = async (req, res, next) => {
+  try {
+    const manifest = await receiveCustody(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(manifest);
+  } catch (error) {
+    next(error);
+  }
+};
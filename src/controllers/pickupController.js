@@ -4,6 +4,7 @@ import {
   fetchPickupRequestById,
   modifyPickupRequest,
   assignPickupCollector,
+  bulkAssignPickupCollector,
   cancelPickup,
   findNearbyPickups,
   getPickupAnalytics,
@@ -18,12 +19,12 @@ export const handleRequestPickup = async (req, res) => {
   try {
     const data = {
       ...req.body,
-      clinicId: req.user.id // assumes user ID is clinic if authenticated
+      clinicId: req.user.clinicId
     };
     const pickupRequest = await addPickupRequest(data);
     res.status(201).json(pickupRequest);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -34,13 +35,13 @@ export const handleGetPickupHistory = async (req, res) => {
   try {
     const filters = {
       ...req.query,
-      clinicId: req.user.role === 'clinic' ? req.user.id : req.query.clinicId,
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : req.query.clinicId,
       collectorId: req.user.role === 'collector' ? req.user.id : req.query.collectorId
     };
     const result = await fetchAllPickupRequests(filters);
     res.status(200).json(result);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -53,7 +54,7 @@ export const handleGetPickupById = async (req, res) => {
     const pickupRequest = await fetchPickupRequestById(id);
     res.status(200).json(pickupRequest);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -68,7 +69,7 @@ export const handleUpdatePickup = async (req, res) => {
     const updatedPickupRequest = await modifyPickupRequest(id, updatedData, userId);
     res.status(200).json(updatedPickupRequest);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -78,7 +79,7 @@ export const handleUpdatePickup = async (req, res) => {
 export const handleGetPickupStatistics = async (req, res) => {
   try {
     const filters = {
-      clinicId: req.user.role === 'clinic' ? req.user.id : req.query.clinicId,
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : req.query.clinicId,
       collectorId: req.user.role === 'collector' ? req.user.id : req.query.collectorId,
       startDate: req.query.startDate,
       endDate: req.query.endDate
@@ -86,7 +87,7 @@ export const handleGetPickupStatistics = async (req, res) => {
     const analytics = await getPickupAnalytics(filters);
     res.status(200).json(analytics);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -97,10 +98,23 @@ export const handleAssignCollector = async (req, res) => {
   try {
     const { id } = req.params;
     const { collectorId } = req.body;
-    const result = await assignPickupCollector(id, collectorId);
+    const result = await assignPickupCollector(id, collectorId, req.user.id);
     res.status(200).json(result);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Assigns one collector to several pickup requests
+ */
+export const handleBulkAssignCollector = async (req, res) => {
+  try {
+    const { ids, collectorId } = req.body;
+    const result = await bulkAssignPickupCollector(ids, collectorId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -123,7 +137,7 @@ export const handleGetNearbyPickups = async (req, res) => {
     const pickups = await findNearbyPickups(location, parseInt(radius));
     res.status(200).json(pickups);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -144,7 +158,7 @@ export const handleBulkUpdateStatus = async (req, res) => {
       updatedCount: result.modifiedCount
     });
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -157,7 +171,7 @@ export const handleDeletePickupRequest = async (req, res) => {
     await deletePickupRequest(id);
     res.status(204).send();
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -173,7 +187,7 @@ export const handleGetAllPickups = async (req, res) => {
     const result = await fetchAllPickupRequests(filters);
     res.status(200).json(result);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -190,7 +204,7 @@ export const handleGetCollectorPickups = async (req, res) => {
     const result = await fetchAllPickupRequests(filters);
     res.status(200).json(result);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -205,6 +219,6 @@ export const cancelPickupRequest = async (req, res) => {
     const result = await cancelPickup(id, reason, userId);
     res.status(200).json(result);
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
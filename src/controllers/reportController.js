@@ -30,11 +30,11 @@ export const handleGenerateReport = async (req, res, next) => {
 
     const reportFilters = {
       ...filters,
-      clinicId: req.user.role === 'clinic' ? req.user.id : filters.clinicId,
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : filters.clinicId,
       collectorId: req.user.role === 'collector' ? req.user.id : filters.collectorId
     };
 
-    if ((reportFilters.clinicId && req.user.role === 'clinic' && reportFilters.clinicId !== req.user.id) ||
+    if ((reportFilters.clinicId && req.user.role === 'clinic' && reportFilters.clinicId !== req.user.clinicId) ||
         (reportFilters.collectorId && req.user.role === 'collector' && reportFilters.collectorId !== req.user.id)) {
       throw new ValidationError('Unauthorized to generate report for other users');
     }
@@ -141,7 +141,7 @@ export const handleScheduleReport = async (req, res, next) => {
 
     const reportFilters = {
       ...filters,
-      clinicId: req.user.role === 'clinic' ? req.user.id : filters.clinicId,
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : filters.clinicId,
       collectorId: req.user.role === 'collector' ? req.user.id : filters.collectorId
     };
 
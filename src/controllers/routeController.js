@@ -0,0 +1,36 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  planCollectorRoute,
+  getCollectorRoute,
+  insertUrgentPickup
+} from '../services/routeservice.js';
+
+// Collectors work on their own route; dispatchers name the collector in the path
+const collectorOf = (req) => req.params.collectorId || req.user.id;
+
+export const handlePlanRoute = async (req, res, next) => {
+  try {
+    const route = await planCollectorRoute(collectorOf(req), req.body);
+    res.status(StatusCodes.OK).json(route);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetRoute = async (req, res, next) => {
+  try {
+    const route = await getCollectorRoute(collectorOf(req), req.query.date);
+    res.status(StatusCodes.OK).json(route);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleInsertUrgentPickup = async (req, res, next) => {
+  try {
+    const route = await insertUrgentPickup(collectorOf(req), req.params.pickupId);
+    res.status(StatusCodes.OK).json(route);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,120 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  getAvailability,
+  updateAvailability,
+  addAvailabilityException,
+  removeAvailabilityException,
+  listOpenSlots,
+  bookPickupSlot,
+  reschedulePickupSlot,
+  releasePickupSlot,
+  listBookings
+} from '../services/schedulingservice.js';
+
+// Collectors manage their own calendar; admins (availability:manage:any) name the collector
+const resolveCollectorId = (req, requestedCollectorId) =>
+  req.access.scope === 'any' && requestedCollectorId ? requestedCollectorId : req.user.id;
+
+// Which bookings an 'own' caller may list, by account role
+const ownFilter = (user) =>
+  user.role === 'collector' ? { collectorId: user.id } : { clinicId: user.clinicId };
+
+export const handleGetAvailability = async (req, res, next) => {
+  try {
+    const calendar = await getAvailability(resolveCollectorId(req, req.query.collectorId));
+    res.status(StatusCodes.OK).json(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUpdateAvailability = async (req, res, next) => {
+  try {
+    const { collectorId, weeklyHours, slotMinutes } = req.body;
+    const calendar = await updateAvailability(
+      resolveCollectorId(req, collectorId),
+      { weeklyHours, slotMinutes },
+      req.user
+    );
+    res.status(StatusCodes.OK).json(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleAddAvailabilityException = async (req, res, next) => {
+  try {
+    const { collectorId, start, end, reason, note } = req.body;
+    const result = await addAvailabilityException(
+      resolveCollectorId(req, collectorId),
+      { start, end, reason, note },
+      req.user
+    );
+    res.status(StatusCodes.CREATED).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRemoveAvailabilityException = async (req, res, next) => {
+  try {
+    const calendar = await removeAvailabilityException(
+      resolveCollectorId(req, req.query.collectorId),
+      req.params.exceptionId
+    );
+    res.status(StatusCodes.OK).json(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListOpenSlots = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const slots = await listOpenSlots(req.params.id, { from, to });
+    res.status(StatusCodes.OK).json(slots);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleBookSlot = async (req, res, next) => {
+  try {
+    const { collectorId, start } = req.body;
+    const result = await bookPickupSlot(req.params.id, { collectorId, start }, req.user);
+    res.status(StatusCodes.CREATED).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRescheduleSlot = async (req, res, next) => {
+  try {
+    const result = await reschedulePickupSlot(req.params.id, { start: req.body.start }, req.user);
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleReleaseSlot = async (req, res, next) => {
+  try {
+    const booking = await releasePickupSlot(req.params.id);
+    res.status(StatusCodes.OK).json(booking);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListBookings = async (req, res, next) => {
+  try {
+    const { collectorId, clinicId, status, from, to, page, limit } = req.query;
+    const filters = req.access.scope === 'any'
+      ? { collectorId, clinicId, status, from, to }
+      : { ...ownFilter(req.user), status, from, to };
+    const bookings = await listBookings(filters, { page, limit });
+    res.status(StatusCodes.OK).json(bookings);
+  } catch (error) {
+    next(error);
+  }
+};
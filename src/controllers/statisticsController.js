@@ -13,7 +13,7 @@ export const handleGetDashboardStats = async (req, res, next) => {
     };
 
     const filters = {
-      clinicId: req.user.role === 'clinic' ? req.user.id : undefined,
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : undefined,
       collectorId: req.user.role === 'collector' ? req.user.id : undefined,
       ...dateRange
     };
@@ -0,0 +1,88 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  createStorageArea,
+  listStorageAreas,
+  getStorageArea,
+  updateStorageArea
+} from '../services/storageareaservice.js';
+import {
+  ingestReadings,
+  getReadingSeries,
+  listExcursions
+} from '../services/telemetryservice.js';
+
+export const handleCreateStorageArea = async (req, res, next) => {
+  try {
+    const clinicId = req.access.scope === 'any' ? req.body.clinicId : req.user.clinicId;
+    const area = await createStorageArea(clinicId, req.body);
+    res.status(StatusCodes.CREATED).json(area);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListStorageAreas = async (req, res, next) => {
+  try {
+    const { clinicId, includeInactive } = req.query;
+    const areas = await listStorageAreas({
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId,
+      includeInactive: includeInactive === 'true'
+    });
+    res.status(StatusCodes.OK).json(areas);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetStorageArea = async (req, res, next) => {
+  try {
+    const area = await getStorageArea(req.params.id);
+    res.status(StatusCodes.OK).json(area);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUpdateStorageArea = async (req, res, next) => {
+  try {
+    const area = await updateStorageArea(req.params.id, req.body);
+    res.status(StatusCodes.OK).json(area);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleIngestReadings = async (req, res, next) => {
+  try {
+    // A single reading may be posted on its own
+    const readings = Array.isArray(req.body.readings) ? req.body.readings : [req.body];
+    const result = await ingestReadings(req.params.id, readings);
+    res.status(StatusCodes.ACCEPTED).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetReadingSeries = async (req, res, next) => {
+  try {
+    const { from, to, interval } = req.query;
+    const result = await getReadingSeries(req.params.id, { from, to, interval });
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListExcursions = async (req, res, next) => {
+  try {
+    const { status, from, to, page, limit } = req.query;
+    const result = await listExcursions(
+      req.params.id,
+      { status, from, to },
+      { page: Number(page) || 1, limit: Number(limit) || 10 }
+    );
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,98 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  createFacility,
+  getFacility,
+  getOperatorFacility,
+  listFacilities,
+  updateFacility,
+  listFacilityPickups,
+  recordIntake,
+  completeTreatment,
+  deliverPickup
+} from '../services/treatmentfacilityservice.js';
+
+export const handleCreateFacility = async (req, res, next) => {
+  try {
+    // Recyclers register their own facility; administrators name the operator
+    const operatorId = req.user.role === 'recycler' ? req.user.id : req.body.operatorId;
+    const facility = await createFacility(operatorId, req.body, req.user);
+    res.status(StatusCodes.CREATED).json(facility);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListFacilities = async (req, res, next) => {
+  try {
+    const { category, method, openNow, includeInactive, page, limit } = req.query;
+    const facilities = await listFacilities({ category, method, openNow, includeInactive }, { page, limit });
+    res.status(StatusCodes.OK).json(facilities);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetMyFacility = async (req, res, next) => {
+  try {
+    const facility = await getOperatorFacility(req.user.id);
+    res.status(StatusCodes.OK).json(facility);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetFacility = async (req, res, next) => {
+  try {
+    const facility = await getFacility(req.params.id);
+    res.status(StatusCodes.OK).json(facility);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUpdateFacility = async (req, res, next) => {
+  try {
+    const facility = await updateFacility(req.params.id, req.body, req.user);
+    res.status(StatusCodes.OK).json(facility);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Collector hands a collected pickup over to a facility ({ facilityId, plus the manifest handover })
+export const handleDeliverPickup = async (req, res, next) => {
+  try {
+    const pickup = await deliverPickup(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(pickup);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListFacilityPickups = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+    const pickups = await listFacilityPickups(req.params.id, { status }, { page, limit });
+    res.status(StatusCodes.OK).json(pickups);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRecordIntake = async (req, res, next) => {
+  try {
+    const pickup = await recordIntake(req.params.id, req.params.pickupId, req.user, req.body);
+    res.status(StatusCodes.OK).json(pickup);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleCompleteTreatment = async (req, res, next) => {
+  try {
+    const pickup = await completeTreatment(req.params.id, req.params.pickupId, req.user, req.body);
+    res.status(StatusCodes.OK).json(pickup);
+  } catch (error) {
+    next(error);
+  }
+};
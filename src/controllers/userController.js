@@ -2,13 +2,17 @@
 import {
   getUserByEmail,
   registerUser,
+  createUserAccount,
   fetchUserById,
-  updateUser,
   deleteUserAccount,
   searchUsers,
   updateUserProfile,
-  updateUserStatus
+  updateUserStatus,
+  changePassword,
+  updateUserNotificationPreferences,
+  recordLogin
 } from '../services/userservice.js';
+import { fetchUserNotifications, markAllRead } from '../services/notificationservice.js';
 
 import {
   ValidationError,
@@ -18,24 +22,21 @@ import {
 } from '../utils/errors.js';
 
 import { validateEmail, validatePassword } from '../validations/userValidation.js';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import dotenv from 'dotenv';
+import { createSession } from '../services/authservice.js';
+import { isTwoFactorRequired, createLoginChallenge } from '../services/twofactorservice.js';
+import { getDeviceContext } from '../utils/device.js';
+import { ROLES } from '../config/permissions.js';
+import { comparePassword } from '../utils/hash.js';
 
-dotenv.config();
-
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '1d';
-const SALT_ROUNDS = 12;
-
-if (!JWT_SECRET) {
-  throw new Error('JWT_SECRET environment variable is not set');
-}
+// Fields users may change on their own profile; role, status and email go through admins
+const PROFILE_FIELDS = ['username', 'phone', 'address'];
 
 // POST /api/auth/register
 export const handleRegister = async (req, res, next) => {
   try {
-    const { username, email, password, role, phone, address, serviceArea } = req.body;
+    const {
+      username, email, password, role, phone, address, serviceArea, clinicName, invitationToken
+    } = req.body;
 
     if (!username || !email || !password || !role) {
       throw new ValidationError('Missing required fields');
@@ -54,25 +55,37 @@ export const handleRegister = async (req, res, next) => {
       throw new ValidationError('User already exists');
     }
 
-    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
     const userData = {
       username,
       email,
-      password: hashedPassword,
+      password,
       role,
       phone,
       address,
       serviceArea: role === 'collector' ? serviceArea : undefined,
+      clinicName: role === 'clinic' ? clinicName : undefined,
+      invitationToken: role === 'clinic' ? invitationToken : undefined,
       status: 'active',
       createdAt: new Date(),
       lastLogin: null
     };
 
     const newUser = await registerUser(userData);
-    const token = generateToken(newUser);
+
+    if (isTwoFactorRequired(newUser.role)) {
+      return res.status(201).json({
+        twoFactorSetupRequired: true,
+        challengeToken: createLoginChallenge(newUser, '2fa_enroll'),
+        user: sanitizeUser(newUser)
+      });
+    }
+
+    const session = await createSession(newUser, getDeviceContext(req));
 
     res.status(201).json({
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      refreshExpiresAt: session.refreshExpiresAt,
       user: sanitizeUser(newUser)
     });
   } catch (err) {
@@ -98,17 +111,34 @@ export const handleLogin = async (req, res, next) => {
       throw new AuthenticationError('Account is not active');
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = await comparePassword(password, user.password);
     if (!isMatch) {
       throw new AuthenticationError('Invalid credentials');
     }
 
-    const token = generateToken(user);
+    // Password is correct; the second factor is completed via /auth/2fa/*
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user, '2fa_login')
+      });
+    }
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: createLoginChallenge(user, '2fa_enroll')
+      });
+    }
 
-    await updateUser(user._id, { lastLogin: new Date() });
+    const session = await createSession(user, getDeviceContext(req));
+
+    await recordLogin(user._id);
 
     res.json({
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      refreshExpiresAt: session.refreshExpiresAt,
       user: sanitizeUser(user)
     });
   } catch (err) {
@@ -130,6 +160,114 @@ export const handleGetProfile = async (req, res, next) => {
   }
 };
 
+// PUT /api/users/profile
+export const handleUpdateProfile = async (req, res, next) => {
+  try {
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Nothing to update. Editable fields: ${PROFILE_FIELDS.join(', ')}`);
+    }
+
+    const updated = await updateUserProfile(req.user.id, updates);
+    res.json(sanitizeUser(updated));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/users/password
+export const handleChangePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      throw new ValidationError('currentPassword and newPassword are required');
+    }
+
+    await changePassword(req.user.id, currentPassword, newPassword);
+    res.json({ message: 'Password changed successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/users/preferences
+export const handleGetPreferences = async (req, res, next) => {
+  try {
+    const user = await fetchUserById(req.user.id);
+    res.json({ notificationPreferences: user.notificationPreferences || {} });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/users/preferences
+export const handleUpdatePreferences = async (req, res, next) => {
+  try {
+    await updateUserNotificationPreferences(req.user.id, req.body.notificationPreferences);
+    res.json({ message: 'Notification preferences updated' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/users/notifications
+export const handleGetNotifications = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const notifications = await fetchUserNotifications({
+      userId: req.user.id,
+      status,
+      page: Number(page),
+      limit: Number(limit)
+    });
+
+    res.json(notifications);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/users/notifications/read
+export const handleMarkNotificationsRead = async (req, res, next) => {
+  try {
+    await markAllRead(req.user.id);
+    res.json({ message: 'All notifications marked as read' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/users
+export const handleCreateUser = async (req, res, next) => {
+  try {
+    const { username, email, password, role, phone, address, serviceArea, clinicName } = req.body;
+
+    if (!username || !email || !password || !role) {
+      throw new ValidationError('Missing required fields');
+    }
+
+    const user = await createUserAccount({
+      username,
+      email,
+      password,
+      role,
+      phone,
+      address,
+      serviceArea: role === 'collector' ? serviceArea : undefined,
+      clinicName: role === 'clinic' ? clinicName : undefined
+    });
+
+    res.status(201).json(sanitizeUser(user));
+  } catch (err) {
+    next(err);
+  }
+};
+
 // PUT /api/users/:id
 export const handleUpdateUser = async (req, res, next) => {
   try {
@@ -145,10 +283,9 @@ export const handleUpdateUser = async (req, res, next) => {
       if (!validatePassword(updates.password)) {
         throw new ValidationError('Password does not meet requirements');
       }
-      updates.password = await bcrypt.hash(updates.password, SALT_ROUNDS);
     }
 
-    const updated = await updateUser(id, updates);
+    const updated = await updateUserProfile(id, updates);
     if (!updated) {
       throw new NotFoundError('User not found');
     }
@@ -180,6 +317,7 @@ export const handleGetAllUsers = async (req, res, next) => {
     const {
       role,
       status,
+      search,
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
@@ -189,6 +327,7 @@ export const handleGetAllUsers = async (req, res, next) => {
     const users = await searchUsers({
       role,
       status,
+      search,
       page: Number(page),
       limit: Number(limit),
       sortBy,
@@ -205,9 +344,7 @@ export const handleGetAllUsers = async (req, res, next) => {
 export const handleGetUsersByRole = async (req, res, next) => {
   try {
     const { role } = req.params;
-    const validRoles = ['admin', 'clinic', 'collector', 'health'];
-
-    if (!validRoles.includes(role)) {
+    if (!ROLES.includes(role)) {
       throw new ValidationError('Invalid role');
     }
 
@@ -242,30 +379,8 @@ export const handleUpdateUserStatus = async (req, res, next) => {
 
 // Helper Functions
 
-const generateToken = (user) => {
-  try {
-    return jwt.sign(
-      {
-        id: user._id,
-        role: user.role,
-        email: user.email,
-        status: user.status,
-        version: user.__v || 0
-      },
-      JWT_SECRET,
-      {
-        expiresIn: JWT_EXPIRY,
-        audience: 'MediClean',
-        issuer: 'MediClean-Auth'
-      }
-    );
-  } catch (err) {
-    throw new InternalError('Failed to generate authentication token');
-  }
-};
-
 const sanitizeUser = (user) => {
-  if (!user || !user.toObject) {
+  if (!user || typeof user !== 'object') {
     throw new InternalError('Invalid user object');
   }
 
@@ -275,7 +390,7 @@ const sanitizeUser = (user) => {
     resetPasswordToken,
     resetPasswordExpires,
     ...clean
-  } = user.toObject();
+  } = user.toObject ? user.toObject() : user;
 
   return clean;
 };
\ No newline at end of file
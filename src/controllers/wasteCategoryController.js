@@ -0,0 +1,45 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory
+} from '../services/wastecategoryservice.js';
+
+export const handleListCategories = async (req, res, next) => {
+  try {
+    const categories = await listCategories({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    res.status(StatusCodes.OK).json(categories);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetCategory = async (req, res, next) => {
+  try {
+    const category = await getCategory(req.params.code);
+    res.status(StatusCodes.OK).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleCreateCategory = async (req, res, next) => {
+  try {
+    const category = await createCategory(req.body);
+    res.status(StatusCodes.CREATED).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUpdateCategory = async (req, res, next) => {
+  try {
+    const category = await updateCategory(req.params.code, req.body);
+    res.status(StatusCodes.OK).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
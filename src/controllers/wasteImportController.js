@@ -0,0 +1,74 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  previewImport,
+  getImportJob,
+  listImportJobs,
+  getErrorReport,
+  commitImport,
+  undoImport
+} from '../services/wasteimportservice.js';
+
+export const handlePreviewImport = async (req, res, next) => {
+  try {
+    const { mapping, defaults, clinicId } = req.body;
+    const job = await previewImport(req.file, req.user, {
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId,
+      mapping,
+      defaults
+    });
+    res.status(StatusCodes.CREATED).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListImportJobs = async (req, res, next) => {
+  try {
+    const { status, clinicId, page, limit } = req.query;
+    const jobs = await listImportJobs(
+      { status, clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId },
+      { page: Number(page) || 1, limit: Number(limit) || 10 }
+    );
+    res.status(StatusCodes.OK).json(jobs);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetImportJob = async (req, res, next) => {
+  try {
+    const job = await getImportJob(req.params.id);
+    res.status(StatusCodes.OK).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetErrorReport = async (req, res, next) => {
+  try {
+    const report = await getErrorReport(req.params.id);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${report.fileName.replace(/"/g, '')}"`);
+    res.status(StatusCodes.OK).send(report.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleCommitImport = async (req, res, next) => {
+  try {
+    const job = await commitImport(req.params.id, req.user);
+    res.status(StatusCodes.OK).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleUndoImport = async (req, res, next) => {
+  try {
+    const job = await undoImport(req.params.id, req.user);
+    res.status(StatusCodes.OK).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
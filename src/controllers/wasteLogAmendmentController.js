@@ -0,0 +1,77 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  proposeAmendment,
+  listAmendments,
+  getAmendment,
+  approveAmendment,
+  rejectAmendment,
+  withdrawAmendment
+} from '../services/wastelogamendmentservice.js';
+
+export const handleProposeAmendment = async (req, res, next) => {
+  try {
+    const amendment = await proposeAmendment(req.params.id, req.user, req.body);
+    res.status(StatusCodes.CREATED).json(amendment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleListLogAmendments = async (req, res, next) => {
+  try {
+    const amendments = await listAmendments({ wasteLogId: req.params.id }, req.query);
+    res.status(StatusCodes.OK).json(amendments);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Review queue for health officers (?status=pending); clinic staff see their own clinic's amendments
+export const handleListAmendments = async (req, res, next) => {
+  try {
+    const { clinicId, status, page, limit } = req.query;
+    const amendments = await listAmendments({
+      clinicId: req.access.scope === 'any' ? clinicId : req.user.clinicId,
+      status
+    }, { page, limit });
+    res.status(StatusCodes.OK).json(amendments);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetAmendment = async (req, res, next) => {
+  try {
+    const amendment = await getAmendment(req.params.id);
+    res.status(StatusCodes.OK).json(amendment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleApproveAmendment = async (req, res, next) => {
+  try {
+    const result = await approveAmendment(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRejectAmendment = async (req, res, next) => {
+  try {
+    const amendment = await rejectAmendment(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(amendment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleWithdrawAmendment = async (req, res, next) => {
+  try {
+    const amendment = await withdrawAmendment(req.params.id);
+    res.status(StatusCodes.OK).json(amendment);
+  } catch (error) {
+    next(error);
+  }
+};
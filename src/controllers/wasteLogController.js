@@ -1,11 +1,11 @@
 import { StatusCodes } from 'http-status-codes';
-import * as wasteLogService from '../services/wasteLogService.js';
+import * as wasteLogService from '../services/wastelogservice.js';
 
 export const handleCreateWasteLog = async (req, res, next) => {
   try {
     const wasteLog = await wasteLogService.createWasteLog({
       ...req.body,
-      clinicId: req.user.id
+      clinicId: req.user.clinicId
     });
     res.status(StatusCodes.CREATED).json(wasteLog);
   } catch (error) {
@@ -17,7 +17,7 @@ export const handleGetWasteLogs = async (req, res, next) => {
   try {
     const filters = {
       ...req.query,
-      clinicId: req.user.role === 'clinic' ? req.user.id : req.query.clinicId
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : req.query.clinicId
     };
     const wasteLogs = await wasteLogService.getWasteLogs(filters);
     res.status(StatusCodes.OK).json(wasteLogs);
@@ -57,7 +57,7 @@ export const handleGetWasteStatistics = async (req, res, next) => {
   try {
     const filters = {
       ...req.query,
-      clinicId: req.user.role === 'clinic' ? req.user.id : req.query.clinicId
+      clinicId: req.user.role === 'clinic' ? req.user.clinicId : req.query.clinicId
     };
     const statistics = await wasteLogService.getWasteStatistics(filters);
     res.status(StatusCodes.OK).json(statistics);
@@ -0,0 +1,33 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  listThresholds,
+  setThreshold,
+  removeThreshold
+} from '../services/wastethresholdservice.js';
+
+export const handleListThresholds = async (req, res, next) => {
+  try {
+    const thresholds = await listThresholds(req.params.id);
+    res.status(StatusCodes.OK).json(thresholds);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleSetThreshold = async (req, res, next) => {
+  try {
+    const threshold = await setThreshold(req.params.id, req.params.category, req.body, req.user);
+    res.status(StatusCodes.OK).json(threshold);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleRemoveThreshold = async (req, res, next) => {
+  try {
+    await removeThreshold(req.params.id, req.params.category, req.user);
+    res.status(StatusCodes.NO_CONTENT).send();
+  } catch (error) {
+    next(error);
+  }
+};
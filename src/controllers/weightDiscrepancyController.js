@@ -0,0 +1,50 @@
+import { StatusCodes } from 'http-status-codes';
+import {
+  listDiscrepancies,
+  getDiscrepancy,
+  explainDiscrepancy,
+  resolveDiscrepancy
+} from '../services/weightdiscrepancyservice.js';
+
+// Review queue for health officers (?status=open); clinic staff and collectors see their own
+export const handleListDiscrepancies = async (req, res, next) => {
+  try {
+    const { clinicId, collectorId, status, page, limit } = req.query;
+    const filters = req.access.scope === 'any'
+      ? { clinicId, collectorId, status }
+      : req.user.role === 'collector'
+        ? { collectorId: req.user.id, status }
+        : { clinicId: req.user.clinicId, status };
+    const discrepancies = await listDiscrepancies(filters, { page, limit });
+    res.status(StatusCodes.OK).json(discrepancies);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleGetDiscrepancy = async (req, res, next) => {
+  try {
+    const discrepancy = await getDiscrepancy(req.params.id);
+    res.status(StatusCodes.OK).json(discrepancy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleExplainDiscrepancy = async (req, res, next) => {
+  try {
+    const discrepancy = await explainDiscrepancy(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(discrepancy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const handleResolveDiscrepancy = async (req, res, next) => {
+  try {
+    const discrepancy = await resolveDiscrepancy(req.params.id, req.user, req.body);
+    res.status(StatusCodes.OK).json(discrepancy);
+  } catch (error) {
+    next(error);
+  }
+};
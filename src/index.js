@@ -9,8 +9,25 @@ import config from './config/serverConfig.js';
 import mongoose from 'mongoose';
 
 import authRoutes from './routes/v1/authRoutes.js';
+import userRoutes from './routes/v1/userRoutes.js';
 import wasteRoutes from './routes/v1/wasteLogRoutes.js';
+import wasteImportRoutes from './routes/v1/wasteImportRoutes.js';
 import pickupRoutes from './routes/v1/pickupRoutes.js';
+import apiKeyRoutes from './routes/v1/apiKeyRoutes.js';
+import clinicRoutes from './routes/v1/clinicRoutes.js';
+import manifestRoutes from './routes/v1/manifestRoutes.js';
+import containerRoutes from './routes/v1/containerRoutes.js';
+import wasteCategoryRoutes from './routes/v1/wasteCategoryRoutes.js';
+import attachmentRoutes from './routes/v1/attachmentRoutes.js';
+import storageAreaRoutes from './routes/v1/storageAreaRoutes.js';
+import complianceRoutes from './routes/v1/complianceRoutes.js';
+import facilityRoutes from './routes/v1/facilityRoutes.js';
+import certificateRoutes from './routes/v1/certificateRoutes.js';
+import scheduleRoutes from './routes/v1/scheduleRoutes.js';
+import { initialiseCatalogue } from './services/wastecategoryservice.js';
+import { startThresholdMonitor } from './services/wastethresholdservice.js';
+import { startStorageEnforcement } from './services/storageenforcementservice.js';
+import { startDispatchScheduler } from './services/dispatchservice.js';
 import { errorHandler, notFoundHandler } from './middlewares/errorMiddleware.js';
 
 const app = express();
@@ -20,7 +37,7 @@ app.use(helmet());
 app.use(cors({
     origin: config.CORS_ORIGIN,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Rate limiting
@@ -47,8 +64,21 @@ const API_PREFIX = `${config.API_PREFIX}/${config.API_VERSION}`;
 
 // Mount API routes
 app.use(`${API_PREFIX}/auth`, authRoutes);
+app.use(`${API_PREFIX}/users`, userRoutes);
+app.use(`${API_PREFIX}/waste/imports`, wasteImportRoutes);
 app.use(`${API_PREFIX}/waste`, wasteRoutes);
 app.use(`${API_PREFIX}/pickup`, pickupRoutes);
+app.use(`${API_PREFIX}/api-keys`, apiKeyRoutes);
+app.use(`${API_PREFIX}/clinics`, clinicRoutes);
+app.use(`${API_PREFIX}/manifests`, manifestRoutes);
+app.use(`${API_PREFIX}/containers`, containerRoutes);
+app.use(`${API_PREFIX}/waste-categories`, wasteCategoryRoutes);
+app.use(`${API_PREFIX}/attachments`, attachmentRoutes);
+app.use(`${API_PREFIX}/storage-areas`, storageAreaRoutes);
+app.use(`${API_PREFIX}/compliance`, complianceRoutes);
+app.use(`${API_PREFIX}/facilities`, facilityRoutes);
+app.use(`${API_PREFIX}/certificates`, certificateRoutes);
+app.use(`${API_PREFIX}/schedule`, scheduleRoutes);
 
 // Error handling
 app.use(notFoundHandler);
@@ -60,6 +90,13 @@ const server = app.listen(config.PORT, () => {
     // Connect to database
     connectDB()
         .then(() => console.log('Database connected successfully'))
+        .then(() => initialiseCatalogue())
+        .then(count => console.log(`Waste category catalogue loaded (${count} categories)`))
+        .then(() => {
+            startThresholdMonitor();
+            startStorageEnforcement();
+            startDispatchScheduler();
+        })
         .catch(err => {
             console.error('Database connection error:', err);
             process.exit(1);
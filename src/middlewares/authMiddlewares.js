@@ -1,15 +1,27 @@
 // middleware/authMiddleware.js
 import jwt from 'jsonwebtoken';
-import { ValidationError } from '../utils/errors.js';
+import { ValidationError, AuthenticationError } from '../utils/errors.js';
+import { isSessionActive, recordSessionActivity } from '../services/authservice.js';
+import { authenticateApiKey } from '../services/apikeyservice.js';
+import { resolvePermissionScope, ownsResources } from '../services/policyservice.js';
+import { getClinicContext } from '../services/clinicservice.js';
+import { auditImpersonatedRequest } from '../services/impersonationservice.js';
+import userRepository from '../repository/userRepository.js';
+import sessionRepository from '../repository/sessionRepository.js';
+import config from '../config/serverConfig.js';
 
 // Constants
 const TOKEN_EXPIRY_WARNING = 5 * 60; // 5 minutes in seconds
 const BEARER_PREFIX = 'Bearer ';
+const API_KEY_PREFIX = 'ApiKey ';
 
 // Helper function to validate JWT token
-const validateToken = (token, secret) => {
+const validateToken = (token) => {
   try {
-    return jwt.verify(token, secret);
+    return jwt.verify(token, config.JWT_SECRET, {
+      audience: 'MediClean',
+      issuer: 'MediClean-Auth'
+    });
   } catch (err) {
     if (err.name === 'JsonWebTokenError') {
       throw new ValidationError('Invalid token');
@@ -30,53 +42,70 @@ const checkTokenExpiration = (decoded) => {
   return timeToExpiry <= TOKEN_EXPIRY_WARNING * 1000;
 };
 
-// Main authentication middleware
-export const authMiddleware = (roles = []) => {
-  return async (req, res, next) => {
-    const authHeader = req.headers.authorization;
+// Helper function to reject tokens whose session was revoked (logout, reuse detection,
+// revocation from the session list or a forced logout), checked on every request
+const ensureActiveSession = async (decoded, req) => {
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new ValidationError('Session has been revoked');
+  }
+  await recordSessionActivity(decoded.sid, req.ip);
+};
+
+// Helper function to verify a bearer token and build req.user
+const resolveUser = async (req, res) => {
+  const token = req.headers.authorization.substring(BEARER_PREFIX.length);
+  if (!token) {
+    throw new ValidationError('Invalid token format');
+  }
+
+  const decoded = validateToken(token);
+  await ensureActiveSession(decoded, req);
+  const isNearExpiry = checkTokenExpiration(decoded);
+
+  if (isNearExpiry) {
+    res.set('X-Token-Expiry-Warning', 'true');
+  }
+
+  // Clinic membership is looked up per request so role changes and removals apply at once
+  const clinicContext = decoded.role === 'clinic' ? await getClinicContext(decoded.id) : null;
 
+  return {
+    ...decoded,
+    ...clinicContext,
+    token,
+    isNearExpiry
+  };
+};
+
+// Helper function to read an API key from "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const getApiKey = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const authHeader = req.headers.authorization;
+  return authHeader?.startsWith(API_KEY_PREFIX) ? authHeader.substring(API_KEY_PREFIX.length) : null;
+};
+
+// Main authentication middleware: a Bearer JWT, or an API key for integrations
+export const authenticate = () => {
+  return async (req, res, next) => {
     try {
-      // Check for auth header
-      if (!authHeader?.startsWith(BEARER_PREFIX)) {
-        throw new ValidationError('No token provided');
-      }
+      const apiKey = getApiKey(req);
 
-      // Check for JWT secret
-      if (!process.env.JWT_SECRET) {
-        console.error('JWT_SECRET is not defined');
-        return res.status(500).json({ 
-          error: 'Internal server error',
-          details: 'Authentication configuration error'
-        });
+      if (apiKey) {
+        req.user = await authenticateApiKey(apiKey, req.ip);
+        return next();
       }
 
-      // Extract and validate token
-      const token = authHeader.substring(BEARER_PREFIX.length);
-      if (!token) {
-        throw new ValidationError('Invalid token format');
+      if (!req.headers.authorization?.startsWith(BEARER_PREFIX)) {
+        throw new ValidationError('No token provided');
       }
 
-      // Verify token
-      const decoded = validateToken(token, process.env.JWT_SECRET);
+      req.user = await resolveUser(req, res);
 
-      // Check role authorization
-      if (roles.length > 0 && !roles.includes(decoded.role)) {
-        throw new ValidationError(`Access denied: ${decoded.role} role not authorized for this operation`);
-      }
-
-      // Check token expiration
-      const isNearExpiry = checkTokenExpiration(decoded);
-      
-      // Attach user info to request
-      req.user = {
-        ...decoded,
-        token,
-        isNearExpiry
-      };
-
-      // Add warning header if token is near expiry
-      if (isNearExpiry) {
-        res.set('X-Token-Expiry-Warning', 'true');
+      // Everything an administrator does as another user is audited
+      if (req.user.impersonatorId) {
+        await auditImpersonatedRequest(req, res);
       }
 
       next();
@@ -86,50 +115,130 @@ export const authMiddleware = (roles = []) => {
         stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
       });
 
-      return res.status(err instanceof ValidationError ? 401 : 500).json({
+      const isAuthError = err instanceof ValidationError || err instanceof AuthenticationError;
+      return res.status(isAuthError ? 401 : 500).json({
         error: err.message,
-        code: err instanceof ValidationError ? 'AUTH_ERROR' : 'INTERNAL_ERROR'
+        code: isAuthError ? 'AUTH_ERROR' : 'INTERNAL_ERROR'
       });
     }
   };
 };
 
-// Role-specific middleware shortcuts
-export const clinicOnly = authMiddleware(['clinic']);
-export const collectorOnly = authMiddleware(['collector']);
-export const healthOnly = authMiddleware(['health']);
-export const adminOnly = authMiddleware(['admin']);
-export const clinicOrCollector = authMiddleware(['clinic', 'collector']);
-export const clinicOrHealth = authMiddleware(['clinic', 'health']);
+// Permission check; use after authenticate().
+// With `ownership`, users holding only the ":own" scope must own the records:
+//   authorize('wastelog:delete', { ownership: 'wastelog' })                       // req.params.id
+//   authorize('pickup:status', { ownership: { resource: 'pickup', ids: req => req.body.ids } })
+// Without it, an ":own" grant passes and handlers scope their queries via req.access.
+export const authorize = (permission, { ownership } = {}) => {
+  const rule = typeof ownership === 'string' ? { resource: ownership } : ownership;
+  const getIds = rule?.ids || (req => [req.params.id]);
 
-// Optional auth middleware - allows authenticated and unauthenticated access
-export const optionalAuth = () => {
   return async (req, res, next) => {
-    const authHeader = req.headers.authorization;
+    try {
+      const scope = req.user ? resolvePermissionScope(req.user, permission) : null;
+
+      if (!scope) {
+        return res.status(403).json({
+          error: `Access denied: missing permission ${permission}`,
+          code: 'FORBIDDEN'
+        });
+      }
+
+      if (scope === 'own' && rule) {
+        const ids = [].concat(getIds(req) ?? []);
+        if (!(await ownsResources(rule.resource, req.user, ids))) {
+          return res.status(403).json({
+            error: `Access denied: you do not own this ${rule.resource}`,
+            code: 'FORBIDDEN'
+          });
+        }
+      }
+
+      req.access = { permission, scope };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// Requires a confirmed email address; use after authenticate().
+// Accounts created before email verification existed have no emailVerification block and pass.
+export const requireVerifiedEmail = () => {
+  return async (req, res, next) => {
+    try {
+      const user = await userRepository.getUserById(req.user.id);
 
-    if (!authHeader?.startsWith(BEARER_PREFIX)) {
-      req.user = null;
-      return next();
+      if (user.emailVerification?.isVerified === false) {
+        return res.status(403).json({
+          error: 'Please verify your email address before performing this action',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
     }
+  };
+};
 
+// Requires a fresh second-factor check on the current session (POST /auth/2fa/step-up);
+// use after authentication on destructive operations.
+export const requireStepUp = (maxAgeSeconds = config.STEP_UP_MAX_AGE_SECONDS) => {
+  return async (req, res, next) => {
     try {
-      const token = authHeader.substring(BEARER_PREFIX.length);
-      const decoded = validateToken(token, process.env.JWT_SECRET);
-      const isNearExpiry = checkTokenExpiration(decoded);
-
-      req.user = {
-        ...decoded,
-        token,
-        isNearExpiry
-      };
-
-      if (isNearExpiry) {
-        res.set('X-Token-Expiry-Warning', 'true');
+      const isFresh = await sessionRepository.hasRecentStepUp(req.user?.sid, maxAgeSeconds);
+
+      if (!isFresh) {
+        return res.status(403).json({
+          error: 'Please confirm this action with your two-factor code',
+          code: 'STEP_UP_REQUIRED'
+        });
       }
+
+      next();
     } catch (err) {
-      req.user = null;
+      next(err);
     }
+  };
+};
 
+// Blocks account-level actions (password, deletion, 2FA, credentials) during impersonation;
+// use after authenticate() or optionalAuth().
+export const forbidImpersonation = () => {
+  return (req, res, next) => {
+    if (req.user?.impersonatorId) {
+      return res.status(403).json({
+        error: 'This action is not available while impersonating a user',
+        code: 'IMPERSONATION_FORBIDDEN'
+      });
+    }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Optional auth middleware - allows authenticated and unauthenticated access
+export const optionalAuth = () => {
+  return async (req, res, next) => {
+    req.user = null;
+
+    if (req.headers.authorization?.startsWith(BEARER_PREFIX)) {
+      try {
+        req.user = await resolveUser(req, res);
+      } catch (err) {
+        req.user = null;
+      }
+    }
+
+    if (req.user?.impersonatorId) {
+      try {
+        await auditImpersonatedRequest(req, res);
+      } catch (err) {
+        return next(err);
+      }
+    }
+
+    next();
+  };
+};
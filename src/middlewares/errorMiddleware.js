@@ -1,6 +1,9 @@
 import {
     ValidationError,
+    AuthenticationError,
+    AuthorizationError,
     NotFoundError,
+    ConflictError,
     InternalError
   } from '../utils/errors.js';
   
@@ -31,7 +34,7 @@ import {
     });
   
     // Default values
-    let statusCode = err.status || 500;
+    let statusCode = err.statusCode || 500;
     let message = err.message || 'Internal Server Error';
     let errors = [];
   
@@ -39,8 +42,14 @@ import {
     if (err instanceof ValidationError) {
       statusCode = 400;
       errors = err.errors || [];
+    } else if (err instanceof AuthenticationError) {
+      statusCode = 401;
+    } else if (err instanceof AuthorizationError) {
+      statusCode = 403;
     } else if (err instanceof NotFoundError) {
       statusCode = 404;
+    } else if (err instanceof ConflictError) {
+      statusCode = 409;
     } else if (err instanceof InternalError) {
       statusCode = 500;
     }
@@ -46,10 +46,19 @@ export const emergencyLimiter = rateLimit({
   message: 'Too many emergency requests from this IP, please try again later'
 });
 
+// Account recovery limiter (password reset, verification emails)
+export const accountRecoveryLimiter = rateLimit({
+  ...baseConfig,
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 recovery requests per hour
+  message: 'Too many account recovery requests from this IP, please try again later'
+});
+
 export default {
   apiLimiter,
   writeOperationsLimiter,
   bulkOperationsLimiter,
   analyticsLimiter,
-  emergencyLimiter
+  emergencyLimiter,
+  accountRecoveryLimiter
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+import path from 'path';
+import multer from 'multer';
+import config from '../config/serverConfig.js';
+import { ValidationError } from '../utils/errors.js';
+import { ATTACHMENT_TYPES } from '../utils/media.js';
+
+const MB = 1024 * 1024;
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Runs a multer handler and reports upload problems (size, type, field) as validation errors
+const withUploadErrors = (handler) => (req, res, next) => {
+  handler(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'The uploaded file is too large' : err.message;
+      return next(new ValidationError(message));
+    }
+    next(err);
+  });
+};
+
+// Accepts a single CSV or XLSX file, kept in memory for parsing
+export const spreadsheetUpload = (fieldName = 'file') => withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.IMPORT_MAX_FILE_SIZE_MB * MB, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+        return cb(new ValidationError('Only .csv and .xlsx files can be imported'));
+      }
+      cb(null, true);
+    }
+  }).single(fieldName)
+);
+
+// Accepts a single photo or PDF, kept in memory so it can be checked and thumbnailed before storing.
+// The declared type is only a first filter; the service checks the file's actual contents.
+export const attachmentUpload = (fieldName = 'file') => withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.ATTACHMENT_MAX_FILE_SIZE_MB * MB, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ATTACHMENT_TYPES[file.mimetype]) {
+        return cb(new ValidationError(`Only ${Object.keys(ATTACHMENT_TYPES).join(', ')} files can be attached`));
+      }
+      cb(null, true);
+    }
+  }).single(fieldName)
+);
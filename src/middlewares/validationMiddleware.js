@@ -157,4 +157,37 @@ export const validatePagination = () => {
       next(err);
     }
   };
-}; 
\ No newline at end of file
+}; 
+// Query values arrive as strings; plain validators expect numbers and booleans
+const QUERY_NUMBER = /^-?\d{1,15}(\.\d+)?$/;
+
+const parseQueryValue = (value) => {
+  if (Array.isArray(value)) return value.map(parseQueryValue);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return typeof value === 'string' && QUERY_NUMBER.test(value) ? Number(value) : value;
+};
+
+/**
+ * Runs a plain validation function (data => { isValid, message }) as middleware,
+ * responding 400 with its message when the data is invalid
+ * @param {Function} validator - The validation function
+ * @param {string} source - 'body' or 'query'
+ */
+export const validateWith = (validator, source = 'body') => {
+  return (req, res, next) => {
+    try {
+      const data = source === 'query'
+        ? Object.fromEntries(Object.entries(req.query).map(([key, value]) => [key, parseQueryValue(value)]))
+        : req[source];
+
+      const { isValid, message } = validator(data);
+      if (!isValid) {
+        throw new ValidationError(message);
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
@@ -0,0 +1,95 @@
+import BaseRepository from './baseRepository.js';
+import ApiKey from '../schema/apiKeySchema.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+// Usage is written at most once per interval to keep authentication cheap
+const USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super(ApiKey, 'ApiKey');
+  }
+
+  /**
+   * Find a key by its public key ID, including secret hashes
+   * @param {string} keyId - The public key ID
+   * @returns {Promise<Object|null>} Found key
+   */
+  async findByKeyIdWithSecrets(keyId) {
+    if (!keyId) throw new ValidationError('Key ID is required');
+    return ApiKey.findOne({ keyId, isDeleted: { $ne: true } })
+      .select('+secretHash +previousSecretHash')
+      .lean();
+  }
+
+  /**
+   * List the keys of an owner, newest first
+   * @param {string} ownerId - The owning user ID
+   * @param {Object} options - { includeRevoked }
+   * @returns {Promise<Array>} Keys
+   */
+  async findByOwner(ownerId, { includeRevoked = false } = {}) {
+    if (!ownerId) throw new ValidationError('Owner ID is required');
+    return ApiKey.find({
+      ownerId,
+      isDeleted: { $ne: true },
+      ...(!includeRevoked && { revokedAt: null })
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Replace the secret, keeping the old one valid until graceUntil
+   * @param {string} id - The key ID (document _id)
+   * @param {string} secretHash - Hash of the new secret
+   * @param {Date|null} graceUntil - When the previous secret stops working
+   * @returns {Promise<Object>} Updated key
+   */
+  async rotateSecret(id, secretHash, graceUntil) {
+    const current = await ApiKey.findOne({ _id: id, revokedAt: null }).select('+secretHash');
+    if (!current) throw new NotFoundError('API key not found');
+
+    current.previousSecretHash = graceUntil ? current.secretHash : undefined;
+    current.previousSecretExpiresAt = graceUntil || undefined;
+    current.secretHash = secretHash;
+    current.rotatedAt = new Date();
+    return current.save();
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - The key ID (document _id)
+   * @param {string} revokedBy - The user revoking the key
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revoke(id, revokedBy) {
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+    if (!key) throw new NotFoundError('API key not found');
+    return key;
+  }
+
+  /**
+   * Record a successful authentication with a key
+   * @param {string} id - The key ID (document _id)
+   * @param {string} ip - Client IP address
+   * @returns {Promise<void>}
+   */
+  async recordUsage(id, ip) {
+    const now = new Date();
+    await ApiKey.updateOne(
+      {
+        _id: id,
+        $or: [
+          { lastUsedAt: null },
+          { lastUsedAt: { $lt: new Date(now.getTime() - USAGE_WRITE_INTERVAL_MS) } }
+        ]
+      },
+      { $set: { lastUsedAt: now, lastUsedIp: ip } }
+    );
+  }
+}
+
+export default new ApiKeyRepository();
@@ -0,0 +1,50 @@
+import BaseRepository from './baseRepository.js';
+import Attachment from '../schema/attachmentSchema.js';
+import { NotFoundError } from '../utils/errors.js';
+
+class AttachmentRepository extends BaseRepository {
+  constructor() {
+    super(Attachment, 'Attachment');
+  }
+
+  /**
+   * Find an attachment that has not been deleted
+   * @param {string} id - The attachment ID
+   * @returns {Promise<Object>} Attachment document
+   */
+  async findAttachment(id) {
+    const attachment = await Attachment.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate('uploadedBy', 'username');
+    if (!attachment) throw new NotFoundError('Attachment not found');
+    return attachment;
+  }
+
+  /**
+   * Find the attachment stored under a key, as original or thumbnail
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} Attachment document
+   */
+  async findByStorageKey(key) {
+    const attachment = await Attachment.findOne({
+      $or: [{ storageKey: key }, { thumbnailKey: key }],
+      isDeleted: { $ne: true }
+    });
+    if (!attachment) throw new NotFoundError('File not found');
+    return attachment;
+  }
+
+  /**
+   * List the attachments of a record, newest first
+   * @param {string} targetType - Record type
+   * @param {string} targetId - Record ID
+   * @param {Object} filters - { documentId }
+   * @returns {Promise<Array>} Attachments
+   */
+  async findByTarget(targetType, targetId, filters = {}) {
+    return Attachment.find({ targetType, targetId, ...filters, isDeleted: { $ne: true } })
+      .sort({ createdAt: -1 })
+      .populate('uploadedBy', 'username');
+  }
+}
+
+export default new AttachmentRepository();
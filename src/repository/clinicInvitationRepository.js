@@ -0,0 +1,86 @@
+import BaseRepository from './baseRepository.js';
+import ClinicInvitation from '../schema/clinicInvitationSchema.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+const pendingCriteria = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+  isDeleted: { $ne: true }
+});
+
+class ClinicInvitationRepository extends BaseRepository {
+  constructor() {
+    super(ClinicInvitation, 'ClinicInvitation');
+  }
+
+  /**
+   * Find a pending invitation by the hash of its token
+   * @param {string} tokenHash - SHA-256 of the emailed token
+   * @returns {Promise<Object|null>} Invitation
+   */
+  async findPendingByTokenHash(tokenHash) {
+    if (!tokenHash) throw new ValidationError('Invitation token is required');
+    return ClinicInvitation.findOne({ tokenHash, ...pendingCriteria() })
+      .populate('clinicId', 'name status')
+      .lean();
+  }
+
+  /**
+   * Find the pending invitation for an email address at a clinic
+   * @param {string} clinicId - The clinic ID
+   * @param {string} email - Invited email address
+   * @returns {Promise<Object|null>} Invitation
+   */
+  async findPendingForEmail(clinicId, email) {
+    return ClinicInvitation.findOne({ clinicId, email: email.toLowerCase(), ...pendingCriteria() }).lean();
+  }
+
+  /**
+   * List a clinic's invitations, newest first
+   * @param {string} clinicId - The clinic ID
+   * @param {Object} options - { pendingOnly }
+   * @returns {Promise<Array>} Invitations
+   */
+  async findByClinic(clinicId, { pendingOnly = true } = {}) {
+    if (!clinicId) throw new ValidationError('Clinic ID is required');
+    return ClinicInvitation.find({
+      clinicId,
+      ...(pendingOnly ? pendingCriteria() : { isDeleted: { $ne: true } })
+    })
+      .populate('invitedBy', 'username email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Atomically accept a pending invitation so a token works only once
+   * @param {string} id - The invitation ID
+   * @param {string} userId - The accepting account
+   * @returns {Promise<Object|null>} Accepted invitation, or null if it is no longer pending
+   */
+  async markAccepted(id, userId) {
+    return ClinicInvitation.findOneAndUpdate(
+      { _id: id, ...pendingCriteria() },
+      { $set: { acceptedAt: new Date(), acceptedBy: userId } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} id - The invitation ID
+   * @param {string} clinicId - The clinic the invitation must belong to
+   * @returns {Promise<Object>} Revoked invitation
+   */
+  async revoke(id, clinicId) {
+    const invitation = await ClinicInvitation.findOneAndUpdate(
+      { _id: id, clinicId, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) throw new NotFoundError('Invitation not found');
+    return invitation;
+  }
+}
+
+export default new ClinicInvitationRepository();
@@ -0,0 +1,126 @@
+import BaseRepository from './baseRepository.js';
+import Clinic from '../schema/clinicSchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const MEMBER_FIELDS = 'username email status lastLoginAt';
+
+class ClinicRepository extends BaseRepository {
+  constructor() {
+    super(Clinic, 'Clinic');
+  }
+
+  /**
+   * Find the clinic an account belongs to and its role there
+   * @param {string} userId - The staff account ID
+   * @returns {Promise<Object|null>} { clinicId, role, status } or null
+   */
+  async findMembership(userId) {
+    if (!userId) throw new ValidationError('User ID is required');
+
+    const clinic = await Clinic.findOne(
+      { 'members.userId': userId, isDeleted: { $ne: true } },
+      { status: 1, 'members.$': 1 }
+    ).lean();
+
+    if (!clinic) return null;
+    return { clinicId: String(clinic._id), role: clinic.members[0].role, status: clinic.status };
+  }
+
+  /**
+   * Find a clinic with its staff accounts populated
+   * @param {string} id - The clinic ID
+   * @returns {Promise<Object>} Clinic
+   */
+  async findWithMembers(id) {
+    const clinic = await Clinic.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate('members.userId', MEMBER_FIELDS)
+      .lean();
+    if (!clinic) throw new NotFoundError('Clinic not found');
+    return clinic;
+  }
+
+  /**
+   * Add a staff account to a clinic
+   * @param {string} clinicId - The clinic ID
+   * @param {Object} member - { userId, role, invitedBy }
+   * @returns {Promise<Object>} Updated clinic
+   */
+  async addMember(clinicId, member) {
+    try {
+      const clinic = await Clinic.findOneAndUpdate(
+        { _id: clinicId, isDeleted: { $ne: true }, 'members.userId': { $ne: member.userId } },
+        { $push: { members: { ...member, joinedAt: new Date() } } },
+        { new: true }
+      );
+      if (!clinic) throw new ConflictError('User is already a member of this clinic');
+      return clinic;
+    } catch (error) {
+      // The members.userId index keeps an account in a single clinic
+      if (error.code === 11000) {
+        throw new ConflictError('User already belongs to another clinic');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role. The owner's role only changes through transferOwnership.
+   * @param {string} clinicId - The clinic ID
+   * @param {string} userId - The member's account ID
+   * @param {string} role - The new clinic role
+   * @returns {Promise<Object>} Updated clinic
+   */
+  async updateMemberRole(clinicId, userId, role) {
+    const clinic = await Clinic.findOneAndUpdate(
+      { _id: clinicId, members: { $elemMatch: { userId, role: { $ne: 'owner' } } } },
+      { $set: { 'members.$.role': role } },
+      { new: true }
+    );
+    if (!clinic) throw new NotFoundError('Clinic member not found');
+    return clinic;
+  }
+
+  /**
+   * Remove a member. The owner cannot be removed.
+   * @param {string} clinicId - The clinic ID
+   * @param {string} userId - The member's account ID
+   * @returns {Promise<Object>} Updated clinic
+   */
+  async removeMember(clinicId, userId) {
+    const clinic = await Clinic.findOneAndUpdate(
+      { _id: clinicId, members: { $elemMatch: { userId, role: { $ne: 'owner' } } } },
+      { $pull: { members: { userId } } },
+      { new: true }
+    );
+    if (!clinic) throw new NotFoundError('Clinic member not found');
+    return clinic;
+  }
+
+  /**
+   * Hand ownership to another member in one update; the previous owner stays on as waste officer
+   * @param {string} clinicId - The clinic ID
+   * @param {string} fromUserId - The current owner
+   * @param {string} toUserId - The member becoming owner
+   * @returns {Promise<Object>} Updated clinic
+   */
+  async transferOwnership(clinicId, fromUserId, toUserId) {
+    const clinic = await Clinic.findOneAndUpdate(
+      { _id: clinicId, ownerId: fromUserId, 'members.userId': toUserId },
+      {
+        $set: {
+          ownerId: toUserId,
+          'members.$[previous].role': 'waste_officer',
+          'members.$[next].role': 'owner'
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [{ 'previous.userId': fromUserId }, { 'next.userId': toUserId }]
+      }
+    );
+    if (!clinic) throw new NotFoundError('Clinic member not found');
+    return clinic;
+  }
+}
+
+export default new ClinicRepository();
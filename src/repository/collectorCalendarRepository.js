@@ -0,0 +1,87 @@
+import BaseRepository from './baseRepository.js';
+import CollectorCalendar from '../schema/collectorCalendarSchema.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+const toValidationError = (error) => {
+  if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+    return new ValidationError(error.message);
+  }
+  return error;
+};
+
+class CollectorCalendarRepository extends BaseRepository {
+  constructor() {
+    super(CollectorCalendar, 'CollectorCalendar');
+  }
+
+  /**
+   * Find a collector's calendar
+   * @param {string} collectorId - The collector ID
+   * @returns {Promise<Object|null>} Calendar document, or null when none is published
+   */
+  async findByCollector(collectorId) {
+    return CollectorCalendar.findOne({ collectorId, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * Find the calendars of several collectors
+   * @param {Array<string>} collectorIds - Collector IDs
+   * @returns {Promise<Array>} Calendars
+   */
+  async findByCollectors(collectorIds) {
+    return CollectorCalendar.find({ collectorId: { $in: collectorIds }, isDeleted: { $ne: true } }).lean();
+  }
+
+  /**
+   * Set a collector's weekly hours and slot length, creating the calendar on first use
+   * @param {string} collectorId - The collector ID
+   * @param {Object} data - { weeklyHours, slotMinutes }
+   * @param {Object} user - The user making the change
+   * @returns {Promise<Object>} Calendar document
+   */
+  async saveAvailability(collectorId, data, user) {
+    const calendar = (await this.findByCollector(collectorId)) || new CollectorCalendar({ collectorId });
+    try {
+      calendar.set(data);
+      calendar.addAuditTrail(calendar.isNew ? 'created' : 'updated', user, data);
+      return await calendar.save();
+    } catch (error) {
+      throw toValidationError(error);
+    }
+  }
+
+  /**
+   * Add a period the collector is not working
+   * @param {string} collectorId - The collector ID
+   * @param {Object} exception - { start, end, reason, note, createdBy }
+   * @returns {Promise<Object>} Calendar document
+   */
+  async addException(collectorId, exception) {
+    const calendar = await this.findByCollector(collectorId);
+    if (!calendar) throw new NotFoundError('The collector has not published their availability');
+    try {
+      calendar.exceptions.push(exception);
+      return await calendar.save();
+    } catch (error) {
+      throw toValidationError(error);
+    }
+  }
+
+  /**
+   * Remove an exception
+   * @param {string} collectorId - The collector ID
+   * @param {string} exceptionId - The exception ID
+   * @returns {Promise<Object>} Calendar document
+   */
+  async removeException(collectorId, exceptionId) {
+    const calendar = await CollectorCalendar.findOneAndUpdate(
+      { collectorId, 'exceptions._id': exceptionId, isDeleted: { $ne: true } },
+      { $pull: { exceptions: { _id: exceptionId } } },
+      { new: true }
+    );
+    if (!calendar) throw new NotFoundError('Availability exception not found');
+    return calendar;
+  }
+}
+
+export default new CollectorCalendarRepository();
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import BaseRepository from './baseRepository.js';
+import Container from '../schema/containerSchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+// Crockford base32: no I, L, O or U, so printed codes are hard to misread
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_PATTERN = /^MC-[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/;
+
+class ContainerRepository extends BaseRepository {
+  constructor() {
+    super(Container, 'Container');
+  }
+
+  /**
+   * Generate a container code, e.g. MC-7K3Q9-ZX2M4
+   * @private
+   * @returns {string} Container code
+   */
+  generateCode() {
+    const chars = [...crypto.randomBytes(10)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    return `MC-${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  }
+
+  /**
+   * Check that a scanned value looks like a container code
+   * @param {string} code - Scanned code
+   * @returns {boolean} Whether the code is well formed
+   */
+  isValidCode(code) {
+    return typeof code === 'string' && CODE_PATTERN.test(code.trim().toUpperCase());
+  }
+
+  /**
+   * Register containers, each with a fresh code
+   * @param {Object} data - Fields shared by the containers
+   * @param {number} count - How many to register
+   * @returns {Promise<Array>} Created containers
+   */
+  async registerMany(data, count) {
+    const codes = new Set();
+    while (codes.size < count) codes.add(this.generateCode());
+    return Container.insertMany([...codes].map(code => ({ ...data, code })));
+  }
+
+  /**
+   * Find a container by its code, with the records it belongs to
+   * @param {string} code - Container code
+   * @returns {Promise<Object>} Container document
+   */
+  async findByCode(code) {
+    if (!this.isValidCode(code)) throw new ValidationError('Invalid container code');
+    const container = await Container.findOne({ code: code.trim().toUpperCase(), isDeleted: { $ne: true } })
+      .populate('clinicId', 'name')
+      .populate('wasteLogId', 'category volumeKg loggedAt pickupRequestId')
+      .populate('pickupRequestId', 'status collectorId manifestId scheduledPickup')
+      .populate('scans.scannedBy', 'username');
+    if (!container) throw new NotFoundError('Container not found');
+    return container;
+  }
+
+  /**
+   * List containers
+   * @param {Object} filters - { ids, wasteLogId, pickupRequestId, clinicId, status }
+   * @returns {Promise<Array>} Containers, in registration order
+   */
+  async findContainers({ ids, ...filters } = {}) {
+    return Container.find({
+      ...filters,
+      ...(ids && { _id: { $in: ids } }),
+      isDeleted: { $ne: true }
+    })
+      .populate('clinicId', 'name')
+      .sort({ createdAt: 1, code: 1 })
+      .lean();
+  }
+
+  /**
+   * Append a scan. Accepted scans move the container on, but only from a status the
+   * stage allows, so two devices scanning the same bag cannot both advance it.
+   * @param {string} id - The container ID
+   * @param {Object} scan - Scan record
+   * @param {Object} transition - { from: [statuses], to, set } for accepted scans
+   * @returns {Promise<Object>} Updated container
+   */
+  async appendScan(id, scan, transition) {
+    const criteria = { _id: id, ...(transition && { status: { $in: transition.from } }) };
+    const update = {
+      $push: { scans: scan },
+      $set: {
+        lastScannedAt: scan.scannedAt,
+        ...(transition && { status: transition.to, ...transition.set })
+      }
+    };
+
+    const container = await Container.findOneAndUpdate(criteria, update, { new: true, runValidators: true });
+    if (!container) throw new ConflictError('The container was updated by another scan; scan it again');
+    return container;
+  }
+}
+
+export default new ContainerRepository();
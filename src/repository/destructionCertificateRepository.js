@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import BaseRepository from './baseRepository.js';
+import DestructionCertificate from '../schema/destructionCertificateSchema.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+class DestructionCertificateRepository extends BaseRepository {
+  constructor() {
+    super(DestructionCertificate, 'DestructionCertificate');
+  }
+
+  /**
+   * Generate a certificate number, e.g. COD-20240131-7K3Q9Z
+   * @private
+   * @returns {string} Certificate number
+   */
+  generateNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+    return `COD-${date}-${suffix}`;
+  }
+
+  /**
+   * Issue the certificate for a pickup under a fresh, unique number. The
+   * number is part of the signed content, so the document is sealed once the
+   * number is known. A pickup only ever has one certificate; issuing it again
+   * returns the existing one.
+   * @param {Object} data - Certificate content
+   * @param {Function} seal - (certificate) => { checksum, signature, keyId }
+   * @returns {Promise<Object>} Certificate document
+   */
+  async issue(data, seal) {
+    for (let attempt = 1; ; attempt++) {
+      const certificate = new DestructionCertificate({ ...data, certificateNumber: this.generateNumber() });
+      certificate.set(seal(certificate));
+      try {
+        return await certificate.save();
+      } catch (error) {
+        if (error.code === 11000 && error.keyPattern?.pickupRequestId) {
+          return DestructionCertificate.findOne({ pickupRequestId: data.pickupRequestId });
+        }
+        const numberTaken = error.code === 11000 && error.keyPattern?.certificateNumber;
+        if (!numberTaken || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Find a certificate
+   * @param {string} id - The certificate ID
+   * @returns {Promise<Object>} Certificate document
+   */
+  async findCertificate(id) {
+    const certificate = await DestructionCertificate.findOne({ _id: id, isDeleted: { $ne: true } });
+    if (!certificate) throw new NotFoundError('Certificate of destruction not found');
+    return certificate;
+  }
+
+  /**
+   * Find a certificate by its number
+   * @param {string} certificateNumber - The certificate number
+   * @returns {Promise<Object|null>} Certificate document
+   */
+  async findByNumber(certificateNumber) {
+    if (!certificateNumber) throw new ValidationError('Certificate number is required');
+    return DestructionCertificate.findOne({
+      certificateNumber: String(certificateNumber).trim().toUpperCase(),
+      isDeleted: { $ne: true }
+    });
+  }
+
+  /**
+   * Find the certificate of a pickup request
+   * @param {string} pickupRequestId - The pickup request ID
+   * @returns {Promise<Object|null>} Certificate document
+   */
+  async findByPickup(pickupRequestId) {
+    return DestructionCertificate.findOne({ pickupRequestId, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * List certificates, newest first
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated certificates
+   */
+  async findCertificates(filters = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { issuedAt: -1 } }
+    );
+  }
+}
+
+export default new DestructionCertificateRepository();
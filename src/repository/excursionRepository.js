@@ -0,0 +1,60 @@
+import BaseRepository from './baseRepository.js';
+import Excursion from '../schema/excursionSchema.js';
+import { ConflictError } from '../utils/errors.js';
+
+class ExcursionRepository extends BaseRepository {
+  constructor() {
+    super(Excursion, 'Excursion');
+  }
+
+  /**
+   * Start a new, unsaved excursion
+   * @param {Object} data - Excursion data
+   * @returns {Object} Excursion document
+   */
+  build(data) {
+    return new Excursion(data);
+  }
+
+  /**
+   * Find the pending or active excursion of an area for a metric
+   * @param {string} storageAreaId - The storage area ID
+   * @param {string} metric - 'temperature' or 'humidity'
+   * @returns {Promise<Object|null>} Excursion document
+   */
+  async findOpen(storageAreaId, metric) {
+    return Excursion.findOne({ storageAreaId, metric, isOpen: true, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * Save an excursion. Two batches for the same area racing to open an
+   * excursion collide on the open-excursion index; the loser is asked to retry.
+   * @param {Object} excursion - Excursion document
+   * @returns {Promise<Object>} Saved excursion
+   */
+  async saveExcursion(excursion) {
+    try {
+      return await excursion.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Readings for this storage area are already being processed; retry the request');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List excursions, newest first
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated excursions
+   */
+  async findExcursions(filters = {}, { page = 1, limit = 10 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { startedAt: -1 }, populate: [{ path: 'storageAreaId', select: 'name' }] }
+    );
+  }
+}
+
+export default new ExcursionRepository();
@@ -0,0 +1,59 @@
+import BaseRepository from './baseRepository.js';
+import ImportJob from '../schema/importJobSchema.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+
+class ImportJobRepository extends BaseRepository {
+  constructor() {
+    super(ImportJob, 'ImportJob');
+  }
+
+  /**
+   * Find an import job
+   * @param {string} id - The import job ID
+   * @param {Object} options - { withRows }
+   * @returns {Promise<Object>} Import job document
+   */
+  async findJob(id, { withRows = true } = {}) {
+    const query = ImportJob.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate('createdBy', 'username email');
+    if (!withRows) query.select('-rows');
+
+    const job = await query;
+    if (!job) throw new NotFoundError('Import job not found');
+    return job;
+  }
+
+  /**
+   * List import jobs, newest first, without their rows
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated import jobs
+   */
+  async findJobs(filters = {}, { page = 1, limit = 10 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { createdAt: -1 }, select: '-rows' }
+    );
+  }
+
+  /**
+   * Move a job between statuses. Fails when another request got there first,
+   * so a job is never committed or undone twice.
+   * @param {string} id - The import job ID
+   * @param {Array<string>} from - Statuses the job may currently be in
+   * @param {string} to - New status
+   * @param {Object} set - Other fields to set
+   * @returns {Promise<Object>} Updated job
+   */
+  async transition(id, from, to, set = {}) {
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: id, status: { $in: from }, isDeleted: { $ne: true } },
+      { $set: { ...set, status: to } },
+      { new: true, projection: { rows: 0 } }
+    );
+    if (!job) throw new ConflictError(`Import job is no longer ${from.join(' or ')}`);
+    return job;
+  }
+}
+
+export default new ImportJobRepository();
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import BaseRepository from './baseRepository.js';
+import Manifest from '../schema/manifestSchema.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+const POPULATE = [
+  { path: 'clinicId', select: 'name email' },
+  { path: 'collectorId', select: 'username email' },
+  { path: 'facilityId', select: 'name licenseNumber' },
+  { path: 'operatorId', select: 'username email' }
+];
+
+class ManifestRepository extends BaseRepository {
+  constructor() {
+    super(Manifest, 'Manifest');
+  }
+
+  /**
+   * Generate a manifest number, e.g. MN-20240131-7K3Q9Z
+   * @private
+   * @returns {string} Manifest number
+   */
+  generateNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+    return `MN-${date}-${suffix}`;
+  }
+
+  /**
+   * Create a manifest with a fresh, unique manifest number
+   * @param {Object} data - Manifest data
+   * @returns {Promise<Object>} Created manifest
+   */
+  async createWithNumber(data) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await Manifest.create({ ...data, manifestNumber: this.generateNumber() });
+      } catch (error) {
+        const numberTaken = error.code === 11000 && error.keyPattern?.manifestNumber;
+        if (!numberTaken || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Find the manifest document of a pickup request
+   * @param {string} pickupRequestId - The pickup request ID
+   * @returns {Promise<Object|null>} Manifest document
+   */
+  async findByPickup(pickupRequestId) {
+    if (!pickupRequestId) throw new ValidationError('Pickup request ID is required');
+    return Manifest.findOne({ pickupRequestId, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * Find a manifest by its number
+   * @param {string} manifestNumber - The manifest number
+   * @returns {Promise<Object>} Manifest document
+   */
+  async findByNumber(manifestNumber) {
+    if (!manifestNumber) throw new ValidationError('Manifest number is required');
+    const manifest = await Manifest.findOne({
+      manifestNumber: String(manifestNumber).toUpperCase(),
+      isDeleted: { $ne: true }
+    }).populate(POPULATE);
+    if (!manifest) throw new NotFoundError('Manifest not found');
+    return manifest;
+  }
+
+  /**
+   * Find a manifest with its parties populated
+   * @param {string} id - The manifest ID
+   * @returns {Promise<Object>} Manifest document
+   */
+  async findDetailed(id) {
+    const manifest = await Manifest.findOne({ _id: id, isDeleted: { $ne: true } }).populate(POPULATE);
+    if (!manifest) throw new NotFoundError('Manifest not found');
+    return manifest;
+  }
+
+  /**
+   * List manifests, newest first
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated manifests
+   */
+  async findManifests(filters = {}, { page = 1, limit = 10 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { createdAt: -1 }, populate: POPULATE, select: '-legs.release.signatory.signature -legs.receipt.signatory.signature' }
+    );
+  }
+}
+
+export default new ManifestRepository();
@@ -0,0 +1,27 @@
+import BaseRepository from './baseRepository.js';
+import OAuthState from '../schema/oauthStateSchema.js';
+import { ValidationError } from '../utils/errors.js';
+
+class OAuthStateRepository extends BaseRepository {
+  constructor() {
+    super(OAuthState, 'OAuthState');
+  }
+
+  /**
+   * Atomically take a pending authorization request so a state value works only once
+   * @param {string} state - The state returned by the provider
+   * @param {string} provider - The provider key from the callback route
+   * @returns {Promise<Object|null>} The request with its PKCE verifier and nonce, or null
+   */
+  async consume(state, provider) {
+    if (!state) throw new ValidationError('State is required');
+
+    return OAuthState.findOneAndDelete({
+      state,
+      provider,
+      expiresAt: { $gt: new Date() }
+    }).select('+codeVerifier +nonce').lean();
+  }
+}
+
+export default new OAuthStateRepository();
@@ -1,7 +1,8 @@
 import mongoose from 'mongoose';
 import BaseRepository from './baseRepository.js';
-import PickupRequest from '../schema/pickupRequestSchema.js';
-import { ValidationError, NotFoundError, InternalError } from '../utils/errors.js';
+import PickupRequest, { PICKUP_STATUSES, COLLECTED_STATUSES, FACILITY_STATUSES } from '../schema/pickupRequestSchema.js';
+import wasteCategoryRepository from './wasteCategoryRepository.js';
+import { ValidationError, NotFoundError, ConflictError, InternalError } from '../utils/errors.js';
 
 // In-memory cache configuration
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -16,13 +17,13 @@ class PickupRepository extends BaseRepository {
   }
 
   /**
-   * Validate waste type
+   * Validate waste type against the waste category catalogue
    * @private
    * @param {string} type - The waste type
    * @returns {boolean} Whether type is valid
    */
   validateWasteType(type) {
-    return ['sharps', 'biohazard', 'expired_meds', 'others'].includes(type);
+    return wasteCategoryRepository.isActiveCode(type);
   }
 
   /**
@@ -32,7 +33,7 @@ class PickupRepository extends BaseRepository {
    * @returns {boolean} Whether status is valid
    */
   validateStatus(status) {
-    return ['pending', 'assigned', 'collected', 'cancelled'].includes(status);
+    return PICKUP_STATUSES.includes(status);
   }
 
   /**
@@ -90,7 +91,7 @@ class PickupRepository extends BaseRepository {
       statusHistory: [{ status: 'pending', updatedAt: new Date() }]
     });
 
-    return request.populate('clinicId', 'username email');
+    return request.populate('clinicId', 'name email');
   }
 
   /**
@@ -145,7 +146,7 @@ class PickupRepository extends BaseRepository {
             avgResponseTime: {
               $avg: {
                 $cond: [
-                  { $eq: ['$status', 'collected'] },
+                  { $in: ['$status', COLLECTED_STATUSES] },
                   { $subtract: ['$collectedAt', '$requestedAt'] },
                   null
                 ]
@@ -327,7 +328,7 @@ class PickupRepository extends BaseRepository {
     return this.findWithPagination(query, {
       sort: options.sort || { priority: -1, requestedAt: -1 },
       populate: [
-        { path: 'clinicId', select: 'username email' },
+        { path: 'clinicId', select: 'name email' },
         { path: 'collectorId', select: 'username email' }
       ],
       page: options.page,
@@ -349,7 +350,7 @@ class PickupRepository extends BaseRepository {
       { _id: id, isDeleted: { $ne: true } },
       {
         populate: [
-          { path: 'clinicId', select: 'username email' },
+          { path: 'clinicId', select: 'name email' },
           { path: 'collectorId', select: 'username email' }
         ]
       }
@@ -380,8 +381,12 @@ class PickupRepository extends BaseRepository {
     // Validate status transitions
     if (data.status) {
       const currentStatus = request.status;
-      if (currentStatus === 'collected' && data.status !== 'collected')
-        throw new ValidationError('Cannot change status of collected requests');
+      if (currentStatus === 'collected' && !['collected', 'delivered'].includes(data.status))
+        throw new ValidationError('Collected requests can only move on to delivered');
+      if (currentStatus === 'delivered' && !['delivered', 'treated'].includes(data.status))
+        throw new ValidationError('Delivered requests can only move on to treated');
+      if (currentStatus === 'treated' && data.status !== 'treated')
+        throw new ValidationError('Cannot change status of treated requests');
       if (currentStatus === 'cancelled' && data.status !== 'cancelled')
         throw new ValidationError('Cannot change status of cancelled requests');
       if (data.status === 'assigned' && !data.collectorId)
@@ -400,13 +405,15 @@ class PickupRepository extends BaseRepository {
           }
         ]
       }),
-      ...(data.status === 'collected' && { collectedAt: new Date() })
+      ...(data.status === 'collected' && { collectedAt: new Date() }),
+      ...(data.status === 'delivered' && { deliveredAt: new Date() }),
+      ...(data.status === 'treated' && { treatedAt: new Date() })
     };
 
     const updated = await super.update(id, update);
     this.cache.delete(`pickup:${id}`);
     return updated.populate([
-      { path: 'clinicId', select: 'username email' },
+      { path: 'clinicId', select: 'name email' },
       { path: 'collectorId', select: 'username email' }
     ]);
   }
@@ -416,13 +423,15 @@ class PickupRepository extends BaseRepository {
    * @param {string} requestId - The pickup request ID
    * @param {string} collectorId - The collector ID
    * @param {string} note - Optional note
+   * @param {Object} assignment - How the collector was chosen (see schema)
    * @returns {Promise<Object>} Updated pickup request
    */
-  async assignCollector(requestId, collectorId, note = '') {
+  async assignCollector(requestId, collectorId, note = '', assignment) {
     return this.update(requestId, {
       collectorId,
       status: 'assigned',
-      statusNote: note
+      statusNote: note,
+      ...(assignment && { assignment })
     });
   }
 
@@ -471,7 +480,7 @@ class PickupRepository extends BaseRepository {
       },
       {
         populate: [
-          { path: 'clinicId', select: 'username email' },
+          { path: 'clinicId', select: 'name email' },
           { path: 'collectorId', select: 'username email' }
         ]
       }
@@ -503,6 +512,9 @@ class PickupRepository extends BaseRepository {
 
           // Validate status transition
           pickup.validateStatusTransition(update.status);
+          if (FACILITY_STATUSES.includes(update.status)) {
+            throw new ValidationError(`Pickups become ${update.status} through the treatment facility's records`);
+          }
 
           bulkOps.push({
             updateOne: {
@@ -574,6 +586,19 @@ class PickupRepository extends BaseRepository {
     return this.findWithFilters({ status }, options);
   }
 
+  /**
+   * Count a clinic's pickups still waiting to be collected
+   * @param {string} clinicId - The clinic ID
+   * @returns {Promise<number>} Pending and assigned pickups
+   */
+  async countActiveByClinic(clinicId) {
+    return this.count({
+      clinicId,
+      status: { $in: ['pending', 'assigned'] },
+      isDeleted: { $ne: true }
+    });
+  }
+
   /**
    * Get pickup requests count by status
    * @returns {Promise<Object>} Status counts
@@ -744,6 +769,255 @@ class PickupRepository extends BaseRepository {
       throw new InternalError('Failed to process bulk collector assignments', error);
     }
   }
+
+  /**
+   * Move a pickup from one status to the next, recording the step in its status
+   * history. Fails when the pickup is no longer in the expected status, so a step
+   * is never recorded twice.
+   * @param {string} id - The pickup request ID
+   * @param {string} from - Status the pickup must currently have
+   * @param {string} to - New status
+   * @param {Object} set - Other fields to set
+   * @param {string} note - Status history note
+   * @returns {Promise<Object>} Updated pickup request
+   */
+  async advanceStatus(id, from, to, set = {}, note) {
+    const request = await PickupRequest.findOneAndUpdate(
+      { _id: id, status: from, isDeleted: { $ne: true } },
+      {
+        $set: { ...set, status: to },
+        $push: { statusHistory: { status: to, updatedAt: new Date(), note } }
+      },
+      { new: true, runValidators: true }
+    ).populate([
+      { path: 'clinicId', select: 'name email' },
+      { path: 'collectorId', select: 'username email' }
+    ]);
+    this.cache.delete(`pickup:${id}`);
+    if (!request) throw new ConflictError(`Pickup request is no longer ${from}`);
+    return request;
+  }
+
+  /**
+   * Pickups collectors currently hold (assigned, not yet collected)
+   * @param {Array<string>} collectorIds - Collector IDs
+   * @returns {Promise<Map>} Collector ID → { count, kg }
+   */
+  async getCollectorLoads(collectorIds) {
+    const loads = await this.aggregate([
+      {
+        $match: {
+          collectorId: { $in: collectorIds.map(id => new mongoose.Types.ObjectId(id)) },
+          status: 'assigned',
+          isDeleted: { $ne: true }
+        }
+      },
+      { $group: { _id: '$collectorId', count: { $sum: 1 }, kg: { $sum: '$volumeKg' } } }
+    ]);
+    return new Map(loads.map(({ _id, count, kg }) => [String(_id), { count, kg }]));
+  }
+
+  /**
+   * Pending pickups waiting for a collector, most urgent first, then oldest
+   * @param {number} limit - Most pickups to return
+   * @returns {Promise<Array>} Pickup IDs
+   */
+  async findDispatchBacklog(limit) {
+    const pickups = await this.aggregate([
+      { $match: { status: 'pending', isDeleted: { $ne: true } } },
+      { $addFields: { priorityRank: { $indexOfArray: [['urgent', 'high', 'medium', 'low'], '$priority'] } } },
+      { $sort: { priorityRank: 1, requestedAt: 1 } },
+      { $limit: limit },
+      { $project: { _id: 1 } }
+    ]);
+    return pickups.map(pickup => String(pickup._id));
+  }
+
+  /**
+   * Note why the dispatch engine could not assign a pending pickup
+   * @param {string} id - The pickup request ID
+   * @param {string} note - What stood in the way
+   * @param {number} candidatesConsidered - Collectors that were looked at
+   * @returns {Promise<void>}
+   */
+  async noteAssignmentAttempt(id, note, candidatesConsidered) {
+    await PickupRequest.updateOne(
+      { _id: id, status: 'pending' },
+      {
+        $set: {
+          'assignment.lastAttemptAt': new Date(),
+          'assignment.lastAttemptNote': note,
+          'assignment.candidatesConsidered': candidatesConsidered
+        }
+      }
+    );
+    this.cache.delete(`pickup:${id}`);
+  }
+
+  /**
+   * Set the time a pending or assigned pickup is scheduled for
+   * @param {string} id - The pickup request ID
+   * @param {Object} scheduledPickup - { preferredDate, preferredTimeSlot, isScheduled }
+   * @returns {Promise<Object>} Updated pickup request
+   */
+  async updateSchedule(id, scheduledPickup) {
+    const request = await PickupRequest.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'assigned'] }, isDeleted: { $ne: true } },
+      { $set: { scheduledPickup } },
+      { new: true, runValidators: true }
+    );
+    this.cache.delete(`pickup:${id}`);
+    if (!request) throw new ConflictError('Only pending or assigned pickups can be scheduled');
+    return request;
+  }
+
+  /**
+   * Clear the schedule a released slot booking set, unless the pickup has
+   * since been scheduled for another time
+   * @param {string} id - The pickup request ID
+   * @param {Date} slotStart - Start of the released slot
+   * @returns {Promise<void>}
+   */
+  async clearSchedule(id, slotStart) {
+    await PickupRequest.updateOne(
+      { _id: id, 'scheduledPickup.preferredDate': slotStart },
+      {
+        $set: { 'scheduledPickup.isScheduled': false },
+        $unset: { 'scheduledPickup.preferredDate': 1, 'scheduledPickup.preferredTimeSlot': 1 }
+      }
+    );
+    this.cache.delete(`pickup:${id}`);
+  }
+
+  /**
+   * A collector's assigned pickups that could go on a day's route: those
+   * scheduled for the day and those with no preferred date
+   * @param {string} collectorId - The collector ID
+   * @param {Date} from - Start of the day
+   * @param {Date} to - End of the day
+   * @returns {Promise<Array>} Pickups with their clinic's name and opening hours
+   */
+  async findRouteCandidates(collectorId, from, to) {
+    return PickupRequest.find({
+      collectorId,
+      status: 'assigned',
+      isDeleted: { $ne: true },
+      $or: [
+        { 'scheduledPickup.preferredDate': { $gte: from, $lt: to } },
+        { 'scheduledPickup.preferredDate': null }
+      ]
+    })
+      .populate({ path: 'clinicId', select: 'name operatingHours' })
+      .lean();
+  }
+
+  /**
+   * The stops of a collector's route planned for a day, in order
+   * @param {string} collectorId - The collector ID
+   * @param {Date} day - Start of the planned day
+   * @returns {Promise<Array>} Pickups with their clinic's name and opening hours
+   */
+  async findPlannedRoute(collectorId, day) {
+    return PickupRequest.find({
+      collectorId,
+      'routeDetails.plannedFor': day,
+      isDeleted: { $ne: true }
+    })
+      .sort({ 'routeDetails.sequence': 1 })
+      .populate({ path: 'clinicId', select: 'name operatingHours' })
+      .lean();
+  }
+
+  /**
+   * The last pickup a collector collected since a time, to tell where they are
+   * @param {string} collectorId - The collector ID
+   * @param {Date} since - Earliest collection time
+   * @returns {Promise<Object|null>} Pickup with its location
+   */
+  async findLastCollectedBy(collectorId, since) {
+    return PickupRequest.findOne({
+      collectorId,
+      collectedAt: { $gte: since },
+      isDeleted: { $ne: true }
+    })
+      .sort({ collectedAt: -1 })
+      .select('location collectedAt')
+      .lean();
+  }
+
+  /**
+   * Write planned route positions, and take pickups that did not fit off the route
+   * @param {Array<Object>} planned - [{ id, routeDetails }]
+   * @param {Array<string>} unplannedIds - Pickups to clear routeDetails from
+   * @returns {Promise<void>}
+   */
+  async saveRouteDetails(planned, unplannedIds = []) {
+    const operations = [
+      ...planned.map(({ id, routeDetails }) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { routeDetails } } }
+      })),
+      ...unplannedIds.map(id => ({
+        updateOne: { filter: { _id: id }, update: { $unset: { routeDetails: '' } } }
+      }))
+    ];
+    if (operations.length === 0) return;
+
+    await PickupRequest.bulkWrite(operations, { ordered: false });
+    [...planned.map(({ id }) => id), ...unplannedIds].forEach(id => this.cache.delete(`pickup:${id}`));
+  }
+
+  /**
+   * Weight delivered to a facility in a period: the weight collected, or the
+   * declared weight where none was recorded
+   * @param {string} facilityId - The treatment facility ID
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period
+   * @returns {Promise<number>} Weight in kg
+   */
+  async getDeliveredLoad(facilityId, from, to) {
+    const [result] = await this.aggregate([
+      {
+        $match: {
+          facilityId: new mongoose.Types.ObjectId(facilityId),
+          deliveredAt: { $gte: from, $lt: to },
+          isDeleted: { $ne: true }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalKg: { $sum: { $ifNull: ['$collectionDetails.actualWeight', '$volumeKg'] } }
+        }
+      }
+    ]);
+    return result?.totalKg || 0;
+  }
+
+  /**
+   * Pickups delivered to a facility, oldest delivery first
+   * @param {string} facilityId - The treatment facility ID
+   * @param {Object} filters - { status }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated pickup requests
+   */
+  async findDeliveredTo(facilityId, { status } = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(
+      {
+        facilityId,
+        status: status || { $in: ['delivered', 'treated'] },
+        isDeleted: { $ne: true }
+      },
+      {
+        page,
+        limit,
+        sort: { deliveredAt: 1 },
+        populate: [
+          { path: 'clinicId', select: 'name email' },
+          { path: 'collectorId', select: 'username email' }
+        ]
+      }
+    );
+  }
 }
 
 export default new PickupRepository();
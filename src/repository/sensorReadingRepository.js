@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import BaseRepository from './baseRepository.js';
+import SensorReading from '../schema/sensorReadingSchema.js';
+
+const MAX_RAW_READINGS = 10000;
+
+// Bucket sizes for the time-series query
+export const READING_INTERVALS = Object.freeze({
+  '5m': { unit: 'minute', binSize: 5 },
+  '15m': { unit: 'minute', binSize: 15 },
+  '1h': { unit: 'hour', binSize: 1 },
+  '1d': { unit: 'day', binSize: 1 }
+});
+
+class SensorReadingRepository extends BaseRepository {
+  constructor() {
+    super(SensorReading, 'SensorReading');
+  }
+
+  /**
+   * Store a batch of readings
+   * @param {Array<Object>} readings - Readings
+   * @returns {Promise<Array>} Stored readings
+   */
+  async insertReadings(readings) {
+    return SensorReading.insertMany(readings, { ordered: true });
+  }
+
+  /**
+   * Readings of a storage area over a period, either raw or bucketed with
+   * min/avg/max per bucket
+   * @param {string} storageAreaId - The storage area ID
+   * @param {Object} options - { from, to, interval: 'raw' or a READING_INTERVALS key }
+   * @returns {Promise<Array>} Readings or buckets, oldest first
+   */
+  async findSeries(storageAreaId, { from, to, interval = 'raw' }) {
+    const match = {
+      'meta.storageAreaId': new mongoose.Types.ObjectId(storageAreaId),
+      recordedAt: { $gte: from, $lte: to }
+    };
+
+    if (interval === 'raw') {
+      return SensorReading.find(match)
+        .sort({ recordedAt: 1 })
+        .limit(MAX_RAW_READINGS)
+        .select('-__v')
+        .lean();
+    }
+
+    const { unit, binSize } = READING_INTERVALS[interval];
+    return SensorReading.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$recordedAt', unit, binSize } },
+          readings: { $sum: 1 },
+          outOfRangeReadings: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$outOfRange', []] } }, 0] }, 1, 0] } },
+          temperatureMin: { $min: '$temperature' },
+          temperatureAvg: { $avg: '$temperature' },
+          temperatureMax: { $max: '$temperature' },
+          humidityMin: { $min: '$humidity' },
+          humidityAvg: { $avg: '$humidity' },
+          humidityMax: { $max: '$humidity' }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          bucketStart: '$_id',
+          readings: 1,
+          outOfRangeReadings: 1,
+          temperature: { min: '$temperatureMin', avg: '$temperatureAvg', max: '$temperatureMax' },
+          humidity: { min: '$humidityMin', avg: '$humidityAvg', max: '$humidityMax' }
+        }
+      }
+    ]);
+  }
+}
+
+export default new SensorReadingRepository();
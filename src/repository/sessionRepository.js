@@ -0,0 +1,175 @@
+import BaseRepository from './baseRepository.js';
+import Session from '../schema/sessionSchema.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+// Activity is written at most once per interval to keep authentication cheap
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+class SessionRepository extends BaseRepository {
+  constructor() {
+    super(Session, 'Session');
+  }
+
+  /**
+   * Create a session, replacing any active session for the same device
+   * @param {Object} data - The session data
+   * @returns {Promise<Object>} Created session
+   */
+  async create(data) {
+    if (!data.userId) throw new ValidationError('User ID is required');
+    if (!data.deviceId) throw new ValidationError('Device ID is required');
+    if (!data.tokenHash) throw new ValidationError('Token hash is required');
+
+    await Session.revokeAllForUser(data.userId, 'replaced', { deviceId: data.deviceId });
+
+    return super.create(data);
+  }
+
+  /**
+   * Find a session including its token hashes
+   * @param {string} id - The session ID
+   * @returns {Promise<Object|null>} Found session
+   */
+  async findWithTokens(id) {
+    return Session.findById(id).select('+tokenHash +previousTokenHashes');
+  }
+
+  /**
+   * Atomically swap the current refresh token hash for a new one.
+   * Only succeeds if the presented hash is still the current one.
+   * @param {string} id - The session ID
+   * @param {string} currentHash - Hash of the presented token
+   * @param {string} nextHash - Hash of the newly issued token
+   * @returns {Promise<Object|null>} Updated session, or null if the token was already rotated
+   */
+  async rotateToken(id, currentHash, nextHash) {
+    return Session.findOneAndUpdate(
+      {
+        _id: id,
+        tokenHash: currentHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: { tokenHash: nextHash, lastRotatedAt: new Date() },
+        $inc: { rotationCount: 1 },
+        $push: {
+          previousTokenHashes: {
+            $each: [currentHash],
+            $slice: -Session.MAX_PREVIOUS_TOKENS
+          }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} id - The session ID
+   * @param {string} reason - Revocation reason
+   * @param {string} revokedBy - The user revoking it, when not the session's own user
+   * @returns {Promise<Object>} Revoked session
+   */
+  async revoke(id, reason = 'logout', revokedBy = undefined) {
+    const session = await Session.findById(id);
+    if (!session) throw new NotFoundError('Session not found');
+    if (revokedBy && !session.revokedAt) session.revokedBy = revokedBy;
+    return session.revoke(reason);
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - The user ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} options - { exceptSessionId, revokedBy }
+   * @returns {Promise<Object>} Update result
+   */
+  async revokeAllForUser(userId, reason = 'logout', { exceptSessionId, revokedBy } = {}) {
+    if (!userId) throw new ValidationError('User ID is required');
+    const filters = exceptSessionId ? { _id: { $ne: exceptSessionId } } : {};
+    return Session.revokeAllForUser(userId, reason, filters, revokedBy);
+  }
+
+  /**
+   * List the sessions of a user that can still be used, most recently active first
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findActiveByUser(userId) {
+    if (!userId) throw new ValidationError('User ID is required');
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastActivityAt: -1 }).lean();
+  }
+
+  /**
+   * Record that a session was used
+   * @param {string} id - The session ID
+   * @param {string} ip - Client IP address
+   * @returns {Promise<void>}
+   */
+  async recordActivity(id, ip) {
+    const now = new Date();
+    await Session.updateOne(
+      {
+        _id: id,
+        $or: [
+          { lastActivityAt: null },
+          { lastActivityAt: { $lt: new Date(now.getTime() - ACTIVITY_WRITE_INTERVAL_MS) } }
+        ]
+      },
+      { $set: { lastActivityAt: now, lastIp: ip } }
+    );
+  }
+
+  /**
+   * Record a fresh second-factor verification on a session
+   * @param {string} id - The session ID
+   * @returns {Promise<Object>} Updated session
+   */
+  async recordStepUp(id) {
+    const session = await Session.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { stepUpAt: new Date(), twoFactorVerified: true } },
+      { new: true }
+    );
+    if (!session) throw new NotFoundError('Session not found');
+    return session;
+  }
+
+  /**
+   * Check whether a session passed step-up verification recently
+   * @param {string} id - The session ID
+   * @param {number} maxAgeSeconds - Maximum age of the step-up
+   * @returns {Promise<boolean>} Whether the step-up is still fresh
+   */
+  async hasRecentStepUp(id, maxAgeSeconds) {
+    if (!id) return false;
+    const session = await Session.findOne({
+      _id: id,
+      revokedAt: null,
+      stepUpAt: { $gte: new Date(Date.now() - maxAgeSeconds * 1000) }
+    }).select('_id').lean();
+    return !!session;
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} id - The session ID
+   * @returns {Promise<boolean>} Whether the session is active
+   */
+  async isActive(id) {
+    if (!id) return false;
+    const session = await Session.findOne({
+      _id: id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('_id').lean();
+    return !!session;
+  }
+}
+
+export default new SessionRepository();
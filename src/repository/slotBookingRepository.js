@@ -0,0 +1,186 @@
+import BaseRepository from './baseRepository.js';
+import SlotBooking from '../schema/slotBookingSchema.js';
+import { ConflictError } from '../utils/errors.js';
+
+// Duplicate keys on the partial unique indexes mean someone else got there first
+const toConflict = (error) => {
+  if (error.code !== 11000) return error;
+  return new ConflictError(error.keyPattern?.pickupRequestId
+    ? 'This pickup already has a booked slot; reschedule it instead'
+    : 'This slot has just been booked by someone else');
+};
+
+const SLOT_TAKEN = 'This slot overlaps a booking the collector already has';
+
+class SlotBookingRepository extends BaseRepository {
+  constructor() {
+    super(SlotBooking, 'SlotBooking');
+  }
+
+  /**
+   * Whether another booked slot of the same collector overlaps a booking. The
+   * unique index only catches equal start times, and slot lengths can change.
+   * @param {Object} booking - The booking, already saved
+   * @returns {Promise<boolean>} Whether it overlaps another booking
+   */
+  async overlapsAnother(booking) {
+    return !!(await SlotBooking.exists({
+      _id: { $ne: booking._id },
+      collectorId: booking.collectorId,
+      status: 'booked',
+      start: { $lt: booking.end },
+      end: { $gt: booking.start }
+    }));
+  }
+
+  /**
+   * Reserve a collector's slot for a pickup. Fails if the slot overlaps one
+   * already booked, or another slot for the same pickup is booked.
+   * @param {Object} data - { collectorId, clinicId, pickupRequestId, start, end, bookedBy }
+   * @returns {Promise<Object>} Booking document
+   */
+  async reserve(data) {
+    let booking;
+    try {
+      booking = await SlotBooking.create({ ...data, status: 'booked' });
+    } catch (error) {
+      throw toConflict(error);
+    }
+
+    // Checked once saved, so of two overlapping bookings made at the same time
+    // at least one sees the other and gives way
+    if (await this.overlapsAnother(booking)) {
+      await this.discard(booking._id);
+      throw new ConflictError(SLOT_TAKEN);
+    }
+    return booking;
+  }
+
+  /**
+   * Move a booking to another slot of the same collector, keeping the old one in
+   * its history. Fails if the new slot overlaps another booking.
+   * @param {Object} booking - The booking
+   * @param {Object} slot - { start, end }
+   * @param {string} changedBy - The user moving it
+   * @returns {Promise<Object>} Booking document
+   */
+  async move(booking, { start, end }, changedBy) {
+    try {
+      const moved = await SlotBooking.findOneAndUpdate(
+        { _id: booking._id, status: 'booked', start: booking.start },
+        {
+          $set: { start, end },
+          $push: { rescheduled: { start: booking.start, end: booking.end, changedAt: new Date(), changedBy } }
+        },
+        { new: true }
+      );
+      if (!moved) throw new ConflictError('The booking changed while it was being rescheduled');
+
+      if (await this.overlapsAnother(moved)) {
+        await SlotBooking.updateOne(
+          { _id: booking._id, start },
+          { $set: { start: booking.start, end: booking.end }, $pop: { rescheduled: 1 } }
+        );
+        throw new ConflictError(SLOT_TAKEN);
+      }
+      return moved;
+    } catch (error) {
+      throw toConflict(error);
+    }
+  }
+
+  /**
+   * Remove a reservation that could not be completed
+   * @param {string} id - The booking ID
+   * @returns {Promise<void>}
+   */
+  async discard(id) {
+    await SlotBooking.deleteOne({ _id: id });
+  }
+
+  /**
+   * Find a pickup's booked slot
+   * @param {string} pickupRequestId - The pickup request ID
+   * @returns {Promise<Object|null>} Booking document
+   */
+  async findActiveByPickup(pickupRequestId) {
+    return SlotBooking.findOne({ pickupRequestId, status: 'booked' });
+  }
+
+  /**
+   * Booked slots of collectors overlapping a period
+   * @param {Array<string>} collectorIds - Collector IDs
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @returns {Promise<Array>} Bookings with collectorId, start and end
+   */
+  async findBooked(collectorIds, from, to) {
+    return SlotBooking.find({
+      collectorId: { $in: collectorIds },
+      status: 'booked',
+      start: { $lt: to },
+      end: { $gt: from }
+    })
+      .select('collectorId start end')
+      .lean();
+  }
+
+  /**
+   * List bookings, soonest first
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated bookings
+   */
+  async findBookings(filters = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(filters, {
+      page,
+      limit,
+      sort: { start: 1 },
+      populate: [
+        { path: 'clinicId', select: 'name' },
+        { path: 'collectorId', select: 'username' }
+      ]
+    });
+  }
+
+  /**
+   * Release a pickup's booked slot
+   * @param {string} pickupRequestId - The pickup request ID
+   * @param {string} reason - Why it is released
+   * @param {Object} filters - Further conditions the booking must meet
+   * @returns {Promise<Object|null>} Released booking, or null when none was booked
+   */
+  async releaseForPickup(pickupRequestId, reason, filters = {}) {
+    return SlotBooking.findOneAndUpdate(
+      { ...filters, pickupRequestId, status: 'booked' },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Release a collector's booked slots overlapping a period
+   * @param {string} collectorId - The collector ID
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {string} reason - Why they are released
+   * @returns {Promise<Array>} Released bookings
+   */
+  async releaseOverlapping(collectorId, from, to, reason) {
+    const bookings = await SlotBooking.find({
+      collectorId,
+      status: 'booked',
+      start: { $lt: to },
+      end: { $gt: from }
+    }).lean();
+    if (bookings.length === 0) return [];
+
+    await SlotBooking.updateMany(
+      { _id: { $in: bookings.map(booking => booking._id) }, status: 'booked' },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } }
+    );
+    return bookings;
+  }
+}
+
+export default new SlotBookingRepository();
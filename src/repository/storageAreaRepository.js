@@ -0,0 +1,81 @@
+import BaseRepository from './baseRepository.js';
+import StorageArea from '../schema/storageAreaSchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+class StorageAreaRepository extends BaseRepository {
+  constructor() {
+    super(StorageArea, 'StorageArea');
+  }
+
+  /**
+   * Find a storage area that has not been deleted
+   * @param {string} id - The storage area ID
+   * @returns {Promise<Object>} Storage area document
+   */
+  async findArea(id) {
+    const area = await StorageArea.findOne({ _id: id, isDeleted: { $ne: true } });
+    if (!area) throw new NotFoundError('Storage area not found');
+    return area;
+  }
+
+  /**
+   * List storage areas by name
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Array>} Storage areas
+   */
+  async findAreas(filters = {}) {
+    return StorageArea.find({ ...filters, isDeleted: { $ne: true } })
+      .sort({ name: 1 })
+      .populate('clinicId', 'name')
+      .lean();
+  }
+
+  /**
+   * Add a storage area
+   * @param {Object} data - Storage area data
+   * @returns {Promise<Object>} Created storage area
+   */
+  async createArea(data) {
+    try {
+      return await StorageArea.create(data);
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('The clinic already has a storage area with this name');
+      if (error.name === 'ValidationError') throw new ValidationError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a storage area
+   * @param {string} id - The storage area ID
+   * @param {Object} update - Fields to change
+   * @returns {Promise<Object>} Updated storage area
+   */
+  async updateArea(id, update) {
+    try {
+      const area = await this.findArea(id);
+      area.set(update);
+      return await area.save();
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('The clinic already has a storage area with this name');
+      if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record the time of the latest reading received for an area
+   * @param {string} id - The storage area ID
+   * @param {Date} recordedAt - Time of the reading
+   */
+  async touchLastReading(id, recordedAt) {
+    await StorageArea.updateOne(
+      { _id: id, $or: [{ lastReadingAt: { $exists: false } }, { lastReadingAt: { $lt: recordedAt } }] },
+      { $set: { lastReadingAt: recordedAt } }
+    );
+  }
+}
+
+export default new StorageAreaRepository();
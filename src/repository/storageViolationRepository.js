@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import BaseRepository from './baseRepository.js';
+import StorageViolation from '../schema/storageViolationSchema.js';
+import { NotFoundError } from '../utils/errors.js';
+
+class StorageViolationRepository extends BaseRepository {
+  constructor() {
+    super(StorageViolation, 'StorageViolation');
+  }
+
+  /**
+   * Find a violation that has not been deleted
+   * @param {string} id - The violation ID
+   * @returns {Promise<Object>} Violation document
+   */
+  async findViolation(id) {
+    const violation = await StorageViolation.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate('clinicId', 'name');
+    if (!violation) throw new NotFoundError('Storage violation not found');
+    return violation;
+  }
+
+  /**
+   * Record the violation for a waste log. A log only ever has one; recording it
+   * again returns the existing record.
+   * @param {Object} data - Violation data
+   * @returns {Promise<Object>} Violation document
+   */
+  async recordViolation(data) {
+    try {
+      return await StorageViolation.create(data);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return StorageViolation.findOne({ wasteLogId: data.wasteLogId });
+    }
+  }
+
+  /**
+   * List violations, most recent first
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated violations
+   */
+  async findViolations(filters = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { recordedAt: -1 }, populate: [{ path: 'clinicId', select: 'name' }] }
+    );
+  }
+
+  /**
+   * Every violation matching the filters, oldest first, for compliance reports
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Array>} Violations with the clinic's name and address
+   */
+  async findForReport(filters = {}) {
+    return StorageViolation.find({ ...filters, isDeleted: { $ne: true } })
+      .populate('clinicId', 'name address')
+      .sort({ recordedAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Violation counts and waste involved, per clinic and category
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Array>} [{ clinicId, category, count, totalVolumeKg, maxHoursOverLimit }]
+   */
+  async summarise(filters = {}) {
+    const match = { ...filters, isDeleted: false };
+    if (match.clinicId) match.clinicId = new mongoose.Types.ObjectId(match.clinicId);
+
+    return this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { clinicId: '$clinicId', category: '$category' },
+          count: { $sum: 1 },
+          totalVolumeKg: { $sum: '$volumeKg' },
+          maxHoursOverLimit: { $max: { $subtract: ['$hoursStored', '$maxStorageHours'] } }
+        }
+      },
+      { $project: { _id: 0, clinicId: '$_id.clinicId', category: '$_id.category', count: 1, totalVolumeKg: 1, maxHoursOverLimit: 1 } },
+      { $sort: { count: -1 } }
+    ]);
+  }
+}
+
+export default new StorageViolationRepository();
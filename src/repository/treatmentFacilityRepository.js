@@ -0,0 +1,90 @@
+import BaseRepository from './baseRepository.js';
+import TreatmentFacility from '../schema/treatmentFacilitySchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+class TreatmentFacilityRepository extends BaseRepository {
+  constructor() {
+    super(TreatmentFacility, 'TreatmentFacility');
+  }
+
+  /**
+   * Find a facility that has not been deleted
+   * @param {string} id - The facility ID
+   * @returns {Promise<Object>} Facility document
+   */
+  async findFacility(id) {
+    const facility = await TreatmentFacility.findOne({ _id: id, isDeleted: { $ne: true } });
+    if (!facility) throw new NotFoundError('Treatment facility not found');
+    return facility;
+  }
+
+  /**
+   * Find the facility a recycler account runs
+   * @param {string} operatorId - The recycler account ID
+   * @returns {Promise<Object|null>} Facility document, or null when the account has none
+   */
+  async findByOperator(operatorId) {
+    return TreatmentFacility.findOne({ operatorId, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * List facilities, by name
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated facilities
+   */
+  async findFacilities(filters = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { name: 1 } }
+    );
+  }
+
+  /**
+   * Register a facility
+   * @param {Object} data - Facility data
+   * @param {Object} user - The registering user
+   * @returns {Promise<Object>} Created facility
+   */
+  async createFacility(data, user) {
+    try {
+      const facility = new TreatmentFacility(data);
+      facility.addAuditTrail('created', user, data);
+      return await facility.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(error.keyPattern?.licenseNumber
+          ? 'A facility with this licence number is already registered'
+          : 'This account already runs a treatment facility');
+      }
+      if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a facility's details
+   * @param {string} id - The facility ID
+   * @param {Object} data - Fields to change
+   * @param {Object} user - The user making the change
+   * @returns {Promise<Object>} Updated facility
+   */
+  async updateFacility(id, data, user) {
+    const facility = await this.findFacility(id);
+    try {
+      facility.set(data);
+      facility.addAuditTrail('updated', user, data);
+      return await facility.save();
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('A facility with this licence number is already registered');
+      if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+export default new TreatmentFacilityRepository();
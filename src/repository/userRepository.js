@@ -1,7 +1,7 @@
 import User from "../schema/userSchema.js";
 import { validateEmail, validatePassword, validateUsername, validateRole } from '../validations/userValidation.js';
-import bcrypt from 'bcrypt';
-import PickupRequest from "../schema/pickupRequestSchema.js";
+import crypto from 'crypto';
+import PickupRequest, { COLLECTED_STATUSES } from "../schema/pickupRequestSchema.js";
 import { ValidationError, NotFoundError, ConflictError, InternalError } from '../utils/errors.js';
 
 // Cache configuration
@@ -35,6 +35,9 @@ const invalidateUserCache = (user, oldEmail = null) => {
   }
 };
 
+const hashResetVerifier = (verifier) =>
+  crypto.createHash('sha256').update(verifier).digest('hex');
+
 class UserRepository {
   async initializeIndexes() {
     try {
@@ -331,6 +334,27 @@ class UserRepository {
     }
   }
 
+  async findUsers(filters = {}, { page = 1, limit = 20, sort = { createdAt: -1 } } = {}) {
+    try {
+      const query = { ...filters, isDeleted: { $ne: true } };
+      const skip = (page - 1) * limit;
+      const [users, total] = await Promise.all([
+        User.find(query)
+          .select('-password')
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(query)
+      ]);
+
+      return { users, page, limit, total };
+    } catch (err) {
+      console.error("Error in findUsers:", err);
+      throw new InternalError('Failed to find users');
+    }
+  }
+
   async updateLastLogin(userId) {
     try {
       await User.findByIdAndUpdate(userId, {
@@ -346,6 +370,28 @@ class UserRepository {
     return await User.find({ clinicId, isDeleted: false }).select('-password').lean();
   }
 
+  async setClinic(userId, clinicId) {
+    try {
+      const update = clinicId
+        ? { clinicId, leftClinicAt: null }
+        : { clinicId: null, leftClinicAt: new Date() };
+
+      const user = await User.findOneAndUpdate(
+        { _id: userId, isDeleted: { $ne: true } },
+        { $set: update },
+        { new: true }
+      ).lean();
+      if (!user) throw new NotFoundError('User not found');
+
+      invalidateUserCache(user);
+      return user;
+    } catch (err) {
+      if (err instanceof NotFoundError) throw err;
+      console.error("Error in setClinic:", err);
+      throw new InternalError('Failed to update clinic membership');
+    }
+  }
+
   async getCollectorStats(collectorId) {
     try {
       const collector = await User.findOne({
@@ -377,7 +423,7 @@ class UserRepository {
             avgResponseTime: {
               $avg: {
                 $cond: [
-                  { $eq: ['$status', 'collected'] },
+                  { $in: ['$status', COLLECTED_STATUSES] },
                   { $subtract: ['$collectedAt', '$requestedAt'] },
                   null
                 ]
@@ -409,7 +455,7 @@ class UserRepository {
     }
   }
 
-  async createPasswordResetToken(email) {
+  async createPasswordResetToken(email, expiresInMinutes = 30) {
     try {
       const user = await User.findOne({ 
         email: email.toLowerCase(),
@@ -421,14 +467,22 @@ class UserRepository {
         throw new NotFoundError('No active user found with this email');
       }
 
-      const resetToken = await bcrypt.genSalt(16);
-      const hashedToken = await bcrypt.hash(resetToken, 10);
-      
-      user.passwordResetToken = hashedToken;
-      user.passwordResetExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-      await user.save();
+      // selector.verifier - only the verifier's hash is stored
+      const selector = crypto.randomBytes(12).toString('hex');
+      const verifier = crypto.randomBytes(32).toString('base64url');
 
-      return resetToken;
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            passwordResetSelector: selector,
+            passwordResetToken: hashResetVerifier(verifier),
+            passwordResetExpires: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+          }
+        }
+      );
+
+      return { user, token: `${selector}.${verifier}` };
     } catch (err) {
       if (err instanceof NotFoundError) throw err;
       console.error("Error in createPasswordResetToken:", err);
@@ -438,29 +492,47 @@ class UserRepository {
 
   async resetPassword(token, newPassword) {
     try {
+      const [selector, verifier] = typeof token === 'string' ? token.split('.') : [];
+      if (!selector || !verifier) {
+        throw new ValidationError('Token is invalid or has expired');
+      }
+
+      if (!validatePassword(newPassword).isValid) {
+        throw new ValidationError(validatePassword(newPassword).message);
+      }
+
       const user = await User.findOne({
-        passwordResetExpires: { $gt: Date.now() }
-      });
+        passwordResetSelector: selector,
+        passwordResetExpires: { $gt: new Date() },
+        isDeleted: { $ne: true }
+      }).select('+passwordResetToken');
 
       if (!user) {
         throw new ValidationError('Token is invalid or has expired');
       }
 
-      const isValidToken = await bcrypt.compare(token, user.passwordResetToken);
-      if (!isValidToken) {
-        throw new ValidationError('Invalid reset token');
+      const expected = Buffer.from(user.passwordResetToken, 'hex');
+      const presented = Buffer.from(hashResetVerifier(verifier), 'hex');
+      if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+        throw new ValidationError('Token is invalid or has expired');
       }
 
-      if (!validatePassword(newPassword).isValid) {
-        throw new ValidationError(validatePassword(newPassword).message);
+      // Claim the token atomically so it can only be used once
+      const claimed = await User.findOneAndUpdate(
+        { _id: user._id, passwordResetSelector: selector },
+        { $unset: { passwordResetSelector: 1, passwordResetToken: 1, passwordResetExpires: 1 } }
+      );
+      if (!claimed) {
+        throw new ValidationError('Token is invalid or has expired');
       }
 
       user.password = newPassword;
-      user.passwordResetToken = undefined;
-      user.passwordResetExpires = undefined;
+      user.failedLoginAttempts = 0;
+      user.lockoutUntil = null;
       await user.save();
+      invalidateUserCache(user);
 
-      return { message: 'Password reset successful' };
+      return { userId: user._id, message: 'Password reset successful' };
     } catch (err) {
       if (err instanceof ValidationError) throw err;
       console.error("Error in resetPassword:", err);
@@ -468,6 +540,193 @@ class UserRepository {
     }
   }
 
+  async recordVerificationEmailSent(userId, cooldownSeconds) {
+    try {
+      if (!userId) throw new ValidationError('User ID is required');
+
+      // Atomic check-and-set so concurrent resends cannot bypass the cooldown
+      const cutoff = new Date(Date.now() - cooldownSeconds * 1000);
+      return await User.findOneAndUpdate(
+        {
+          _id: userId,
+          isDeleted: { $ne: true },
+          'emailVerification.isVerified': false,
+          $or: [
+            { 'emailVerification.lastSentAt': null },
+            { 'emailVerification.lastSentAt': { $lte: cutoff } }
+          ]
+        },
+        {
+          $set: { 'emailVerification.lastSentAt': new Date() },
+          $inc: { 'emailVerification.sentCount': 1 }
+        },
+        { new: true }
+      ).lean();
+    } catch (err) {
+      if (err instanceof ValidationError) throw err;
+      console.error("Error in recordVerificationEmailSent:", err);
+      throw new InternalError('Failed to record verification email');
+    }
+  }
+
+  async markEmailVerified(userId, email) {
+    try {
+      const user = await User.findOne({
+        _id: userId,
+        email: email.toLowerCase(),
+        isDeleted: { $ne: true }
+      });
+
+      if (!user) {
+        throw new ValidationError('Verification token is invalid or has expired');
+      }
+
+      if (user.emailVerification?.isVerified) {
+        return user.toObject();
+      }
+
+      user.emailVerification.isVerified = true;
+      user.emailVerification.verifiedAt = new Date();
+      await user.save();
+      invalidateUserCache(user);
+
+      return user.toObject();
+    } catch (err) {
+      if (err instanceof ValidationError) throw err;
+      console.error("Error in markEmailVerified:", err);
+      throw new InternalError('Failed to verify email');
+    }
+  }
+
+  async findWithTwoFactor(userId) {
+    try {
+      if (!userId) throw new ValidationError('User ID is required');
+
+      const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } })
+        .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+      if (!user) throw new NotFoundError('User not found');
+      return user;
+    } catch (err) {
+      if (err instanceof NotFoundError || err instanceof ValidationError) throw err;
+      console.error("Error in findWithTwoFactor:", err);
+      throw new InternalError();
+    }
+  }
+
+  async updateTwoFactor(userId, update) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: userId, isDeleted: { $ne: true } },
+        update,
+        { new: true }
+      ).lean();
+      if (!user) throw new NotFoundError('User not found');
+
+      // Login reads users through the email cache and must see the new 2FA state
+      invalidateUserCache(user);
+      return user;
+    } catch (err) {
+      if (err instanceof NotFoundError) throw err;
+      console.error("Error in updateTwoFactor:", err);
+      throw new InternalError('Failed to update two-factor settings');
+    }
+  }
+
+  // Accepts a TOTP time step only once, blocking replay of an observed code
+  async consumeTotpStep(userId, step) {
+    try {
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': null },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount === 1;
+    } catch (err) {
+      console.error("Error in consumeTotpStep:", err);
+      throw new InternalError('Failed to verify two-factor code');
+    }
+  }
+
+  async consumeRecoveryCode(userId, codeHash) {
+    try {
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          'twoFactor.recoveryCodes': { $elemMatch: { hash: codeHash, usedAt: null } }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+      return result.modifiedCount === 1;
+    } catch (err) {
+      console.error("Error in consumeRecoveryCode:", err);
+      throw new InternalError('Failed to verify recovery code');
+    }
+  }
+
+  async findByExternalIdentity(provider, subject) {
+    try {
+      if (!provider || !subject) throw new ValidationError('Provider and subject are required');
+
+      return await User.findOne({
+        externalIdentities: { $elemMatch: { provider, subject } },
+        isDeleted: { $ne: true }
+      }).lean();
+    } catch (err) {
+      if (err instanceof ValidationError) throw err;
+      console.error("Error in findByExternalIdentity:", err);
+      throw new InternalError();
+    }
+  }
+
+  // Links only if this provider identity is not yet on the account
+  async linkExternalIdentity(userId, { provider, subject, email }) {
+    try {
+      const user = await User.findOneAndUpdate(
+        {
+          _id: userId,
+          isDeleted: { $ne: true },
+          externalIdentities: { $not: { $elemMatch: { provider, subject } } }
+        },
+        {
+          $push: {
+            externalIdentities: { provider, subject, email, linkedAt: new Date(), lastLoginAt: new Date() }
+          }
+        },
+        { new: true }
+      ).lean();
+
+      if (!user) throw new ConflictError('External identity is already linked');
+      invalidateUserCache(user);
+      return user;
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new ConflictError('External identity is linked to another account');
+      }
+      if (err instanceof ConflictError) throw err;
+      console.error("Error in linkExternalIdentity:", err);
+      throw new InternalError('Failed to link external identity');
+    }
+  }
+
+  async recordExternalLogin(userId, provider, subject) {
+    try {
+      await User.updateOne(
+        { _id: userId, externalIdentities: { $elemMatch: { provider, subject } } },
+        { $set: { 'externalIdentities.$.lastLoginAt': new Date(), lastLoginAt: new Date() } }
+      );
+    } catch (err) {
+      console.error("Error in recordExternalLogin:", err);
+      throw new InternalError();
+    }
+  }
+
   async updateServiceArea(collectorId, serviceArea) {
     try {
       const user = await User.findOne({ 
@@ -495,6 +754,72 @@ class UserRepository {
     }
   }
 
+  async addVerificationDocument(userId, document) {
+    try {
+      const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } });
+      if (!user) throw new NotFoundError('User not found');
+
+      await user.addDocument(document);
+      return user.verificationStatus.documents[user.verificationStatus.documents.length - 1];
+    } catch (err) {
+      if (err instanceof NotFoundError) throw err;
+      if (err.name === 'ValidationError') throw new ValidationError(err.message);
+      console.error("Error in addVerificationDocument:", err);
+      throw new InternalError('Failed to add verification document');
+    }
+  }
+
+  // A new file replaces the document's previous one and sends it back for review
+  async setVerificationDocumentFile(userId, documentId, attachmentId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId, isDeleted: { $ne: true }, 'verificationStatus.documents._id': documentId },
+        {
+          $set: {
+            'verificationStatus.documents.$.attachmentId': attachmentId,
+            'verificationStatus.documents.$.verificationStatus': 'pending'
+          }
+        }
+      );
+      if (result.matchedCount === 0) throw new NotFoundError('Verification document not found');
+    } catch (err) {
+      if (err instanceof NotFoundError) throw err;
+      console.error("Error in setVerificationDocumentFile:", err);
+      throw new InternalError('Failed to update verification document');
+    }
+  }
+
+  // Verified, active collectors whose service area centre is within maxDistance
+  // (metres), nearest first, with what the dispatch engine scores them on
+  async findDispatchCandidates(coordinates, maxDistance) {
+    try {
+      return await User.findNearbyCollectors(coordinates, maxDistance)
+        .select('username email serviceArea vehicleCapacityKg licensedCategories')
+        .lean();
+    } catch (err) {
+      console.error("Error in findDispatchCandidates:", err);
+      throw new InternalError('Failed to find collectors for dispatch');
+    }
+  }
+
+  async updateDispatchProfile(collectorId, profile) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: collectorId, role: 'collector', isDeleted: { $ne: true } },
+        { $set: profile },
+        { new: true, runValidators: true }
+      ).select('username email serviceArea vehicleCapacityKg licensedCategories depot shift verificationStatus.isVerified');
+      if (!user) throw new NotFoundError('Collector not found');
+      invalidateUserCache(user);
+      return user;
+    } catch (err) {
+      if (err instanceof NotFoundError) throw err;
+      if (err.name === 'ValidationError') throw new ValidationError(err.message);
+      console.error("Error in updateDispatchProfile:", err);
+      throw new InternalError('Failed to update collector dispatch profile');
+    }
+  }
+
   async findCollectorsInArea(coordinates, maxDistance = 10000) {
     try {
       const collectors = await User.findNearbyCollectors(coordinates, maxDistance);
@@ -0,0 +1,134 @@
+import BaseRepository from './baseRepository.js';
+import WasteCategory from '../schema/wasteCategorySchema.js';
+import { DEFAULT_WASTE_CATEGORIES } from '../config/wasteCategories.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+class WasteCategoryRepository extends BaseRepository {
+  constructor() {
+    super(WasteCategory, 'WasteCategory');
+  }
+
+  /**
+   * Seed an empty catalogue with the default categories, then load the snapshot
+   * @returns {Promise<Array>} Catalogue entries
+   */
+  async loadCatalogue() {
+    const count = await WasteCategory.countDocuments({});
+    if (count === 0) {
+      await WasteCategory.insertMany(DEFAULT_WASTE_CATEGORIES);
+    }
+    return WasteCategory.refreshSnapshot();
+  }
+
+  /**
+   * Reload the in-process snapshot from the database
+   * @returns {Promise<Array>} Catalogue entries
+   */
+  async refresh() {
+    return WasteCategory.refreshSnapshot();
+  }
+
+  /**
+   * Get a category from the snapshot
+   * @param {string} code - Category code
+   * @returns {Object|null} Category
+   */
+  getCached(code) {
+    return WasteCategory.fromSnapshot(code);
+  }
+
+  /**
+   * Codes of the categories new records may use
+   * @returns {Array<string>} Category codes
+   */
+  getActiveCodes() {
+    return WasteCategory.activeCodes();
+  }
+
+  /**
+   * Whether a code names a category new records may use
+   * @param {string} code - Category code
+   * @returns {boolean} Whether the code is usable
+   */
+  isActiveCode(code) {
+    return WasteCategory.isUsableCode(code);
+  }
+
+  /**
+   * Aggregation stages that join catalogue details onto a category code
+   * @param {string} localField - Field holding the category code
+   * @returns {Array<Object>} Pipeline stages adding name and colourCode
+   */
+  catalogueLookupStages(localField = '_id') {
+    return WasteCategory.lookupStages(localField);
+  }
+
+  /**
+   * List catalogue entries in display order
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} Categories
+   */
+  async findCategories({ includeInactive = false } = {}) {
+    return WasteCategory.find({
+      isDeleted: { $ne: true },
+      ...(!includeInactive && { isActive: true })
+    })
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+  }
+
+  /**
+   * Find a category by code
+   * @param {string} code - Category code
+   * @returns {Promise<Object>} Category
+   */
+  async findByCode(code) {
+    if (!code) throw new ValidationError('Category code is required');
+    const category = await WasteCategory.findOne({ code: String(code).toLowerCase(), isDeleted: { $ne: true } }).lean();
+    if (!category) throw new NotFoundError('Waste category not found');
+    return category;
+  }
+
+  /**
+   * Add a category to the catalogue
+   * @param {Object} data - Category data
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(data) {
+    try {
+      const category = await WasteCategory.create(data);
+      await this.refresh();
+      return category;
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('A waste category with this code already exists');
+      if (error.name === 'ValidationError') throw new ValidationError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a category; its code cannot change
+   * @param {string} code - Category code
+   * @param {Object} update - Fields to change
+   * @returns {Promise<Object>} Updated category
+   */
+  async updateByCode(code, update) {
+    try {
+      const category = await WasteCategory.findOneAndUpdate(
+        { code: String(code).toLowerCase(), isDeleted: { $ne: true } },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+      if (!category) throw new NotFoundError('Waste category not found');
+      await this.refresh();
+      return category;
+    } catch (error) {
+      if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+export default new WasteCategoryRepository();
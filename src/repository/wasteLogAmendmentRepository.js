@@ -0,0 +1,75 @@
+import BaseRepository from './baseRepository.js';
+import WasteLogAmendment from '../schema/wasteLogAmendmentSchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const REVIEW_POPULATE = [
+  { path: 'proposedBy', select: 'username email' },
+  { path: 'reviewedBy', select: 'username email' }
+];
+
+class WasteLogAmendmentRepository extends BaseRepository {
+  constructor() {
+    super(WasteLogAmendment, 'WasteLogAmendment');
+  }
+
+  /**
+   * Find an amendment
+   * @param {string} id - The amendment ID
+   * @returns {Promise<Object>} Amendment document
+   */
+  async findAmendment(id) {
+    const amendment = await WasteLogAmendment.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate(REVIEW_POPULATE);
+    if (!amendment) throw new NotFoundError('Amendment not found');
+    return amendment;
+  }
+
+  /**
+   * List amendments, oldest first so reviewers work through them in order
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated amendments
+   */
+  async findAmendments(filters = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { createdAt: 1 }, populate: [...REVIEW_POPULATE, { path: 'clinicId', select: 'name' }] }
+    );
+  }
+
+  /**
+   * Record a proposed amendment
+   * @param {Object} data - Amendment data
+   * @returns {Promise<Object>} Created amendment
+   */
+  async createAmendment(data) {
+    try {
+      return await WasteLogAmendment.create(data);
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('This waste log already has an amendment awaiting review');
+      if (error.name === 'ValidationError') throw new ValidationError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an amendment between statuses. Fails when another request got there
+   * first, so an amendment is never decided twice.
+   * @param {string} id - The amendment ID
+   * @param {string} from - Status the amendment must currently have
+   * @param {string} to - New status
+   * @param {Object} set - Other fields to set
+   * @returns {Promise<Object>} Updated amendment
+   */
+  async transition(id, from, to, set = {}) {
+    const amendment = await WasteLogAmendment.findOneAndUpdate(
+      { _id: id, status: from, isDeleted: { $ne: true } },
+      { $set: { ...set, status: to } },
+      { new: true, runValidators: true }
+    ).populate(REVIEW_POPULATE);
+    if (!amendment) throw new ConflictError(`Amendment is no longer ${from}`);
+    return amendment;
+  }
+}
+
+export default new WasteLogAmendmentRepository();
@@ -1,7 +1,9 @@
 import mongoose from 'mongoose';
 import BaseRepository from './baseRepository.js';
-import WasteLog from '../schema/wasteLogSchema.js';
-import { ValidationError, NotFoundError, InternalError } from '../utils/errors.js';
+import WasteLog, { STORAGE_ESCALATION_TIERS, PICKUP_LOCKED_FIELDS } from '../schema/wasteLogSchema.js';
+import wasteCategoryRepository from './wasteCategoryRepository.js';
+import { COLLECTED_STATUSES } from '../schema/pickupRequestSchema.js';
+import { ValidationError, NotFoundError, ConflictError, InternalError } from '../utils/errors.js';
 import NodeCache from 'node-cache';
 
 // In-memory cache configuration
@@ -10,19 +12,19 @@ const MAX_CACHE_SIZE = 1000;
 
 class WasteLogRepository extends BaseRepository {
   constructor() {
-    super('WasteLog');
+    super(WasteLog, 'WasteLog');
     this.cache = new NodeCache({ stdTTL: 300, maxKeys: 1000 });
     this.validateWasteCategory = this.validateWasteCategory.bind(this);
   }
 
   /**
-   * Validate waste category
+   * Validate waste category against the waste category catalogue
    * @private
    * @param {string} category - The waste category
    * @returns {boolean} Whether category is valid
    */
   validateWasteCategory(category) {
-    return ['sharps', 'biohazard', 'expired_meds', 'others'].includes(category);
+    return wasteCategoryRepository.isActiveCode(category);
   }
 
   /**
@@ -140,19 +142,380 @@ class WasteLogRepository extends BaseRepository {
     await this.cache.del(`clinic:${data.clinicId}:logs`);
     await this.cache.del(`log:${log._id}`);
 
-    return log.populate('clinicId', 'username email');
+    return log.populate('clinicId', 'name email');
   }
 
   /**
-   * Create multiple waste logs
+   * Create multiple waste logs. Imported logs keep the time they were recorded at.
    * @param {Array<Object>} logs - Array of waste log data
    * @returns {Promise<Array>} Created waste logs
    */
   async batchCreate(logs) {
-    return super.batchCreate(logs.map(log => ({
+    const created = await super.batchCreate(logs.map(log => ({
       ...log,
-      loggedAt: new Date()
+      loggedAt: log.loggedAt || new Date()
     })));
+    this.cache.flushAll();
+    return created;
+  }
+
+  /**
+   * Soft delete every waste log created by a bulk import that is not part of a pickup
+   * @param {string} importJobId - The import job ID
+   * @param {Object} user - The user undoing the import
+   * @param {Date} deletedAt - Deletion time, which identifies the batch for restoreByImportJob
+   * @returns {Promise<number>} Number of logs deleted
+   */
+  async softDeleteByImportJob(importJobId, user, deletedAt = new Date()) {
+    const result = await this.updateMany(
+      { importJobId, isDeleted: { $ne: true }, pickupRequestId: null },
+      {
+        $set: { isDeleted: true, deletedAt },
+        $push: { auditTrail: { action: 'deleted', performedBy: user.id, timestamp: deletedAt, changes: { importJobId } } }
+      }
+    );
+    this.cache.flushAll();
+    return result.modifiedCount;
+  }
+
+  /**
+   * Bring back the waste logs a softDeleteByImportJob call deleted
+   * @param {string} importJobId - The import job ID
+   * @param {Object} user - The user undoing the import
+   * @param {Date} deletedAt - The deletion time that call used
+   * @returns {Promise<number>} Number of logs restored
+   */
+  async restoreByImportJob(importJobId, user, deletedAt) {
+    const result = await this.updateMany(
+      { importJobId, isDeleted: true, deletedAt },
+      {
+        $set: { isDeleted: false, deletedAt: null },
+        $push: { auditTrail: { action: 'updated', performedBy: user.id, timestamp: new Date(), changes: { importJobId, restored: true } } }
+      }
+    );
+    this.cache.flushAll();
+    return result.modifiedCount;
+  }
+
+  /**
+   * Waste logs still held in a storage area: not deleted and not yet handed to a
+   * collector (no pickup, or a pickup that is pending, assigned or cancelled)
+   * @param {string} storageAreaId - The storage area ID
+   * @returns {Promise<Array>} Logs with their storage conditions
+   */
+  async findStoredInArea(storageAreaId) {
+    return this.aggregate([
+      { $match: { storageAreaId: new mongoose.Types.ObjectId(storageAreaId), isDeleted: false } },
+      {
+        $lookup: {
+          from: 'pickuprequests',
+          localField: 'pickupRequestId',
+          foreignField: '_id',
+          as: 'pickup'
+        }
+      },
+      {
+        $match: {
+          $or: [
+            { pickup: { $size: 0 } },
+            { 'pickup.status': { $in: ['pending', 'assigned', 'cancelled'] } }
+          ]
+        }
+      },
+      { $project: { _id: 1, category: 1, storageConditions: 1 } }
+    ]);
+  }
+
+  /**
+   * Waste a clinic has logged but not yet put on a pickup request, per category
+   * @param {string} clinicId - The clinic ID
+   * @returns {Promise<Array>} [{ _id: category, totalVolumeKg, logCount, oldestLoggedAt }]
+   */
+  async getPendingAccumulation(clinicId) {
+    return this.aggregate([
+      {
+        $match: {
+          clinicId: new mongoose.Types.ObjectId(clinicId),
+          isDeleted: false,
+          pickupRequestId: null
+        }
+      },
+      {
+        $group: {
+          _id: '$category',
+          totalVolumeKg: { $sum: '$volumeKg' },
+          logCount: { $sum: 1 },
+          oldestLoggedAt: { $min: '$loggedAt' }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * A clinic's waste logs of one category not yet on a pickup request, oldest first
+   * @param {string} clinicId - The clinic ID
+   * @param {string} category - Waste category code
+   * @returns {Promise<Array>} Logs with their volume and logging time
+   */
+  async findPendingByCategory(clinicId, category) {
+    return WasteLog.find({ clinicId, category, pickupRequestId: null, isDeleted: { $ne: true } })
+      .sort({ loggedAt: 1 })
+      .select('_id volumeKg loggedAt')
+      .lean();
+  }
+
+  /**
+   * A clinic's waste logs from a list of IDs, for putting on a pickup request
+   * @param {string} clinicId - The clinic ID
+   * @param {Array<string>} logIds - Waste log IDs
+   * @returns {Promise<Array>} Logs found, with their category, volume and pickup
+   */
+  async findForPickup(clinicId, logIds) {
+    return WasteLog.find({ _id: { $in: logIds }, clinicId, isDeleted: { $ne: true } })
+      .select('_id category volumeKg loggedAt pickupRequestId')
+      .lean();
+  }
+
+  /**
+   * Put waste logs on a pickup request. Logs already on another request are left alone.
+   * @param {Array<string>} logIds - Waste log IDs
+   * @param {string} pickupRequestId - The pickup request ID
+   * @returns {Promise<number>} Number of logs attached
+   */
+  async attachToPickup(logIds, pickupRequestId) {
+    const result = await this.updateMany(
+      { _id: { $in: logIds }, pickupRequestId: null, isDeleted: { $ne: true } },
+      { $set: { pickupRequestId } }
+    );
+    this.cache.flushAll();
+    return result.modifiedCount;
+  }
+
+  /**
+   * Take waste logs off a pickup request, for instance when it is cancelled, so
+   * they can be put on another one
+   * @param {string} pickupRequestId - The pickup request ID
+   * @returns {Promise<number>} Number of logs released
+   */
+  async releaseFromPickup(pickupRequestId) {
+    const result = await this.updateMany({ pickupRequestId }, { $set: { pickupRequestId: null } });
+    this.cache.flushAll();
+    return result.modifiedCount;
+  }
+
+  /**
+   * Waste logs on a pickup request, oldest first
+   * @param {string} pickupRequestId - The pickup request ID
+   * @returns {Promise<Array>} Logs with their category, volume and logging time
+   */
+  async findByPickup(pickupRequestId) {
+    return WasteLog.find({ pickupRequestId, isDeleted: { $ne: true } })
+      .select('_id category volumeKg loggedAt')
+      .sort({ loggedAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Waste logs logged since a cutoff, stored longer than their category's maximum
+   * storage time and not yet collected, leaving out logs whose escalation has
+   * already reached a violation. A log counts as collected when its own pickup
+   * was collected or, for a log never linked to a pickup, when the clinic has had
+   * a pickup of that category collected since it was logged.
+   * @param {Date} since - Only logs logged from this time on are considered
+   * @param {Date} now - Time to measure storage against
+   * @returns {Promise<Array>} Logs with maxStorageHours and hoursStored
+   */
+  async findOverStorageLimit(since, now = new Date()) {
+    return this.aggregate([
+      {
+        $match: {
+          isDeleted: false,
+          loggedAt: { $gte: since },
+          'storageEscalation.tier': { $ne: 'violation' }
+        }
+      },
+      {
+        $lookup: {
+          from: wasteCategoryRepository.model.collection.name,
+          localField: 'category',
+          foreignField: 'code',
+          as: 'catalogueEntry'
+        }
+      },
+      {
+        $set: {
+          maxStorageHours: { $arrayElemAt: ['$catalogueEntry.maxStorageHours', 0] },
+          hoursStored: { $divide: [{ $subtract: [now, '$loggedAt'] }, 60 * 60 * 1000] }
+        }
+      },
+      { $match: { maxStorageHours: { $gt: 0 }, $expr: { $gt: ['$hoursStored', '$maxStorageHours'] } } },
+      {
+        $lookup: {
+          from: 'pickuprequests',
+          localField: 'pickupRequestId',
+          foreignField: '_id',
+          as: 'pickup'
+        }
+      },
+      {
+        $match: {
+          $or: [
+            { pickup: { $size: 0 } },
+            { 'pickup.status': { $in: ['pending', 'assigned', 'cancelled'] } }
+          ]
+        }
+      },
+      {
+        $lookup: {
+          from: 'pickuprequests',
+          let: { clinicId: '$clinicId', category: '$category', loggedAt: '$loggedAt' },
+          pipeline: [
+            {
+              $match: {
+                isDeleted: { $ne: true },
+                status: { $in: COLLECTED_STATUSES },
+                $expr: {
+                  $and: [
+                    { $eq: ['$clinicId', '$$clinicId'] },
+                    { $eq: ['$wasteType', '$$category'] },
+                    { $gte: ['$collectedAt', '$$loggedAt'] }
+                  ]
+                }
+              }
+            },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'laterCollection'
+        }
+      },
+      { $match: { $or: [{ pickupRequestId: { $ne: null } }, { laterCollection: { $size: 0 } }] } },
+      {
+        $project: {
+          clinicId: 1,
+          category: 1,
+          volumeKg: 1,
+          loggedAt: 1,
+          pickupRequestId: 1,
+          storageEscalation: 1,
+          maxStorageHours: 1,
+          hoursStored: 1
+        }
+      },
+      { $sort: { clinicId: 1, loggedAt: 1 } }
+    ]);
+  }
+
+  /**
+   * Move a log's storage escalation up to a tier, provided it has not already
+   * reached it. Only the caller that makes the change acts on the new tier.
+   * @param {string} id - The waste log ID
+   * @param {string} tier - Tier to move to
+   * @param {Object} set - Further storageEscalation fields to set
+   * @returns {Promise<boolean>} Whether the log was moved
+   */
+  async advanceStorageEscalation(id, tier, set = {}) {
+    const lowerTiers = STORAGE_ESCALATION_TIERS.slice(0, STORAGE_ESCALATION_TIERS.indexOf(tier));
+    const update = Object.fromEntries(
+      Object.entries({ ...set, tier }).map(([field, value]) => [`storageEscalation.${field}`, value])
+    );
+
+    const result = await WasteLog.updateOne(
+      { _id: id, 'storageEscalation.tier': { $in: [null, ...lowerTiers] } },
+      { $set: update }
+    );
+    this.cache.del(`wastelog:${id}`);
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Get a waste log with its revision history and the people behind each revision
+   * @param {string} id - The waste log ID
+   * @returns {Promise<Object>} Waste log
+   */
+  async findWithHistory(id) {
+    const log = await WasteLog.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate([
+        { path: 'clinicId', select: 'name email' },
+        { path: 'revisions.proposedBy', select: 'username email' },
+        { path: 'revisions.approvedBy', select: 'username email' }
+      ]);
+    if (!log) throw new NotFoundError('Waste log not found');
+    return log;
+  }
+
+  /**
+   * Check that a correction would leave a waste log valid, without saving it
+   * @param {string} id - The waste log ID
+   * @param {Object} changes - Field → new value
+   * @returns {Promise<Object>} Current values of the changed fields
+   */
+  async checkCorrection(id, changes) {
+    const log = await WasteLog.findOne({ _id: id, isDeleted: { $ne: true } });
+    if (!log) throw new NotFoundError('Waste log not found');
+
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, log.toObject()[field] ?? null]));
+    log.set(changes);
+    try {
+      await log.validate();
+    } catch (error) {
+      if (error.name === 'ValidationError') throw new ValidationError(error.message);
+      throw error;
+    }
+    return previous;
+  }
+
+  /**
+   * Apply an approved amendment as a new revision of the log. The values it
+   * replaces are kept in the revision history; a void amendment deletes the log.
+   * @param {string} id - The waste log ID
+   * @param {Object} amendment - The approved amendment
+   * @param {Object} approver - The approving user
+   * @returns {Promise<Object>} Amended waste log
+   */
+  async applyAmendment(id, amendment, approver) {
+    const log = await WasteLog.findOne({ _id: id, isDeleted: { $ne: true } });
+    if (!log) throw new NotFoundError('Waste log not found');
+
+    const changes = amendment.action === 'void' ? {} : amendment.changes;
+    if (log.pickupRequestId && (amendment.action === 'void' || PICKUP_LOCKED_FIELDS.some(field => field in changes))) {
+      throw new ConflictError(`Waste log is on pickup request #${log.pickupRequestId}; it cannot be voided and its ${PICKUP_LOCKED_FIELDS.join(' and ')} cannot change`);
+    }
+    const current = log.toObject();
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, current[field] ?? null]));
+
+    if (amendment.action === 'void') {
+      log.set({ isDeleted: true, deletedAt: new Date() });
+    } else {
+      log.set(changes);
+    }
+    log.revision = (log.revision || 1) + 1;
+    log.revisions.push({
+      revision: log.revision,
+      amendmentId: amendment._id,
+      action: amendment.action,
+      changes,
+      previous,
+      reason: amendment.reason,
+      proposedBy: amendment.proposedBy?._id || amendment.proposedBy,
+      approvedBy: approver._id,
+      approvedAt: new Date()
+    });
+    log.addAuditTrail(amendment.action === 'void' ? 'deleted' : 'updated', approver, {
+      amendmentId: amendment._id,
+      revision: log.revision,
+      ...Object.fromEntries(Object.keys(changes).map(field => [field, { old: previous[field], new: changes[field] }]))
+    });
+
+    try {
+      await log.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') throw new ValidationError(error.message);
+      throw error;
+    }
+
+    this.cache.flushAll();
+    return log;
   }
 
   /**
@@ -179,7 +542,7 @@ class WasteLogRepository extends BaseRepository {
 
     return this.findWithPagination(query, {
       sort: options.sort || { loggedAt: -1 },
-      populate: [{ path: 'clinicId', select: 'username email' }],
+      populate: [{ path: 'clinicId', select: 'name email' }],
       page: options.page,
       limit: options.limit
     });
@@ -197,7 +560,7 @@ class WasteLogRepository extends BaseRepository {
 
     const log = await super.findOne(
       { _id: id, isDeleted: { $ne: true } },
-      { populate: [{ path: 'clinicId', select: 'username email' }] }
+      { populate: [{ path: 'clinicId', select: 'name email' }] }
     );
 
     if (!log) throw new NotFoundError('Waste log not found');
@@ -226,6 +589,9 @@ class WasteLogRepository extends BaseRepository {
     if (new Date(log.loggedAt).getTime() <= oneDayAgo) {
       throw new ValidationError('Cannot update logs older than 24 hours');
     }
+    if (log.pickupRequestId) {
+      throw new ConflictError(`Waste log is on pickup request #${log.pickupRequestId} and can no longer be changed`);
+    }
 
     if (data.storageConditions) {
       this.validateStorageConditions(data.storageConditions);
@@ -253,7 +619,7 @@ class WasteLogRepository extends BaseRepository {
     this.cache.del(`wastelog:${id}`);
     await this.cache.del(`clinic:${log.clinicId}:logs`);
     await this.cache.del(`log:${id}`);
-    return updated.populate('clinicId', 'username email');
+    return updated.populate('clinicId', 'name email');
   }
 
   /**
@@ -268,6 +634,9 @@ class WasteLogRepository extends BaseRepository {
     if (new Date(log.loggedAt).getTime() <= oneDayAgo) {
       throw new ValidationError('Cannot delete logs older than 24 hours');
     }
+    if (log.pickupRequestId) {
+      throw new ConflictError(`Waste log is on pickup request #${log.pickupRequestId} and can no longer be deleted`);
+    }
 
     if (!log.isDeletable()) {
       throw new ValidationError('Waste log is no longer deletable');
@@ -311,7 +680,8 @@ class WasteLogRepository extends BaseRepository {
             count: { $sum: 1 },
             totalVolume: { $sum: '$volumeKg' }
           }
-        }
+        },
+        ...wasteCategoryRepository.catalogueLookupStages('_id')
       ]),
 
       // Volume distribution
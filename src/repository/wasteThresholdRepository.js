@@ -0,0 +1,114 @@
+import BaseRepository from './baseRepository.js';
+import WasteThreshold from '../schema/wasteThresholdSchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+class WasteThresholdRepository extends BaseRepository {
+  constructor() {
+    super(WasteThreshold, 'WasteThreshold');
+  }
+
+  /**
+   * Find a clinic's threshold for a category
+   * @param {string} clinicId - The clinic ID
+   * @param {string} category - Waste category code
+   * @returns {Promise<Object>} Threshold document
+   */
+  async findThreshold(clinicId, category) {
+    const threshold = await WasteThreshold.findOne({
+      clinicId,
+      category: String(category).toLowerCase(),
+      isDeleted: { $ne: true }
+    });
+    if (!threshold) throw new NotFoundError('No threshold is set for this waste category');
+    return threshold;
+  }
+
+  /**
+   * List a clinic's thresholds by category
+   * @param {string} clinicId - The clinic ID
+   * @param {Object} options - { activeOnly }
+   * @returns {Promise<Array>} Thresholds
+   */
+  async findByClinic(clinicId, { activeOnly = false } = {}) {
+    const query = { clinicId, isDeleted: { $ne: true } };
+    if (activeOnly) query.isActive = true;
+    return WasteThreshold.find(query).sort({ category: 1 }).lean();
+  }
+
+  /**
+   * Clinics with at least one active threshold
+   * @returns {Promise<Array>} Clinic IDs
+   */
+  async findMonitoredClinics() {
+    return WasteThreshold.distinct('clinicId', { isActive: true, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * Create or replace a clinic's threshold for a category. A previously removed
+   * threshold for the category is brought back rather than duplicated.
+   * @param {string} clinicId - The clinic ID
+   * @param {string} category - Waste category code
+   * @param {Object} data - { maxVolumeKg, maxStorageHours, isActive }
+   * @param {Object} user - The user setting the threshold
+   * @returns {Promise<Object>} Saved threshold
+   */
+  async upsertThreshold(clinicId, category, data, user) {
+    try {
+      const code = String(category).toLowerCase();
+      let threshold = await WasteThreshold.findOne({ clinicId, category: code });
+      const isNew = !threshold;
+      if (isNew) {
+        threshold = new WasteThreshold({ clinicId, category: code });
+      } else if (threshold.isDeleted) {
+        threshold.set({ isDeleted: false, deletedAt: null });
+      }
+
+      // Changing the limits re-arms the threshold so it is evaluated afresh
+      threshold.set({ ...data, exceededAt: undefined });
+      threshold.addAuditTrail(isNew ? 'created' : 'updated', user, data);
+      return await threshold.save();
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('A threshold for this category was set at the same time; try again');
+      if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a threshold as exceeded, unless it already is. Only the caller that
+   * makes the change acts on the crossing.
+   * @param {string} id - The threshold ID
+   * @returns {Promise<Object|null>} Updated threshold, or null when it was already exceeded
+   */
+  async markExceeded(id) {
+    return WasteThreshold.findOneAndUpdate(
+      { _id: id, exceededAt: null, isActive: true, isDeleted: { $ne: true } },
+      { $set: { exceededAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Re-arm a threshold once the accumulated waste is back under it
+   * @param {string} id - The threshold ID
+   */
+  async clearExceeded(id) {
+    await WasteThreshold.updateOne({ _id: id, exceededAt: { $ne: null } }, { $unset: { exceededAt: 1 } });
+  }
+
+  /**
+   * Record what a threshold crossing found and did
+   * @param {string} id - The threshold ID
+   * @param {Object} trigger - { reasons, totalVolumeKg, oldestAgeHours, logCount, pickupRequestId }
+   */
+  async recordTrigger(id, trigger) {
+    await WasteThreshold.updateOne(
+      { _id: id },
+      { $set: { lastTriggeredAt: new Date(), lastTrigger: trigger } }
+    );
+  }
+}
+
+export default new WasteThresholdRepository();
@@ -0,0 +1,97 @@
+import BaseRepository from './baseRepository.js';
+import WeightDiscrepancy from '../schema/weightDiscrepancySchema.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const DETAIL_POPULATE = [
+  { path: 'clinicId', select: 'name' },
+  { path: 'collectorId', select: 'username email' },
+  { path: 'resolvedBy', select: 'username email' }
+];
+
+class WeightDiscrepancyRepository extends BaseRepository {
+  constructor() {
+    super(WeightDiscrepancy, 'WeightDiscrepancy');
+  }
+
+  /**
+   * Find a discrepancy
+   * @param {string} id - The discrepancy ID
+   * @returns {Promise<Object>} Discrepancy document
+   */
+  async findDiscrepancy(id) {
+    const discrepancy = await WeightDiscrepancy.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate(DETAIL_POPULATE);
+    if (!discrepancy) throw new NotFoundError('Weight discrepancy not found');
+    return discrepancy;
+  }
+
+  /**
+   * List discrepancies, oldest first so reviewers work through them in order
+   * @param {Object} filters - Query filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated discrepancies
+   */
+  async findDiscrepancies(filters = {}, { page = 1, limit = 20 } = {}) {
+    return this.findWithPagination(
+      { ...filters, isDeleted: { $ne: true } },
+      { page, limit, sort: { createdAt: 1 }, populate: DETAIL_POPULATE }
+    );
+  }
+
+  /**
+   * Queue the discrepancy for a pickup. A pickup only ever has one; opening it
+   * again returns the existing record.
+   * @param {Object} data - Discrepancy data
+   * @returns {Promise<Object>} Discrepancy document
+   */
+  async openDiscrepancy(data) {
+    try {
+      return await WeightDiscrepancy.create(data);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return WeightDiscrepancy.findOne({ pickupRequestId: data.pickupRequestId });
+    }
+  }
+
+  /**
+   * Record one party's explanation of an open discrepancy, replacing any earlier one
+   * @param {string} id - The discrepancy ID
+   * @param {string} party - 'clinic' or 'collector'
+   * @param {Object} explanation - { text, submittedBy }
+   * @returns {Promise<Object>} Updated discrepancy
+   */
+  async recordExplanation(id, party, explanation) {
+    try {
+      const discrepancy = await WeightDiscrepancy.findOneAndUpdate(
+        { _id: id, status: 'open', isDeleted: { $ne: true } },
+        { $set: { [`explanations.${party}`]: { ...explanation, submittedAt: new Date() } } },
+        { new: true, runValidators: true }
+      ).populate(DETAIL_POPULATE);
+      if (!discrepancy) throw new ConflictError('Weight discrepancy is no longer open');
+      return discrepancy;
+    } catch (error) {
+      if (error.name === 'ValidationError' && !(error instanceof ValidationError)) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an open discrepancy. Fails when another reviewer got there first.
+   * @param {string} id - The discrepancy ID
+   * @param {Object} set - { resolutionNote, resolvedBy }
+   * @returns {Promise<Object>} Resolved discrepancy
+   */
+  async resolve(id, set) {
+    const discrepancy = await WeightDiscrepancy.findOneAndUpdate(
+      { _id: id, status: 'open', isDeleted: { $ne: true } },
+      { $set: { ...set, status: 'resolved', resolvedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).populate(DETAIL_POPULATE);
+    if (!discrepancy) throw new ConflictError('Weight discrepancy is no longer open');
+    return discrepancy;
+  }
+}
+
+export default new WeightDiscrepancyRepository();
@@ -0,0 +1,49 @@
+import express from 'express';
+import { authenticate, authorize, forbidImpersonation } from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleCreateApiKey,
+  handleListApiKeys,
+  handleRotateApiKey,
+  handleRevokeApiKey
+} from '../../controllers/apiKeyController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// Credentials must not be issued or changed while an administrator impersonates the owner
+router.use(forbidImpersonation());
+
+// List API keys of the current organisation
+router.get(
+  '/',
+  authorize('apikey:manage'),
+  handleListApiKeys
+);
+
+// Create an API key (the key is returned once)
+router.post(
+  '/',
+  writeOperationsLimiter,
+  authorize('apikey:manage'),
+  handleCreateApiKey
+);
+
+// Rotate an API key's secret
+router.post(
+  '/:id/rotate',
+  writeOperationsLimiter,
+  authorize('apikey:manage', { ownership: 'apikey' }),
+  handleRotateApiKey
+);
+
+// Revoke an API key
+router.delete(
+  '/:id',
+  writeOperationsLimiter,
+  authorize('apikey:manage', { ownership: 'apikey' }),
+  handleRevokeApiKey
+);
+
+export default router;
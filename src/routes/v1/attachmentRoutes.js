@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail
+} from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import { attachmentUpload } from '../../middlewares/upload.js';
+import {
+  handleUploadAttachment,
+  handleListAttachments,
+  handleGetAttachment,
+  handleDeleteAttachment,
+  handleDownloadFile
+} from '../../controllers/attachmentController.js';
+
+const router = express.Router();
+
+// Signed, time-limited download links for locally stored files; the signature is the credential
+router.get('/files/:key', handleDownloadFile);
+
+router.use(authenticate());
+
+// Upload a photo or PDF (multipart field "file") for a waste log, pickup or verification document
+router.post(
+  '/',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('attachment:create'),
+  attachmentUpload('file'),
+  handleUploadAttachment
+);
+
+// Attachments of a record (?targetType=wastelog|pickup|verification_document&targetId=)
+router.get('/', authorize('attachment:read'), handleListAttachments);
+
+router.get('/:id', authorize('attachment:read'), handleGetAttachment);
+
+router.delete('/:id', writeOperationsLimiter, authorize('attachment:delete'), handleDeleteAttachment);
+
+export default router;
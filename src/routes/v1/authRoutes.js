@@ -6,31 +6,113 @@ import {
   handleResendVerification,
   handleLogout,
   handleRefreshToken,
+  handleListSessions,
+  handleRevokeSession,
+  handleRevokeOtherSessions,
+  handleListUserSessions,
+  handleForceLogout,
+  handleStartImpersonation,
+  handleStopImpersonation,
+  handleTwoFactorLogin,
+  handleTwoFactorSetup,
+  handleTwoFactorEnable,
+  handleTwoFactorDisable,
+  handleRegenerateRecoveryCodes,
+  handleStepUp,
+  handleGetPermissions,
   handleOAuthLogin,
   handleOAuthCallback
 } from '../../controllers/authController.js';
+import { handleRegister, handleLogin } from '../../controllers/userController.js';
 
-import { authMiddleware } from '../../middlewares/auth.js';
+import {
+  authenticate,
+  authorize,
+  optionalAuth,
+  requireStepUp,
+  forbidImpersonation
+} from '../../middlewares/authMiddlewares.js';
+import { accountRecoveryLimiter, writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
+//
+// 🔑 Registration & Login
+//
+router.post('/register', handleRegister);
+router.post('/login', handleLogin);
+
 //
 // 🔐 Password Reset Flow
 //
-router.post('/forgot-password', handleForgotPassword);
-router.post('/reset-password', handleResetPassword);
+router.post('/forgot-password', accountRecoveryLimiter, handleForgotPassword);
+router.post('/reset-password', accountRecoveryLimiter, handleResetPassword);
 
 //
 // ✉️ Email Verification
 //
 router.post('/verify-email', handleVerifyEmail);
-router.post('/resend-verification', handleResendVerification);
+router.post('/resend-verification', accountRecoveryLimiter, handleResendVerification);
 
 //
 // 🔁 Session Management
 //
-router.post('/logout', authMiddleware, handleLogout);
+router.post('/logout', optionalAuth(), handleLogout);
 router.post('/refresh-token', handleRefreshToken);
+router.get('/sessions', authenticate(), authorize('session:manage'), handleListSessions);
+router.delete(
+  '/sessions',
+  writeOperationsLimiter,
+  authenticate(),
+  forbidImpersonation(),
+  authorize('session:manage'),
+  handleRevokeOtherSessions
+);
+router.delete(
+  '/sessions/:id',
+  writeOperationsLimiter,
+  authenticate(),
+  authorize('session:manage', { ownership: 'session' }),
+  handleRevokeSession
+);
+
+// Admin: inspect a user's devices or sign them out everywhere
+router.get('/users/:userId/sessions', authenticate(), authorize('session:manage:any'), handleListUserSessions);
+router.post(
+  '/users/:userId/force-logout',
+  writeOperationsLimiter,
+  authenticate(),
+  authorize('session:manage:any'),
+  handleForceLogout
+);
+
+//
+// 🕵️ Impersonation (support "log in as")
+//
+router.post('/impersonate/stop', authenticate(), handleStopImpersonation);
+router.post(
+  '/impersonate/:userId',
+  writeOperationsLimiter,
+  authenticate(),
+  authorize('user:impersonate'),
+  requireStepUp(),
+  handleStartImpersonation
+);
+
+//
+// 🛡️ Two-Factor Authentication
+//
+router.post('/2fa/login', accountRecoveryLimiter, handleTwoFactorLogin);
+router.post('/2fa/setup', optionalAuth(), forbidImpersonation(), handleTwoFactorSetup);
+router.post('/2fa/enable', accountRecoveryLimiter, optionalAuth(), forbidImpersonation(), handleTwoFactorEnable);
+router.post('/2fa/disable', authenticate(), forbidImpersonation(), handleTwoFactorDisable);
+router.post('/2fa/recovery-codes', authenticate(), forbidImpersonation(), handleRegenerateRecoveryCodes);
+router.post('/2fa/step-up', accountRecoveryLimiter, authenticate(), handleStepUp);
+
+//
+// 🧾 Authorization
+//
+router.get('/permissions', authenticate(), handleGetPermissions);
 
 //
 // 🌐 OAuth Routes
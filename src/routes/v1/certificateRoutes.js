@@ -0,0 +1,37 @@
+import express from 'express';
+import { authenticate, authorize } from '../../middlewares/authMiddlewares.js';
+import { apiLimiter, writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleListCertificates,
+  handleGetCertificate,
+  handleDownloadCertificate,
+  handleIssueCertificate,
+  handleVerifyCertificate,
+  handleGetSigningKey
+} from '../../controllers/certificateController.js';
+
+const router = express.Router();
+
+// Public: inspectors check a printed certificate (?number&checksum) without an account
+router.get('/verify', apiLimiter, handleVerifyCertificate);
+
+// Public: the key certificates are signed with (?keyId for a retired key), for checking them offline
+router.get('/public-key', apiLimiter, handleGetSigningKey);
+
+router.use(authenticate());
+
+// Certificates of destruction (?clinicId&collectorId&facilityId&from&to&page&limit; others see their own)
+router.get('/', authorize('certificate:read'), handleListCertificates);
+
+router.get('/:id', authorize('certificate:read', { ownership: 'certificate' }), handleGetCertificate);
+
+router.get('/:id/pdf', authorize('certificate:read', { ownership: 'certificate' }), handleDownloadCertificate);
+
+router.post(
+  '/pickup/:pickupId',
+  writeOperationsLimiter,
+  authorize('certificate:issue'),
+  handleIssueCertificate
+);
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail,
+  forbidImpersonation
+} from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleGetMyClinic,
+  handleCreateClinic,
+  handleGetClinic,
+  handleUpdateClinic,
+  handleListInvitations,
+  handleInviteMember,
+  handleRevokeInvitation,
+  handleAcceptInvitation,
+  handleChangeMemberRole,
+  handleRemoveMember,
+  handleTransferOwnership
+} from '../../controllers/clinicController.js';
+import {
+  handleListThresholds,
+  handleSetThreshold,
+  handleRemoveThreshold
+} from '../../controllers/wasteThresholdController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// The clinic of the signed-in account, with its staff
+router.get('/me', authorize('clinic:read'), handleGetMyClinic);
+
+// Set up a clinic (accounts that do not belong to one yet)
+router.post(
+  '/',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('clinic:create'),
+  handleCreateClinic
+);
+
+// Join a clinic with an emailed invitation token; the account email must match the invitation
+router.post('/invitations/accept', writeOperationsLimiter, handleAcceptInvitation);
+
+router.get('/:id', authorize('clinic:read', { ownership: 'clinic' }), handleGetClinic);
+
+router.patch(
+  '/:id',
+  writeOperationsLimiter,
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleUpdateClinic
+);
+
+// Invitations
+router.get(
+  '/:id/invitations',
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleListInvitations
+);
+
+router.post(
+  '/:id/invitations',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleInviteMember
+);
+
+router.delete(
+  '/:id/invitations/:invitationId',
+  writeOperationsLimiter,
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleRevokeInvitation
+);
+
+// Staff
+router.patch(
+  '/:id/members/:userId',
+  writeOperationsLimiter,
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleChangeMemberRole
+);
+
+router.delete(
+  '/:id/members/:userId',
+  writeOperationsLimiter,
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleRemoveMember
+);
+
+// Waste accumulation thresholds, per waste category
+router.get(
+  '/:id/waste-thresholds',
+  authorize('clinic:read', { ownership: 'clinic' }),
+  handleListThresholds
+);
+
+router.put(
+  '/:id/waste-thresholds/:category',
+  writeOperationsLimiter,
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleSetThreshold
+);
+
+router.delete(
+  '/:id/waste-thresholds/:category',
+  writeOperationsLimiter,
+  authorize('clinic:manage', { ownership: 'clinic' }),
+  handleRemoveThreshold
+);
+
+// Hand the clinic to another member (owner only)
+router.post(
+  '/:id/transfer-ownership',
+  writeOperationsLimiter,
+  forbidImpersonation(),
+  authorize('clinic:transfer', { ownership: 'clinic' }),
+  handleTransferOwnership
+);
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import { authenticate, authorize } from '../../middlewares/authMiddlewares.js';
+import { analyticsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleListViolations,
+  handleGetViolationSummary,
+  handleGetViolation,
+  handleGetComplianceReport
+} from '../../controllers/complianceController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// Violations recorded for waste kept past its maximum storage time
+// (?clinicId&category&startDate&endDate&page&limit; clinic staff see their own clinic's)
+router.get('/violations', authorize('compliance:read'), handleListViolations);
+
+router.get(
+  '/violations/summary',
+  analyticsLimiter,
+  authorize('compliance:read'),
+  handleGetViolationSummary
+);
+
+// Storage-time compliance report: the summary and every violation in the period
+// (?clinicId&category&startDate&endDate&format=json|csv)
+router.get(
+  '/report',
+  analyticsLimiter,
+  authorize('compliance:read'),
+  handleGetComplianceReport
+);
+
+router.get(
+  '/violations/:id',
+  authorize('compliance:read', { ownership: 'storageviolation' }),
+  handleGetViolation
+);
+
+export default router;
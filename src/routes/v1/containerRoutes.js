@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail
+} from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleRegisterContainers,
+  handleListContainers,
+  handleGetLabels,
+  handleGetContainerHistory,
+  handleRecordScan
+} from '../../controllers/containerController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// Register labelled containers for a waste log
+router.post(
+  '/',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('container:register', {
+    ownership: { resource: 'wastelog', ids: req => [req.body.wasteLogId] }
+  }),
+  handleRegisterContainers
+);
+
+router.get('/', authorize('container:read'), handleListContainers);
+
+// Printable label sheet for a waste log's containers (?format=pdf|svg&symbology=qrcode|code128)
+router.get(
+  '/labels',
+  authorize('container:read', {
+    ownership: { resource: 'wastelog', ids: req => [req.query.wasteLogId] }
+  }),
+  handleGetLabels
+);
+
+// Full history of a container, looked up by the code on its label
+router.get('/:code', authorize('container:read'), handleGetContainerHistory);
+
+// Scan at segregation, pickup or treatment
+router.post(
+  '/:code/scans',
+  writeOperationsLimiter,
+  authorize('container:scan'),
+  handleRecordScan
+);
+
+export default router;
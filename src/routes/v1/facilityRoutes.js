@@ -0,0 +1,68 @@
+import express from 'express';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail
+} from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleCreateFacility,
+  handleListFacilities,
+  handleGetMyFacility,
+  handleGetFacility,
+  handleUpdateFacility,
+  handleListFacilityPickups,
+  handleRecordIntake,
+  handleCompleteTreatment
+} from '../../controllers/treatmentFacilityController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+router.post(
+  '/',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('facility:create'),
+  handleCreateFacility
+);
+
+// Where a collected pickup can go (?category&method&openNow&includeInactive&page&limit)
+router.get('/', authorize('facility:read'), handleListFacilities);
+
+// The facility the signed-in recycler runs
+router.get('/me', authorize('facility:read'), handleGetMyFacility);
+
+router.get('/:id', authorize('facility:read'), handleGetFacility);
+
+router.patch(
+  '/:id',
+  writeOperationsLimiter,
+  authorize('facility:manage', { ownership: 'facility' }),
+  handleUpdateFacility
+);
+
+// Pickups delivered to the facility (?status=delivered|treated&page&limit)
+router.get(
+  '/:id/intake',
+  authorize('facility:intake', { ownership: 'facility' }),
+  handleListFacilityPickups
+);
+
+// Weigh a delivered pickup in and record the treatment method
+router.post(
+  '/:id/intake/:pickupId',
+  writeOperationsLimiter,
+  authorize('facility:intake', { ownership: 'facility' }),
+  handleRecordIntake
+);
+
+router.post(
+  '/:id/intake/:pickupId/complete',
+  writeOperationsLimiter,
+  authorize('facility:intake', { ownership: 'facility' }),
+  handleCompleteTreatment
+);
+
+export default router;
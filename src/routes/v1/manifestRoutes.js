@@ -0,0 +1,48 @@
+import express from 'express';
+import { authenticate, authorize } from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleListManifests,
+  handleOpenManifest,
+  handleGetManifestByNumber,
+  handleGetManifest,
+  handleReleaseCustody,
+  handleReceiveCustody
+} from '../../controllers/manifestController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// List manifests; ?hasDiscrepancy=true lists flagged ones
+router.get('/', authorize('manifest:read'), handleListManifests);
+
+// Open the manifest of an assigned pickup (normally done on assignment)
+router.post(
+  '/',
+  writeOperationsLimiter,
+  authorize('pickup:assign'),
+  handleOpenManifest
+);
+
+router.get('/number/:manifestNumber', authorize('manifest:read'), handleGetManifestByNumber);
+
+router.get('/:id', authorize('manifest:read', { ownership: 'manifest' }), handleGetManifest);
+
+// Handovers: the releasing party opens a leg, the receiving party closes it.
+// Who may sign each step is checked against the manifest's parties.
+router.post(
+  '/:id/release',
+  writeOperationsLimiter,
+  authorize('manifest:handover'),
+  handleReleaseCustody
+);
+
+router.post(
+  '/:id/receive',
+  writeOperationsLimiter,
+  authorize('manifest:handover'),
+  handleReceiveCustody
+);
+
+export default router;
@@ -10,11 +10,36 @@ import {
   handleUpdatePickup,
   cancelPickupRequest,
   handleAssignCollector,
+  handleBulkAssignCollector,
   handleDeletePickupRequest,
   handleBulkUpdateStatus
 } from '../../controllers/pickupController.js';
+import {
+  handleListDiscrepancies,
+  handleGetDiscrepancy,
+  handleExplainDiscrepancy,
+  handleResolveDiscrepancy
+} from '../../controllers/weightDiscrepancyController.js';
+import { handleDeliverPickup } from '../../controllers/treatmentFacilityController.js';
+import {
+  handleGetAssignmentCandidates,
+  handleAutoAssignPickup,
+  handleRunDispatch,
+  handleUpdateDispatchProfile
+} from '../../controllers/dispatchController.js';
+import {
+  handlePlanRoute,
+  handleGetRoute,
+  handleInsertUrgentPickup
+} from '../../controllers/routeController.js';
 
-import { authenticate, authorize } from '../../middlewares/auth.js';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail,
+  requireStepUp,
+  forbidImpersonation
+} from '../../middlewares/authMiddlewares.js';
 
 import {
   apiLimiter,
@@ -24,10 +49,14 @@ import {
   emergencyLimiter
 } from '../../middlewares/rateLimiter.js';
 
+import { validateWith } from '../../middlewares/validationMiddleware.js';
 import {
   validatePickupRequest,
   validatePickupRequestUpdate,
+  validateCollectorAssignment,
+  validateCancellation,
   validateBulkStatusUpdate,
+  validateBulkAssignment,
   validateNearbyParams,
   validateAnalyticsParams,
   validateFilterParams
@@ -39,64 +68,154 @@ const router = express.Router();
 router.use(apiLimiter);
 
 // Require authentication for all routes
-router.use(authenticate);
+router.use(authenticate());
 
 //
 // GET ROUTES
 //
 
-// Fetch pickup history (accessible to all roles)
-router.get('/history', validateFilterParams, handleGetPickupHistory);
+// Fetch pickup history (scoped to own pickups unless pickup:read:any)
+router.get('/history', authorize('pickup:read'), validateWith(validateFilterParams, 'query'), handleGetPickupHistory);
 
 // Fetch pickups for logged-in collector
-router.get('/collector', authorize(['collector']), validateFilterParams, handleGetCollectorPickups);
+router.get('/collector', authorize('pickup:collect'), validateWith(validateFilterParams, 'query'), handleGetCollectorPickups);
 
-// Fetch single pickup by ID
-router.get('/:id', handleGetPickupById);
-
-// Fetch all pickups (admin only)
-router.get('/all', analyticsLimiter, authorize(['admin']), validateFilterParams, handleGetAllPickups);
+// Fetch all pickups
+router.get('/all', analyticsLimiter, authorize('pickup:read:any'), validateWith(validateFilterParams, 'query'), handleGetAllPickups);
 
 // Fetch pickup statistics
-router.get('/statistics', analyticsLimiter, validateAnalyticsParams, handleGetPickupStatistics);
+router.get('/statistics', analyticsLimiter, authorize('pickup:statistics'), validateWith(validateAnalyticsParams, 'query'), handleGetPickupStatistics);
 
 // Fetch nearby pickups for collectors
-router.get('/nearby', analyticsLimiter, authorize(['collector']), validateNearbyParams, handleGetNearbyPickups);
+router.get('/nearby', analyticsLimiter, authorize('pickup:collect'), validateWith(validateNearbyParams, 'query'), handleGetNearbyPickups);
+
+// Pickups whose collected weight is outside the tolerance of the declared weight
+// (?status&clinicId&collectorId&page&limit; clinics and collectors see their own)
+router.get('/discrepancies', authorize('discrepancy:read'), handleListDiscrepancies);
+
+router.get(
+  '/discrepancies/:id',
+  authorize('discrepancy:read', { ownership: 'discrepancy' }),
+  handleGetDiscrepancy
+);
+
+// Planned route for a day (?date=YYYY-MM-DD, today by default): the collector's own, or any collector's
+router.get('/route', authorize('pickup:collect'), handleGetRoute);
+router.get('/routes/:collectorId', authorize('pickup:assign'), handleGetRoute);
+
+// Collectors ranked for a pickup by the dispatch engine, with the reasons for each score
+router.get('/:id/candidates', analyticsLimiter, authorize('pickup:assign'), handleGetAssignmentCandidates);
+
+// Fetch single pickup by ID
+router.get('/:id', authorize('pickup:read', { ownership: 'pickup' }), handleGetPickupById);
 
 //
 // POST ROUTES
 //
 
 // Request pickup (regular)
-router.post('/request', writeOperationsLimiter, validatePickupRequest, handleRequestPickup);
+router.post('/request', writeOperationsLimiter, authorize('pickup:create'), requireVerifiedEmail(), validateWith(validatePickupRequest), handleRequestPickup);
 
 // Request emergency pickup
-router.post('/emergency', emergencyLimiter, validatePickupRequest, handleRequestPickup);
+router.post('/emergency', emergencyLimiter, authorize('pickup:create'), requireVerifiedEmail(), validateWith(validatePickupRequest), handleRequestPickup);
 
-// Bulk assign (admin only)
-router.post('/bulk/assign', bulkOperationsLimiter, authorize(['admin']), validateBulkStatusUpdate, handleAssignCollector);
+// The clinic's or the collector's explanation of a weight discrepancy
+router.post(
+  '/discrepancies/:id/explanation',
+  writeOperationsLimiter,
+  authorize('discrepancy:explain', { ownership: 'discrepancy' }),
+  handleExplainDiscrepancy
+);
+
+// Close a weight discrepancy once it has been reviewed
+router.post(
+  '/discrepancies/:id/resolve',
+  writeOperationsLimiter,
+  forbidImpersonation(),
+  authorize('discrepancy:resolve'),
+  handleResolveDiscrepancy
+);
+
+// Plan a day's route over the collector's assigned pickups ({ date, depot, shiftStart, shiftEnd })
+router.post('/route/plan', writeOperationsLimiter, authorize('pickup:collect'), handlePlanRoute);
+router.post('/routes/:collectorId/plan', writeOperationsLimiter, authorize('pickup:assign'), handlePlanRoute);
+
+// Fit an urgent or emergency pickup into today's route
+router.post('/route/urgent/:pickupId', writeOperationsLimiter, authorize('pickup:collect'), handleInsertUrgentPickup);
+router.post(
+  '/routes/:collectorId/urgent/:pickupId',
+  writeOperationsLimiter,
+  authorize('pickup:assign'),
+  handleInsertUrgentPickup
+);
+
+// Assign pending pickups now instead of waiting for the periodic dispatch run
+router.post('/dispatch/run', bulkOperationsLimiter, authorize('pickup:assign'), handleRunDispatch);
+
+// Let the dispatch engine choose the collector for one pickup
+router.post('/:id/auto-assign', writeOperationsLimiter, authorize('pickup:assign'), handleAutoAssignPickup);
+
+// Bulk assign ({ ids, collectorId })
+router.post(
+  '/bulk/assign',
+  bulkOperationsLimiter,
+  authorize('pickup:assign'),
+  requireStepUp(),
+  validateWith(validateBulkAssignment),
+  handleBulkAssignCollector
+);
 
 //
 // PATCH ROUTES
 //
 
+// Bulk status update (collectors only for pickups assigned to them)
+router.patch(
+  '/bulk/status',
+  bulkOperationsLimiter,
+  authorize('pickup:status', { ownership: { resource: 'pickup', ids: req => req.body.ids } }),
+  validateWith(validateBulkStatusUpdate),
+  handleBulkUpdateStatus
+);
+
+// Vehicle capacity and waste category licences the dispatch engine checks collectors against,
+// and the depot and shift their routes are planned from
+router.patch(
+  '/dispatch/collectors/:collectorId',
+  writeOperationsLimiter,
+  authorize('user:manage'),
+  handleUpdateDispatchProfile
+);
+
 // Update pickup request
-router.patch('/:id', writeOperationsLimiter, validatePickupRequestUpdate, handleUpdatePickup);
+router.patch('/:id', writeOperationsLimiter, authorize('pickup:update', { ownership: 'pickup' }), validateWith(validatePickupRequestUpdate), handleUpdatePickup);
 
-// Assign collector to pickup (admin)
-router.patch('/:id/assign', writeOperationsLimiter, authorize(['admin']), validatePickupRequestUpdate, handleAssignCollector);
+// Assign or reassign a collector by hand, overriding the dispatch engine
+router.patch('/:id/assign', writeOperationsLimiter, authorize('pickup:assign'), validateWith(validateCollectorAssignment), handleAssignCollector);
 
-// Cancel pickup request
-router.patch('/:id/cancel', writeOperationsLimiter, validatePickupRequestUpdate, cancelPickupRequest);
+// Hand a collected pickup over to a treatment facility
+router.patch(
+  '/:id/deliver',
+  writeOperationsLimiter,
+  authorize('pickup:deliver', { ownership: 'pickup' }),
+  handleDeliverPickup
+);
 
-// Bulk status update (admin or collector)
-router.patch('/bulk/status', bulkOperationsLimiter, authorize(['admin', 'collector']), validateBulkStatusUpdate, handleBulkUpdateStatus);
+// Cancel pickup request
+router.patch('/:id/cancel', writeOperationsLimiter, authorize('pickup:cancel', { ownership: 'pickup' }), validateWith(validateCancellation), cancelPickupRequest);
 
 //
 // DELETE ROUTES
 //
 
-// Delete pickup (admin only)
-router.delete('/:id', writeOperationsLimiter, authorize(['admin']), handleDeletePickupRequest);
+// Delete pickup
+router.delete(
+  '/:id',
+  writeOperationsLimiter,
+  forbidImpersonation(),
+  authorize('pickup:delete'),
+  requireStepUp(),
+  handleDeletePickupRequest
+);
 
 export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import { authenticate, authorize } from '../../middlewares/authMiddlewares.js';
+import { apiLimiter, writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleGetAvailability,
+  handleUpdateAvailability,
+  handleAddAvailabilityException,
+  handleRemoveAvailabilityException,
+  handleListOpenSlots,
+  handleBookSlot,
+  handleRescheduleSlot,
+  handleReleaseSlot,
+  handleListBookings
+} from '../../controllers/schedulingController.js';
+
+const router = express.Router();
+
+router.use(apiLimiter);
+router.use(authenticate());
+
+// A collector's weekly hours, slot length and exceptions (admins pass ?collectorId or collectorId)
+router.get('/availability', authorize('availability:manage'), handleGetAvailability);
+
+router.put('/availability', writeOperationsLimiter, authorize('availability:manage'), handleUpdateAvailability);
+
+// Holidays, vehicle maintenance and other time off; booked slots in the period are released
+router.post(
+  '/availability/exceptions',
+  writeOperationsLimiter,
+  authorize('availability:manage'),
+  handleAddAvailabilityException
+);
+
+router.delete(
+  '/availability/exceptions/:exceptionId',
+  writeOperationsLimiter,
+  authorize('availability:manage'),
+  handleRemoveAvailabilityException
+);
+
+// Booked slots (?collectorId&clinicId&status&from&to&page&limit; clinics and collectors see their own)
+router.get('/bookings', authorize('booking:read'), handleListBookings);
+
+// Open slots for a pickup (?from&to), within its clinic's opening hours
+router.get('/pickups/:id/slots', authorize('pickup:schedule', { ownership: 'pickup' }), handleListOpenSlots);
+
+// Book a slot ({ collectorId, start }), move it ({ start }) or give it up
+router.post(
+  '/pickups/:id/booking',
+  writeOperationsLimiter,
+  authorize('pickup:schedule', { ownership: 'pickup' }),
+  handleBookSlot
+);
+
+router.patch(
+  '/pickups/:id/booking',
+  writeOperationsLimiter,
+  authorize('pickup:schedule', { ownership: 'pickup' }),
+  handleRescheduleSlot
+);
+
+router.delete(
+  '/pickups/:id/booking',
+  writeOperationsLimiter,
+  authorize('pickup:schedule', { ownership: 'pickup' }),
+  handleReleaseSlot
+);
+
+export default router;
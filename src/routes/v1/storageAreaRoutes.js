@@ -0,0 +1,62 @@
+import express from 'express';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail
+} from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter, analyticsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleCreateStorageArea,
+  handleListStorageAreas,
+  handleGetStorageArea,
+  handleUpdateStorageArea,
+  handleIngestReadings,
+  handleGetReadingSeries,
+  handleListExcursions
+} from '../../controllers/storageAreaController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+router.post(
+  '/',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('storagearea:manage'),
+  handleCreateStorageArea
+);
+
+router.get('/', authorize('storagearea:read'), handleListStorageAreas);
+
+router.get('/:id', authorize('storagearea:read', { ownership: 'storagearea' }), handleGetStorageArea);
+
+router.patch(
+  '/:id',
+  writeOperationsLimiter,
+  authorize('storagearea:manage', { ownership: 'storagearea' }),
+  handleUpdateStorageArea
+);
+
+// Sensor readings, usually sent by a gateway with an API key holding the telemetry:write scope
+router.post(
+  '/:id/readings',
+  authorize('telemetry:ingest', { ownership: 'storagearea' }),
+  handleIngestReadings
+);
+
+// Time series for audits (?from&to&interval=raw|5m|15m|1h|1d)
+router.get(
+  '/:id/readings',
+  analyticsLimiter,
+  authorize('storagearea:read', { ownership: 'storagearea' }),
+  handleGetReadingSeries
+);
+
+router.get(
+  '/:id/excursions',
+  authorize('storagearea:read', { ownership: 'storagearea' }),
+  handleListExcursions
+);
+
+export default router;
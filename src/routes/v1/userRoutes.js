@@ -3,60 +3,57 @@ import {
   handleGetProfile,
   handleUpdateProfile,
   handleChangePassword,
-  handleListUsers,
+  handleGetAllUsers,
+  handleGetUsersByRole,
   handleCreateUser,
   handleUpdateUser,
+  handleUpdateUserStatus,
   handleDeleteUser,
   handleGetPreferences,
   handleUpdatePreferences,
   handleGetNotifications,
   handleMarkNotificationsRead
-} from '../controllers/userController.js';
+} from '../../controllers/userController.js';
 
-import { authMiddleware } from '../middlewares/authMiddlewares.js';
-import { searchLimiter } from '../middlewares/rateLimiter.js';
-import { searchUsers } from '../repositories/userRepository.js';
+import { authenticate, authorize, forbidImpersonation } from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
-//
-// PUBLIC: Search users (rate-limited)
-//
-router.get('/search', searchLimiter, async (req, res) => {
-  try {
-    const query = req.query.q;
-    const users = await searchUsers(query);
-    res.json(users);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
 //
 // PROFILE MANAGEMENT
 //
-router.get('/profile', authMiddleware, handleGetProfile);
-router.put('/profile', authMiddleware, handleUpdateProfile);
-router.put('/password', authMiddleware, handleChangePassword);
+router.get('/profile', authenticate(), authorize('user:read'), handleGetProfile);
+router.put('/profile', authenticate(), authorize('user:update'), handleUpdateProfile);
+router.put(
+  '/password',
+  writeOperationsLimiter,
+  authenticate(),
+  forbidImpersonation(),
+  authorize('user:update'),
+  handleChangePassword
+);
 
 //
-// USER MANAGEMENT (ADMIN ONLY)
+// USER PREFERENCES
 //
-router.get('/users', authMiddleware(['admin']), handleListUsers);
-router.post('/users', authMiddleware(['admin']), handleCreateUser);
-router.put('/users/:id', authMiddleware(['admin']), handleUpdateUser);
-router.delete('/users/:id', authMiddleware(['admin']), handleDeleteUser);
+router.get('/preferences', authenticate(), authorize('user:read'), handleGetPreferences);
+router.put('/preferences', authenticate(), authorize('user:update'), handleUpdatePreferences);
 
 //
-// USER PREFERENCES
+// NOTIFICATIONS
 //
-router.get('/preferences', authMiddleware, handleGetPreferences);
-router.put('/preferences', authMiddleware, handleUpdatePreferences);
+router.get('/notifications', authenticate(), handleGetNotifications);
+router.put('/notifications/read', authenticate(), handleMarkNotificationsRead);
 
 //
-// NOTIFICATIONS
+// USER MANAGEMENT (ADMIN ONLY)
 //
-router.get('/notifications', authMiddleware, handleGetNotifications);
-router.put('/notifications/read', authMiddleware, handleMarkNotificationsRead);
+router.get('/', authenticate(), authorize('user:manage'), handleGetAllUsers);
+router.get('/role/:role', authenticate(), authorize('user:manage'), handleGetUsersByRole);
+router.post('/', writeOperationsLimiter, authenticate(), authorize('user:manage'), handleCreateUser);
+router.put('/:id', authenticate(), authorize('user:manage'), handleUpdateUser);
+router.patch('/:id/status', authenticate(), authorize('user:manage'), handleUpdateUserStatus);
+router.delete('/:id', authenticate(), forbidImpersonation(), authorize('user:manage'), handleDeleteUser);
 
 export default router;
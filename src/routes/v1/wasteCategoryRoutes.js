@@ -0,0 +1,34 @@
+import express from 'express';
+import { authenticate, authorize } from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import {
+  handleListCategories,
+  handleGetCategory,
+  handleCreateCategory,
+  handleUpdateCategory
+} from '../../controllers/wasteCategoryController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// The catalogue is readable by every signed-in account
+router.get('/', handleListCategories);
+router.get('/:code', handleGetCategory);
+
+router.post(
+  '/',
+  writeOperationsLimiter,
+  authorize('wastecategory:manage'),
+  handleCreateCategory
+);
+
+// Also used to retire a category ({ isActive: false }); categories are never deleted
+router.patch(
+  '/:code',
+  writeOperationsLimiter,
+  authorize('wastecategory:manage'),
+  handleUpdateCategory
+);
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail
+} from '../../middlewares/authMiddlewares.js';
+import { bulkOperationsLimiter, writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
+import { spreadsheetUpload } from '../../middlewares/upload.js';
+import {
+  handlePreviewImport,
+  handleListImportJobs,
+  handleGetImportJob,
+  handleGetErrorReport,
+  handleCommitImport,
+  handleUndoImport
+} from '../../controllers/wasteImportController.js';
+
+const router = express.Router();
+
+router.use(authenticate());
+
+// Upload a CSV/XLSX file (multipart field "file") for a dry run; nothing is created yet
+router.post(
+  '/',
+  bulkOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('wastelog:import'),
+  spreadsheetUpload('file'),
+  handlePreviewImport
+);
+
+router.get('/', authorize('wastelog:import'), handleListImportJobs);
+
+router.get('/:id', authorize('wastelog:import', { ownership: 'importjob' }), handleGetImportJob);
+
+// Rows that failed validation, as CSV
+router.get('/:id/errors', authorize('wastelog:import', { ownership: 'importjob' }), handleGetErrorReport);
+
+// Create the waste logs of a dry run
+router.post(
+  '/:id/commit',
+  bulkOperationsLimiter,
+  authorize('wastelog:import', { ownership: 'importjob' }),
+  handleCommitImport
+);
+
+// Delete the waste logs a committed import created
+router.post(
+  '/:id/undo',
+  writeOperationsLimiter,
+  authorize('wastelog:import', { ownership: 'importjob' }),
+  handleUndoImport
+);
+
+export default router;
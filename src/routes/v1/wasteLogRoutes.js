@@ -1,10 +1,11 @@
 import express from 'express';
-import { 
-  authMiddleware, 
-  clinicOnly, 
-  clinicOrCollector, 
-  clinicOrHealth 
+import {
+  authenticate,
+  authorize,
+  requireVerifiedEmail,
+  forbidImpersonation
 } from '../../middlewares/authMiddlewares.js';
+import { writeOperationsLimiter } from '../../middlewares/rateLimiter.js';
 import { validateRequest, validatePagination, sanitizeRequest } from '../../middlewares/validationMiddleware.js';
 import {
   handleCreateWasteLog,
@@ -14,52 +15,117 @@ import {
   handleDeleteWasteLog,
   handleGetWasteStatistics
 } from '../../controllers/wasteLogController.js';
+import {
+  handleProposeAmendment,
+  handleListLogAmendments,
+  handleListAmendments,
+  handleGetAmendment,
+  handleApproveAmendment,
+  handleRejectAmendment,
+  handleWithdrawAmendment
+} from '../../controllers/wasteLogAmendmentController.js';
 
 const router = express.Router();
 
+router.use(authenticate());
+
 // Create waste log
 router.post(
   '/',
-  clinicOnly,
+  authorize('wastelog:create'),
+  requireVerifiedEmail(),
   sanitizeRequest(),
   handleCreateWasteLog
 );
 
-// Get all waste logs with filters
+// Get all waste logs with filters (scoped to own logs unless wastelog:read:any)
 router.get(
   '/',
-  authMiddleware(['clinic', 'collector', 'health']),
+  authorize('wastelog:read'),
   validatePagination(),
   handleGetWasteLogs
 );
 
-// Get waste log by ID
+// Get waste statistics
+router.get(
+  '/statistics',
+  authorize('wastelog:statistics'),
+  handleGetWasteStatistics
+);
+
+// Amendments to logs past the 24-hour edit window, reviewed by health officers
+router.get(
+  '/amendments',
+  authorize('wastelog:read'),
+  validatePagination(),
+  handleListAmendments
+);
+
+router.get(
+  '/amendments/:id',
+  authorize('wastelog:read', { ownership: 'amendment' }),
+  handleGetAmendment
+);
+
+router.post(
+  '/amendments/:id/approve',
+  writeOperationsLimiter,
+  forbidImpersonation(),
+  authorize('wastelog:review'),
+  handleApproveAmendment
+);
+
+router.post(
+  '/amendments/:id/reject',
+  writeOperationsLimiter,
+  forbidImpersonation(),
+  authorize('wastelog:review'),
+  handleRejectAmendment
+);
+
+router.post(
+  '/amendments/:id/withdraw',
+  writeOperationsLimiter,
+  authorize('wastelog:amend', { ownership: 'amendment' }),
+  handleWithdrawAmendment
+);
+
+// Get waste log by ID, with its revision history
 router.get(
   '/:id',
-  authMiddleware(['clinic', 'collector', 'health']),
+  authorize('wastelog:read', { ownership: 'wastelog' }),
   handleGetWasteLogById
 );
 
 // Update waste log
 router.patch(
   '/:id',
-  clinicOnly,
+  authorize('wastelog:update', { ownership: 'wastelog' }),
   sanitizeRequest(),
   handleUpdateWasteLog
 );
 
+// Propose a correction ({ changes, reason }) or withdrawal ({ action: 'void', reason })
+router.post(
+  '/:id/amendments',
+  writeOperationsLimiter,
+  requireVerifiedEmail(),
+  authorize('wastelog:amend', { ownership: 'wastelog' }),
+  sanitizeRequest(),
+  handleProposeAmendment
+);
+
+router.get(
+  '/:id/amendments',
+  authorize('wastelog:read', { ownership: 'wastelog' }),
+  handleListLogAmendments
+);
+
 // Delete waste log
 router.delete(
   '/:id',
-  clinicOnly,
+  authorize('wastelog:delete', { ownership: 'wastelog' }),
   handleDeleteWasteLog
 );
 
-// Get waste statistics
-router.get(
-  '/statistics',
-  clinicOrHealth,
-  handleGetWasteStatistics
-);
-
-export default router; 
\ No newline at end of file
+export default router;
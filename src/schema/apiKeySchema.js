@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+
+// Keys look like "mck_<keyId>_<secret>". The key ID is public and finds the
+// record; only a SHA-256 hash of the secret is stored.
+const apiKeyFields = {
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required for API keys'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxLength: [100, 'API key name cannot exceed 100 characters']
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The secret replaced by the last rotation keeps working until previousSecretExpiresAt
+  previousSecretHash: {
+    type: String,
+    select: false
+  },
+  previousSecretExpiresAt: Date,
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(API_KEY_SCOPES)
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  allowedIps: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'API key expiry is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+};
+
+// Never expose hashes, even when explicitly selected
+const apiKeySchema = createSchema(apiKeyFields, {
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.secretHash;
+      delete ret.previousSecretHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+apiKeySchema.index({ ownerId: 1, revokedAt: 1 });
+
+// Virtuals
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
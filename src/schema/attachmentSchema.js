@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { createSchema, commonSchemas } from './baseSchema.js';
+
+// A stored photo or document and the record it belongs to. The file itself lives
+// in the storage backend under storageKey; it is only ever served through
+// short-lived signed URLs.
+
+// Record types an attachment can belong to, and the model each one refers to
+export const ATTACHMENT_TARGETS = Object.freeze({
+  wastelog: 'WasteLog',
+  pickup: 'PickupRequest',
+  verification_document: 'User'
+});
+
+const attachmentFields = {
+  targetType: {
+    type: String,
+    enum: Object.keys(ATTACHMENT_TARGETS),
+    required: true
+  },
+  // Waste log, pickup request, or the user whose verification document this is
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(ATTACHMENT_TARGETS),
+    required: true
+  },
+  // Entry in the user's verificationStatus.documents, for verification documents
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: function() { return this.targetType === 'verification_document'; }
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    index: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'document'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  caption: {
+    type: String,
+    maxLength: [200, 'Caption cannot exceed 200 characters'],
+    trim: true
+  },
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  thumbnailKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Read from the photo's EXIF data
+  width: Number,
+  height: Number,
+  capturedAt: Date,
+  capturedLocation: {
+    type: new mongoose.Schema(commonSchemas.location, { _id: false }),
+    default: undefined
+  }
+};
+
+const attachmentSchema = createSchema(attachmentFields);
+
+attachmentSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
@@ -8,7 +8,8 @@ const auditLogSchema = new mongoose.Schema({
       'create', 'update', 'delete', 'view', 'login', 'logout',
       'status_change', 'assign', 'complete', 'export', 'import',
       'schedule', 'cancel', 'approve', 'reject', 'verify',
-      'reset_password', 'change_role', 'archive'
+      'reset_password', 'change_role', 'archive',
+      'impersonation_start', 'impersonation_end'
     ],
     required: true,
     index: true
@@ -32,6 +33,12 @@ const auditLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // The account whose identity was used when an administrator acted through impersonation
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   userRole: {
     type: String
   },
@@ -49,17 +56,21 @@ const auditLogSchema = new mongoose.Schema({
   metadata: {
     ip: String,
     userAgent: String,
+    method: String,
+    path: String,
+    statusCode: Number,
+    // Optional; most entries are written without a location
     location: {
       type: {
         type: String,
-        enum: ['Point'],
-        default: 'Point'
+        enum: ['Point']
       },
       coordinates: {
         type: [Number],
+        default: undefined,
         validate: {
           validator: function(coords) {
-            return Array.isArray(coords) && 
+            return coords == null || Array.isArray(coords) && 
                    coords.length === 2 && 
                    coords[0] >= -180 && 
                    coords[0] <= 180 && 
@@ -95,6 +106,7 @@ auditLogSchema.statics.logAction = async function(data) {
     entityType,
     entityId,
     performedBy,
+    impersonatedUser,
     userRole,
     changes,
     metadata,
@@ -107,6 +119,7 @@ auditLogSchema.statics.logAction = async function(data) {
     entityType,
     entityId,
     performedBy,
+    impersonatedUser,
     userRole,
     changes,
     metadata,
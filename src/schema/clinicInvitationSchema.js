@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+import { CLINIC_ROLES } from '../config/permissions.js';
+
+// Email invitations to join a clinic. Only a SHA-256 hash of the emailed token is stored.
+const clinicInvitationFields = {
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic is required for invitations'],
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitation email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: CLINIC_ROLES.filter(role => role !== 'owner'),
+    required: [true, 'Invitation role is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+};
+
+const clinicInvitationSchema = createSchema(clinicInvitationFields, {
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+clinicInvitationSchema.index({ clinicId: 1, email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Virtuals
+clinicInvitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  return this.expiresAt > new Date() ? 'pending' : 'expired';
+});
+
+const ClinicInvitation = mongoose.model('ClinicInvitation', clinicInvitationSchema);
+
+export default ClinicInvitation;
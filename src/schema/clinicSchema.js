@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { createSchema, commonSchemas } from './baseSchema.js';
+import { CLINIC_ROLES } from '../config/permissions.js';
+
+const phoneRegex = /^\+?[1-9]\d{1,14}$/;
+
+// A staff account's place in the clinic. An account belongs to at most one clinic.
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: CLINIC_ROLES,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Clinic organisation. WasteLog.clinicId and PickupRequest.clinicId point here,
+// so every staff member works on the same records.
+const clinicFields = {
+  name: {
+    type: String,
+    required: [true, 'Clinic name is required'],
+    trim: true,
+    maxLength: [150, 'Clinic name cannot exceed 150 characters']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || phoneRegex.test(v);
+      },
+      message: props => `${props.value} is not a valid phone number!`
+    }
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String,
+    // Optional until the clinic sets its address
+    location: {
+      type: new mongoose.Schema(commonSchemas.location, { _id: false }),
+      default: undefined
+    }
+  },
+  operatingHours: {
+    monday: { open: String, close: String },
+    tuesday: { open: String, close: String },
+    wednesday: { open: String, close: String },
+    thursday: { open: String, close: String },
+    friday: { open: String, close: String },
+    saturday: { open: String, close: String },
+    sunday: { open: String, close: String }
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Clinic owner is required'],
+    index: true
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: members => members.filter(member => member.role === 'owner').length === 1,
+      message: 'A clinic must have exactly one owner'
+    }
+  },
+  // Pickup requests created automatically when a waste threshold is crossed (opt-in)
+  autoPickup: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active',
+    index: true
+  }
+};
+
+const clinicSchema = createSchema(clinicFields);
+
+// Indexes
+clinicSchema.index({ 'members.userId': 1 }, { unique: true });
+clinicSchema.index({ 'address.location': '2dsphere' }, { sparse: true });
+clinicSchema.index({ name: 'text' });
+
+// Methods
+clinicSchema.methods.getMember = function(userId) {
+  return this.members.find(member => String(member.userId) === String(userId)) || null;
+};
+
+const Clinic = mongoose.model('Clinic', clinicSchema);
+
+export default Clinic;
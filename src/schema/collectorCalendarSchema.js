@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+import { validateOperatingHours, WEEKDAYS } from '../utils/operatingHours.js';
+
+// A collector's published availability for pickup bookings: their usual
+// weekly hours, cut into slots of a fixed length, and one-off exceptions when
+// they are not working.
+
+export const EXCEPTION_REASONS = ['holiday', 'vehicle_maintenance', 'leave', 'other'];
+
+const exceptionSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, 'Exception start is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Exception end is required'],
+    validate: {
+      validator: function(end) {
+        return end > this.start;
+      },
+      message: 'An exception must end after it starts'
+    }
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: EXCEPTION_REASONS,
+      message: `Reason must be one of: ${EXCEPTION_REASONS.join(', ')}`
+    },
+    required: [true, 'Exception reason is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxLength: [300, 'Note cannot exceed 300 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const collectorCalendarFields = {
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Collector is required'],
+    unique: true
+  },
+  weeklyHours: Object.fromEntries(WEEKDAYS.map(day => [day, { open: String, close: String }])),
+  slotMinutes: {
+    type: Number,
+    min: [15, 'Slots must be at least 15 minutes'],
+    max: [240, 'Slots cannot exceed 240 minutes'],
+    default: 60
+  },
+  exceptions: [exceptionSchema]
+};
+
+const collectorCalendarSchema = createSchema(collectorCalendarFields);
+
+collectorCalendarSchema.pre('validate', function(next) {
+  const hours = this.toObject().weeklyHours || {};
+  if (!validateOperatingHours(hours)) {
+    this.invalidate('weeklyHours', 'Weekly hours must be HH:MM times, ending after they start');
+  }
+  next();
+});
+
+const CollectorCalendar = mongoose.model('CollectorCalendar', collectorCalendarSchema);
+
+export default CollectorCalendar;
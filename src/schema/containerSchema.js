@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { createSchema, commonSchemas } from './baseSchema.js';
+
+// An individual bag, box or bin of waste, traced by the code printed on its label
+
+export const SCAN_STAGES = ['segregation', 'pickup', 'treatment'];
+
+// Container status once a scan at each stage has been accepted
+export const STATUS_AFTER_STAGE = {
+  segregation: 'segregated',
+  pickup: 'collected',
+  treatment: 'treated'
+};
+
+const scanSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: SCAN_STAGES,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    required: true
+  },
+  rejectionReason: String,
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scannedByRole: String,
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest'
+  },
+  location: {
+    type: new mongoose.Schema(commonSchemas.location, { _id: false }),
+    default: undefined
+  },
+  weightKg: {
+    type: Number,
+    min: [0, 'Weight must be a positive number']
+  },
+  notes: {
+    type: String,
+    maxLength: [500, 'Notes cannot exceed 500 characters'],
+    trim: true
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const containerFields = {
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  wasteLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog',
+    required: [true, 'Containers are registered against a waste log'],
+    index: true
+  },
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    index: true
+  },
+  containerType: {
+    type: String,
+    enum: ['bag', 'box', 'container', 'other'],
+    required: true
+  },
+  wasteType: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['registered', ...Object.values(STATUS_AFTER_STAGE)],
+    default: 'registered',
+    index: true
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scans: [scanSchema],
+  lastScannedAt: Date
+};
+
+const containerSchema = createSchema(containerFields);
+
+// Indexes
+containerSchema.index({ clinicId: 1, status: 1 });
+containerSchema.index({ pickupRequestId: 1, status: 1 });
+
+const Container = mongoose.model('Container', containerSchema);
+
+export default Container;
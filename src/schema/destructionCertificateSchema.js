@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+import { TREATMENT_METHODS } from './treatmentFacilitySchema.js';
+
+// Certificate of destruction, issued when a treatment facility finishes treating
+// a pickup. It records what was destroyed, where, how and when, as it stood at
+// issue. The checksum is the SHA-256 of the certified content; the signature is
+// an Ed25519 signature over the same content, checkable offline with the
+// server's public key. One per pickup; never changed once issued.
+
+const certifiedLogSchema = new mongoose.Schema({
+  wasteLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  categoryName: String,
+  volumeKg: {
+    type: Number,
+    required: true
+  },
+  loggedAt: Date
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  id: mongoose.Schema.Types.ObjectId,
+  name: String
+}, { _id: false });
+
+const destructionCertificateFields = {
+  certificateNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    required: true,
+    unique: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  facilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentFacility',
+    required: true,
+    index: true
+  },
+  // Recycler account running the facility at issue, for access checks
+  operatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Names as they stood at issue
+  clinic: partySchema,
+  collector: partySchema,
+  facility: {
+    name: String,
+    licenseNumber: String
+  },
+  manifestNumber: String,
+  // Pickup's waste category and the weight the clinic declared for it
+  wasteType: {
+    type: String,
+    required: true
+  },
+  declaredKg: {
+    type: Number,
+    required: true
+  },
+  wasteLogs: [certifiedLogSchema],
+  treatment: {
+    method: {
+      type: String,
+      enum: TREATMENT_METHODS,
+      required: true
+    },
+    intakeWeightKg: {
+      type: Number,
+      required: true
+    },
+    deliveredAt: Date,
+    treatedAt: {
+      type: Date,
+      required: true
+    }
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  // Fingerprint of the public key that verifies the signature
+  keyId: {
+    type: String,
+    required: true
+  }
+};
+
+const destructionCertificateSchema = createSchema(destructionCertificateFields);
+
+destructionCertificateSchema.index({ facilityId: 1, issuedAt: -1 });
+destructionCertificateSchema.index({ clinicId: 1, issuedAt: -1 });
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+const id = (value) => (value ? String(value._id || value) : null);
+
+// Methods
+
+// The certified content in a fixed order, as signed. Only fields set at issue
+// take part, so the checksum can be recomputed from the stored certificate.
+destructionCertificateSchema.methods.signedContent = function() {
+  return JSON.stringify({
+    certificateNumber: this.certificateNumber,
+    pickupRequestId: id(this.pickupRequestId),
+    clinic: { id: id(this.clinic?.id), name: this.clinic?.name ?? null },
+    collector: { id: id(this.collector?.id), name: this.collector?.name ?? null },
+    facility: {
+      id: id(this.facilityId),
+      name: this.facility?.name ?? null,
+      licenseNumber: this.facility?.licenseNumber ?? null
+    },
+    manifestNumber: this.manifestNumber ?? null,
+    wasteType: this.wasteType,
+    declaredKg: this.declaredKg,
+    wasteLogs: this.wasteLogs.map(log => ({
+      wasteLogId: id(log.wasteLogId),
+      category: log.category,
+      categoryName: log.categoryName ?? null,
+      volumeKg: log.volumeKg,
+      loggedAt: iso(log.loggedAt)
+    })),
+    treatment: {
+      method: this.treatment.method,
+      intakeWeightKg: this.treatment.intakeWeightKg,
+      deliveredAt: iso(this.treatment.deliveredAt),
+      treatedAt: iso(this.treatment.treatedAt)
+    },
+    issuedAt: iso(this.issuedAt)
+  });
+};
+
+destructionCertificateSchema.methods.computeChecksum = function() {
+  return crypto.createHash('sha256').update(this.signedContent()).digest('hex');
+};
+
+// Certificates are final: refuse to save changes to one already issued
+destructionCertificateSchema.pre('save', function(next) {
+  const certified = ['certificateNumber', 'pickupRequestId', 'clinic', 'collector', 'facilityId', 'facility',
+    'manifestNumber', 'wasteType', 'declaredKg', 'wasteLogs', 'treatment', 'issuedAt', 'checksum', 'signature', 'keyId'];
+  if (!this.isNew && certified.some(path => this.isModified(path))) {
+    return next(new Error('An issued certificate of destruction cannot be changed'));
+  }
+  next();
+});
+
+const DestructionCertificate = mongoose.model('DestructionCertificate', destructionCertificateSchema);
+
+export default DestructionCertificate;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// A period in which a storage area stayed outside its allowed temperature or
+// humidity range. It stays "pending" during the grace period and is "cleared"
+// if conditions recover in time; past the grace period it becomes "active" and
+// raises a compliance alert, then "resolved" once readings are back in range.
+
+export const EXCURSION_STATUSES = ['pending', 'cleared', 'active', 'resolved'];
+
+const excursionFields = {
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  storageAreaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageArea',
+    required: true
+  },
+  metric: {
+    type: String,
+    enum: ['temperature', 'humidity'],
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['above', 'below'],
+    required: true
+  },
+  // Effective range when the excursion began
+  limit: {
+    min: Number,
+    max: Number
+  },
+  status: {
+    type: String,
+    enum: EXCURSION_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  // Pending or active; an area has at most one open excursion per metric
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  lastOutOfRangeAt: Date,
+  alertedAt: Date,
+  endedAt: Date,
+  peakValue: Number,
+  lastValue: Number,
+  readingCount: {
+    type: Number,
+    default: 1
+  },
+  sensorIds: [String],
+  // Waste logs held in the area while the excursion lasted
+  wasteLogIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog'
+  }]
+};
+
+const excursionSchema = createSchema(excursionFields);
+
+excursionSchema.index({ storageAreaId: 1, metric: 1 }, { unique: true, partialFilterExpression: { isOpen: true } });
+excursionSchema.index({ storageAreaId: 1, startedAt: -1 });
+
+excursionSchema.pre('save', function(next) {
+  this.isOpen = ['pending', 'active'].includes(this.status);
+  next();
+});
+
+excursionSchema.virtual('durationMinutes').get(function() {
+  const end = this.endedAt || this.lastOutOfRangeAt || this.startedAt;
+  return Math.round((end - this.startedAt) / 60000);
+});
+
+const Excursion = mongoose.model('Excursion', excursionSchema);
+
+export default Excursion;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// A bulk waste log import: the parsed rows of an uploaded CSV/XLSX file, kept
+// between the dry run and the commit so the commit inserts exactly what was previewed.
+
+export const IMPORT_STATUSES = ['validated', 'committing', 'committed', 'failed', 'undone'];
+
+const importRowSchema = new mongoose.Schema({
+  // Line number in the uploaded file, header row included
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  // Waste log data built from the row, present when the row is valid
+  data: mongoose.Schema.Types.Mixed,
+  // Why the row cannot be imported
+  problems: [String],
+  // Original cell values in column order, kept for the error report
+  raw: [mongoose.Schema.Types.Mixed]
+}, { _id: false });
+
+const importJobFields = {
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxLength: 255
+  },
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  headers: [String],
+  // Waste log field → column header used for this file
+  mapping: {
+    type: Map,
+    of: String
+  },
+  // Values applied to every row that leaves the field blank
+  defaults: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'validated',
+    index: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  invalidRows: {
+    type: Number,
+    default: 0
+  },
+  rows: [importRowSchema],
+  // Dry runs that are never committed are discarded after this time
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  committedAt: Date,
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  insertedCount: {
+    type: Number,
+    default: 0
+  },
+  undoneAt: Date,
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Logs the undo deleted, and those that had already been deleted on their own
+  undoneCount: {
+    type: Number,
+    default: 0
+  },
+  alreadyDeletedLogIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog'
+  }],
+  failureReason: String
+};
+
+const importJobSchema = createSchema(importJobFields);
+
+importJobSchema.index({ clinicId: 1, createdAt: -1 });
+importJobSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { status: 'validated' } }
+);
+
+importJobSchema.virtual('isExpired').get(function() {
+  return this.status === 'validated' && this.expiresAt <= new Date();
+});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { createSchema, commonSchemas } from './baseSchema.js';
+
+// Waste transfer manifest: follows a pickup from the generating clinic through the
+// collector to the treatment facility. Each handover is a leg. A leg closes when the
+// receiving party confirms it; closed legs are hash-chained and cannot be changed.
+
+export const MANIFEST_PARTIES = ['clinic', 'collector', 'facility'];
+
+const signatorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Signatory name is required'],
+    trim: true,
+    maxLength: [100, 'Signatory name cannot exceed 100 characters']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'Signatory title cannot exceed 100 characters']
+  },
+  // Typed name, drawn signature (data URL) or device attestation
+  signature: {
+    type: String,
+    required: [true, 'Signature is required'],
+    maxLength: [200000, 'Signature is too large']
+  }
+}, { _id: false });
+
+// One side of a handover: what the releasing or receiving party counted and signed for
+const handoverSchema = new mongoose.Schema({
+  weightKg: {
+    type: Number,
+    required: [true, 'Weight is required'],
+    min: [0, 'Weight must be a positive number']
+  },
+  containerCount: {
+    type: Number,
+    required: [true, 'Container count is required'],
+    min: [0, 'Container count must be a positive number'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Container count must be a whole number'
+    }
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  location: {
+    type: new mongoose.Schema(commonSchemas.location, { _id: false }),
+    required: [true, 'GPS location is required']
+  },
+  signatory: {
+    type: signatorySchema,
+    required: true
+  },
+  notes: {
+    type: String,
+    maxLength: [500, 'Notes cannot exceed 500 characters'],
+    trim: true
+  }
+}, { _id: false });
+
+const legSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  from: {
+    type: String,
+    enum: MANIFEST_PARTIES,
+    required: true
+  },
+  to: {
+    type: String,
+    enum: MANIFEST_PARTIES,
+    required: true
+  },
+  release: {
+    type: handoverSchema,
+    required: true
+  },
+  receipt: handoverSchema,
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: Date,
+  previousHash: String,
+  hash: String
+}, { _id: false });
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['weight', 'container_count'],
+    required: true
+  },
+  leg: {
+    type: Number,
+    required: true
+  },
+  // release_vs_receipt: within one leg; previous_leg: this leg's release vs the previous leg's receipt
+  comparison: {
+    type: String,
+    enum: ['release_vs_receipt', 'previous_leg'],
+    required: true
+  },
+  expected: Number,
+  actual: Number,
+  difference: Number,
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const manifestFields = {
+  manifestNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    required: [true, 'Pickup request is required for manifests'],
+    unique: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Receiving treatment facility, once known, and the recycler account that runs it
+  facilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentFacility',
+    index: true
+  },
+  operatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  facilityName: {
+    type: String,
+    trim: true,
+    maxLength: [150, 'Facility name cannot exceed 150 characters']
+  },
+  wasteType: String,
+  declaredWeightKg: Number,
+  status: {
+    type: String,
+    enum: ['awaiting_pickup', 'in_transit', 'delivered'],
+    default: 'awaiting_pickup',
+    index: true
+  },
+  legs: [legSchema],
+  discrepancies: [discrepancySchema],
+  hasDiscrepancy: {
+    type: Boolean,
+    default: false,
+    index: true
+  }
+};
+
+const manifestSchema = createSchema(manifestFields);
+
+// Indexes
+manifestSchema.index({ clinicId: 1, status: 1 });
+manifestSchema.index({ collectorId: 1, status: 1 });
+manifestSchema.index({ hasDiscrepancy: 1, createdAt: -1 });
+
+// Deterministic leg digest chained to the previous closed leg
+const hashLeg = (manifestNumber, leg) => {
+  const side = (handover) => handover && {
+    weightKg: handover.weightKg,
+    containerCount: handover.containerCount,
+    recordedAt: new Date(handover.recordedAt).toISOString(),
+    coordinates: [...handover.location.coordinates],
+    signatory: {
+      userId: handover.signatory.userId ? String(handover.signatory.userId) : null,
+      name: handover.signatory.name,
+      title: handover.signatory.title || null,
+      signature: handover.signatory.signature
+    },
+    notes: handover.notes || null
+  };
+
+  const payload = JSON.stringify({
+    manifestNumber,
+    sequence: leg.sequence,
+    from: leg.from,
+    to: leg.to,
+    release: side(leg.release),
+    receipt: side(leg.receipt),
+    closedAt: new Date(leg.closedAt).toISOString(),
+    previousHash: leg.previousHash || null
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// Methods
+manifestSchema.methods.getOpenLeg = function() {
+  return this.legs.find(leg => leg.status === 'open') || null;
+};
+
+manifestSchema.methods.closeLeg = function(leg) {
+  const previous = this.legs.filter(other => other.status === 'closed' && other.sequence < leg.sequence).pop();
+  leg.status = 'closed';
+  leg.closedAt = new Date();
+  leg.previousHash = previous?.hash;
+  leg.hash = hashLeg(this.manifestNumber, leg);
+};
+
+manifestSchema.methods.verifyIntegrity = function() {
+  let previousHash;
+  for (const leg of this.legs.filter(item => item.status === 'closed')) {
+    if ((leg.previousHash || undefined) !== previousHash || hashLeg(this.manifestNumber, leg) !== leg.hash) {
+      return { valid: false, brokenAtLeg: leg.sequence };
+    }
+    previousHash = leg.hash;
+  }
+  return { valid: true };
+};
+
+// Immutability of closed legs
+
+manifestSchema.post('init', function() {
+  this.$locals.closedLegHashes = this.legs
+    .filter(leg => leg.status === 'closed')
+    .map(leg => ({ sequence: leg.sequence, hash: leg.hash }));
+});
+
+manifestSchema.pre('save', function(next) {
+  const closed = this.$locals.closedLegHashes || [];
+  const tampered = closed.some(({ sequence, hash }) => {
+    const leg = this.legs.find(item => item.sequence === sequence);
+    return !leg || leg.status !== 'closed' || leg.hash !== hash || hashLeg(this.manifestNumber, leg) !== hash;
+  });
+
+  if (tampered) {
+    return next(new Error('Closed manifest legs cannot be modified'));
+  }
+  next();
+});
+
+manifestSchema.post('save', function() {
+  this.$locals.closedLegHashes = this.legs
+    .filter(leg => leg.status === 'closed')
+    .map(leg => ({ sequence: leg.sequence, hash: leg.hash }));
+});
+
+// Legs only change through document saves, where the checks above apply
+manifestSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const touchesLegs = [update, ...Object.values(update)]
+    .some(part => part && typeof part === 'object' && Object.keys(part).some(key => key.startsWith('legs')));
+
+  if (touchesLegs) {
+    return next(new Error('Manifest legs cannot be changed with update queries'));
+  }
+  next();
+});
+
+const Manifest = mongoose.model('Manifest', manifestSchema);
+
+export default Manifest;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// Pending OpenID Connect authorization requests. The state value sent to the
+// provider finds the record; the PKCE verifier and nonce never leave the server.
+const oauthStateFields = {
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+    select: false
+  },
+  nonce: {
+    type: String,
+    required: true,
+    select: false
+  },
+  deviceId: String,
+  userAgent: String,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+};
+
+const oauthStateSchema = createSchema(oauthStateFields);
+
+// Indexes
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+export default OAuthState;
@@ -1,10 +1,25 @@
 import mongoose from 'mongoose';
 import { createSchema, commonSchemas } from './baseSchema.js';
+import WasteCategory from './wasteCategorySchema.js';
+import { TREATMENT_METHODS } from './treatmentFacilitySchema.js';
+
+// Lifecycle: pending → assigned → collected → delivered (to a treatment
+// facility) → treated; pending and assigned pickups can be cancelled
+export const PICKUP_STATUSES = ['pending', 'assigned', 'collected', 'delivered', 'treated', 'cancelled'];
+
+// Statuses of pickups whose waste has left the clinic
+export const COLLECTED_STATUSES = ['collected', 'delivered', 'treated'];
+
+// Statuses only reached through a treatment facility's delivery and intake records
+export const FACILITY_STATUSES = ['delivered', 'treated'];
+
+// How a collector came to be assigned
+export const ASSIGNMENT_METHODS = ['auto', 'manual', 'booking'];
 
 const statusHistorySchema = new mongoose.Schema({
   status: {
     type: String,
-    enum: ['pending', 'assigned', 'collected', 'cancelled'],
+    enum: PICKUP_STATUSES,
     required: true
   },
   updatedAt: {
@@ -22,7 +37,7 @@ const statusHistorySchema = new mongoose.Schema({
 const pickupRequestFields = {
   clinicId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'Clinic',
     required: [true, 'Clinic ID is required for pickup requests'],
     index: true
   },
@@ -31,17 +46,44 @@ const pickupRequestFields = {
     ref: 'User',
     index: true
   },
+  // How the collector was chosen: by the dispatch engine, with its score and
+  // reasons, or by hand. Unsuccessful engine attempts are noted too.
+  assignment: {
+    method: {
+      type: String,
+      enum: ASSIGNMENT_METHODS
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    score: Number,
+    reasons: [String],
+    candidatesConsidered: Number,
+    lastAttemptAt: Date,
+    lastAttemptNote: String
+  },
   wasteLogs: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'WasteLog'
   }],
+  // Chain-of-custody manifest, opened when a collector is assigned
+  manifestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Manifest'
+  },
   wasteType: {
     type: String,
-    enum: {
-      values: ['sharps', 'biohazard', 'expired_meds', 'others'],
-      message: 'Invalid waste type. Must be one of: sharps, biohazard, expired_meds, others'
-    },
     required: [true, 'Waste type is required'],
+    // A code from the waste category catalogue
+    validate: {
+      validator: function(code) {
+        const unchanged = typeof this.isModified === 'function' && !this.isNew && !this.isModified('wasteType');
+        return WasteCategory.isUsableCode(code, { existing: unchanged });
+      },
+      message: props => `Invalid waste type. ${props.value} is not an active waste category`
+    },
     index: true
   },
   volumeKg: {
@@ -125,7 +167,11 @@ const pickupRequestFields = {
       }
     }
   },
+  // Place on the collector's planned route for a day (see routeservice): leg
+  // distance (km) and travel time (minutes) from the previous stop
   routeDetails: {
+    plannedFor: Date,
+    plannedAt: Date,
     sequence: Number,
     estimatedArrival: Date,
     estimatedDuration: {
@@ -152,8 +198,8 @@ const pickupRequestFields = {
   status: {
     type: String,
     enum: {
-      values: ['pending', 'assigned', 'collected', 'cancelled'],
-      message: 'Invalid status. Must be one of: pending, assigned, collected, cancelled'
+      values: PICKUP_STATUSES,
+      message: `Invalid status. Must be one of: ${PICKUP_STATUSES.join(', ')}`
     },
     default: 'pending',
     index: true
@@ -179,6 +225,20 @@ const pickupRequestFields = {
       maxLength: [500, 'Notes cannot exceed 500 characters']
     }
   },
+  // Declared weight checked against the weight measured at collection
+  reconciliation: {
+    declaredKg: Number,
+    measuredKg: Number,
+    differenceKg: Number,
+    differencePercent: Number,
+    allowedKg: Number,
+    withinTolerance: Boolean,
+    reconciledAt: Date,
+    discrepancyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WeightDiscrepancy'
+    }
+  },
   qualityControl: {
     wasteSegregation: {
       type: String,
@@ -203,6 +263,43 @@ const pickupRequestFields = {
     type: Date,
     index: true
   },
+  // Treatment facility the collector delivered the waste to
+  facilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentFacility'
+  },
+  deliveredAt: Date,
+  treatmentDetails: {
+    deliveredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Weighed by the facility on intake
+    intakeWeightKg: {
+      type: Number,
+      min: [0, 'Intake weight must be positive']
+    },
+    method: {
+      type: String,
+      enum: TREATMENT_METHODS
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    receivedAt: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxLength: [500, 'Notes cannot exceed 500 characters']
+    }
+  },
+  treatedAt: {
+    type: Date
+  },
   cancelledAt: {
     type: Date
   },
@@ -229,14 +326,16 @@ pickupRequestSchema.index({ 'statusHistory.updatedAt': 1 });
 pickupRequestSchema.index({ cancellationReason: 'text' });
 pickupRequestSchema.index({ 'wasteType': 1, 'requestedAt': 1 });
 pickupRequestSchema.index({ clinicId: 1, status: 1 });
+pickupRequestSchema.index({ facilityId: 1, deliveredAt: 1 });
 pickupRequestSchema.index({ collectorId: 1, status: 1 });
+pickupRequestSchema.index({ collectorId: 1, 'routeDetails.plannedFor': 1, 'routeDetails.sequence': 1 });
 pickupRequestSchema.index({ 'emergency.isEmergency': 1, status: 1 });
 pickupRequestSchema.index({ 'scheduledPickup.preferredDate': 1, status: 1 });
 pickupRequestSchema.index({ priority: 1, requestedAt: 1 });
 
 // Virtuals
 pickupRequestSchema.virtual('responseTime').get(function() {
-  if (this.status === 'collected' && this.collectedAt) {
+  if (COLLECTED_STATUSES.includes(this.status) && this.collectedAt) {
     return this.collectedAt - this.requestedAt;
   }
   return null;
@@ -262,7 +361,7 @@ pickupRequestSchema.virtual('isOverdue').get(function() {
 });
 
 pickupRequestSchema.virtual('waitTime').get(function() {
-  if (this.status === 'assigned' || this.status === 'collected') {
+  if (this.status === 'assigned' || COLLECTED_STATUSES.includes(this.status)) {
     const assignedStatus = this.statusHistory.find(h => h.status === 'assigned');
     if (assignedStatus) {
       return assignedStatus.updatedAt - this.requestedAt;
@@ -357,7 +456,7 @@ pickupRequestSchema.statics.getStatistics = async function(filters = {}) {
         avgResponseTime: {
           $avg: {
             $cond: [
-              { $eq: ['$status', 'collected'] },
+              { $in: ['$status', COLLECTED_STATUSES] },
               { $subtract: ['$collectedAt', '$requestedAt'] },
               null
             ]
@@ -410,7 +509,9 @@ pickupRequestSchema.methods.validateStatusTransition = function(newStatus) {
   const validTransitions = {
     pending: ['assigned', 'cancelled'],
     assigned: ['collected', 'cancelled'],
-    collected: [],
+    collected: ['delivered'],
+    delivered: ['treated'],
+    treated: [],
     cancelled: []
   };
 
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Sensor readings, stored in a MongoDB time-series collection bucketed by storage area.
+// Readings are append-only, so they do not carry the soft-delete and audit fields of createSchema.
+
+const sensorReadingSchema = new mongoose.Schema({
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    storageAreaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageArea',
+      required: true
+    },
+    clinicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Clinic',
+      required: true
+    },
+    sensorId: {
+      type: String,
+      required: true
+    }
+  },
+  temperature: Number,
+  humidity: Number,
+  // Metrics outside the area's effective range when the reading was taken
+  outOfRange: [{
+    type: String,
+    enum: ['temperature', 'humidity']
+  }],
+  // Waste logs held in the area at the time of the reading
+  wasteLogIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog'
+  }]
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  versionKey: false
+});
+
+sensorReadingSchema.index({ 'meta.storageAreaId': 1, recordedAt: -1 });
+
+const SensorReading = mongoose.model('SensorReading', sensorReadingSchema);
+
+export default SensorReading;
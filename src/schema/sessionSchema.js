@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// Each session is one refresh-token family: a user on a device.
+// The refresh token is rotated on every use; hashes of already used
+// tokens are kept so that a replayed token can be detected.
+const MAX_PREVIOUS_TOKENS = 20;
+
+const sessionFields = {
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required for sessions'],
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required for sessions'],
+    trim: true,
+    maxLength: [200, 'Device ID cannot exceed 200 characters']
+  },
+  userAgent: {
+    type: String,
+    maxLength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: String,
+  // Updated by the auth middleware, at most once a minute
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIp: String,
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+  rotationCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastRotatedAt: Date,
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Last fresh second-factor check, required by destructive operations
+  stepUpAt: Date,
+  // Set on support sessions an administrator opened as this user
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'replaced', 'expired', 'password_reset', 'revoked', 'forced_logout', 'impersonation_ended']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+};
+
+const sessionSchema = createSchema(sessionFields);
+
+// Indexes
+sessionSchema.index({ userId: 1, deviceId: 1, revokedAt: 1 });
+// Remove sessions a week after they can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtuals
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Methods
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Statics
+sessionSchema.statics.MAX_PREVIOUS_TOKENS = MAX_PREVIOUS_TOKENS;
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout', filters = {}, revokedBy = undefined) {
+  return this.updateMany(
+    { userId, revokedAt: null, ...filters },
+    { $set: { revokedAt: new Date(), revokedReason: reason, ...(revokedBy && { revokedBy }) } }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
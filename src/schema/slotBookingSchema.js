@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// A pickup booked into one of a collector's slots. Only one booking can hold
+// a collector's slot, and a pickup holds at most one slot, at a time. The
+// unique indexes below catch concurrent bookings of the same start time;
+// slots that merely overlap are refused by slotBookingRepository.
+
+export const RELEASE_REASONS = ['cancelled', 'unbooked', 'reassigned', 'collector_unavailable'];
+
+const slotBookingFields = {
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Collector is required']
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic is required'],
+    index: true
+  },
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    required: [true, 'Pickup request is required']
+  },
+  start: {
+    type: Date,
+    required: [true, 'Slot start is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Slot end is required']
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'released'],
+    default: 'booked'
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Earlier slots, when the booking was moved
+  rescheduled: [{
+    _id: false,
+    start: Date,
+    end: Date,
+    changedAt: Date,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  releasedAt: Date,
+  releaseReason: {
+    type: String,
+    enum: RELEASE_REASONS
+  }
+};
+
+const slotBookingSchema = createSchema(slotBookingFields);
+
+slotBookingSchema.index(
+  { collectorId: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+slotBookingSchema.index(
+  { pickupRequestId: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+slotBookingSchema.index({ collectorId: 1, status: 1, start: 1 });
+
+const SlotBooking = mongoose.model('SlotBooking', slotBookingSchema);
+
+export default SlotBooking;
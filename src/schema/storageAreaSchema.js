@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// A place in a clinic where waste is held until pickup (a cold room, a locked
+// store), with the sensors that report its conditions and the range it must stay in
+
+const rangeSchema = new mongoose.Schema({
+  min: Number,
+  max: Number
+}, { _id: false });
+
+const storageAreaFields = {
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: [true, 'Clinic ID is required for storage areas'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Storage area name is required'],
+    trim: true,
+    maxLength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  // Identifiers of the sensors installed in the area; readings from other sensors are refused
+  sensorIds: [{
+    type: String,
+    trim: true,
+    maxLength: 100
+  }],
+  temperature: {
+    type: rangeSchema,
+    default: undefined
+  },
+  humidity: {
+    type: rangeSchema,
+    default: undefined
+  },
+  // How long readings may stay out of range before an excursion is raised
+  gracePeriodMinutes: {
+    type: Number,
+    default: 15,
+    min: [0, 'Grace period cannot be negative'],
+    max: [24 * 60, 'Grace period cannot exceed a day']
+  },
+  lastReadingAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+};
+
+const storageAreaSchema = createSchema(storageAreaFields);
+
+storageAreaSchema.index({ clinicId: 1, name: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+
+storageAreaSchema.path('temperature').validate(range => !range || range.min === undefined || range.max === undefined || range.min <= range.max,
+  'Temperature min cannot be greater than max');
+storageAreaSchema.path('humidity').validate(range => !range || ((range.min ?? 0) >= 0 && (range.max ?? 100) <= 100 && (range.min ?? 0) <= (range.max ?? 100)),
+  'Invalid humidity range. Must be between 0-100%');
+
+const StorageArea = mongoose.model('StorageArea', storageAreaSchema);
+
+export default StorageArea;
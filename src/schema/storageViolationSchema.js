@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// Compliance record of waste kept on site well past its category's maximum
+// storage time without being collected. Written by the storage-time enforcement
+// job as the last escalation step; one per waste log.
+
+const storageViolationFields = {
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  wasteLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog',
+    required: true,
+    unique: true
+  },
+  category: {
+    type: String,
+    required: true,
+    index: true
+  },
+  volumeKg: {
+    type: Number,
+    required: true
+  },
+  loggedAt: {
+    type: Date,
+    required: true
+  },
+  // Catalogue limit at the time of the violation
+  maxStorageHours: {
+    type: Number,
+    required: true
+  },
+  hoursStored: {
+    type: Number,
+    required: true
+  },
+  // Pickup the waste was waiting on, if one had been requested
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest'
+  },
+  warnedAt: Date,
+  alertedAt: Date,
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+};
+
+const storageViolationSchema = createSchema(storageViolationFields);
+
+storageViolationSchema.index({ clinicId: 1, recordedAt: -1 });
+storageViolationSchema.index({ recordedAt: -1 });
+
+storageViolationSchema.virtual('hoursOverLimit').get(function() {
+  return Math.max(0, this.hoursStored - this.maxStorageHours);
+});
+
+const StorageViolation = mongoose.model('StorageViolation', storageViolationSchema);
+
+export default StorageViolation;
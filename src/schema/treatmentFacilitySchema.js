@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { createSchema, commonSchemas } from './baseSchema.js';
+import WasteCategory from './wasteCategorySchema.js';
+import { validateOperatingHours, WEEKDAYS } from '../utils/operatingHours.js';
+
+// Licensed treatment facility run by a recycler account. Collectors deliver
+// collected pickups here; the facility records the intake and the treatment.
+
+// Treatment methods a facility can operate (a subset of the catalogue's disposal methods)
+export const TREATMENT_METHODS = ['incineration', 'autoclave', 'shredding', 'deep_burial'];
+
+const phoneRegex = /^\+?[1-9]\d{1,14}$/;
+
+const treatmentFacilityFields = {
+  // The recycler account that runs the facility; one facility per account
+  operatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Facility operator is required'],
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Facility name is required'],
+    trim: true,
+    maxLength: [150, 'Facility name cannot exceed 150 characters']
+  },
+  licenseNumber: {
+    type: String,
+    required: [true, 'Licence number is required'],
+    trim: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || phoneRegex.test(v);
+      },
+      message: props => `${props.value} is not a valid phone number!`
+    }
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String,
+    location: {
+      type: new mongoose.Schema(commonSchemas.location, { _id: false }),
+      required: [true, 'Facility location is required']
+    }
+  },
+  // Waste category codes the facility is licensed to take
+  acceptedCategories: {
+    type: [String],
+    validate: [
+      {
+        validator: codes => codes.length > 0,
+        message: 'At least one accepted waste category is required'
+      },
+      {
+        validator: function(codes) {
+          return codes.every(code => WasteCategory.isUsableCode(code, { existing: !this.isNew }));
+        },
+        message: 'Accepted categories must be active waste categories'
+      }
+    ]
+  },
+  treatmentMethods: {
+    type: [{ type: String, enum: TREATMENT_METHODS }],
+    validate: {
+      validator: methods => methods.length > 0,
+      message: 'At least one treatment method is required'
+    }
+  },
+  // Most waste (kg) the facility takes in a day
+  dailyCapacityKg: {
+    type: Number,
+    required: [true, 'Daily capacity is required'],
+    min: [1, 'Daily capacity must be at least 1 kg']
+  },
+  operatingHours: Object.fromEntries(WEEKDAYS.map(day => [day, { open: String, close: String }])),
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+};
+
+const treatmentFacilitySchema = createSchema(treatmentFacilityFields);
+
+treatmentFacilitySchema.index({ 'address.location': '2dsphere' });
+treatmentFacilitySchema.index({ acceptedCategories: 1, isActive: 1 });
+
+treatmentFacilitySchema.pre('validate', function(next) {
+  const hours = this.toObject().operatingHours || {};
+  if (!validateOperatingHours(hours)) {
+    this.invalidate('operatingHours', 'Operating hours must be HH:MM times, closing after opening');
+  } else if (!WEEKDAYS.some(day => hours[day]?.open)) {
+    this.invalidate('operatingHours', 'The facility must be open on at least one day');
+  }
+  next();
+});
+
+treatmentFacilitySchema.methods.accepts = function(category) {
+  return this.isActive && this.acceptedCategories.includes(category);
+};
+
+const TreatmentFacility = mongoose.model('TreatmentFacility', treatmentFacilitySchema);
+
+export default TreatmentFacility;
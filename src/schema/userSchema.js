@@ -1,9 +1,15 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import { createSchema, commonSchemas } from './baseSchema.js';
+import { ROLES } from '../config/permissions.js';
 
 const phoneRegex = /^\+?[1-9]\d{1,14}$/;
 
+// Accounts provisioned on first single sign-on have no contact details yet
+const requiredUnlessExternal = function() {
+  return !this.externalIdentities?.length;
+};
+
 const userFields = {
   username: {
     type: String,
@@ -41,7 +47,7 @@ const userFields = {
   },
   phone: {
     type: String,
-    required: true,
+    required: requiredUnlessExternal,
     validate: {
       validator: function(v) {
         return phoneRegex.test(v);
@@ -55,16 +61,22 @@ const userFields = {
   },
   role: {
     type: String,
-    enum: ['clinic', 'collector', 'health'],
+    enum: ROLES,
     required: true,
     index: true
   },
+  // Clinic organisation a clinic staff account belongs to (membership roles live on the clinic)
   clinicId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'Clinic',
     default: null,
     index: true
   },
+  // Set when the account is removed from its clinic, so it is not given a clinic of its own
+  leftClinicAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'suspended'],
@@ -102,23 +114,40 @@ const userFields = {
     default: null
   },
 
+  // Password reset: the selector finds the user, the hashed verifier proves the token
+  passwordResetSelector: {
+    type: String,
+    default: undefined,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    default: undefined,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: undefined,
+    select: false
+  },
+
   // Contact and Address Information
   address: {
     street: { 
       type: String,
-      required: true
+      required: requiredUnlessExternal
     },
     city: { 
       type: String,
-      required: true
+      required: requiredUnlessExternal
     },
     state: { 
       type: String,
-      required: true
+      required: requiredUnlessExternal
     },
     postalCode: { 
       type: String,
-      required: true,
+      required: requiredUnlessExternal,
       validate: {
         validator: function(v) {
           return /^\d{5}(-\d{4})?$/.test(v);
@@ -128,7 +157,7 @@ const userFields = {
     },
     country: { 
       type: String,
-      required: true
+      required: requiredUnlessExternal
     },
     location: commonSchemas.location
   },
@@ -143,6 +172,26 @@ const userFields = {
       default: 10
     }
   },
+  // Most waste (kg) the collector's vehicle carries at once
+  vehicleCapacityKg: {
+    type: Number,
+    min: [1, 'Vehicle capacity must be at least 1 kg']
+  },
+  // Waste category codes the collector is licensed to transport
+  licensedCategories: {
+    type: [String],
+    default: undefined
+  },
+  // Where the collector's routes start and end; defaults to the service area centre
+  depot: {
+    type: new mongoose.Schema(commonSchemas.location, { _id: false }),
+    default: undefined
+  },
+  // Usual working hours (HH:MM), used when planning routes
+  shift: {
+    start: String,
+    end: String
+  },
 
   // Clinic-specific fields
   operatingHours: {
@@ -200,12 +249,78 @@ const userFields = {
       issuedDate: Date,
       expiryDate: Date,
       fileUrl: String,
+      // Uploaded copy of the document (see attachmentSchema)
+      attachmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment'
+      },
       verificationStatus: {
         type: String,
         enum: ['pending', 'verified', 'rejected'],
         default: 'pending'
       }
     }]
+  },
+
+  // TOTP two-factor authentication (secrets are stored encrypted)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    }
+  },
+
+  // Identities at external OpenID Connect providers linked to this account
+  externalIdentities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastLoginAt: Date
+  }],
+
+  // Email ownership confirmation. No default for isVerified: registration
+  // sets it to false, and a missing value marks an account created before
+  // verification existed, which stays allowed (see isEmailVerified)
+  emailVerification: {
+    isVerified: Boolean,
+    verifiedAt: Date,
+    lastSentAt: Date,
+    sentCount: {
+      type: Number,
+      default: 0
+    }
   }
 };
 
@@ -218,6 +333,12 @@ userSchema.index({ email: 1, username: 1 });
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ 'verificationStatus.isVerified': 1, role: 1 });
 userSchema.index({ 'verificationStatus.documents.expiryDate': 1 });
+userSchema.index({ passwordResetSelector: 1 }, { sparse: true });
+userSchema.index({ 'emailVerification.isVerified': 1, role: 1 });
+userSchema.index(
+  { 'externalIdentities.provider': 1, 'externalIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'externalIdentities.subject': { $exists: true } } }
+);
 
 // Password hashing middleware
 userSchema.pre('save', async function (next) {
@@ -238,6 +359,11 @@ userSchema.virtual('displayName').get(function () {
   return this.username || this.email;
 });
 
+// Accounts created before email verification existed have no emailVerification block
+userSchema.virtual('isEmailVerified').get(function() {
+  return this.emailVerification?.isVerified !== false;
+});
+
 userSchema.virtual('isLocked').get(function() {
   return this.lockoutUntil && this.lockoutUntil > new Date();
 });
@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// Managed catalogue of biomedical waste categories. Waste logs and pickup requests
+// store a category's code; everything else about the category is read from here.
+
+export const COLOUR_CODES = ['yellow', 'red', 'white', 'blue', 'black'];
+
+export const CONTAINER_TYPES = ['bag', 'box', 'container', 'other'];
+
+export const DISPOSAL_METHODS = [
+  'incineration',
+  'plasma_pyrolysis',
+  'deep_burial',
+  'autoclave',
+  'microwave',
+  'hydroclave',
+  'shredding',
+  'chemical_disinfection',
+  'encapsulation',
+  'recycling',
+  'return_to_manufacturer',
+  'secured_landfill'
+];
+
+const subcategorySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Sub-category codes may only contain lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  }
+}, { _id: false });
+
+const wasteCategoryFields = {
+  code: {
+    type: String,
+    required: [true, 'Category code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Category codes may only contain lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxLength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  colourCode: {
+    type: String,
+    enum: COLOUR_CODES,
+    required: [true, 'Colour code is required']
+  },
+  subcategories: [subcategorySchema],
+  // Waste logged as this category must name a sub-category (free text when none are listed)
+  requiresSubcategory: {
+    type: Boolean,
+    default: false
+  },
+  allowedContainerTypes: {
+    type: [{ type: String, enum: CONTAINER_TYPES }],
+    validate: {
+      validator: types => types.length > 0,
+      message: 'At least one container type must be allowed'
+    }
+  },
+  handlingInstructions: {
+    type: String,
+    required: [true, 'Handling instructions are required'],
+    trim: true,
+    maxLength: 1000
+  },
+  maxStorageHours: {
+    type: Number,
+    required: [true, 'Maximum storage time is required'],
+    min: [1, 'Maximum storage time must be at least one hour']
+  },
+  disposalMethods: {
+    type: [{ type: String, enum: DISPOSAL_METHODS }],
+    validate: {
+      validator: methods => methods.length > 0,
+      message: 'At least one disposal method must be permitted'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+};
+
+const wasteCategorySchema = createSchema(wasteCategoryFields);
+
+wasteCategorySchema.index({ colourCode: 1, sortOrder: 1 });
+
+// In-process snapshot of the catalogue (active and retired entries) so schema and
+// request validators can check codes synchronously. Refreshed on every catalogue
+// change and at startup; see wasteCategoryRepository.
+let snapshot = new Map();
+
+wasteCategorySchema.statics.refreshSnapshot = async function() {
+  const categories = await this.find({ isDeleted: { $ne: true } }).lean();
+  snapshot = new Map(categories.map(category => [category.code, category]));
+  return categories;
+};
+
+wasteCategorySchema.statics.fromSnapshot = function(code) {
+  return (typeof code === 'string' && snapshot.get(code)) || null;
+};
+
+wasteCategorySchema.statics.activeCodes = function() {
+  return [...snapshot.values()].filter(category => category.isActive).map(category => category.code);
+};
+
+// New records may only use active categories; records already filed under a
+// retired category stay valid as long as their category is not changed.
+wasteCategorySchema.statics.isUsableCode = function(code, { existing = false } = {}) {
+  const category = this.fromSnapshot(code);
+  return !!category && (category.isActive || existing);
+};
+
+// Aggregation stages that join a category's name and colour onto its code
+wasteCategorySchema.statics.lookupStages = function(localField = '_id') {
+  return [
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField,
+        foreignField: 'code',
+        as: 'catalogueEntry'
+      }
+    },
+    {
+      $set: {
+        name: { $arrayElemAt: ['$catalogueEntry.name', 0] },
+        colourCode: { $arrayElemAt: ['$catalogueEntry.colourCode', 0] }
+      }
+    },
+    { $unset: 'catalogueEntry' }
+  ];
+};
+
+const WasteCategory = mongoose.model('WasteCategory', wasteCategorySchema);
+
+export default WasteCategory;
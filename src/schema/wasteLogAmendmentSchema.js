@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// A proposed correction to a waste log that can no longer be edited directly
+// (past the 24-hour edit window). A health officer approves or rejects it; an
+// approved correction becomes a new revision of the log and the values it
+// replaced are kept in the log's revision history.
+
+export const AMENDMENT_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+// Fields a correction may change
+export const AMENDABLE_FIELDS = [
+  'category',
+  'subcategory',
+  'volumeKg',
+  'description',
+  'storageConditions',
+  'containerInfo',
+  'storageAreaId'
+];
+
+const wasteLogAmendmentFields = {
+  wasteLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLog',
+    required: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  // 'correct' changes fields; 'void' withdraws a log that should never have been recorded
+  action: {
+    type: String,
+    enum: ['correct', 'void'],
+    default: 'correct'
+  },
+  // Field → proposed value, and the value it had when the amendment was proposed
+  changes: mongoose.Schema.Types.Mixed,
+  previous: mongoose.Schema.Types.Mixed,
+  reason: {
+    type: String,
+    required: [true, 'A reason for the amendment is required'],
+    trim: true,
+    minLength: [10, 'Reason must be at least 10 characters'],
+    maxLength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: AMENDMENT_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Review note cannot exceed 1000 characters']
+  },
+  // Revision of the log created by approving this amendment
+  revision: Number
+};
+
+const wasteLogAmendmentSchema = createSchema(wasteLogAmendmentFields);
+
+// A log has at most one amendment awaiting review
+wasteLogAmendmentSchema.index({ wasteLogId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+wasteLogAmendmentSchema.index({ status: 1, createdAt: 1 });
+
+const WasteLogAmendment = mongoose.model('WasteLogAmendment', wasteLogAmendmentSchema);
+
+export default WasteLogAmendment;
@@ -1,22 +1,79 @@
 import mongoose from 'mongoose';
 import { createSchema, commonSchemas } from './baseSchema.js';
+import WasteCategory from './wasteCategorySchema.js';
+
+// Catalogue entry of the log's category (see wasteCategorySchema)
+const categoryOf = (log) => WasteCategory.fromSnapshot(log.category);
+
+// Escalation steps for waste kept on site past its category's maximum storage
+// time, in order: the clinic is warned, then health officers are alerted, then
+// a compliance violation is recorded
+export const STORAGE_ESCALATION_TIERS = ['clinic_warning', 'health_officer_alert', 'violation'];
+
+// Fields that make up what a pickup was declared to carry; they cannot change
+// while the log is on a pickup request
+export const PICKUP_LOCKED_FIELDS = ['category', 'volumeKg'];
+
+// One approved amendment: what it changed, the values it replaced, and who
+// proposed and approved it. The log as first recorded is revision 1.
+const revisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  amendmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteLogAmendment',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['correct', 'void'],
+    required: true
+  },
+  changes: mongoose.Schema.Types.Mixed,
+  previous: mongoose.Schema.Types.Mixed,
+  reason: String,
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date
+}, { _id: false });
 
 const wasteLogFields = {
   clinicId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'Clinic',
     required: true,
     index: true
   },
   category: {
     type: String,
-    enum: ['sharps', 'biohazard', 'expired_meds', 'others'],
     required: true,
-    index: true
+    index: true,
+    validate: {
+      validator: function(code) {
+        const unchanged = typeof this.isModified === 'function' && !this.isNew && !this.isModified('category');
+        return WasteCategory.isUsableCode(code, { existing: unchanged });
+      },
+      message: props => `${props.value} is not an active waste category`
+    }
   },
   subcategory: {
     type: String,
-    required: function() { return this.category === 'others'; }
+    required: function() { return !!categoryOf(this)?.requiresSubcategory; },
+    validate: {
+      validator: function(subcategory) {
+        const listed = categoryOf(this)?.subcategories || [];
+        return !subcategory || listed.length === 0 || listed.some(item => item.code === subcategory);
+      },
+      message: props => `${props.value} is not a sub-category of this waste category`
+    }
   },
   volumeKg: {
     type: Number,
@@ -28,11 +85,10 @@ const wasteLogFields = {
     maxLength: 500,
     trim: true
   },
+  // Defaults to the catalogue's instructions for the category
   handlingInstructions: {
     type: String,
-    required: function() {
-      return ['biohazard', 'expired_meds'].includes(this.category);
-    }
+    default: function() { return categoryOf(this)?.handlingInstructions; }
   },
   storageConditions: {
     temperature: {
@@ -49,7 +105,14 @@ const wasteLogFields = {
     type: {
       type: String,
       enum: ['bag', 'box', 'container', 'other'],
-      required: true
+      required: true,
+      validate: {
+        validator: function(type) {
+          const allowed = categoryOf(this)?.allowedContainerTypes;
+          return !allowed?.length || allowed.includes(type);
+        },
+        message: props => `${props.value} containers are not allowed for this waste category`
+      }
     },
     quantity: {
       type: Number,
@@ -81,6 +144,36 @@ const wasteLogFields = {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PickupRequest',
     index: true
+  },
+  // Where the waste is held until pickup; sensor readings from the area are linked to it
+  storageAreaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageArea',
+    index: true
+  },
+  // Set on logs created by a bulk import, so the import can be undone
+  importJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    index: true
+  },
+  revision: {
+    type: Number,
+    default: 1
+  },
+  revisions: [revisionSchema],
+  // How far the storage-time enforcement job has escalated this log
+  storageEscalation: {
+    tier: {
+      type: String,
+      enum: STORAGE_ESCALATION_TIERS
+    },
+    warnedAt: Date,
+    alertedAt: Date,
+    violationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageViolation'
+    }
   }
 };
 
@@ -102,6 +195,16 @@ wasteLogSchema.virtual('isRecent').get(function() {
   return this.ageInHours <= 24;
 });
 
+wasteLogSchema.virtual('colourCode').get(function() {
+  return categoryOf(this)?.colourCode;
+});
+
+// Past the catalogue's maximum storage time and not yet handed to a pickup
+wasteLogSchema.virtual('isOverStorageLimit').get(function() {
+  const maxStorageHours = categoryOf(this)?.maxStorageHours;
+  return !!maxStorageHours && !this.pickupRequestId && this.ageInHours > maxStorageHours;
+});
+
 // Methods
 wasteLogSchema.methods.isEditable = function() {
   if (this.isDeleted) return false;
@@ -131,7 +234,7 @@ wasteLogSchema.statics.findNearby = function(coordinates, maxDistance = 10000, f
     ...filters
   };
 
-  return this.find(query).populate('clinicId', 'username email');
+  return this.find(query).populate('clinicId', 'name email');
 };
 
 wasteLogSchema.statics.getStatistics = async function(clinicId, startDate, endDate) {
@@ -157,7 +260,8 @@ wasteLogSchema.statics.getStatistics = async function(clinicId, startDate, endDa
         minVolume: { $min: '$volumeKg' },
         maxVolume: { $max: '$volumeKg' }
       }
-    }
+    },
+    ...WasteCategory.lookupStages('_id')
   ]);
 
   const monthlyTrends = await this.aggregate([
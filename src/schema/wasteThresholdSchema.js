@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// Limits on how much waste of one category a clinic may accumulate before it is
+// picked up, by total weight and by the age of the oldest un-picked-up log.
+
+const wasteThresholdFields = {
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  // A code from the waste category catalogue
+  category: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  maxVolumeKg: {
+    type: Number,
+    min: [0.1, 'Volume threshold must be positive']
+  },
+  maxStorageHours: {
+    type: Number,
+    min: [1, 'Storage age threshold must be at least one hour']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set while the clinic is over the threshold, so each crossing is acted on once;
+  // cleared when the accumulated waste drops back under it
+  exceededAt: Date,
+  lastTriggeredAt: Date,
+  lastTrigger: {
+    reasons: [String],
+    totalVolumeKg: Number,
+    oldestAgeHours: Number,
+    logCount: Number,
+    pickupRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PickupRequest'
+    }
+  }
+};
+
+const wasteThresholdSchema = createSchema(wasteThresholdFields);
+
+wasteThresholdSchema.index({ clinicId: 1, category: 1 }, { unique: true });
+
+wasteThresholdSchema.pre('validate', function(next) {
+  if (!Number.isFinite(this.maxVolumeKg) && !Number.isFinite(this.maxStorageHours)) {
+    this.invalidate('maxVolumeKg', 'Set a volume threshold, a storage age threshold, or both');
+  }
+  next();
+});
+
+const WasteThreshold = mongoose.model('WasteThreshold', wasteThresholdSchema);
+
+export default WasteThreshold;
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import { createSchema } from './baseSchema.js';
+
+// A pickup whose weight measured at collection is outside the tolerated
+// difference from the weight the clinic declared. Queued for a health officer,
+// who resolves it once the clinic and the collector have each explained the
+// difference. One per pickup.
+
+export const DISCREPANCY_STATUSES = ['open', 'resolved'];
+
+// Parties asked to explain a discrepancy
+export const DISCREPANCY_PARTIES = ['clinic', 'collector'];
+
+const explanationSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'An explanation is required'],
+    trim: true,
+    minLength: [10, 'Explanation must be at least 10 characters'],
+    maxLength: [1000, 'Explanation cannot exceed 1000 characters']
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const weightDiscrepancyFields = {
+  pickupRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    required: true,
+    unique: true
+  },
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true,
+    index: true
+  },
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  manifestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Manifest'
+  },
+  wasteType: String,
+  declaredKg: {
+    type: Number,
+    required: true
+  },
+  measuredKg: {
+    type: Number,
+    required: true
+  },
+  // Measured minus declared
+  differenceKg: {
+    type: Number,
+    required: true
+  },
+  differencePercent: Number,
+  // Difference that was tolerated for this pickup
+  allowedKg: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DISCREPANCY_STATUSES,
+    default: 'open',
+    index: true
+  },
+  explanations: {
+    clinic: explanationSchema,
+    collector: explanationSchema
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Resolution note cannot exceed 1000 characters']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+};
+
+const weightDiscrepancySchema = createSchema(weightDiscrepancyFields);
+
+weightDiscrepancySchema.index({ status: 1, createdAt: 1 });
+
+// Parties that have not explained the difference yet
+weightDiscrepancySchema.virtual('awaitingExplanation').get(function() {
+  return DISCREPANCY_PARTIES.filter(party => !this.explanations?.[party]?.text);
+});
+
+const WeightDiscrepancy = mongoose.model('WeightDiscrepancy', weightDiscrepancySchema);
+
+export default WeightDiscrepancy;
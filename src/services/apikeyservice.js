@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import net from 'net';
+import config from '../config/serverConfig.js';
+import { API_KEY_SCOPES, API_KEY_OWNER_ROLES } from '../config/permissions.js';
+import apiKeyRepository from '../repository/apiKeyRepository.js';
+import userRepository from '../repository/userRepository.js';
+import { createNotification } from './notificationservice.js';
+import { getApiKeyPermissions } from './policyservice.js';
+import { getClinicContext } from './clinicservice.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const KEY_PREFIX = 'mck';
+const KEY_ID_BYTES = 9;
+const SECRET_BYTES = 32;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ALLOWED_IPS = 50;
+
+// Helper functions
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const secretMatches = (secret, hash) => {
+  if (!hash) return false;
+  const presented = Buffer.from(hashSecret(secret), 'hex');
+  const stored = Buffer.from(hash, 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+const generateSecret = () => crypto.randomBytes(SECRET_BYTES).toString('base64url');
+
+const buildKey = (keyId, secret) => `${KEY_PREFIX}_${keyId}_${secret}`;
+
+// Key IDs are hex and the prefix is fixed, so the secret is everything after the second "_"
+const parseKey = (rawKey) => {
+  if (typeof rawKey !== 'string') return null;
+  const match = /^mck_([0-9a-f]+)_([A-Za-z0-9_-]+)$/.exec(rawKey.trim());
+  return match ? { keyId: match[1], secret: match[2] } : null;
+};
+
+// "::ffff:10.0.0.1" is how IPv4 clients appear on dual-stack sockets
+const normalizeIp = (ip) => (ip?.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+const validateAllowedIps = (allowedIps = []) => {
+  if (!Array.isArray(allowedIps)) {
+    throw new ValidationError('allowedIps must be an array');
+  }
+  if (allowedIps.length > MAX_ALLOWED_IPS) {
+    throw new ValidationError(`allowedIps cannot contain more than ${MAX_ALLOWED_IPS} entries`);
+  }
+
+  return allowedIps.map(entry => {
+    const [address, prefix, extra] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+
+    if (!family || extra !== undefined ||
+        (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+      throw new ValidationError(`Invalid IP address or CIDR range: ${entry}`);
+    }
+    return prefix === undefined ? address : `${address}/${prefix}`;
+  });
+};
+
+const isIpAllowed = (allowedIps, ip) => {
+  if (!allowedIps?.length) return true;
+
+  const clientIp = normalizeIp(ip);
+  const family = net.isIP(clientIp);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const entry of allowedIps) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, Number(prefix), type);
+    }
+  }
+
+  return blockList.check(clientIp, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ValidationError('At least one scope is required');
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+    );
+  }
+
+  return [...new Set(scopes)];
+};
+
+const resolveExpiry = (expiresInDays = config.API_KEY_DEFAULT_EXPIRY_DAYS) => {
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > config.API_KEY_MAX_EXPIRY_DAYS) {
+    throw new ValidationError(`expiresInDays must be between 1 and ${config.API_KEY_MAX_EXPIRY_DAYS}`);
+  }
+  return new Date(Date.now() + days * DAY_MS);
+};
+
+/**
+ * Issues a new API key. The plaintext key is returned only from this call.
+ * @param {string} ownerId - The clinic or collector account the key acts for
+ * @param {Object} data - { name, scopes, allowedIps, expiresInDays }
+ * @param {string} createdBy - The user creating the key
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+export const createApiKey = async (ownerId, { name, scopes, allowedIps, expiresInDays } = {}, createdBy) => {
+  try {
+    if (!validateObjectId(ownerId)) {
+      throw new ValidationError('Invalid owner ID');
+    }
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('API key name is required');
+    }
+
+    const owner = await userRepository.getUserById(ownerId);
+    if (!API_KEY_OWNER_ROLES.includes(owner.role)) {
+      throw new ValidationError(`API keys can only belong to ${API_KEY_OWNER_ROLES.join(' or ')} accounts`);
+    }
+
+    const keyId = crypto.randomBytes(KEY_ID_BYTES).toString('hex');
+    const secret = generateSecret();
+
+    const apiKey = await apiKeyRepository.create({
+      ownerId,
+      name: name.trim(),
+      keyId,
+      secretHash: hashSecret(secret),
+      scopes: validateScopes(scopes),
+      allowedIps: validateAllowedIps(allowedIps),
+      expiresAt: resolveExpiry(expiresInDays),
+      createdBy
+    });
+
+    await createNotification({
+      userId: ownerId,
+      type: 'account_update',
+      title: 'API Key Created',
+      message: `API key "${apiKey.name}" was created with scopes: ${apiKey.scopes.join(', ')}`,
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return { apiKey, key: buildKey(keyId, secret) };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to create API key', error);
+  }
+};
+
+/**
+ * Lists an owner's API keys (without secrets)
+ * @param {string} ownerId - The owning user ID
+ * @param {Object} options - { includeRevoked }
+ * @returns {Promise<Array>} Keys
+ */
+export const listApiKeys = async (ownerId, options = {}) => {
+  try {
+    if (!validateObjectId(ownerId)) {
+      throw new ValidationError('Invalid owner ID');
+    }
+    return await apiKeyRepository.findByOwner(ownerId, options);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list API keys', error);
+  }
+};
+
+/**
+ * Issues a new secret for a key. The old secret keeps working for the grace period
+ * so integrations can be redeployed without downtime.
+ * @param {string} id - The API key record ID
+ * @param {Object} options - { gracePeriodHours }
+ * @returns {Promise<Object>} { apiKey, key, previousKeyValidUntil }
+ */
+export const rotateApiKey = async (id, { gracePeriodHours = config.API_KEY_ROTATION_GRACE_HOURS } = {}) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid API key ID');
+    }
+
+    const hours = Number(gracePeriodHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 7 * 24) {
+      throw new ValidationError('gracePeriodHours must be between 0 and 168');
+    }
+
+    const secret = generateSecret();
+    const graceUntil = hours > 0 ? new Date(Date.now() + hours * HOUR_MS) : null;
+    const apiKey = await apiKeyRepository.rotateSecret(id, hashSecret(secret), graceUntil);
+
+    return {
+      apiKey,
+      key: buildKey(apiKey.keyId, secret),
+      previousKeyValidUntil: graceUntil
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to rotate API key', error);
+  }
+};
+
+/**
+ * Revokes a key immediately
+ * @param {string} id - The API key record ID
+ * @param {string} revokedBy - The user revoking the key
+ * @returns {Promise<Object>} Revoked key
+ */
+export const revokeApiKey = async (id, revokedBy) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid API key ID');
+    }
+    return await apiKeyRepository.revoke(id, revokedBy);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to revoke API key', error);
+  }
+};
+
+/**
+ * Authenticates a request made with an API key
+ * @param {string} rawKey - The presented key
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} Principal for req.user
+ */
+export const authenticateApiKey = async (rawKey, ip) => {
+  try {
+    const parsed = parseKey(rawKey);
+    if (!parsed) {
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    const apiKey = await apiKeyRepository.findByKeyIdWithSecrets(parsed.keyId);
+    if (!apiKey) {
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    const now = new Date();
+    const matchesCurrent = secretMatches(parsed.secret, apiKey.secretHash);
+    const matchesPrevious = !matchesCurrent &&
+      apiKey.previousSecretExpiresAt > now &&
+      secretMatches(parsed.secret, apiKey.previousSecretHash);
+
+    if (!matchesCurrent && !matchesPrevious) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    if (apiKey.revokedAt) {
+      throw new AuthenticationError('API key has been revoked');
+    }
+    if (apiKey.expiresAt <= now) {
+      throw new AuthenticationError('API key has expired');
+    }
+    if (!isIpAllowed(apiKey.allowedIps, ip)) {
+      throw new AuthenticationError('API key is not allowed from this IP address');
+    }
+
+    const owner = await userRepository.getUserById(apiKey.ownerId);
+    if (owner.status !== 'active') {
+      throw new AuthenticationError('Account is not active');
+    }
+
+    await apiKeyRepository.recordUsage(apiKey._id, normalizeIp(ip));
+
+    const principal = {
+      id: String(owner._id),
+      role: owner.role,
+      email: owner.email,
+      status: owner.status,
+      ...(owner.role === 'clinic' && await getClinicContext(owner._id))
+    };
+
+    return {
+      ...principal,
+      authType: 'api_key',
+      apiKeyId: String(apiKey._id),
+      scopes: apiKey.scopes,
+      permissions: getApiKeyPermissions(principal, apiKey.scopes)
+    };
+  } catch (error) {
+    // The owner account no longer exists
+    if (error instanceof NotFoundError) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    rethrowKnown(error);
+    throw new InternalError('Failed to authenticate API key', error);
+  }
+};
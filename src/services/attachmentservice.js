@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import path from 'path';
+import config from '../config/serverConfig.js';
+import attachmentRepository from '../repository/attachmentRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import userRepository from '../repository/userRepository.js';
+import { ATTACHMENT_TARGETS } from '../schema/attachmentSchema.js';
+import { ownsResources } from './policyservice.js';
+import { ATTACHMENT_TYPES, detectMimeType, createThumbnail, readImageMetadata } from '../utils/media.js';
+import { getStorage, verifySignedKey, generateStorageKey } from '../utils/storage.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId, validateDate } from '../utils/validation.js';
+
+const DOCUMENT_TYPES = ['license', 'permit', 'certification', 'insurance'];
+
+// Helper functions
+
+const idOf = (value) => (value?._id || value) && String(value?._id || value);
+
+// Access to an attachment follows access to the record it belongs to. Users with
+// an "own" scope may only reach records they own; verification documents belong
+// to the account they verify.
+const resolveTarget = async (targetType, targetId, user, scope) => {
+  if (!ATTACHMENT_TARGETS[targetType]) {
+    throw new ValidationError(`Target type must be one of: ${Object.keys(ATTACHMENT_TARGETS).join(', ')}`);
+  }
+  if (!validateObjectId(targetId)) {
+    throw new ValidationError('Invalid target ID');
+  }
+
+  if (targetType === 'verification_document') {
+    if (scope !== 'any' && String(targetId) !== String(user.id)) {
+      throw new AuthorizationError('You can only access your own verification documents');
+    }
+    const owner = await userRepository.getUserById(targetId);
+    return { owner };
+  }
+
+  if (scope !== 'any' && !(await ownsResources(targetType, user, [targetId]))) {
+    throw new AuthorizationError(`You do not have access to this ${targetType}`);
+  }
+
+  const record = targetType === 'wastelog'
+    ? await wasteLogRepository.findById(targetId)
+    : await pickupRepository.findById(targetId);
+  return { clinicId: idOf(record.clinicId) };
+};
+
+// Picks the verification document a file belongs to, adding a new entry when
+// the upload describes one instead of naming an existing one
+const resolveVerificationDocument = async (owner, { documentId, documentType, documentNumber, issuedBy, issuedDate, expiryDate }) => {
+  if (documentId) {
+    const exists = (owner.verificationStatus?.documents || []).some(document => idOf(document._id) === String(documentId));
+    if (!exists) throw new NotFoundError('Verification document not found');
+    return documentId;
+  }
+
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw new ValidationError(`Give a documentId, or a documentType (${DOCUMENT_TYPES.join(', ')}) to add a new document`);
+  }
+  for (const [name, value] of Object.entries({ issuedDate, expiryDate })) {
+    if (value !== undefined && !validateDate(value)) throw new ValidationError(`${name} must be a valid date`);
+  }
+
+  const document = await userRepository.addVerificationDocument(owner._id, {
+    type: documentType,
+    number: documentNumber,
+    issuedBy,
+    issuedDate,
+    expiryDate
+  });
+  return document._id;
+};
+
+const toResponse = async (attachment) => {
+  const storage = getStorage(attachment.storageDriver);
+  const options = { fileName: attachment.fileName, contentType: attachment.mimeType };
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.getSignedUrl(attachment.storageKey, options),
+    attachment.thumbnailKey
+      ? storage.getSignedUrl(attachment.thumbnailKey, { ...options, contentType: 'image/jpeg' })
+      : null
+  ]);
+
+  const { storageKey, thumbnailKey, storageDriver, ...details } = attachment.toJSON();
+  return {
+    ...details,
+    url,
+    thumbnailUrl,
+    urlExpiresAt: new Date(Date.now() + config.ATTACHMENT_URL_EXPIRY_SECONDS * 1000)
+  };
+};
+
+/**
+ * Stores a photo or document and links it to a waste log, pickup request or
+ * verification document. The file type is checked against the file's contents;
+ * photos get a thumbnail, and the capture time and GPS position from their EXIF data.
+ * @param {Object} file - Uploaded file ({ originalname, buffer, mimetype })
+ * @param {Object} user - The uploading user
+ * @param {string} scope - Permission scope ('own' or 'any')
+ * @param {Object} data - { targetType, targetId, caption, documentId | documentType, documentNumber, issuedBy, issuedDate, expiryDate }
+ * @returns {Promise<Object>} Attachment with signed URLs
+ */
+export const uploadAttachment = async (file, user, scope, data = {}) => {
+  const stored = [];
+  try {
+    if (!file?.buffer?.length) {
+      throw new ValidationError('A file is required');
+    }
+
+    const mimeType = detectMimeType(file.buffer);
+    if (!mimeType) {
+      throw new ValidationError(`Only ${Object.keys(ATTACHMENT_TYPES).join(', ')} files can be attached`);
+    }
+    if (mimeType !== file.mimetype) {
+      throw new ValidationError(`The file content (${mimeType}) does not match its declared type (${file.mimetype})`);
+    }
+
+    const { targetType, targetId, caption } = data;
+    const target = await resolveTarget(targetType, targetId, user, scope);
+
+    const { extension, kind } = ATTACHMENT_TYPES[mimeType];
+    let metadata = {};
+    let thumbnail = null;
+    if (kind === 'image') {
+      try {
+        [metadata, thumbnail] = await Promise.all([readImageMetadata(file.buffer), createThumbnail(file.buffer)]);
+      } catch (error) {
+        throw new ValidationError('The image could not be read');
+      }
+    }
+
+    const storage = getStorage();
+    const storageKey = generateStorageKey(extension);
+    await storage.put(storageKey, file.buffer, { contentType: mimeType });
+    stored.push([storage, storageKey]);
+
+    let thumbnailKey;
+    if (thumbnail) {
+      thumbnailKey = generateStorageKey('.thumb.jpg');
+      await storage.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+      stored.push([storage, thumbnailKey]);
+    }
+
+    const documentId = targetType === 'verification_document'
+      ? await resolveVerificationDocument(target.owner, data)
+      : undefined;
+
+    const attachment = await attachmentRepository.create({
+      targetType,
+      targetId,
+      targetModel: ATTACHMENT_TARGETS[targetType],
+      documentId,
+      clinicId: target.clinicId,
+      uploadedBy: user.id,
+      kind,
+      fileName: path.basename(file.originalname || `attachment${extension}`),
+      mimeType,
+      size: file.buffer.length,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      caption,
+      storageDriver: storage.name,
+      storageKey,
+      thumbnailKey,
+      width: metadata.width,
+      height: metadata.height,
+      capturedAt: metadata.capturedAt,
+      capturedLocation: metadata.location
+    });
+    stored.length = 0;
+
+    if (documentId) {
+      await userRepository.setVerificationDocumentFile(targetId, documentId, attachment._id);
+    }
+
+    return await toResponse(attachment);
+  } catch (error) {
+    // Do not leave files behind for an attachment that was never recorded
+    await Promise.all(stored.map(([storage, key]) => storage.remove(key).catch(() => {})));
+    rethrowKnown(error);
+    throw new InternalError('Failed to store attachment', error);
+  }
+};
+
+/**
+ * Lists the attachments of a record
+ * @param {string} targetType - 'wastelog', 'pickup' or 'verification_document'
+ * @param {string} targetId - Record ID (the user ID for verification documents)
+ * @param {Object} user - The requesting user
+ * @param {string} scope - Permission scope ('own' or 'any')
+ * @param {Object} filters - { documentId }
+ * @returns {Promise<Array>} Attachments with signed URLs
+ */
+export const listAttachments = async (targetType, targetId, user, scope, filters = {}) => {
+  try {
+    await resolveTarget(targetType, targetId, user, scope);
+
+    const query = {};
+    if (filters.documentId) {
+      if (!validateObjectId(filters.documentId)) throw new ValidationError('Invalid document ID');
+      query.documentId = filters.documentId;
+    }
+
+    const attachments = await attachmentRepository.findByTarget(targetType, targetId, query);
+    return await Promise.all(attachments.map(toResponse));
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list attachments', error);
+  }
+};
+
+/**
+ * Gets an attachment with fresh signed URLs
+ * @param {string} id - The attachment ID
+ * @param {Object} user - The requesting user
+ * @param {string} scope - Permission scope ('own' or 'any')
+ * @returns {Promise<Object>} Attachment with signed URLs
+ */
+export const getAttachment = async (id, user, scope) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid attachment ID');
+    }
+
+    const attachment = await attachmentRepository.findAttachment(id);
+    await resolveTarget(attachment.targetType, idOf(attachment.targetId), user, scope);
+    return await toResponse(attachment);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch attachment', error);
+  }
+};
+
+/**
+ * Removes an attachment from its record. The stored file is kept for the audit
+ * record but can no longer be downloaded.
+ * @param {string} id - The attachment ID
+ * @param {Object} user - The requesting user
+ * @param {string} scope - Permission scope ('own' or 'any')
+ * @returns {Promise<Object>} Deleted attachment
+ */
+export const deleteAttachment = async (id, user, scope) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid attachment ID');
+    }
+
+    const attachment = await attachmentRepository.findAttachment(id);
+    await resolveTarget(attachment.targetType, idOf(attachment.targetId), user, scope);
+
+    return await attachment.softDelete({ _id: user.id });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to delete attachment', error);
+  }
+};
+
+/**
+ * Opens a locally stored file for a signed download link
+ * @param {string} key - Storage key from the link
+ * @param {Object} signature - { expires, signature } from the link's query string
+ * @returns {Promise<Object>} { stream, contentType, fileName }
+ */
+export const openSignedFile = async (key, { expires, signature } = {}) => {
+  try {
+    if (!verifySignedKey(key, expires, signature)) {
+      throw new AuthorizationError('This download link is invalid or has expired');
+    }
+
+    const attachment = await attachmentRepository.findByStorageKey(key);
+    const isThumbnail = attachment.thumbnailKey === key;
+    const stream = await getStorage(attachment.storageDriver).get(key);
+
+    return {
+      stream,
+      contentType: isThumbnail ? 'image/jpeg' : attachment.mimeType,
+      fileName: isThumbnail ? `thumbnail-${path.parse(attachment.fileName).name}.jpg` : attachment.fileName
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to open file', error);
+  }
+};
@@ -0,0 +1,508 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/serverConfig.js';
+import sessionRepository from '../repository/sessionRepository.js';
+import userRepository from '../repository/userRepository.js';
+import { createNotification } from './notificationservice.js';
+import { sendMail } from '../utils/mailer.js';
+import { describeUserAgent } from '../utils/device.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  InternalError
+} from '../utils/errors.js';
+import { validateObjectId, validateEmail } from '../utils/validation.js';
+
+const REFRESH_TOKEN_BYTES = 48;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper functions
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new ValidationError('Refresh token is required');
+  }
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!validateObjectId(sessionId) || !secret) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  return { sessionId, secret };
+};
+
+const generateSecret = () => crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+
+/**
+ * Signs a short-lived access token bound to a session
+ * @param {Object} user - The user the token is issued for
+ * @param {string} sessionId - The session the token belongs to
+ * @param {Object} options - { expiresIn, claims } extra claims such as impersonatorId
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user, sessionId, { expiresIn = config.JWT_EXPIRY, claims = {} } = {}) => {
+  try {
+    return jwt.sign(
+      {
+        ...claims,
+        id: user._id,
+        role: user.role,
+        email: user.email,
+        status: user.status,
+        sid: sessionId,
+        version: user.__v || 0
+      },
+      config.JWT_SECRET,
+      {
+        expiresIn,
+        audience: 'MediClean',
+        issuer: 'MediClean-Auth'
+      }
+    );
+  } catch (error) {
+    throw new InternalError('Failed to generate authentication token', error);
+  }
+};
+
+/**
+ * Starts a new session (refresh-token family) for a user on a device
+ * @param {Object} user - The authenticated user
+ * @param {Object} context - Device context ({ deviceId, userAgent, ip })
+ * @param {Object} options - { twoFactorVerified } when the login passed a second factor
+ * @returns {Promise<Object>} Access token, refresh token and session metadata
+ */
+export const createSession = async (user, { deviceId, userAgent, ip } = {}, { twoFactorVerified = false } = {}) => {
+  try {
+    if (!user?._id) {
+      throw new ValidationError('User is required');
+    }
+
+    const secret = generateSecret();
+    const session = await sessionRepository.create({
+      userId: user._id,
+      deviceId: deviceId || crypto.randomUUID(),
+      userAgent,
+      ip,
+      lastIp: ip,
+      lastActivityAt: new Date(),
+      tokenHash: hashToken(secret),
+      twoFactorVerified,
+      expiresAt: new Date(Date.now() + config.REFRESH_TOKEN_EXPIRY_DAYS * DAY_MS)
+    });
+
+    return {
+      accessToken: signAccessToken(user, session._id),
+      refreshToken: buildRefreshToken(session._id, secret),
+      sessionId: session._id,
+      deviceId: session.deviceId,
+      refreshExpiresAt: session.expiresAt
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to create session', error);
+  }
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated revokes the whole family.
+ * @param {string} refreshToken - The refresh token presented by the client
+ * @returns {Promise<Object>} New access token and refresh token
+ */
+export const refreshSession = async (refreshToken) => {
+  try {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+    const presentedHash = hashToken(secret);
+    const nextSecret = generateSecret();
+
+    const rotated = await sessionRepository.rotateToken(sessionId, presentedHash, hashToken(nextSecret));
+
+    if (!rotated) {
+      const session = await sessionRepository.findWithTokens(sessionId);
+      if (!session) {
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      const wasIssued = session.previousTokenHashes.includes(presentedHash) ||
+        session.tokenHash === presentedHash;
+
+      if (wasIssued && !session.revokedAt) {
+        await handleTokenReuse(session);
+      }
+
+      throw new AuthenticationError('Refresh token is no longer valid');
+    }
+
+    const user = await userRepository.getUserById(rotated.userId);
+    if (user.status !== 'active') {
+      await rotated.revoke('logout');
+      throw new AuthenticationError('Account is not active');
+    }
+
+    return {
+      accessToken: signAccessToken(user, rotated._id),
+      refreshToken: buildRefreshToken(rotated._id, nextSecret),
+      sessionId: rotated._id,
+      refreshExpiresAt: rotated.expiresAt
+    };
+  } catch (error) {
+    if (
+      error instanceof ValidationError ||
+      error instanceof AuthenticationError
+    ) {
+      throw error;
+    }
+    if (error instanceof NotFoundError) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+    throw new InternalError('Failed to refresh session', error);
+  }
+};
+
+// A rotated token was presented again: treat the family as stolen
+const handleTokenReuse = async (session) => {
+  await session.revoke('reuse_detected');
+
+  console.warn('Refresh token reuse detected:', {
+    sessionId: session._id,
+    userId: session.userId,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    await createNotification({
+      userId: session.userId,
+      type: 'account_update',
+      title: 'Suspicious Sign-in Activity',
+      message: 'A previously used sign-in token was presented again. The affected session has been signed out.',
+      category: 'administrative',
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Failed to send token reuse notification:', error);
+  }
+};
+
+/**
+ * Revokes the session a refresh token belongs to
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  try {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+    const session = await sessionRepository.findWithTokens(sessionId);
+
+    if (!session || session.tokenHash !== hashToken(secret)) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    await session.revoke('logout');
+    return true;
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthenticationError) throw error;
+    throw new InternalError('Failed to revoke session', error);
+  }
+};
+
+/**
+ * Revokes a session by ID
+ * @param {string} sessionId - The session ID
+ * @param {string} reason - Revocation reason
+ * @param {string} revokedBy - The user revoking it, when not the session's own user
+ * @returns {Promise<boolean>} Whether the session was revoked
+ */
+export const revokeSession = async (sessionId, reason = 'logout', revokedBy = undefined) => {
+  try {
+    if (!validateObjectId(sessionId)) {
+      throw new ValidationError('Invalid session ID');
+    }
+
+    await sessionRepository.revoke(sessionId, reason, revokedBy);
+    return true;
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+    throw new InternalError('Failed to revoke session', error);
+  }
+};
+
+/**
+ * Revokes every session of a user
+ * @param {string} userId - The user ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} options - { exceptSessionId, revokedBy }
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export const revokeAllUserSessions = async (userId, reason = 'logout', options = {}) => {
+  try {
+    if (!validateObjectId(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const result = await sessionRepository.revokeAllForUser(userId, reason, options);
+    return result.modifiedCount;
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to revoke user sessions', error);
+  }
+};
+
+/**
+ * Signs a user out everywhere, e.g. when a collector loses their phone
+ * @param {string} userId - The user to sign out
+ * @param {string} adminId - The administrator forcing the logout
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export const forceLogoutUser = async (userId, adminId) => {
+  try {
+    if (!validateObjectId(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    await userRepository.getUserById(userId);
+    const revoked = await revokeAllUserSessions(userId, 'forced_logout', { revokedBy: adminId });
+
+    await createNotification({
+      userId,
+      type: 'account_update',
+      title: 'Signed Out of All Devices',
+      message: 'An administrator signed your account out of all devices. Please sign in again.',
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return revoked;
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+    throw new InternalError('Failed to sign user out', error);
+  }
+};
+
+/**
+ * Lists a user's active sessions with a readable device description
+ * @param {string} userId - The user ID
+ * @param {string} currentSessionId - Session of the caller, flagged as current
+ * @returns {Promise<Array>} Sessions
+ */
+export const listUserSessions = async (userId, currentSessionId = null) => {
+  try {
+    if (!validateObjectId(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const sessions = await sessionRepository.findActiveByUser(userId);
+
+    return sessions.map(session => ({
+      id: session._id,
+      deviceId: session.deviceId,
+      device: describeUserAgent(session.userAgent),
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastIp: session.lastIp || session.ip,
+      createdAt: session.createdAt,
+      lastActivityAt: session.lastActivityAt || session.lastRotatedAt || session.createdAt,
+      expiresAt: session.expiresAt,
+      twoFactorVerified: session.twoFactorVerified,
+      impersonatorId: session.impersonatorId,
+      current: String(session._id) === String(currentSessionId)
+    }));
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to list sessions', error);
+  }
+};
+
+/**
+ * Checks whether the session behind an access token is still active
+ * @param {string} sessionId - The session ID from the token's `sid` claim
+ * @returns {Promise<boolean>} Whether the session is active
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!validateObjectId(sessionId)) return false;
+  return sessionRepository.isActive(sessionId);
+};
+
+/**
+ * Records that a session made a request
+ * @param {string} sessionId - The session ID
+ * @param {string} ip - Client IP address
+ * @returns {Promise<void>}
+ */
+export const recordSessionActivity = async (sessionId, ip) => {
+  try {
+    await sessionRepository.recordActivity(sessionId, ip);
+  } catch (error) {
+    // Activity tracking must never block a request
+    console.error('Failed to record session activity:', error);
+  }
+};
+
+/**
+ * Starts a password reset. Resolves the same way whether or not the email
+ * belongs to an account, so callers cannot probe for registered addresses.
+ * @param {string} email - The account email
+ * @returns {Promise<void>}
+ */
+export const requestPasswordReset = async (email) => {
+  if (!validateEmail(email)) {
+    throw new ValidationError('Invalid email format');
+  }
+
+  let reset;
+  try {
+    reset = await userRepository.createPasswordResetToken(email, config.PASSWORD_RESET_EXPIRY_MINUTES);
+  } catch (error) {
+    if (error instanceof NotFoundError) return;
+    throw new InternalError('Failed to start password reset', error);
+  }
+
+  const link = `${config.APP_URL}/reset-password?token=${encodeURIComponent(reset.token)}`;
+
+  // Not awaited: response time must not reveal whether a mail was sent
+  sendMail({
+    to: reset.user.email,
+    subject: 'Reset your MediClean password',
+    text: [
+      `Hello ${reset.user.username},`,
+      '',
+      'We received a request to reset your MediClean password. Use the link below to choose a new one:',
+      link,
+      '',
+      `The link expires in ${config.PASSWORD_RESET_EXPIRY_MINUTES} minutes and can only be used once.`,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  }).catch(error => console.error('Failed to send password reset email:', error));
+};
+
+/**
+ * Completes a password reset and signs the user out everywhere
+ * @param {string} token - The selector.verifier reset token
+ * @param {string} newPassword - The new password
+ * @returns {Promise<boolean>} true on success
+ */
+export const resetPasswordWithToken = async (token, newPassword) => {
+  try {
+    if (!token || !newPassword) {
+      throw new ValidationError('Token and new password are required');
+    }
+
+    const { userId } = await userRepository.resetPassword(token, newPassword);
+    await sessionRepository.revokeAllForUser(userId, 'password_reset');
+
+    await createNotification({
+      userId,
+      type: 'account_update',
+      title: 'Password Reset',
+      message: 'Your password was reset and all active sessions were signed out',
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return true;
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to reset password', error);
+  }
+};
+
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+
+/**
+ * Sends a signed, expiring email verification link.
+ * Silently skips verified users and users still inside the resend cooldown.
+ * @param {Object} user - The user to verify ({ _id, email, username })
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+export const sendVerificationEmail = async (user) => {
+  try {
+    if (!user?._id || !user.email) {
+      throw new ValidationError('User with an email is required');
+    }
+
+    const recorded = await userRepository.recordVerificationEmailSent(
+      user._id,
+      config.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS
+    );
+    if (!recorded) return false;
+
+    const token = jwt.sign(
+      { sub: String(user._id), email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+      config.JWT_SECRET,
+      {
+        expiresIn: config.EMAIL_VERIFICATION_EXPIRY,
+        audience: 'MediClean',
+        issuer: 'MediClean-Auth'
+      }
+    );
+    const link = `${config.APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Confirm your MediClean email address',
+      text: [
+        `Hello ${user.username},`,
+        '',
+        'Please confirm your email address to start logging waste and requesting pickups:',
+        link,
+        '',
+        `This link expires in ${config.EMAIL_VERIFICATION_EXPIRY}.`
+      ].join('\n')
+    });
+
+    return true;
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to send verification email', error);
+  }
+};
+
+/**
+ * Re-sends the verification email. Resolves the same way for unknown,
+ * already verified and throttled addresses.
+ * @param {string} email - The account email
+ * @returns {Promise<void>}
+ */
+export const resendVerificationEmail = async (email) => {
+  if (!validateEmail(email)) {
+    throw new ValidationError('Invalid email format');
+  }
+
+  const user = await userRepository.findByEmail(email);
+  if (!user) return;
+
+  await sendVerificationEmail(user);
+};
+
+/**
+ * Confirms an email address from a verification token
+ * @param {string} token - The signed verification token
+ * @returns {Promise<Object>} The verified user
+ */
+export const verifyEmailToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.JWT_SECRET, {
+      audience: 'MediClean',
+      issuer: 'MediClean-Auth'
+    });
+  } catch (error) {
+    throw new ValidationError('Verification token is invalid or has expired');
+  }
+
+  if (payload.purpose !== EMAIL_VERIFICATION_PURPOSE || !validateObjectId(payload.sub)) {
+    throw new ValidationError('Verification token is invalid or has expired');
+  }
+
+  try {
+    return await userRepository.markEmailVerified(payload.sub, payload.email);
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to verify email', error);
+  }
+};
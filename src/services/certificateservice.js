@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import config from '../config/serverConfig.js';
+import destructionCertificateRepository from '../repository/destructionCertificateRepository.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
+import treatmentFacilityRepository from '../repository/treatmentFacilityRepository.js';
+import manifestRepository from '../repository/manifestRepository.js';
+import { signContent, verifyContent, getPublicKey } from '../utils/signing.js';
+import { renderCertificatePdf } from '../utils/certificates.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const CHECKSUM_PATTERN = /^[a-f0-9]{64}$/;
+
+// Helper functions
+
+const idOf = (value) => value?._id || value;
+
+const assertCertificateId = (id) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError('Invalid certificate ID');
+  }
+};
+
+const seal = (certificate) => {
+  const content = certificate.signedContent();
+  return {
+    checksum: crypto.createHash('sha256').update(content).digest('hex'),
+    ...signContent(content)
+  };
+};
+
+// Whether a stored certificate still matches its checksum and signature
+const checkIntegrity = (certificate) =>
+  certificate.computeChecksum() === certificate.checksum &&
+  verifyContent(certificate.signedContent(), certificate.signature, certificate.keyId);
+
+/**
+ * Issues the certificate of destruction for a treated pickup: what was on it,
+ * who generated, carried and destroyed it, and how. Issuing again returns the
+ * certificate already issued.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object>} Certificate
+ */
+export const issueDestructionCertificate = async (pickupRequestId) => {
+  try {
+    if (!validateObjectId(pickupRequestId)) {
+      throw new ValidationError('Invalid pickup request ID');
+    }
+
+    const existing = await destructionCertificateRepository.findByPickup(pickupRequestId);
+    if (existing) return existing;
+
+    const pickup = await pickupRepository.findById(pickupRequestId);
+    if (pickup.status !== 'treated') {
+      throw new ConflictError('A certificate of destruction is only issued once the waste has been treated');
+    }
+
+    const [facility, manifest, logs] = await Promise.all([
+      treatmentFacilityRepository.findFacility(idOf(pickup.facilityId)),
+      pickup.manifestId ? manifestRepository.findById(idOf(pickup.manifestId)) : null,
+      wasteLogRepository.findByPickup(pickupRequestId)
+    ]);
+
+    return await destructionCertificateRepository.issue({
+      pickupRequestId: pickup._id,
+      clinicId: idOf(pickup.clinicId),
+      collectorId: idOf(pickup.collectorId),
+      facilityId: facility._id,
+      operatorId: facility.operatorId,
+      clinic: { id: idOf(pickup.clinicId), name: pickup.clinicId?.name },
+      collector: pickup.collectorId ? { id: idOf(pickup.collectorId), name: pickup.collectorId.username } : undefined,
+      facility: { name: facility.name, licenseNumber: facility.licenseNumber },
+      manifestNumber: manifest?.manifestNumber,
+      wasteType: pickup.wasteType,
+      declaredKg: pickup.volumeKg,
+      wasteLogs: logs.map(log => ({
+        wasteLogId: log._id,
+        category: log.category,
+        categoryName: wasteCategoryRepository.getCached(log.category)?.name,
+        volumeKg: log.volumeKg,
+        loggedAt: log.loggedAt
+      })),
+      treatment: {
+        method: pickup.treatmentDetails.method,
+        intakeWeightKg: pickup.treatmentDetails.intakeWeightKg,
+        deliveredAt: pickup.deliveredAt,
+        treatedAt: pickup.treatedAt
+      },
+      issuedAt: new Date()
+    }, seal);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to issue certificate of destruction', error);
+  }
+};
+
+/**
+ * Lists certificates of destruction
+ * @param {Object} filters - { clinicId, collectorId, facilityId, operatorId, from, to }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated certificates
+ */
+export const listCertificates = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+    ['clinicId', 'collectorId', 'facilityId', 'operatorId'].forEach(field => {
+      if (filters[field] === undefined) return;
+      if (!validateObjectId(filters[field])) throw new ValidationError(`Invalid ${field}`);
+      query[field] = filters[field];
+    });
+    if (filters.from || filters.to) {
+      query.issuedAt = {};
+      if (filters.from) query.issuedAt.$gte = new Date(filters.from);
+      if (filters.to) query.issuedAt.$lte = new Date(filters.to);
+      if (Object.values(query.issuedAt).some(date => Number.isNaN(date.getTime()))) {
+        throw new ValidationError('Invalid date range');
+      }
+    }
+
+    return await destructionCertificateRepository.findCertificates(query, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list certificates of destruction', error);
+  }
+};
+
+/**
+ * Gets a certificate of destruction with the result of checking its integrity
+ * @param {string} id - The certificate ID
+ * @returns {Promise<Object>} Certificate
+ */
+export const getCertificate = async (id) => {
+  try {
+    assertCertificateId(id);
+    const certificate = await destructionCertificateRepository.findCertificate(id);
+    return { ...certificate.toObject({ virtuals: true }), integrity: { valid: checkIntegrity(certificate) } };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch certificate of destruction', error);
+  }
+};
+
+/**
+ * Renders a certificate of destruction as a PDF
+ * @param {string} id - The certificate ID
+ * @returns {Promise<Object>} { fileName, contentType, body }
+ */
+export const getCertificatePdf = async (id) => {
+  try {
+    assertCertificateId(id);
+    const certificate = await destructionCertificateRepository.findCertificate(id);
+    const publicKey = getPublicKey(certificate.keyId);
+    if (!publicKey) {
+      throw new InternalError(`The public key ${certificate.keyId} this certificate was signed with is not configured`);
+    }
+    const body = await renderCertificatePdf(certificate, {
+      verifyUrl: config.CERTIFICATE_VERIFY_URL,
+      publicKey
+    });
+    return { fileName: `${certificate.certificateNumber}.pdf`, contentType: 'application/pdf', body };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to render certificate of destruction', error);
+  }
+};
+
+/**
+ * Public check of a certificate, for inspectors holding a printed copy. Both
+ * the number and the checksum printed on it must match, so numbers alone
+ * cannot be used to look certificates up.
+ * @param {string} certificateNumber - The certificate number
+ * @param {string} checksum - The checksum printed on the certificate
+ * @returns {Promise<Object>} { valid, reason?, certificate? }
+ */
+export const verifyCertificate = async (certificateNumber, checksum) => {
+  try {
+    if (!certificateNumber || !checksum) {
+      throw new ValidationError('Certificate number and checksum are required');
+    }
+    const givenChecksum = String(checksum).trim().toLowerCase();
+    if (!CHECKSUM_PATTERN.test(givenChecksum)) {
+      throw new ValidationError('Checksum must be a 64-character SHA-256 hex digest');
+    }
+
+    const certificate = await destructionCertificateRepository.findByNumber(certificateNumber);
+    if (!certificate || certificate.checksum !== givenChecksum) {
+      return { valid: false, reason: 'No certificate matches this number and checksum' };
+    }
+    if (!checkIntegrity(certificate)) {
+      return { valid: false, reason: 'The certificate record has been altered since it was issued' };
+    }
+
+    return {
+      valid: true,
+      certificate: {
+        certificateNumber: certificate.certificateNumber,
+        issuedAt: certificate.issuedAt,
+        clinic: certificate.clinic?.name,
+        facility: certificate.facility,
+        wasteType: certificate.wasteType,
+        declaredKg: certificate.declaredKg,
+        wasteLogCount: certificate.wasteLogs.length,
+        treatment: certificate.treatment,
+        keyId: certificate.keyId,
+        signature: certificate.signature
+      }
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to verify certificate of destruction', error);
+  }
+};
+
+/**
+ * A public key certificates are signed with, for offline verification
+ * @param {string} [keyId] - A current or retired key's ID; the current key by default
+ * @returns {Object} { keyId, algorithm, publicKey }
+ */
+export const getSigningKey = (keyId) => {
+  let publicKey;
+  try {
+    publicKey = getPublicKey(keyId || undefined);
+  } catch (error) {
+    throw new InternalError('Certificate signing key is not available', error);
+  }
+  if (!publicKey) {
+    throw new NotFoundError('No signing key has this ID');
+  }
+  return publicKey;
+};
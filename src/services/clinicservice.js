@@ -0,0 +1,469 @@
+import crypto from 'crypto';
+import config from '../config/serverConfig.js';
+import { CLINIC_ROLES } from '../config/permissions.js';
+import clinicRepository from '../repository/clinicRepository.js';
+import clinicInvitationRepository from '../repository/clinicInvitationRepository.js';
+import userRepository from '../repository/userRepository.js';
+import { createNotification } from './notificationservice.js';
+import { sendMail } from '../utils/mailer.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId, validateEmail } from '../utils/validation.js';
+
+const INVITATION_TOKEN_BYTES = 32;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'address', 'operatingHours', 'autoPickup'];
+const INVITABLE_ROLES = CLINIC_ROLES.filter(role => role !== 'owner');
+
+const NO_CLINIC = Object.freeze({ clinicId: null, clinicRole: null, clinicStatus: null });
+
+// Helper functions
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const formatRole = (role) => role.replace('_', ' ');
+
+const pickProfile = (data = {}) =>
+  Object.fromEntries(PROFILE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+const validateInvitableRole = (role) => {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid clinic role. Must be one of: ${INVITABLE_ROLES.join(', ')}`);
+  }
+};
+
+const insertClinic = async (owner, data = {}, { reuseOwnerId = false } = {}) => {
+  const clinic = await clinicRepository.create({
+    // Clinics migrated from single-account clinics keep the account's ID, so their
+    // existing waste logs and pickups keep pointing at the right clinic
+    ...(reuseOwnerId && { _id: owner._id }),
+    name: data.name || owner.username,
+    email: data.email || owner.email,
+    phone: data.phone || owner.phone,
+    address: data.address || owner.address,
+    operatingHours: data.operatingHours || owner.operatingHours,
+    ownerId: owner._id,
+    members: [{ userId: owner._id, role: 'owner', joinedAt: new Date() }]
+  });
+
+  await userRepository.setClinic(owner._id, clinic._id);
+  return clinic;
+};
+
+const toContext = (membership) => ({
+  clinicId: membership.clinicId,
+  clinicRole: membership.role,
+  clinicStatus: membership.status
+});
+
+/**
+ * Resolves the clinic a clinic staff account works for.
+ * Accounts from before clinic organisations existed become the owner of a clinic on first use.
+ * @param {string} userId - The account ID
+ * @returns {Promise<Object>} { clinicId, clinicRole, clinicStatus } (all null when unaffiliated)
+ */
+export const getClinicContext = async (userId) => {
+  try {
+    const membership = await clinicRepository.findMembership(userId);
+    if (membership) return toContext(membership);
+
+    const user = await userRepository.getUserById(userId);
+    if (user.role !== 'clinic' || user.clinicId || user.leftClinicAt) {
+      return NO_CLINIC;
+    }
+
+    try {
+      const clinic = await insertClinic(user, {}, { reuseOwnerId: true });
+      return { clinicId: String(clinic._id), clinicRole: 'owner', clinicStatus: clinic.status };
+    } catch (error) {
+      // A concurrent request migrated the account first
+      const migrated = await clinicRepository.findMembership(userId);
+      if (migrated) return toContext(migrated);
+      throw error;
+    }
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to resolve clinic membership', error);
+  }
+};
+
+/**
+ * Creates a clinic owned by a clinic account that does not belong to one yet
+ * @param {string} ownerId - The owning account
+ * @param {Object} data - { name, email, phone, address, operatingHours }; defaults to the owner's profile
+ * @returns {Promise<Object>} Created clinic
+ */
+export const createClinic = async (ownerId, data = {}) => {
+  try {
+    if (!validateObjectId(ownerId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const owner = await userRepository.getUserById(ownerId);
+    if (owner.role !== 'clinic') {
+      throw new ValidationError('Only clinic accounts can own a clinic');
+    }
+    if (await clinicRepository.findMembership(ownerId)) {
+      throw new ConflictError('Account already belongs to a clinic');
+    }
+
+    return await insertClinic(owner, pickProfile(data));
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to create clinic', error);
+  }
+};
+
+/**
+ * Fetches a clinic with its staff
+ * @param {string} clinicId - The clinic ID
+ * @returns {Promise<Object>} Clinic
+ */
+export const getClinic = async (clinicId) => {
+  try {
+    if (!validateObjectId(clinicId)) {
+      throw new ValidationError('Invalid clinic ID');
+    }
+    return await clinicRepository.findWithMembers(clinicId);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch clinic', error);
+  }
+};
+
+/**
+ * Updates a clinic's name, contact details, operating hours or automatic pickup setting
+ * @param {string} clinicId - The clinic ID
+ * @param {Object} updates - Profile fields to change
+ * @returns {Promise<Object>} Updated clinic
+ */
+export const updateClinicProfile = async (clinicId, updates = {}) => {
+  try {
+    if (!validateObjectId(clinicId)) {
+      throw new ValidationError('Invalid clinic ID');
+    }
+
+    const profile = pickProfile(updates);
+    if (Object.keys(profile).length === 0) {
+      throw new ValidationError(`Nothing to update. Allowed fields: ${PROFILE_FIELDS.join(', ')}`);
+    }
+    if (profile.email && !validateEmail(profile.email)) {
+      throw new ValidationError('Invalid email format');
+    }
+
+    return await clinicRepository.update(clinicId, profile);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to update clinic', error);
+  }
+};
+
+/**
+ * Sends a notification to every staff member of a clinic
+ * @param {string|Object} clinicId - The clinic ID (or a populated clinic)
+ * @param {Object} notification - createNotification params without userId
+ * @param {Object} options - { roles } to limit recipients by clinic role
+ * @returns {Promise<void>}
+ */
+export const notifyClinicStaff = async (clinicId, notification, { roles = CLINIC_ROLES } = {}) => {
+  const clinic = await clinicRepository.findById(clinicId?._id || clinicId);
+  const recipients = clinic.members.filter(member => roles.includes(member.role));
+
+  await Promise.all(recipients.map(member => createNotification({
+    ...notification,
+    userId: member.userId
+  })));
+};
+
+/**
+ * Lists a clinic's invitations
+ * @param {string} clinicId - The clinic ID
+ * @param {Object} options - { pendingOnly }
+ * @returns {Promise<Array>} Invitations
+ */
+export const listInvitations = async (clinicId, options = {}) => {
+  try {
+    if (!validateObjectId(clinicId)) {
+      throw new ValidationError('Invalid clinic ID');
+    }
+    return await clinicInvitationRepository.findByClinic(clinicId, options);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list invitations', error);
+  }
+};
+
+/**
+ * Invites someone to join a clinic by email. Inviting the same address again replaces
+ * the pending invitation.
+ * @param {string} clinicId - The clinic ID
+ * @param {Object} data - { email, role }
+ * @param {string} invitedBy - The inviting user
+ * @returns {Promise<Object>} Invitation (without its token)
+ */
+export const inviteMember = async (clinicId, { email, role } = {}, invitedBy) => {
+  try {
+    if (!validateObjectId(clinicId)) {
+      throw new ValidationError('Invalid clinic ID');
+    }
+    if (!email || !validateEmail(email)) {
+      throw new ValidationError('A valid email address is required');
+    }
+    validateInvitableRole(role);
+
+    const clinic = await clinicRepository.findById(clinicId);
+    const existingUser = await userRepository.findByEmail(email);
+    if (existingUser && clinic.getMember(existingUser._id)) {
+      throw new ConflictError('This person is already a member of the clinic');
+    }
+
+    const previous = await clinicInvitationRepository.findPendingForEmail(clinicId, email);
+    if (previous) {
+      await clinicInvitationRepository.revoke(previous._id, clinicId);
+    }
+
+    const token = crypto.randomBytes(INVITATION_TOKEN_BYTES).toString('base64url');
+    const invitation = await clinicInvitationRepository.create({
+      clinicId,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy,
+      expiresAt: new Date(Date.now() + config.CLINIC_INVITATION_EXPIRY_DAYS * DAY_MS)
+    });
+
+    const link = `${config.APP_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: invitation.email,
+      subject: `You have been invited to join ${clinic.name} on MediClean`,
+      text: [
+        'Hello,',
+        '',
+        `You have been invited to join ${clinic.name} on MediClean as ${formatRole(role)}.`,
+        'Use the link below to accept. If you do not have an account yet, you can create one from there:',
+        link,
+        '',
+        `The invitation expires in ${config.CLINIC_INVITATION_EXPIRY_DAYS} days.`
+      ].join('\n')
+    });
+
+    if (existingUser) {
+      await createNotification({
+        userId: existingUser._id,
+        type: 'account_update',
+        title: 'Clinic Invitation',
+        message: `You have been invited to join ${clinic.name} as ${formatRole(role)}. Check your email to accept.`,
+        category: 'administrative'
+      });
+    }
+
+    return invitation;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to invite clinic member', error);
+  }
+};
+
+/**
+ * Revokes a pending invitation
+ * @param {string} clinicId - The clinic ID
+ * @param {string} invitationId - The invitation ID
+ * @returns {Promise<Object>} Revoked invitation
+ */
+export const revokeInvitation = async (clinicId, invitationId) => {
+  try {
+    if (!validateObjectId(clinicId) || !validateObjectId(invitationId)) {
+      throw new ValidationError('Invalid clinic or invitation ID');
+    }
+    return await clinicInvitationRepository.revoke(invitationId, clinicId);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to revoke invitation', error);
+  }
+};
+
+/**
+ * Looks up a pending invitation from its emailed token
+ * @param {string} token - The invitation token
+ * @returns {Promise<Object>} Invitation with the clinic name
+ */
+export const findPendingInvitation = async (token) => {
+  try {
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError('Invitation token is required');
+    }
+
+    const invitation = await clinicInvitationRepository.findPendingByTokenHash(hashToken(token));
+    if (!invitation) {
+      throw new ValidationError('Invitation is invalid or has expired');
+    }
+    return invitation;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch invitation', error);
+  }
+};
+
+/**
+ * Accepts an invitation for the signed-in clinic account
+ * @param {string} token - The invitation token
+ * @param {string} userId - The accepting account; its email must match the invitation
+ * @returns {Promise<Object>} { clinicId, clinicRole }
+ */
+export const acceptInvitation = async (token, userId) => {
+  try {
+    const invitation = await findPendingInvitation(token);
+    const user = await userRepository.getUserById(userId);
+
+    if (user.email !== invitation.email) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+    if (user.role !== 'clinic') {
+      throw new ValidationError('Only clinic accounts can join a clinic');
+    }
+    if (await clinicRepository.findMembership(userId)) {
+      throw new ConflictError('Account already belongs to a clinic. Leave it before joining another');
+    }
+
+    const clinicId = invitation.clinicId._id;
+    const accepted = await clinicInvitationRepository.markAccepted(invitation._id, userId);
+    if (!accepted) {
+      throw new ValidationError('Invitation is invalid or has expired');
+    }
+
+    await clinicRepository.addMember(clinicId, {
+      userId,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+    await userRepository.setClinic(userId, clinicId);
+
+    await notifyClinicStaff(clinicId, {
+      type: 'account_update',
+      title: 'New Clinic Member',
+      message: `${user.username} joined ${invitation.clinicId.name} as ${formatRole(invitation.role)}`,
+      category: 'administrative'
+    }, { roles: ['owner'] });
+
+    return { clinicId: String(clinicId), clinicRole: invitation.role };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to accept invitation', error);
+  }
+};
+
+/**
+ * Changes a member's role. Ownership changes only through transferOwnership.
+ * @param {string} clinicId - The clinic ID
+ * @param {string} userId - The member's account ID
+ * @param {string} role - The new clinic role
+ * @returns {Promise<Object>} Updated clinic
+ */
+export const changeMemberRole = async (clinicId, userId, role) => {
+  try {
+    if (!validateObjectId(clinicId) || !validateObjectId(userId)) {
+      throw new ValidationError('Invalid clinic or user ID');
+    }
+    validateInvitableRole(role);
+
+    const clinic = await clinicRepository.updateMemberRole(clinicId, userId, role);
+
+    await createNotification({
+      userId,
+      type: 'account_update',
+      title: 'Clinic Role Changed',
+      message: `Your role at ${clinic.name} is now ${formatRole(role)}`,
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return clinic;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to change clinic member role', error);
+  }
+};
+
+/**
+ * Removes a member from a clinic. Access to the clinic's records ends immediately.
+ * @param {string} clinicId - The clinic ID
+ * @param {string} userId - The member's account ID
+ * @returns {Promise<Object>} Updated clinic
+ */
+export const removeMember = async (clinicId, userId) => {
+  try {
+    if (!validateObjectId(clinicId) || !validateObjectId(userId)) {
+      throw new ValidationError('Invalid clinic or user ID');
+    }
+
+    const clinic = await clinicRepository.removeMember(clinicId, userId);
+    await userRepository.setClinic(userId, null);
+
+    await createNotification({
+      userId,
+      type: 'account_update',
+      title: 'Removed From Clinic',
+      message: `You are no longer a member of ${clinic.name}`,
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return clinic;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to remove clinic member', error);
+  }
+};
+
+/**
+ * Makes another member the clinic owner; the previous owner becomes a waste officer
+ * @param {string} clinicId - The clinic ID
+ * @param {string} newOwnerId - The member taking over
+ * @returns {Promise<Object>} Updated clinic
+ */
+export const transferOwnership = async (clinicId, newOwnerId) => {
+  try {
+    if (!validateObjectId(clinicId) || !validateObjectId(newOwnerId)) {
+      throw new ValidationError('Invalid clinic or user ID');
+    }
+
+    const current = await clinicRepository.findById(clinicId);
+    if (String(current.ownerId) === String(newOwnerId)) {
+      throw new ValidationError('This member already owns the clinic');
+    }
+    if (!current.getMember(newOwnerId)) {
+      throw new ValidationError('Ownership can only be transferred to a clinic member');
+    }
+
+    const clinic = await clinicRepository.transferOwnership(clinicId, current.ownerId, newOwnerId);
+
+    await Promise.all([
+      createNotification({
+        userId: newOwnerId,
+        type: 'account_update',
+        title: 'Clinic Ownership Transferred',
+        message: `You are now the owner of ${clinic.name}`,
+        category: 'administrative',
+        priority: 'high'
+      }),
+      createNotification({
+        userId: current.ownerId,
+        type: 'account_update',
+        title: 'Clinic Ownership Transferred',
+        message: `Ownership of ${clinic.name} was transferred. Your role is now waste officer`,
+        category: 'administrative',
+        priority: 'high'
+      })
+    ]);
+
+    return clinic;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to transfer clinic ownership', error);
+  }
+};
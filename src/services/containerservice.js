@@ -0,0 +1,299 @@
+import containerRepository from '../repository/containerRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import manifestRepository from '../repository/manifestRepository.js';
+import { SCAN_STAGES, STATUS_AFTER_STAGE } from '../schema/containerSchema.js';
+import {
+  SYMBOLOGIES,
+  LABELS_PER_PAGE,
+  renderLabelSheetSvg,
+  renderLabelSheetPdf
+} from '../utils/labels.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId, validateCoordinates } from '../utils/validation.js';
+
+const MAX_CONTAINERS_PER_LOG = 200;
+
+// Who scans at each stage, and the statuses a container may be in when they do
+const STAGE_RULES = {
+  segregation: { role: 'clinic', from: ['registered'] },
+  pickup: { role: 'collector', from: ['registered', 'segregated'] },
+  treatment: { role: 'recycler', from: ['collected'] }
+};
+
+// Helper functions
+
+const idOf = (value) => (value?._id || value) && String(value?._id || value);
+
+const toHistory = (container) => [
+  { event: 'registered', at: container.createdAt, by: container.registeredBy },
+  ...container.scans.map(scan => ({
+    event: `${scan.stage}_scan`,
+    at: scan.scannedAt,
+    by: scan.scannedBy,
+    role: scan.scannedByRole,
+    result: scan.result,
+    rejectionReason: scan.rejectionReason,
+    pickupRequestId: scan.pickupRequestId,
+    location: scan.location,
+    weightKg: scan.weightKg,
+    notes: scan.notes
+  }))
+];
+
+// A container belongs to a pickup once linked to it, or when its waste log is part of the pickup
+const belongsToPickup = (container, pickup) => {
+  const pickupId = idOf(pickup._id);
+  if (container.pickupRequestId) return idOf(container.pickupRequestId) === pickupId;
+  if (idOf(container.wasteLogId?.pickupRequestId) === pickupId) return true;
+  return (pickup.wasteLogs || []).some(logId => idOf(logId) === idOf(container.wasteLogId));
+};
+
+/**
+ * Registers labelled containers for a waste log. Without a count, registers as many
+ * as the log's containerInfo.quantity still lacks.
+ * @param {string} wasteLogId - The waste log ID
+ * @param {Object} user - The registering principal
+ * @param {Object} options - { count }
+ * @returns {Promise<Array>} Registered containers
+ */
+export const registerContainers = async (wasteLogId, user, { count } = {}) => {
+  try {
+    if (!validateObjectId(wasteLogId)) {
+      throw new ValidationError('Invalid waste log ID');
+    }
+
+    const wasteLog = await wasteLogRepository.findById(wasteLogId);
+    const existing = await containerRepository.findContainers({ wasteLogId });
+    const requested = count === undefined
+      ? (wasteLog.containerInfo?.quantity || 0) - existing.length
+      : count;
+
+    if (!Number.isInteger(requested) || requested < 1) {
+      throw new ValidationError(count === undefined
+        ? 'All containers of this waste log are already registered'
+        : 'Count must be a positive whole number');
+    }
+    if (existing.length + requested > MAX_CONTAINERS_PER_LOG) {
+      throw new ValidationError(`A waste log can have at most ${MAX_CONTAINERS_PER_LOG} containers`);
+    }
+
+    return await containerRepository.registerMany({
+      clinicId: idOf(wasteLog.clinicId),
+      wasteLogId: wasteLog._id,
+      pickupRequestId: wasteLog.pickupRequestId,
+      containerType: wasteLog.containerInfo?.type || 'other',
+      wasteType: wasteLog.category,
+      registeredBy: user.id
+    }, requested);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to register containers', error);
+  }
+};
+
+/**
+ * Lists containers
+ * @param {Object} filters - { wasteLogId, pickupRequestId, clinicId, status }
+ * @returns {Promise<Array>} Containers
+ */
+export const listContainers = async (filters = {}) => {
+  try {
+    const query = {};
+    for (const field of ['wasteLogId', 'pickupRequestId', 'clinicId']) {
+      if (filters[field]) {
+        if (!validateObjectId(filters[field])) throw new ValidationError(`Invalid ${field}`);
+        query[field] = filters[field];
+      }
+    }
+    if (filters.status) query.status = filters.status;
+
+    return await containerRepository.findContainers(query);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list containers', error);
+  }
+};
+
+/**
+ * Renders printable labels for a waste log's containers
+ * @param {string} wasteLogId - The waste log ID
+ * @param {Object} options - { format: 'pdf'|'svg', symbology: 'qrcode'|'code128', page } (SVG is one page per request)
+ * @returns {Promise<Object>} { contentType, body, pages }
+ */
+export const getLabelSheet = async (wasteLogId, { format = 'pdf', symbology = 'qrcode', page = 1 } = {}) => {
+  try {
+    if (!validateObjectId(wasteLogId)) {
+      throw new ValidationError('Invalid waste log ID');
+    }
+    if (!['pdf', 'svg'].includes(format)) {
+      throw new ValidationError('Format must be pdf or svg');
+    }
+    if (!SYMBOLOGIES.includes(symbology)) {
+      throw new ValidationError(`Symbology must be one of: ${SYMBOLOGIES.join(', ')}`);
+    }
+
+    const containers = await containerRepository.findContainers({ wasteLogId });
+    if (containers.length === 0) {
+      throw new NotFoundError('No containers are registered for this waste log');
+    }
+
+    const labels = containers.map(container => ({
+      code: container.code,
+      title: container.clinicId?.name,
+      lines: [
+        `${container.wasteType} · ${container.containerType}`,
+        new Date(container.createdAt).toISOString().slice(0, 10)
+      ]
+    }));
+    const pages = Math.ceil(labels.length / LABELS_PER_PAGE);
+
+    if (format === 'pdf') {
+      return {
+        contentType: 'application/pdf',
+        body: await renderLabelSheetPdf(labels, { symbology }),
+        pages
+      };
+    }
+
+    if (!Number.isInteger(page) || page < 1 || page > pages) {
+      throw new ValidationError(`Page must be between 1 and ${pages}`);
+    }
+    const start = (page - 1) * LABELS_PER_PAGE;
+    return {
+      contentType: 'image/svg+xml',
+      body: renderLabelSheetSvg(labels.slice(start, start + LABELS_PER_PAGE), { symbology }),
+      pages
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to render container labels', error);
+  }
+};
+
+/**
+ * Looks a container up by its code and returns its full history. Clinic staff
+ * only see their own clinic's containers.
+ * @param {string} code - Container code
+ * @param {Object} user - The requesting principal
+ * @param {string} scope - 'own' or 'any'
+ * @returns {Promise<Object>} { container, history }
+ */
+export const getContainerHistory = async (code, user, scope) => {
+  try {
+    const container = await containerRepository.findByCode(code);
+    if (scope !== 'any' && idOf(container.clinicId) !== idOf(user.clinicId)) {
+      throw new NotFoundError('Container not found');
+    }
+
+    const { scans, ...details } = container.toObject({ virtuals: true });
+    return { container: details, history: toHistory(container) };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch container history', error);
+  }
+};
+
+/**
+ * Records a scan of a container. Scans by the wrong party are refused outright; scans
+ * that fail a check (wrong pickup, wrong stage) are kept in the history as rejected.
+ * @param {string} code - Container code
+ * @param {Object} user - The scanning principal
+ * @param {Object} data - { stage, pickupRequestId, location, weightKg, notes }
+ * @returns {Promise<Object>} { container, history }
+ */
+export const recordScan = async (code, user, data = {}) => {
+  try {
+    const { stage, pickupRequestId, location, weightKg, notes } = data;
+
+    if (!SCAN_STAGES.includes(stage)) {
+      throw new ValidationError(`Stage must be one of: ${SCAN_STAGES.join(', ')}`);
+    }
+    if (location && !validateCoordinates(location.coordinates)) {
+      throw new ValidationError('Invalid coordinates');
+    }
+    if (weightKg !== undefined && (typeof weightKg !== 'number' || weightKg < 0)) {
+      throw new ValidationError('Weight must be a positive number');
+    }
+
+    const rule = STAGE_RULES[stage];
+    if (user.role !== rule.role) {
+      throw new AuthorizationError(`Only ${rule.role} accounts record ${stage} scans`);
+    }
+
+    const container = await containerRepository.findByCode(code);
+    let pickup = null;
+    let rejectionReason = null;
+
+    if (stage === 'segregation' && idOf(container.clinicId) !== idOf(user.clinicId)) {
+      throw new AuthorizationError('This container belongs to another clinic');
+    }
+
+    if (stage === 'pickup') {
+      if (!validateObjectId(pickupRequestId)) {
+        throw new ValidationError('The pickup being collected is required');
+      }
+      pickup = await pickupRepository.findById(pickupRequestId);
+      if (idOf(pickup.collectorId) !== idOf(user.id)) {
+        throw new AuthorizationError('You are not assigned to this pickup');
+      }
+      if (!belongsToPickup(container, pickup)) {
+        rejectionReason = `Container ${container.code} does not belong to pickup ${pickup._id}`;
+      } else if (!['assigned', 'collected'].includes(pickup.status)) {
+        rejectionReason = `Pickup is ${pickup.status}`;
+      }
+    }
+
+    if (stage === 'treatment' && container.pickupRequestId?.manifestId) {
+      const manifest = await manifestRepository.findById(idOf(container.pickupRequestId.manifestId));
+      if (idOf(manifest.operatorId) !== idOf(user.id)) {
+        rejectionReason = manifest.operatorId
+          ? 'This container was consigned to another facility'
+          : 'This container has not been consigned to your facility';
+      }
+    }
+
+    if (!rejectionReason && !rule.from.includes(container.status)) {
+      rejectionReason = `Container is ${container.status}; a ${stage} scan is not expected`;
+    }
+
+    const scan = {
+      stage,
+      result: rejectionReason ? 'rejected' : 'accepted',
+      rejectionReason,
+      scannedBy: user.id,
+      scannedByRole: user.role,
+      pickupRequestId: pickup?._id || idOf(container.pickupRequestId),
+      location: location && { type: 'Point', coordinates: location.coordinates },
+      weightKg,
+      notes,
+      scannedAt: new Date()
+    };
+
+    const updated = await containerRepository.appendScan(
+      container._id,
+      scan,
+      !rejectionReason && {
+        from: rule.from,
+        to: STATUS_AFTER_STAGE[stage],
+        set: pickup ? { pickupRequestId: pickup._id } : {}
+      }
+    );
+
+    if (rejectionReason) {
+      throw new ValidationError(rejectionReason);
+    }
+
+    const { scans, ...details } = updated.toObject({ virtuals: true });
+    return { container: details, history: toHistory(updated) };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record container scan', error);
+  }
+};
@@ -0,0 +1,336 @@
+import config from '../config/serverConfig.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import userRepository from '../repository/userRepository.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
+import { createNotification } from './notificationservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import { openManifest } from './manifestservice.js';
+import { haversineKm } from '../utils/geo.js';
+import { toMinutes } from '../utils/operatingHours.js';
+import {
+  ValidationError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+// How much each factor counts towards a collector's score (out of 100), by
+// pickup priority. Urgent pickups go to whoever is closest; routine ones are
+// spread across collectors with spare load.
+const WEIGHTS = {
+  low: { coverage: 25, distance: 20, load: 35, capacity: 20 },
+  medium: { coverage: 25, distance: 30, load: 25, capacity: 20 },
+  high: { coverage: 20, distance: 40, load: 20, capacity: 20 },
+  urgent: { coverage: 15, distance: 55, load: 15, capacity: 15 }
+};
+
+const SHIFT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Helper functions
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const assertPickupId = (id) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError('Invalid pickup request ID');
+  }
+};
+
+/**
+ * Scores one collector for a pickup. Collectors that are not licensed for the
+ * waste, are at their pickup limit, or lack the vehicle space are ruled out;
+ * the rest are scored on service area coverage, distance, load and capacity.
+ * @param {Object} pickup - The pickup request
+ * @param {Object} collector - Collector with serviceArea, vehicleCapacityKg and licensedCategories
+ * @param {Object} load - { count, kg } of pickups the collector holds
+ * @returns {Object} { eligible, score, factors, reasons }
+ */
+const scoreCollector = (pickup, collector, load = { count: 0, kg: 0 }) => {
+  const reasons = [];
+  const category = wasteCategoryRepository.getCached(pickup.wasteType)?.name || pickup.wasteType;
+
+  if (!collector.licensedCategories?.includes(pickup.wasteType)) {
+    return { eligible: false, reasons: [`Not licensed to carry ${category} waste`] };
+  }
+  if (load.count >= config.DISPATCH_MAX_ACTIVE_PICKUPS) {
+    return {
+      eligible: false,
+      reasons: [`Already holds ${load.count} pickups (limit ${config.DISPATCH_MAX_ACTIVE_PICKUPS})`]
+    };
+  }
+  const capacityKg = collector.vehicleCapacityKg;
+  if (capacityKg && load.kg + pickup.volumeKg > capacityKg) {
+    return {
+      eligible: false,
+      reasons: [`Vehicle takes ${capacityKg} kg; ${round(load.kg)} kg already assigned and this pickup is ${pickup.volumeKg} kg`]
+    };
+  }
+
+  const weights = WEIGHTS[pickup.priority] || WEIGHTS.medium;
+  const distanceKm = haversineKm(collector.serviceArea.center.coordinates, pickup.location.coordinates);
+  const radiusKm = collector.serviceArea.radiusKm || 10;
+
+  const factors = {
+    // Inside the service area scores fully, then fades to nothing at twice its radius
+    coverage: distanceKm <= radiusKm ? 1 : clamp(1 - (distanceKm - radiusKm) / radiusKm),
+    distance: clamp(1 - distanceKm / config.DISPATCH_SEARCH_RADIUS_KM),
+    load: clamp(1 - load.count / config.DISPATCH_MAX_ACTIVE_PICKUPS),
+    // Vehicle space left after this pickup; unknown capacity counts as half
+    capacity: capacityKg ? clamp((capacityKg - load.kg - pickup.volumeKg) / capacityKg) : 0.5
+  };
+
+  reasons.push(`Licensed to carry ${category} waste`);
+  reasons.push(distanceKm <= radiusKm
+    ? `Inside service area: ${round(distanceKm)} km from its centre (radius ${radiusKm} km)`
+    : `Outside service area: ${round(distanceKm)} km from its centre (radius ${radiusKm} km)`);
+  reasons.push(`Holds ${load.count} of ${config.DISPATCH_MAX_ACTIVE_PICKUPS} pickups`);
+  reasons.push(capacityKg
+    ? `Vehicle has ${round(capacityKg - load.kg)} kg free of ${capacityKg} kg for this ${pickup.volumeKg} kg pickup`
+    : 'Vehicle capacity not recorded');
+
+  const score = Object.entries(factors).reduce((sum, [factor, value]) => sum + weights[factor] * value, 0);
+  return {
+    eligible: true,
+    score: round(score),
+    distanceKm: round(distanceKm, 2),
+    factors: Object.fromEntries(Object.entries(factors).map(([factor, value]) => [factor, round(value, 2)])),
+    reasons
+  };
+};
+
+/**
+ * Ranks the collectors near a pickup, best first, with the ones ruled out
+ * @param {Object} pickup - The pickup request
+ * @returns {Promise<Object>} { candidates, excluded }
+ */
+const rankCollectors = async (pickup) => {
+  const collectors = await userRepository.findDispatchCandidates(
+    pickup.location.coordinates,
+    config.DISPATCH_SEARCH_RADIUS_KM * 1000
+  );
+  const loads = await pickupRepository.getCollectorLoads(collectors.map(collector => String(collector._id)));
+
+  const candidates = [];
+  const excluded = [];
+  collectors.forEach(collector => {
+    const result = scoreCollector(pickup, collector, loads.get(String(collector._id)));
+    const entry = { collectorId: collector._id, username: collector.username, ...result };
+    delete entry.eligible;
+    (result.eligible ? candidates : excluded).push(entry);
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm);
+  return { candidates, excluded };
+};
+
+const explainChoice = (choice, candidates) => {
+  const runnerUp = candidates[1];
+  return [
+    `Scored ${choice.score}/100, best of ${candidates.length} eligible collector${candidates.length === 1 ? '' : 's'}` +
+      (runnerUp ? `; next best ${runnerUp.username} scored ${runnerUp.score}` : ''),
+    ...choice.reasons
+  ];
+};
+
+/**
+ * Ranks the collectors who could take a pending pickup and explains each score
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object>} { pickupRequestId, priority, weights, candidates, excluded }
+ */
+export const getAssignmentCandidates = async (pickupRequestId) => {
+  try {
+    assertPickupId(pickupRequestId);
+    const pickup = await pickupRepository.findById(pickupRequestId);
+    const { candidates, excluded } = await rankCollectors(pickup);
+    return {
+      pickupRequestId: pickup._id,
+      status: pickup.status,
+      priority: pickup.priority,
+      weights: WEIGHTS[pickup.priority] || WEIGHTS.medium,
+      candidates,
+      excluded
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to rank collectors for pickup request', error);
+  }
+};
+
+/**
+ * Assigns the best-scoring collector to a pending pickup, recording the score
+ * and the reasons. When nobody is eligible the pickup stays pending with a note
+ * saying why.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object>} { assigned, pickup, reasons }
+ */
+export const autoAssignPickup = async (pickupRequestId) => {
+  try {
+    assertPickupId(pickupRequestId);
+    const pickup = await pickupRepository.findById(pickupRequestId);
+    if (pickup.status !== 'pending') {
+      throw new ConflictError(`Only pending pickups can be assigned; this one is ${pickup.status}`);
+    }
+
+    const { candidates, excluded } = await rankCollectors(pickup);
+    const considered = candidates.length + excluded.length;
+    if (candidates.length === 0) {
+      const note = considered === 0
+        ? `No verified collectors within ${config.DISPATCH_SEARCH_RADIUS_KM} km`
+        : `None of ${considered} nearby collectors is eligible: ` +
+          [...new Set(excluded.flatMap(entry => entry.reasons))].join('; ');
+      await pickupRepository.noteAssignmentAttempt(pickupRequestId, note, considered);
+      return { assigned: false, reasons: [note] };
+    }
+
+    const choice = candidates[0];
+    const reasons = explainChoice(choice, candidates);
+    const assigned = await pickupRepository.advanceStatus(pickupRequestId, 'pending', 'assigned', {
+      collectorId: choice.collectorId,
+      assignment: {
+        method: 'auto',
+        assignedAt: new Date(),
+        score: choice.score,
+        reasons,
+        candidatesConsidered: considered
+      }
+    }, `Assigned automatically to ${choice.username} (score ${choice.score})`);
+
+    const manifest = await openManifest(pickupRequestId);
+    const data = { pickupRequestId: assigned._id, manifestNumber: manifest.manifestNumber, score: choice.score };
+    await notifyClinicStaff(assigned.clinicId, {
+      type: 'pickup_assigned',
+      title: 'Pickup Assigned',
+      message: `${choice.username} has been assigned to pickup request #${assigned._id}`,
+      category: 'operational',
+      data
+    });
+    await createNotification({
+      userId: choice.collectorId,
+      type: 'pickup_assigned',
+      title: 'New Pickup Assigned',
+      message: `You have been assigned ${assigned.priority} priority pickup request #${assigned._id} (${assigned.wasteType}, ${assigned.volumeKg} kg)`,
+      category: 'operational',
+      priority: assigned.priority,
+      data: { ...data, reasons }
+    });
+
+    return { assigned: true, pickup: assigned, reasons };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to assign a collector automatically', error);
+  }
+};
+
+/**
+ * Assigns a new pickup in the background, without holding up the caller; the
+ * periodic run retries pickups that could not be assigned
+ * @param {string} pickupRequestId - The pickup request ID
+ */
+export const scheduleAutoAssign = (pickupRequestId) => {
+  if (!config.DISPATCH_AUTO_ASSIGN) return;
+  autoAssignPickup(String(pickupRequestId)).catch(error => {
+    if (error instanceof ConflictError) return;
+    console.error(`Failed to assign a collector to pickup ${pickupRequestId}:`, error);
+  });
+};
+
+/**
+ * Works through the backlog of pending pickups, most urgent and oldest first
+ * @returns {Promise<Object>} { processed, assigned, unassigned }
+ */
+export const runDispatch = async () => {
+  try {
+    const ids = await pickupRepository.findDispatchBacklog(config.DISPATCH_BATCH_SIZE);
+    const totals = { processed: 0, assigned: 0, unassigned: 0 };
+
+    // One at a time, so each assignment counts towards the next pickup's loads
+    for (const id of ids) {
+      try {
+        const result = await autoAssignPickup(id);
+        totals.processed++;
+        totals[result.assigned ? 'assigned' : 'unassigned']++;
+      } catch (error) {
+        if (!(error instanceof ConflictError)) {
+          console.error(`Failed to assign a collector to pickup ${id}:`, error);
+        }
+      }
+    }
+
+    return totals;
+  } catch (error) {
+    throw new InternalError('Failed to dispatch pending pickups', error);
+  }
+};
+
+/**
+ * Starts the periodic dispatch run for pickups still waiting for a collector
+ */
+export const startDispatchScheduler = () => {
+  if (!config.DISPATCH_AUTO_ASSIGN) return;
+  setInterval(() => {
+    runDispatch().catch(error => {
+      console.error('Pickup dispatch failed:', error);
+    });
+  }, config.DISPATCH_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+/**
+ * Sets what the dispatch engine checks a collector against, and where and
+ * when their routes run
+ * @param {string} collectorId - The collector ID
+ * @param {Object} data - { vehicleCapacityKg, licensedCategories, depot ([lng, lat]), shift ({ start, end }) }
+ * @returns {Promise<Object>} Collector
+ */
+export const updateDispatchProfile = async (
+  collectorId,
+  { vehicleCapacityKg, licensedCategories, depot, shift } = {}
+) => {
+  try {
+    if (!validateObjectId(collectorId)) {
+      throw new ValidationError('Invalid collector ID');
+    }
+
+    const profile = {};
+    if (vehicleCapacityKg !== undefined) {
+      if (typeof vehicleCapacityKg !== 'number' || !(vehicleCapacityKg >= 1)) {
+        throw new ValidationError('Vehicle capacity must be at least 1 kg');
+      }
+      profile.vehicleCapacityKg = vehicleCapacityKg;
+    }
+    if (licensedCategories !== undefined) {
+      if (!Array.isArray(licensedCategories)) {
+        throw new ValidationError('Licensed categories must be an array of waste category codes');
+      }
+      const codes = [...new Set(licensedCategories.map(code => String(code).toLowerCase()))];
+      const unknown = codes.filter(code => !wasteCategoryRepository.getCached(code));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown waste categories: ${unknown.join(', ')}`);
+      }
+      profile.licensedCategories = codes;
+    }
+    if (depot !== undefined) {
+      const [lng, lat] = Array.isArray(depot) ? depot : [];
+      if (!Array.isArray(depot) || depot.length !== 2 || !(Math.abs(lng) <= 180) || !(Math.abs(lat) <= 90)) {
+        throw new ValidationError('Depot must be [longitude, latitude]');
+      }
+      profile.depot = { type: 'Point', coordinates: [lng, lat] };
+    }
+    if (shift !== undefined) {
+      const valid = [shift?.start, shift?.end].every(time => SHIFT_TIME_PATTERN.test(time));
+      if (!valid || toMinutes(shift.start) >= toMinutes(shift.end)) {
+        throw new ValidationError('Shift must have HH:MM start and end times, ending after it starts');
+      }
+      profile.shift = { start: shift.start, end: shift.end };
+    }
+    if (Object.keys(profile).length === 0) {
+      throw new ValidationError('Nothing to update. Updatable fields: vehicleCapacityKg, licensedCategories, depot, shift');
+    }
+
+    return await userRepository.updateDispatchProfile(collectorId, profile);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to update collector dispatch profile', error);
+  }
+};
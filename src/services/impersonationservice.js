@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import config from '../config/serverConfig.js';
+import { PRIVILEGED_ROLES } from '../config/permissions.js';
+import sessionRepository from '../repository/sessionRepository.js';
+import userRepository from '../repository/userRepository.js';
+import auditLogRepository from '../repository/auditLogRepository.js';
+import { signAccessToken } from './authservice.js';
+import { createNotification } from './notificationservice.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const METHOD_ACTIONS = {
+  GET: 'view',
+  HEAD: 'view',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Helper functions
+
+// Nothing may be done under impersonation without an audit entry, so failures propagate
+const writeAudit = async (entry) => {
+  try {
+    return await auditLogRepository.create(entry);
+  } catch (error) {
+    throw new InternalError('Failed to write impersonation audit log', error);
+  }
+};
+
+/**
+ * Opens a short-lived support session as another user. The session shows up in the
+ * user's session list and is revoked by a forced logout like any other.
+ * @param {Object} admin - The impersonating principal (req.user)
+ * @param {string} targetUserId - The user to act as
+ * @param {Object} options - { reason, ip, userAgent }
+ * @returns {Promise<Object>} { accessToken, sessionId, expiresAt, user }
+ */
+export const startImpersonation = async (admin, targetUserId, { reason, ip, userAgent } = {}) => {
+  try {
+    if (!validateObjectId(targetUserId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new ValidationError('A reason is required to impersonate a user');
+    }
+    if (admin.impersonatorId) {
+      throw new AuthorizationError('Stop the current impersonation before starting another');
+    }
+    if (String(admin.id) === String(targetUserId)) {
+      throw new ValidationError('You cannot impersonate yourself');
+    }
+
+    const target = await userRepository.getUserById(targetUserId);
+    if (PRIVILEGED_ROLES.includes(target.role)) {
+      throw new AuthorizationError(`${target.role} accounts cannot be impersonated`);
+    }
+    if (target.status !== 'active') {
+      throw new ValidationError('Only active accounts can be impersonated');
+    }
+
+    const expiresAt = new Date(Date.now() + config.IMPERSONATION_EXPIRY_MINUTES * MINUTE_MS);
+    const session = await sessionRepository.create({
+      userId: target._id,
+      deviceId: `impersonation:${admin.id}`,
+      userAgent,
+      ip,
+      lastIp: ip,
+      lastActivityAt: new Date(),
+      // No refresh token is issued; this hash only satisfies the schema
+      tokenHash: crypto.randomBytes(32).toString('hex'),
+      impersonatorId: admin.id,
+      expiresAt
+    });
+
+    const accessToken = signAccessToken(target, session._id, {
+      expiresIn: config.IMPERSONATION_EXPIRY_MINUTES * 60,
+      claims: { impersonatorId: String(admin.id) }
+    });
+
+    try {
+      await writeAudit({
+        action: 'impersonation_start',
+        entityType: 'user',
+        entityId: target._id,
+        performedBy: admin.id,
+        impersonatedUser: target._id,
+        userRole: admin.role,
+        changes: { reason: reason.trim(), sessionId: session._id, expiresAt },
+        metadata: { ip, userAgent },
+        severity: 'warning'
+      });
+    } catch (error) {
+      // An unaudited session must not stay usable
+      await sessionRepository.revoke(session._id, 'revoked');
+      throw error;
+    }
+
+    await createNotification({
+      userId: target._id,
+      type: 'account_update',
+      title: 'Support Access to Your Account',
+      message: 'A MediClean administrator is viewing your account to help with a support request.',
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return { accessToken, sessionId: session._id, expiresAt, user: target };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to start impersonation', error);
+  }
+};
+
+/**
+ * Ends the impersonation session the request was made with
+ * @param {Object} principal - req.user of the impersonation session
+ * @param {Object} context - { ip, userAgent }
+ * @returns {Promise<boolean>} true on success
+ */
+export const stopImpersonation = async (principal, { ip, userAgent } = {}) => {
+  try {
+    if (!principal?.impersonatorId) {
+      throw new ValidationError('This session is not an impersonation session');
+    }
+
+    await sessionRepository.revoke(principal.sid, 'impersonation_ended');
+
+    await writeAudit({
+      action: 'impersonation_end',
+      entityType: 'user',
+      entityId: principal.id,
+      performedBy: principal.impersonatorId,
+      impersonatedUser: principal.id,
+      userRole: principal.role,
+      changes: { sessionId: principal.sid },
+      metadata: { ip, userAgent }
+    });
+
+    return true;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to stop impersonation', error);
+  }
+};
+
+/**
+ * Writes the audit entry for a request made under impersonation before it is handled,
+ * and records its outcome once the response has been sent. Rejects when the entry
+ * cannot be written, so the request is refused rather than run unaudited.
+ * @param {Object} req - Express request with an impersonating req.user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} The audit entry
+ */
+export const auditImpersonatedRequest = async (req, res) => {
+  const { id, impersonatorId, role } = req.user;
+
+  const entry = await writeAudit({
+    action: METHOD_ACTIONS[req.method] || 'view',
+    entityType: 'user',
+    entityId: id,
+    performedBy: impersonatorId,
+    impersonatedUser: id,
+    userRole: role,
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: req.method,
+      path: req.originalUrl
+    }
+  });
+
+  res.on('finish', () => {
+    auditLogRepository.update(entry._id, {
+      status: res.statusCode < 400 ? 'success' : 'failure',
+      'metadata.statusCode': res.statusCode
+    }).catch(error => {
+      // The response is already sent; the entry itself exists, only its outcome is missing
+      console.error(`Failed to record the outcome of impersonation audit entry ${entry._id}:`, error);
+    });
+  });
+
+  return entry;
+};
@@ -0,0 +1,409 @@
+import config from '../config/serverConfig.js';
+import manifestRepository from '../repository/manifestRepository.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import treatmentFacilityRepository from '../repository/treatmentFacilityRepository.js';
+import { createNotification } from './notificationservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import { reconcilePickupWeight } from './weightdiscrepancyservice.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId, validateCoordinates, validateString } from '../utils/validation.js';
+
+// Who hands the waste to whom, in order
+const LEG_ROUTE = [
+  { from: 'clinic', to: 'collector' },
+  { from: 'collector', to: 'facility' }
+];
+
+const MANIFEST_STATUS_AFTER_LEG = { 1: 'in_transit', 2: 'delivered' };
+
+// Helper functions
+
+const idOf = (value) => (value?._id || value) && String(value?._id || value);
+
+// The manifest party the user acts for, if any
+const partyOf = (manifest, user) => {
+  if (user.role === 'clinic' && idOf(user.clinicId) === idOf(manifest.clinicId)) return 'clinic';
+  if (user.role === 'collector' && idOf(user.id) === idOf(manifest.collectorId)) return 'collector';
+  if (user.role === 'recycler' && idOf(user.id) === idOf(manifest.operatorId)) return 'facility';
+  return null;
+};
+
+const buildHandover = (data = {}, signatoryUserId) => {
+  const { weightKg, containerCount, location, signatory, notes } = data;
+
+  if (typeof weightKg !== 'number' || isNaN(weightKg) || weightKg < 0) {
+    throw new ValidationError('Weight (kg) must be a positive number');
+  }
+  if (!Number.isInteger(containerCount) || containerCount < 0) {
+    throw new ValidationError('Container count must be a whole number');
+  }
+  if (!location || !validateCoordinates(location.coordinates)) {
+    throw new ValidationError('A GPS location with valid coordinates is required');
+  }
+  if (!validateString(signatory?.name, 1, 100)) {
+    throw new ValidationError('Signatory name is required');
+  }
+  if (!validateString(signatory?.signature, 1)) {
+    throw new ValidationError('Signature is required');
+  }
+
+  return {
+    weightKg,
+    containerCount,
+    recordedAt: new Date(),
+    location: { type: 'Point', coordinates: location.coordinates },
+    signatory: {
+      userId: signatoryUserId,
+      name: signatory.name,
+      title: signatory.title,
+      signature: signatory.signature
+    },
+    notes
+  };
+};
+
+const compareHandovers = (expected, actual, leg, comparison) => {
+  const found = [];
+  const tolerance = config.MANIFEST_WEIGHT_TOLERANCE_PERCENT;
+  const weightDifference = actual.weightKg - expected.weightKg;
+  const weightDifferencePercent = expected.weightKg > 0
+    ? Math.abs(weightDifference) / expected.weightKg * 100
+    : (actual.weightKg > 0 ? 100 : 0);
+
+  if (weightDifferencePercent > tolerance) {
+    found.push({
+      type: 'weight',
+      leg,
+      comparison,
+      expected: expected.weightKg,
+      actual: actual.weightKg,
+      difference: Math.round(weightDifference * 100) / 100
+    });
+  }
+
+  if (actual.containerCount !== expected.containerCount) {
+    found.push({
+      type: 'container_count',
+      leg,
+      comparison,
+      expected: expected.containerCount,
+      actual: actual.containerCount,
+      difference: actual.containerCount - expected.containerCount
+    });
+  }
+
+  return found;
+};
+
+const recordDiscrepancies = (manifest, discrepancies) => {
+  if (discrepancies.length === 0) return;
+  manifest.discrepancies.push(...discrepancies);
+  manifest.hasDiscrepancy = true;
+};
+
+const notifyDiscrepancies = async (manifest, discrepancies) => {
+  if (discrepancies.length === 0) return;
+
+  const summary = discrepancies
+    .map(item => `${item.type === 'weight' ? 'weight' : 'container count'} ${item.expected} → ${item.actual} (leg ${item.leg})`)
+    .join(', ');
+
+  const notification = {
+    type: 'compliance_alert',
+    title: 'Manifest Discrepancy',
+    message: `Manifest ${manifest.manifestNumber} has a handover discrepancy: ${summary}`,
+    category: 'operational',
+    priority: 'high',
+    data: { manifestId: manifest._id, manifestNumber: manifest.manifestNumber, discrepancies }
+  };
+
+  await notifyClinicStaff(manifest.clinicId, notification, { roles: ['owner', 'waste_officer'] });
+  await Promise.all([manifest.collectorId, manifest.operatorId]
+    .filter(Boolean)
+    .map(userId => createNotification({ ...notification, userId: idOf(userId) })));
+};
+
+const consignTo = (manifest, facility) => {
+  manifest.facilityId = facility._id;
+  manifest.operatorId = idOf(facility.operatorId);
+  manifest.facilityName = facility.name;
+};
+
+const toResponse = (manifest) => ({
+  ...manifest.toObject({ virtuals: true }),
+  integrity: manifest.verifyIntegrity()
+});
+
+// Keeps the pickup's collection record in step with the clinic → collector handover,
+// and checks the weight received against the weight the clinic declared
+const syncPickupCollection = async (manifest, leg) => {
+  await pickupRepository.update(manifest.pickupRequestId, {
+    status: 'collected',
+    statusNote: `Custody transferred on manifest ${manifest.manifestNumber}`,
+    'collectionDetails.actualWeight': leg.receipt.weightKg,
+    'collectionDetails.containerCount': leg.receipt.containerCount,
+    'collectionDetails.signature.clinicStaff': leg.release.signatory.name,
+    'collectionDetails.signature.collector': leg.receipt.signatory.name,
+    'collectionDetails.signature.timestamp': leg.closedAt
+  });
+  await reconcilePickupWeight(String(manifest.pickupRequestId));
+};
+
+/**
+ * Opens the manifest for a pickup, or points an untouched manifest at a newly
+ * assigned collector. Called when a collector is assigned.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object>} Manifest
+ */
+export const openManifest = async (pickupRequestId) => {
+  try {
+    if (!validateObjectId(pickupRequestId)) {
+      throw new ValidationError('Invalid pickup request ID');
+    }
+
+    const pickup = await pickupRepository.findById(pickupRequestId);
+    if (pickup.status === 'cancelled') {
+      throw new ValidationError('Cannot open a manifest for a cancelled pickup');
+    }
+
+    const existing = await manifestRepository.findByPickup(pickupRequestId);
+    if (existing) {
+      if (idOf(existing.collectorId) !== idOf(pickup.collectorId)) {
+        if (existing.legs.length > 0) {
+          throw new ConflictError('Custody has already been handed over on this manifest');
+        }
+        existing.collectorId = pickup.collectorId;
+        await existing.save();
+      }
+      return toResponse(existing);
+    }
+
+    const manifest = await manifestRepository.createWithNumber({
+      pickupRequestId: pickup._id,
+      clinicId: idOf(pickup.clinicId),
+      collectorId: idOf(pickup.collectorId),
+      wasteType: pickup.wasteType,
+      declaredWeightKg: pickup.volumeKg
+    });
+
+    await pickupRepository.update(pickup._id, { manifestId: manifest._id });
+
+    return toResponse(manifest);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to open manifest', error);
+  }
+};
+
+/**
+ * Gets a manifest with the result of its integrity check
+ * @param {string} id - The manifest ID
+ * @returns {Promise<Object>} Manifest
+ */
+export const getManifest = async (id) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid manifest ID');
+    }
+    return toResponse(await manifestRepository.findDetailed(id));
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch manifest', error);
+  }
+};
+
+/**
+ * Looks a manifest up by its number; only parties to it (or readers of any manifest) may see it
+ * @param {string} manifestNumber - The manifest number
+ * @param {Object} user - The requesting principal
+ * @param {string} scope - 'own' or 'any'
+ * @returns {Promise<Object>} Manifest
+ */
+export const getManifestByNumber = async (manifestNumber, user, scope) => {
+  try {
+    const manifest = await manifestRepository.findByNumber(manifestNumber);
+    if (scope !== 'any' && !partyOf(manifest, user)) {
+      throw new NotFoundError('Manifest not found');
+    }
+    return toResponse(manifest);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch manifest', error);
+  }
+};
+
+/**
+ * Lists manifests
+ * @param {Object} filters - { clinicId, collectorId, facilityId, operatorId, status, hasDiscrepancy }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated manifests
+ */
+export const listManifests = async (filters = {}, options = {}) => {
+  try {
+    const query = {};
+    for (const field of ['clinicId', 'collectorId', 'facilityId', 'operatorId']) {
+      if (filters[field]) {
+        if (!validateObjectId(filters[field])) throw new ValidationError(`Invalid ${field}`);
+        query[field] = filters[field];
+      }
+    }
+    if (filters.status) query.status = filters.status;
+    if (filters.hasDiscrepancy !== undefined) query.hasDiscrepancy = filters.hasDiscrepancy;
+
+    return await manifestRepository.findManifests(query, options);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list manifests', error);
+  }
+};
+
+/**
+ * Records the releasing party handing the waste over, which opens the next leg
+ * @param {string} id - The manifest ID
+ * @param {Object} user - The releasing principal
+ * @param {Object} data - { weightKg, containerCount, location, signatory, notes, facilityId?, facilityName? }
+ * @returns {Promise<Object>} Updated manifest
+ */
+export const releaseCustody = async (id, user, data = {}) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid manifest ID');
+    }
+
+    const manifest = await manifestRepository.findById(id);
+    const openLeg = manifest.getOpenLeg();
+    if (openLeg) {
+      throw new ConflictError(`Leg ${openLeg.sequence} is still awaiting receipt`);
+    }
+
+    const sequence = manifest.legs.length + 1;
+    const route = LEG_ROUTE[sequence - 1];
+    if (!route) {
+      throw new ConflictError('This manifest is already complete');
+    }
+    if (!manifest.collectorId) {
+      throw new ValidationError('A collector must be assigned before custody is handed over');
+    }
+    if (partyOf(manifest, user) !== route.from) {
+      throw new AuthorizationError(`Only the ${route.from} can release leg ${sequence}`);
+    }
+
+    // The collector names the receiving facility when heading there
+    if (route.to === 'facility') {
+      if (data.facilityId) {
+        if (!validateObjectId(data.facilityId)) throw new ValidationError('Invalid facility ID');
+        consignTo(manifest, await treatmentFacilityRepository.findFacility(data.facilityId));
+      } else if (validateString(data.facilityName, 1, 150)) {
+        manifest.facilityName = data.facilityName;
+      } else {
+        throw new ValidationError('The receiving facility is required');
+      }
+    }
+
+    const release = buildHandover(data, user.id);
+    manifest.legs.push({ sequence, from: route.from, to: route.to, release });
+
+    const previousLeg = manifest.legs.find(leg => leg.sequence === sequence - 1);
+    const discrepancies = previousLeg
+      ? compareHandovers(previousLeg.receipt, release, sequence, 'previous_leg')
+      : [];
+
+    recordDiscrepancies(manifest, discrepancies);
+    await manifest.save();
+    await notifyDiscrepancies(manifest, discrepancies);
+
+    return toResponse(manifest);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record custody release', error);
+  }
+};
+
+/**
+ * Records the receiving party confirming the handover, which closes the open leg.
+ * A facility without an account has its receipt recorded by the collector, signed by facility staff.
+ * @param {string} id - The manifest ID
+ * @param {Object} user - The receiving principal
+ * @param {Object} data - { weightKg, containerCount, location, signatory, notes }
+ * @returns {Promise<Object>} Updated manifest
+ */
+export const receiveCustody = async (id, user, data = {}) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid manifest ID');
+    }
+
+    const manifest = await manifestRepository.findById(id);
+    const leg = manifest.getOpenLeg();
+    if (!leg) {
+      throw new ConflictError('There is no handover awaiting receipt on this manifest');
+    }
+
+    const party = partyOf(manifest, user);
+    const onBehalfOfFacility = leg.to === 'facility' && !manifest.operatorId && party === 'collector';
+    if (party !== leg.to && !onBehalfOfFacility) {
+      throw new AuthorizationError(`Only the ${leg.to} can confirm receipt of leg ${leg.sequence}`);
+    }
+
+    leg.receipt = buildHandover(data, onBehalfOfFacility ? undefined : user.id);
+    manifest.closeLeg(leg);
+    manifest.status = MANIFEST_STATUS_AFTER_LEG[leg.sequence];
+
+    const discrepancies = compareHandovers(leg.release, leg.receipt, leg.sequence, 'release_vs_receipt');
+    recordDiscrepancies(manifest, discrepancies);
+    await manifest.save();
+    await notifyDiscrepancies(manifest, discrepancies);
+
+    if (leg.from === 'clinic') {
+      await syncPickupCollection(manifest, leg);
+    }
+
+    return toResponse(manifest);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record custody receipt', error);
+  }
+};
+
+/**
+ * Keeps a pickup's manifest in step with its delivery to a treatment facility.
+ * Releases the facility leg with the collector's handover when that has not
+ * happened yet; otherwise the leg must name the same facility, which is
+ * recorded on it if only a facility name was given. Pickups from before
+ * manifests existed have none and are left alone.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} user - The delivering collector
+ * @param {Object} facility - The treatment facility document
+ * @param {Object} data - { weightKg, containerCount, location, signatory, notes }, needed to release the leg
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+export const recordFacilityDelivery = async (pickupRequestId, user, facility, data = {}) => {
+  try {
+    const manifest = await manifestRepository.findByPickup(pickupRequestId);
+    if (!manifest) return null;
+
+    if (!manifest.legs.some(leg => leg.to === 'facility')) {
+      return await releaseCustody(String(manifest._id), user, { ...data, facilityId: String(facility._id) });
+    }
+
+    if (manifest.facilityId && idOf(manifest.facilityId) !== idOf(facility._id)) {
+      throw new ConflictError(`Manifest ${manifest.manifestNumber} consigns this waste to ${manifest.facilityName || 'another facility'}`);
+    }
+    if (!manifest.facilityId) {
+      consignTo(manifest, facility);
+      await manifest.save();
+    }
+
+    return toResponse(manifest);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record delivery on the manifest', error);
+  }
+};
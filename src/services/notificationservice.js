@@ -13,6 +13,11 @@ const VALID_TYPES = [
   'pickup_assigned',
   'pickup_completed',
   'pickup_cancelled',
+  'pickup_delivered',
+  'pickup_treated',
+  'pickup_scheduled',
+  'pickup_slot_released',
+  'route_updated',
   'waste_log_created',
   'waste_log_updated',
   'waste_threshold_exceeded',
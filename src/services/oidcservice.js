@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import config from '../config/serverConfig.js';
+import { getOidcProvider } from '../config/oidcConfig.js';
+import oauthStateRepository from '../repository/oauthStateRepository.js';
+import userRepository from '../repository/userRepository.js';
+import { createNotification } from './notificationservice.js';
+import { createClinic } from './clinicservice.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ConflictError,
+  InternalError
+} from '../utils/errors.js';
+import {
+  randomUrlToken,
+  generatePkcePair,
+  getTokenKeyId,
+  verifyIdToken
+} from '../utils/oidc.js';
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Discovery documents and signing keys, per provider
+const providerCache = new Map();
+
+// Helper functions
+
+const getProviderOrThrow = (providerKey) => {
+  const provider = getOidcProvider(providerKey);
+  if (!provider) {
+    throw new NotFoundError(`Unknown sign-in provider: ${providerKey}`);
+  }
+  return provider;
+};
+
+const getRedirectUri = (provider) => `${config.OIDC_REDIRECT_BASE_URL}/${provider.key}/callback`;
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`${url} responded with ${response.status}: ${reason}`);
+  }
+  return body;
+};
+
+const loadProviderMetadata = async (provider, { refreshKeys = false } = {}) => {
+  let cached = providerCache.get(provider.key);
+
+  if (!cached || Date.now() - cached.fetchedAt > METADATA_TTL_MS) {
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer?.replace(/\/+$/, '') !== provider.issuer) {
+      throw new Error(`Discovery issuer ${metadata.issuer} does not match ${provider.issuer}`);
+    }
+
+    cached = { metadata, keys: null, fetchedAt: Date.now() };
+    providerCache.set(provider.key, cached);
+  }
+
+  if (!cached.keys || refreshKeys) {
+    const jwks = await fetchJson(cached.metadata.jwks_uri);
+    cached.keys = jwks.keys || [];
+  }
+
+  return cached;
+};
+
+const exchangeCode = async (provider, metadata, { code, codeVerifier }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+};
+
+// Unknown key IDs usually mean the provider rotated its keys, so refetch once
+const verifyProviderIdToken = async (provider, cached, idToken, nonce) => {
+  const expected = { issuer: cached.metadata.issuer, audience: provider.clientId, nonce };
+  const kid = getTokenKeyId(idToken);
+
+  let { keys } = cached;
+  if (kid && !keys.some(key => key.kid === kid)) {
+    ({ keys } = await loadProviderMetadata(provider, { refreshKeys: true }));
+  }
+
+  return verifyIdToken(idToken, keys, expected);
+};
+
+const buildUsername = (email) => {
+  const base = email.split('@')[0].replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 20) || 'clinic';
+  return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+// Never used to sign in: satisfies the password policy for SSO-only accounts
+const buildUnusablePassword = () => `Sso!${crypto.randomBytes(24).toString('base64url').replace(/[-_]/g, 'x')}9a`;
+
+const provisionClinic = async (provider, claims) => {
+  const user = await userRepository.createUser({
+    username: buildUsername(claims.email),
+    email: claims.email,
+    password: buildUnusablePassword(),
+    role: 'clinic',
+    status: 'active',
+    emailVerification: { isVerified: true, verifiedAt: new Date(), sentCount: 0 },
+    externalIdentities: [{
+      provider: provider.key,
+      subject: claims.sub,
+      email: claims.email,
+      linkedAt: new Date(),
+      lastLoginAt: new Date()
+    }]
+  });
+
+  await createClinic(user._id, { name: claims.name, email: claims.email });
+
+  await createNotification({
+    userId: user._id,
+    type: 'account_update',
+    title: 'Welcome to MediClean',
+    message: `Your clinic account was created through ${provider.displayName}. Please complete your phone number and address in your profile.`,
+    category: 'administrative',
+    priority: 'medium'
+  });
+
+  return user;
+};
+
+const resolveUser = async (provider, claims) => {
+  const identity = await userRepository.findByExternalIdentity(provider.key, claims.sub);
+  if (identity) {
+    await userRepository.recordExternalLogin(identity._id, provider.key, claims.sub);
+    return { user: identity, linked: false, provisioned: false };
+  }
+
+  // Linking and provisioning trust the provider's email only if it vouches for it
+  if (!claims.email || claims.email_verified !== true) {
+    throw new AuthenticationError(`${provider.displayName} did not provide a verified email address`);
+  }
+
+  const existing = await userRepository.findByEmail(claims.email);
+  if (existing) {
+    const user = await userRepository.linkExternalIdentity(existing._id, {
+      provider: provider.key,
+      subject: claims.sub,
+      email: claims.email
+    });
+    if (user.emailVerification?.isVerified === false) {
+      await userRepository.markEmailVerified(user._id, user.email);
+    }
+
+    await createNotification({
+      userId: user._id,
+      type: 'account_update',
+      title: 'Sign-in Provider Linked',
+      message: `${provider.displayName} can now be used to sign in to your account`,
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return { user, linked: true, provisioned: false };
+  }
+
+  if (!provider.allowProvisioning) {
+    throw new AuthenticationError(`No MediClean account exists for ${claims.email}`);
+  }
+
+  return { user: await provisionClinic(provider, claims), linked: false, provisioned: true };
+};
+
+/**
+ * Starts an authorization-code + PKCE login with a configured provider
+ * @param {string} providerKey - Provider key from the route
+ * @param {Object} context - Device context ({ deviceId, userAgent, ip }) to bind the session to
+ * @returns {Promise<Object>} { authorizationUrl, expiresAt }
+ */
+export const beginOidcLogin = async (providerKey, { deviceId, userAgent, ip } = {}) => {
+  try {
+    const provider = getProviderOrThrow(providerKey);
+    const { metadata } = await loadProviderMetadata(provider);
+
+    const state = randomUrlToken();
+    const nonce = randomUrlToken();
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+    const expiresAt = new Date(Date.now() + config.OAUTH_STATE_EXPIRY_MINUTES * MINUTE_MS);
+
+    await oauthStateRepository.create({
+      state,
+      provider: provider.key,
+      codeVerifier,
+      nonce,
+      deviceId,
+      userAgent,
+      ip,
+      expiresAt
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: getRedirectUri(provider),
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+      expiresAt
+    };
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+    throw new InternalError('Failed to start external sign-in', error);
+  }
+};
+
+/**
+ * Completes a login from the provider's callback: exchanges the code, verifies
+ * the ID token, then finds, links or provisions the MediClean account
+ * @param {string} providerKey - Provider key from the route
+ * @param {Object} params - Callback query ({ code, state, error, error_description })
+ * @returns {Promise<Object>} { user, context, linked, provisioned }
+ */
+export const completeOidcLogin = async (providerKey, params = {}) => {
+  try {
+    const provider = getProviderOrThrow(providerKey);
+
+    if (!params.state) {
+      throw new ValidationError('State is required');
+    }
+
+    // Consume the state first so an error response cannot be replayed either
+    const pending = await oauthStateRepository.consume(String(params.state), provider.key);
+    if (!pending) {
+      throw new AuthenticationError('Sign-in request is invalid or has expired');
+    }
+
+    if (params.error) {
+      throw new AuthenticationError(
+        `${provider.displayName} sign-in failed: ${params.error_description || params.error}`
+      );
+    }
+    if (!params.code) {
+      throw new ValidationError('Authorization code is required');
+    }
+
+    const cached = await loadProviderMetadata(provider);
+    const tokens = await exchangeCode(provider, cached.metadata, {
+      code: String(params.code),
+      codeVerifier: pending.codeVerifier
+    });
+    if (!tokens.id_token) {
+      throw new AuthenticationError(`${provider.displayName} did not return an ID token`);
+    }
+
+    let claims;
+    try {
+      claims = await verifyProviderIdToken(provider, cached, tokens.id_token, pending.nonce);
+    } catch (error) {
+      throw new AuthenticationError(`Invalid ID token from ${provider.displayName}: ${error.message}`);
+    }
+
+    const resolved = await resolveUser(provider, claims);
+
+    return {
+      ...resolved,
+      context: {
+        deviceId: pending.deviceId,
+        userAgent: pending.userAgent,
+        ip: pending.ip
+      }
+    };
+  } catch (error) {
+    if (
+      error instanceof NotFoundError ||
+      error instanceof ValidationError ||
+      error instanceof AuthenticationError ||
+      error instanceof ConflictError
+    ) {
+      throw error;
+    }
+    throw new InternalError('Failed to complete external sign-in', error);
+  }
+};
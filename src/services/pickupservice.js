@@ -1,13 +1,73 @@
 import pickupRepository from '../repository/pickupRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import slotBookingRepository from '../repository/slotBookingRepository.js';
 import { createNotification } from './notificationservice.js';
-import { ValidationError, NotFoundError, InternalError } from '../utils/errors.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import { openManifest } from './manifestservice.js';
+import { reconcilePickupWeight } from './weightdiscrepancyservice.js';
+import { scheduleAutoAssign } from './dispatchservice.js';
+import { ValidationError, NotFoundError, ConflictError, InternalError } from '../utils/errors.js';
 import { validateObjectId, validateCoordinates } from '../utils/validation.js';
+import { FACILITY_STATUSES } from '../schema/pickupRequestSchema.js';
 
 const PICKUP_CANCELLATION_WINDOW = 48; // hours
 const MAX_ACTIVE_REQUESTS = 5; // per clinic
 
-// Creates a new pickup request
-export const addPickupRequest = async (data) => {
+// Checks the waste logs a clinic picked for a pickup: they must be its own,
+// not yet on another pickup, and all of one category. The pickup then carries
+// that category and the logs' combined weight.
+const selectWasteLogs = async (clinicId, wasteLogIds, wasteType) => {
+  if (!Array.isArray(wasteLogIds) || wasteLogIds.length === 0) {
+    throw new ValidationError('wasteLogIds must be a non-empty array of waste log IDs');
+  }
+  const ids = [...new Set(wasteLogIds.map(String))];
+  if (!ids.every(validateObjectId)) {
+    throw new ValidationError('Invalid waste log ID');
+  }
+
+  const logs = await wasteLogRepository.findForPickup(clinicId, ids);
+  if (logs.length !== ids.length) {
+    const found = new Set(logs.map(log => String(log._id)));
+    throw new NotFoundError(`Waste logs not found for this clinic: ${ids.filter(id => !found.has(id)).join(', ')}`);
+  }
+
+  const taken = logs.filter(log => log.pickupRequestId);
+  if (taken.length > 0) {
+    throw new ConflictError(`Waste logs already on a pickup request: ${taken.map(log => log._id).join(', ')}`);
+  }
+
+  const categories = [...new Set(logs.map(log => log.category))];
+  if (categories.length > 1) {
+    throw new ValidationError(`A pickup carries one waste category; the selected logs are ${categories.join(', ')}`);
+  }
+  if (wasteType && wasteType !== categories[0]) {
+    throw new ValidationError(`The selected logs are ${categories[0]} waste, not ${wasteType}`);
+  }
+
+  return {
+    wasteLogs: ids,
+    wasteType: categories[0],
+    volumeKg: Math.round(logs.reduce((sum, log) => sum + log.volumeKg, 0) * 100) / 100
+  };
+};
+
+// Frees the logs of a cancelled pickup so they can be requested again
+const releaseWasteLogs = async (pickupRequestId) => {
+  await wasteLogRepository.releaseFromPickup(pickupRequestId);
+};
+
+// Frees the collector's slot a pickup was booked into, along with the schedule it set
+const releaseSlot = async (pickupRequestId, reason, filters) => {
+  const booking = await slotBookingRepository.releaseForPickup(pickupRequestId, reason, filters);
+  if (booking) {
+    await pickupRepository.clearSchedule(pickupRequestId, booking.start);
+  }
+};
+
+// Creates a new pickup request. With wasteLogIds, the clinic's chosen pending
+// logs are locked to the request and its waste type and weight come from them;
+// logs are only ever linked that way, after they have been checked.
+export const addPickupRequest = async ({ wasteLogIds, wasteLogs, ...data }) => {
   try {
     if (!validateObjectId(data.clinicId)) {
       throw new ValidationError('Invalid clinic ID');
@@ -17,9 +77,9 @@ export const addPickupRequest = async (data) => {
       throw new ValidationError('Invalid coordinates');
     }
 
-    // Check active requests limit
-    const activeRequests = await pickupRepository.findByStatus(['pending', 'assigned']);
-    if (activeRequests.docs.length >= MAX_ACTIVE_REQUESTS) {
+    // Check the clinic's active requests limit
+    const activeRequests = await pickupRepository.countActiveByClinic(data.clinicId);
+    if (activeRequests >= MAX_ACTIVE_REQUESTS) {
       throw new ValidationError(`Maximum active requests (${MAX_ACTIVE_REQUESTS}) reached`);
     }
 
@@ -27,10 +87,23 @@ export const addPickupRequest = async (data) => {
       data.priority = 'urgent';
     }
 
+    if (wasteLogIds !== undefined) {
+      Object.assign(data, await selectWasteLogs(data.clinicId, wasteLogIds, data.wasteType));
+    }
+
     const pickupRequest = await pickupRepository.create(data);
 
-    await createNotification({
-      userId: pickupRequest.clinicId,
+    // Another request may have taken some of the logs since they were checked
+    if (data.wasteLogs?.length) {
+      const attached = await wasteLogRepository.attachToPickup(data.wasteLogs, pickupRequest._id);
+      if (attached < data.wasteLogs.length) {
+        await releaseWasteLogs(pickupRequest._id);
+        await pickupRepository.delete(pickupRequest._id);
+        throw new ConflictError('Some of the selected waste logs were put on another pickup request; select them again');
+      }
+    }
+
+    await notifyClinicStaff(pickupRequest.clinicId, {
       type: 'pickup_request',
       title: 'New Pickup Request Created',
       message: `${pickupRequest.priority.toUpperCase()} priority pickup request #${pickupRequest._id} has been created`,
@@ -44,9 +117,11 @@ export const addPickupRequest = async (data) => {
       }
     });
 
+    scheduleAutoAssign(pickupRequest._id);
+
     return pickupRequest;
   } catch (error) {
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) throw error;
     throw new InternalError('Failed to create pickup request', error);
   }
 };
@@ -142,11 +217,26 @@ export const modifyPickupRequest = async (id, updatedData, userId) => {
       throw new ValidationError('Invalid coordinates');
     }
 
+    if (FACILITY_STATUSES.includes(updatedData.status)) {
+      throw new ValidationError('Deliveries and treatment are recorded through the delivery and facility intake endpoints');
+    }
+
+    if (updatedData.scheduledPickup && await slotBookingRepository.findActiveByPickup(id)) {
+      throw new ValidationError('The pickup is booked into a collector\'s slot; reschedule it through its booking');
+    }
+
     const pickupRequest = await pickupRepository.update(id, updatedData);
 
+    if (updatedData.status === 'cancelled') {
+      await releaseWasteLogs(id);
+      await releaseSlot(id, 'cancelled');
+    }
+    if (updatedData.status === 'collected') {
+      await reconcilePickupWeight(id);
+    }
+
     if (updatedData.status) {
       const notificationData = {
-        userId: pickupRequest.clinicId,
         type: `pickup_${updatedData.status}`,
         title: `Pickup Request ${updatedData.status.charAt(0).toUpperCase() + updatedData.status.slice(1)}`,
         message: `Pickup request #${pickupRequest._id} has been ${updatedData.status}`,
@@ -162,7 +252,7 @@ export const modifyPickupRequest = async (id, updatedData, userId) => {
         notificationData.recipients = [pickupRequest.collectorId];
       }
 
-      await createNotification(notificationData);
+      await notifyClinicStaff(pickupRequest.clinicId, notificationData);
     }
 
     return pickupRequest;
@@ -172,32 +262,55 @@ export const modifyPickupRequest = async (id, updatedData, userId) => {
   }
 };
 
-// Assign collector to pickup request
-export const assignPickupCollector = async (pickupRequestId, collectorId) => {
+// Assign (or reassign) a collector by hand, overriding the dispatch engine
+export const assignPickupCollector = async (pickupRequestId, collectorId, assignedBy) => {
   try {
     if (!validateObjectId(pickupRequestId) || !validateObjectId(collectorId)) {
       throw new ValidationError('Invalid pickup request or collector ID');
     }
 
-    const updatedRequest = await pickupRepository.assignCollector(pickupRequestId, collectorId);
+    const updatedRequest = await pickupRepository.assignCollector(pickupRequestId, collectorId, 'Assigned manually', {
+      method: 'manual',
+      assignedBy,
+      assignedAt: new Date()
+    });
+    const manifest = await openManifest(pickupRequestId);
+    // A slot booked with the previous collector no longer holds
+    await releaseSlot(pickupRequestId, 'reassigned', { collectorId: { $ne: collectorId } });
 
-    await createNotification({
-      userId: updatedRequest.clinicId,
+    await notifyClinicStaff(updatedRequest.clinicId, {
       type: 'pickup_assigned',
       title: 'Pickup Assigned',
       message: `Collector assigned to pickup request #${pickupRequestId}`,
       category: 'operational',
       recipients: [collectorId],
-      data: { pickupRequestId }
+      data: { pickupRequestId, manifestNumber: manifest.manifestNumber }
     });
 
     return updatedRequest;
   } catch (error) {
-    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) throw error;
     throw new InternalError('Failed to assign collector to pickup request', error);
   }
 };
 
+// Assign one collector to several pickup requests; each is assigned on its own,
+// so one that cannot be assigned does not hold up the rest
+export const bulkAssignPickupCollector = async (pickupRequestIds, collectorId, assignedBy) => {
+  const assigned = [];
+  const failed = [];
+
+  for (const id of pickupRequestIds) {
+    try {
+      assigned.push(await assignPickupCollector(id, collectorId, assignedBy));
+    } catch (error) {
+      failed.push({ id, message: error.message });
+    }
+  }
+
+  return { assigned, failed };
+};
+
 // Cancel a pickup request
 export const cancelPickup = async (pickupRequestId, reason, userId) => {
   try {
@@ -205,7 +318,9 @@ export const cancelPickup = async (pickupRequestId, reason, userId) => {
       throw new ValidationError('Invalid pickup request ID');
     }
 
-    const updatedRequest = await pickupRepository.updateStatus(pickupRequestId, 'cancelled', reason);
+    const updatedRequest = await pickupRepository.cancel(pickupRequestId, { reason, cancelledBy: userId });
+    await releaseWasteLogs(pickupRequestId);
+    await releaseSlot(pickupRequestId, 'cancelled');
 
     await createNotification({
       userId,
@@ -269,6 +384,7 @@ export const deletePickupRequest = async (id) => {
     if (!result) {
       throw new NotFoundError('Pickup request not found');
     }
+    await releaseSlot(id, 'cancelled');
 
     return result;
   } catch (error) {
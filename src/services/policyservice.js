@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import WasteLog from '../schema/wasteLogSchema.js';
+import PickupRequest from '../schema/pickupRequestSchema.js';
+import ApiKey from '../schema/apiKeySchema.js';
+import Clinic from '../schema/clinicSchema.js';
+import Session from '../schema/sessionSchema.js';
+import Manifest from '../schema/manifestSchema.js';
+import Container from '../schema/containerSchema.js';
+import ImportJob from '../schema/importJobSchema.js';
+import StorageArea from '../schema/storageAreaSchema.js';
+import StorageViolation from '../schema/storageViolationSchema.js';
+import WasteLogAmendment from '../schema/wasteLogAmendmentSchema.js';
+import WeightDiscrepancy from '../schema/weightDiscrepancySchema.js';
+import TreatmentFacility from '../schema/treatmentFacilitySchema.js';
+import DestructionCertificate from '../schema/destructionCertificateSchema.js';
+import {
+  ROLES,
+  ROLE_PERMISSIONS,
+  CLINIC_ROLE_PERMISSIONS,
+  UNAFFILIATED_CLINIC_PERMISSIONS,
+  API_KEY_SCOPES
+} from '../config/permissions.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+// Ownership rules: per role, which record field links a record to its owner and
+// which req.user field it must match (the user's own ID unless stated).
+// Clinic staff own their clinic's records, so they are matched on clinicId.
+// Roles without an entry never own records of that resource.
+const OWNERSHIP_RULES = {
+  wastelog: {
+    model: WasteLog,
+    owners: { clinic: { field: 'clinicId', principal: 'clinicId' } }
+  },
+  pickup: {
+    model: PickupRequest,
+    owners: {
+      clinic: { field: 'clinicId', principal: 'clinicId' },
+      collector: { field: 'collectorId' }
+    }
+  },
+  apikey: {
+    model: ApiKey,
+    owners: { clinic: { field: 'ownerId' }, collector: { field: 'ownerId' } }
+  },
+  clinic: {
+    model: Clinic,
+    owners: { clinic: { field: '_id', principal: 'clinicId' } }
+  },
+  session: {
+    model: Session,
+    owners: Object.fromEntries(ROLES.map(role => [role, { field: 'userId' }]))
+  },
+  manifest: {
+    model: Manifest,
+    owners: {
+      clinic: { field: 'clinicId', principal: 'clinicId' },
+      collector: { field: 'collectorId' },
+      recycler: { field: 'operatorId' }
+    }
+  },
+  container: {
+    model: Container,
+    owners: { clinic: { field: 'clinicId', principal: 'clinicId' } }
+  },
+  importjob: {
+    model: ImportJob,
+    owners: { clinic: { field: 'clinicId', principal: 'clinicId' } }
+  },
+  storagearea: {
+    model: StorageArea,
+    owners: { clinic: { field: 'clinicId', principal: 'clinicId' } }
+  },
+  storageviolation: {
+    model: StorageViolation,
+    owners: { clinic: { field: 'clinicId', principal: 'clinicId' } }
+  },
+  amendment: {
+    model: WasteLogAmendment,
+    owners: { clinic: { field: 'clinicId', principal: 'clinicId' } }
+  },
+  discrepancy: {
+    model: WeightDiscrepancy,
+    owners: {
+      clinic: { field: 'clinicId', principal: 'clinicId' },
+      collector: { field: 'collectorId' }
+    }
+  },
+  facility: {
+    model: TreatmentFacility,
+    owners: { recycler: { field: 'operatorId' } }
+  },
+  certificate: {
+    model: DestructionCertificate,
+    owners: {
+      clinic: { field: 'clinicId', principal: 'clinicId' },
+      collector: { field: 'collectorId' },
+      recycler: { field: 'operatorId' }
+    }
+  }
+};
+
+const SCOPES = ['own', 'any'];
+
+/**
+ * Lists the permissions granted to a role
+ * @param {string} role - The user role
+ * @returns {Array<string>} Permission names
+ */
+export const getRolePermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+/**
+ * Lists the permissions of an account. Clinic accounts get those of their clinic role;
+ * staff of a suspended clinic keep read access only.
+ * @param {Object} account - { role, clinicRole?, clinicStatus? }
+ * @returns {Array<string>} Permission names
+ */
+export const getAccountPermissions = ({ role, clinicRole, clinicStatus } = {}) => {
+  if (role !== 'clinic') return getRolePermissions(role);
+  if (!clinicRole) return [...UNAFFILIATED_CLINIC_PERMISSIONS];
+
+  const effectiveRole = clinicStatus === 'suspended' ? 'viewer' : clinicRole;
+  return [...(CLINIC_ROLE_PERMISSIONS[effectiveRole] || [])];
+};
+
+/**
+ * Lists the permissions an API key unlocks: its scopes, capped by the owner's permissions
+ * @param {Object} owner - The key owner ({ role, clinicRole?, clinicStatus? })
+ * @param {Array<string>} scopes - API key scopes
+ * @returns {Array<string>} Permission names
+ */
+export const getApiKeyPermissions = (owner, scopes = []) => {
+  const requested = new Set(scopes.flatMap(scope => API_KEY_SCOPES[scope] || []));
+  return getAccountPermissions(owner).filter(permission => requested.has(permission));
+};
+
+/**
+ * Lists the permissions in effect for an authenticated principal
+ * @param {Object} user - req.user ({ role, clinicRole?, permissions? })
+ * @returns {Array<string>} Permission names
+ */
+export const getEffectivePermissions = (user) =>
+  user?.permissions ? [...user.permissions] : getAccountPermissions(user);
+
+/**
+ * Resolves how far a principal may perform an action
+ * @param {Object} user - req.user ({ role, permissions? })
+ * @param {string} permission - Action such as 'pickup:read', or an exact scoped permission
+ * @returns {string|null} 'any', 'own', or null when not permitted
+ */
+export const resolvePermissionScope = (user, permission) => {
+  const granted = getEffectivePermissions(user);
+  const scope = permission.split(':').pop();
+
+  if (SCOPES.includes(scope)) {
+    return granted.includes(permission) ? scope : null;
+  }
+
+  if (granted.includes(permission) || granted.includes(`${permission}:any`)) return 'any';
+  if (granted.includes(`${permission}:own`)) return 'own';
+  return null;
+};
+
+/**
+ * Checks a permission without regard to ownership
+ * @param {Object} user - Authenticated user ({ role, permissions? })
+ * @param {string} permission - Permission or action name
+ * @returns {boolean} Whether any scope of the permission is granted
+ */
+export const hasPermission = (user, permission) => !!resolvePermissionScope(user, permission);
+
+/**
+ * Checks that every listed record belongs to the user
+ * @param {string} resource - Key of an ownership rule ('wastelog', 'pickup', 'apikey', 'clinic', 'session')
+ * @param {Object} user - Authenticated user ({ id, role, clinicId? })
+ * @param {Array<string>} ids - Record IDs
+ * @returns {Promise<boolean>} Whether the user owns all records
+ */
+export const ownsResources = async (resource, user, ids) => {
+  const rule = OWNERSHIP_RULES[resource];
+  if (!rule) {
+    throw new ValidationError(`No ownership rule for resource: ${resource}`);
+  }
+
+  const uniqueIds = [...new Set(ids.map(String))];
+  if (uniqueIds.length === 0 || !uniqueIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new ValidationError('Invalid resource ID');
+  }
+
+  const owner = rule.owners[user.role];
+
+  const records = await rule.model
+    .find({ _id: { $in: uniqueIds } })
+    .select(owner?.field || '_id')
+    .lean();
+
+  if (records.length !== uniqueIds.length) {
+    throw new NotFoundError(`${resource} not found`);
+  }
+
+  const principalId = owner && user[owner.principal || 'id'];
+  return !!principalId && records.every(record => String(record[owner.field]) === String(principalId));
+};
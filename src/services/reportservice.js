@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import WasteLog from '../models/wastelog.js';
 import PickupRequest from '../models/pickuprequest.js';
 import User from '../models/user.js';
+import Clinic from '../schema/clinicSchema.js';
 import { ValidationError, NotFoundError, InternalError } from '../utils/errors.js';
 import { validateObjectId } from '../utils/validation.js';
 import { formatDate, parseDate, calculateDateRange } from '../utils/dateUtils.js';
@@ -38,7 +39,7 @@ export const generateWasteReport = async ({
     // Build query
     const query = {};
     if (clinicId) {
-      const clinic = await User.findOne({ _id: clinicId, role: 'clinic' });
+      const clinic = await Clinic.findOne({ _id: clinicId, isDeleted: { $ne: true } });
       if (!clinic) {
         throw new NotFoundError('Clinic not found');
       }
@@ -154,7 +155,7 @@ export const generatePickupReport = async ({
     // Build query
     const query = {};
     if (clinicId) {
-      const clinic = await User.findOne({ _id: clinicId, role: 'clinic' });
+      const clinic = await Clinic.findOne({ _id: clinicId, isDeleted: { $ne: true } });
       if (!clinic) {
         throw new NotFoundError('Clinic not found');
       }
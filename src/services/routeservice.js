@@ -0,0 +1,361 @@
+import config from '../config/serverConfig.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import userRepository from '../repository/userRepository.js';
+import collectorCalendarRepository from '../repository/collectorCalendarRepository.js';
+import { createNotification } from './notificationservice.js';
+import { planRoute, insertStop } from '../utils/routePlanner.js';
+import { WEEKDAYS, hoursOn, toMinutes, hasOpeningHours } from '../utils/operatingHours.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Helper functions
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const formatTime = (minutes) => {
+  const whole = Math.round(minutes);
+  return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+const atMinutes = (day, minutes) => new Date(day.getTime() + Math.round(minutes) * MINUTE_MS);
+
+// Midnight (server-local) starting the day to plan; today when no date is given
+const parseDay = (date) => {
+  if (date === undefined) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+  if (!DAY_PATTERN.test(date)) {
+    throw new ValidationError('Date must be in YYYY-MM-DD format');
+  }
+  const [year, month, day] = date.split('-').map(Number);
+  const start = new Date(year, month - 1, day);
+  if (start.getMonth() !== month - 1) {
+    throw new ValidationError('Invalid date');
+  }
+  return start;
+};
+
+const nextDay = (day) => {
+  const next = new Date(day);
+  next.setDate(next.getDate() + 1);
+  return next;
+};
+
+const minutesSince = (day, time = new Date()) => (time.getTime() - day.getTime()) / MINUTE_MS;
+
+const getCollector = async (collectorId) => {
+  if (!validateObjectId(collectorId)) {
+    throw new ValidationError('Invalid collector ID');
+  }
+  const collector = await userRepository.getUserById(collectorId);
+  if (collector.role !== 'collector') {
+    throw new NotFoundError('Collector not found');
+  }
+  return collector;
+};
+
+// Where the route starts and ends, and the working hours in minutes after
+// midnight: those given, else the hours the collector published for the day,
+// else their usual shift
+const workingDay = (collector, day, { depot, shiftStart, shiftEnd } = {}, calendar) => {
+  const base = depot || collector.depot?.coordinates || collector.serviceArea?.center?.coordinates;
+  if (!Array.isArray(base) || base.length !== 2 || !base.every(Number.isFinite)) {
+    throw new ValidationError('The collector has no depot or service area centre to start the route from');
+  }
+
+  const published = hoursOn(calendar?.weeklyHours, day);
+  const usual = published
+    ? { start: formatTime(published.open), end: formatTime(published.close) }
+    : { start: collector.shift?.start || config.ROUTE_SHIFT_START, end: collector.shift?.end || config.ROUTE_SHIFT_END };
+  const times = { start: shiftStart || usual.start, end: shiftEnd || usual.end };
+  if (!TIME_PATTERN.test(times.start) || !TIME_PATTERN.test(times.end)) {
+    throw new ValidationError('Shift times must be in HH:MM format');
+  }
+  const start = toMinutes(times.start);
+  const end = toMinutes(times.end);
+  if (start >= end) {
+    throw new ValidationError('The shift must end after it starts');
+  }
+
+  return { depot: base, start, end };
+};
+
+// When service at a pickup can happen on the day: the clinic's opening hours,
+// narrowed by the requested time slot and any emergency response deadline
+const stopFor = (pickup, day) => {
+  const clinic = pickup.clinicId;
+  let open = 0;
+  let close = DAY_MINUTES;
+
+  if (hasOpeningHours(clinic?.operatingHours)) {
+    const hours = hoursOn(clinic.operatingHours, day);
+    if (!hours) {
+      return { reason: `${clinic.name || 'The clinic'} is closed on ${WEEKDAYS[day.getDay()]}` };
+    }
+    ({ open, close } = hours);
+  }
+
+  const slot = pickup.scheduledPickup?.preferredTimeSlot;
+  if (slot?.start && slot?.end) {
+    open = Math.max(open, toMinutes(slot.start));
+    close = Math.min(close, toMinutes(slot.end));
+  }
+
+  const deadline = pickup.emergency?.isEmergency && pickup.emergency.responseDeadline;
+  if (deadline && new Date(deadline) < nextDay(day)) {
+    close = Math.min(close, minutesSince(day, new Date(deadline)));
+  }
+
+  if (open >= close) {
+    return { reason: 'The requested time slot falls outside the clinic\'s opening hours' };
+  }
+  return {
+    stop: { id: String(pickup._id), coordinates: pickup.location.coordinates, window: { open, close }, pickup }
+  };
+};
+
+const travelOptions = () => ({
+  speedKmh: config.ROUTE_AVERAGE_SPEED_KMH,
+  roadFactor: config.ROUTE_ROAD_FACTOR,
+  serviceMinutes: config.ROUTE_SERVICE_MINUTES
+});
+
+// Today's route starts from the last collection, if any, and no earlier than now
+const startingPoint = async (collectorId, day, { depot, start }) => {
+  const elapsed = minutesSince(day);
+  if (elapsed < 0 || elapsed >= DAY_MINUTES) {
+    return { origin: depot, start };
+  }
+  const last = await pickupRepository.findLastCollectedBy(collectorId, day);
+  return {
+    origin: last?.location?.coordinates || depot,
+    start: Math.max(start, Math.ceil(elapsed))
+  };
+};
+
+const routeDetailsFor = (leg, sequence, day, plannedAt) => ({
+  plannedFor: day,
+  plannedAt,
+  sequence,
+  estimatedArrival: atMinutes(day, leg.serviceStart),
+  estimatedDuration: Math.round(leg.legMinutes),
+  distance: round(leg.legKm, 2),
+  route: { type: 'LineString', coordinates: [leg.from, leg.stop.coordinates] }
+});
+
+const stopSummary = (leg, sequence, day) => ({
+  pickupRequestId: leg.stop.pickup._id,
+  clinic: leg.stop.pickup.clinicId?.name,
+  priority: leg.stop.pickup.priority,
+  sequence,
+  estimatedArrival: atMinutes(day, leg.serviceStart),
+  waitMinutes: Math.round(leg.waitMinutes),
+  travelMinutes: Math.round(leg.legMinutes),
+  distanceKm: round(leg.legKm, 2)
+});
+
+/**
+ * Plans a collector's route for a day over their assigned pickups and writes
+ * each stop's position, arrival time and leg into the pickup's routeDetails.
+ * Pickups that cannot be reached within their clinic's hours, their time slot
+ * and the shift are left off the route, with the reason.
+ * @param {string} collectorId - The collector ID
+ * @param {Object} options - { date (YYYY-MM-DD), depot ([lng, lat]), shiftStart, shiftEnd (HH:MM) }
+ * @returns {Promise<Object>} { date, depot, shift, stops, unscheduled, totalKm, returnKm, finish }
+ */
+export const planCollectorRoute = async (collectorId, { date, depot, shiftStart, shiftEnd } = {}) => {
+  try {
+    const [collector, calendar] = await Promise.all([
+      getCollector(collectorId),
+      collectorCalendarRepository.findByCollector(collectorId)
+    ]);
+    const day = parseDay(date);
+    if (day < parseDay()) {
+      throw new ValidationError('Routes cannot be planned for past days');
+    }
+    const shift = workingDay(collector, day, { depot, shiftStart, shiftEnd }, calendar);
+    const { origin, start } = await startingPoint(collectorId, day, shift);
+    if (start >= shift.end) {
+      throw new ConflictError('The shift for this day is already over');
+    }
+
+    const [pickups, planned] = await Promise.all([
+      pickupRepository.findRouteCandidates(collectorId, day, nextDay(day)),
+      pickupRepository.findPlannedRoute(collectorId, day)
+    ]);
+    // Stops already visited today keep their place at the front of the route
+    const done = planned.filter(pickup => pickup.collectedAt).length;
+
+    const stops = [];
+    const unscheduled = [];
+    pickups.forEach(pickup => {
+      const { stop, reason } = stopFor(pickup, day);
+      if (stop) stops.push(stop);
+      else unscheduled.push({ pickup, reason });
+    });
+
+    const plan = planRoute(stops, { ...travelOptions(), origin, depot: shift.depot, start, end: shift.end });
+    plan.unscheduled.forEach(stop => unscheduled.push({
+      pickup: stop.pickup,
+      reason: 'Cannot be reached within its time window and the shift'
+    }));
+
+    const plannedAt = new Date();
+    await pickupRepository.saveRouteDetails(
+      plan.legs.map((leg, index) => ({
+        id: leg.stop.id,
+        routeDetails: routeDetailsFor(leg, done + index + 1, day, plannedAt)
+      })),
+      unscheduled
+        .filter(({ pickup }) => pickup.routeDetails?.plannedFor?.getTime() === day.getTime())
+        .map(({ pickup }) => pickup._id)
+    );
+
+    return {
+      collectorId: collector._id,
+      date: day,
+      depot: shift.depot,
+      shift: { start: formatTime(shift.start), end: formatTime(shift.end) },
+      stops: plan.legs.map((leg, index) => stopSummary(leg, done + index + 1, day)),
+      unscheduled: unscheduled.map(({ pickup, reason }) => ({
+        pickupRequestId: pickup._id,
+        clinic: pickup.clinicId?.name,
+        priority: pickup.priority,
+        reason
+      })),
+      totalKm: round(plan.totalKm, 2),
+      returnKm: round(plan.returnKm, 2),
+      finish: atMinutes(day, plan.finish)
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to plan collector route', error);
+  }
+};
+
+/**
+ * Gets a collector's planned route for a day
+ * @param {string} collectorId - The collector ID
+ * @param {string} date - The day (YYYY-MM-DD); today when omitted
+ * @returns {Promise<Object>} { date, stops, totalKm }
+ */
+export const getCollectorRoute = async (collectorId, date) => {
+  try {
+    if (!validateObjectId(collectorId)) {
+      throw new ValidationError('Invalid collector ID');
+    }
+    const day = parseDay(date);
+    const pickups = await pickupRepository.findPlannedRoute(collectorId, day);
+
+    return {
+      collectorId,
+      date: day,
+      stops: pickups.map(pickup => ({
+        pickupRequestId: pickup._id,
+        clinic: pickup.clinicId?.name,
+        status: pickup.status,
+        priority: pickup.priority,
+        wasteType: pickup.wasteType,
+        volumeKg: pickup.volumeKg,
+        location: pickup.location,
+        routeDetails: pickup.routeDetails
+      })),
+      totalKm: round(pickups.reduce((sum, pickup) => sum + (pickup.routeDetails.distance || 0), 0), 2)
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch collector route', error);
+  }
+};
+
+/**
+ * Fits an urgent or emergency pickup into the collector's route for today at
+ * the earliest point that keeps every other stop within its window, and
+ * re-times the stops after it
+ * @param {string} collectorId - The collector ID
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object>} { position, stops, totalKm, finish }
+ */
+export const insertUrgentPickup = async (collectorId, pickupRequestId) => {
+  try {
+    if (!validateObjectId(pickupRequestId)) {
+      throw new ValidationError('Invalid pickup request ID');
+    }
+    const [collector, calendar] = await Promise.all([
+      getCollector(collectorId),
+      collectorCalendarRepository.findByCollector(collectorId)
+    ]);
+    const day = parseDay();
+
+    const [pickups, planned] = await Promise.all([
+      pickupRepository.findRouteCandidates(collectorId, day, nextDay(day)),
+      pickupRepository.findPlannedRoute(collectorId, day)
+    ]);
+    const pickup = pickups.find(candidate => String(candidate._id) === String(pickupRequestId));
+    if (!pickup) {
+      throw new ConflictError('The pickup is not assigned to this collector for today');
+    }
+    if (pickup.priority !== 'urgent' && !pickup.emergency?.isEmergency) {
+      throw new ValidationError('Only urgent or emergency pickups are inserted into a planned route; replan the route instead');
+    }
+    if (planned.length === 0) {
+      throw new ConflictError('The collector has no route planned for today');
+    }
+
+    const { stop, reason } = stopFor(pickup, day);
+    if (!stop) throw new ConflictError(reason);
+
+    const shift = workingDay(collector, day, {}, calendar);
+    const { origin, start } = await startingPoint(collectorId, day, shift);
+    const done = planned.filter(item => item.collectedAt).length;
+    const remaining = planned
+      .filter(item => item.status === 'assigned' && String(item._id) !== String(pickupRequestId))
+      .map(item => stopFor(item, day).stop)
+      .filter(Boolean);
+
+    const route = insertStop(remaining, stop, { ...travelOptions(), origin, depot: shift.depot, start, end: shift.end });
+    if (!route) {
+      throw new ConflictError('The pickup cannot be fitted into today\'s route without other stops missing their windows');
+    }
+
+    const plannedAt = new Date();
+    await pickupRepository.saveRouteDetails(route.legs.map((leg, index) => ({
+      id: leg.stop.id,
+      routeDetails: routeDetailsFor(leg, done + index + 1, day, plannedAt)
+    })));
+
+    const arrival = atMinutes(day, route.legs[route.position].serviceStart);
+    await createNotification({
+      userId: collector._id,
+      type: 'route_updated',
+      title: 'Urgent Stop Added To Your Route',
+      message: `Pickup request #${pickup._id} at ${pickup.clinicId?.name || 'a clinic'} is now stop ${done + route.position + 1}, expected at ${formatTime(minutesSince(day, arrival))}`,
+      category: 'operational',
+      priority: 'urgent',
+      data: { pickupRequestId: pickup._id, sequence: done + route.position + 1, estimatedArrival: arrival }
+    });
+
+    return {
+      position: done + route.position + 1,
+      stops: route.legs.map((leg, index) => stopSummary(leg, done + index + 1, day)),
+      totalKm: round(route.totalKm, 2),
+      finish: atMinutes(day, route.finish)
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to insert urgent pickup into route', error);
+  }
+};
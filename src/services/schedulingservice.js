@@ -0,0 +1,448 @@
+import config from '../config/serverConfig.js';
+import collectorCalendarRepository from '../repository/collectorCalendarRepository.js';
+import slotBookingRepository from '../repository/slotBookingRepository.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import clinicRepository from '../repository/clinicRepository.js';
+import userRepository from '../repository/userRepository.js';
+import { createNotification } from './notificationservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import { openManifest } from './manifestservice.js';
+import { getAssignmentCandidates } from './dispatchservice.js';
+import { availableSlots, atMinutes, timeOfDay } from '../utils/timeSlots.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_SEARCH_DAYS = 7;
+const BOOKABLE_STATUSES = ['pending', 'assigned'];
+
+// Helper functions
+
+const idOf = (value) => value?._id || value;
+
+const assertId = (id, name) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError(`Invalid ${name} ID`);
+  }
+};
+
+const parseTime = (value, name) => {
+  const time = value ? new Date(value) : null;
+  if (!time || Number.isNaN(time.getTime())) {
+    throw new ValidationError(`${name} must be a valid date and time`);
+  }
+  return time;
+};
+
+const formatSlot = ({ start, end }) =>
+  `${start.toDateString()} ${timeOfDay(start)}-${timeOfDay(end)}`;
+
+// How soon and how far ahead slots can be booked
+const bookingWindow = () => {
+  const now = Date.now();
+  return {
+    earliest: new Date(now + config.SLOT_BOOKING_LEAD_HOURS * HOUR_MS),
+    latest: new Date(now + config.SLOT_BOOKING_HORIZON_DAYS * DAY_MS)
+  };
+};
+
+const getCollector = async (collectorId) => {
+  assertId(collectorId, 'collector');
+  const collector = await userRepository.getUserById(collectorId);
+  if (collector.role !== 'collector') {
+    throw new NotFoundError('Collector not found');
+  }
+  return collector;
+};
+
+const getBookablePickup = async (pickupRequestId) => {
+  assertId(pickupRequestId, 'pickup request');
+  const pickup = await pickupRepository.findById(pickupRequestId);
+  if (!BOOKABLE_STATUSES.includes(pickup.status)) {
+    throw new ConflictError(`A ${pickup.status} pickup cannot be booked into a slot`);
+  }
+  return pickup;
+};
+
+// The collectors whose slots a pickup can go into: its collector once
+// assigned, otherwise those the dispatch engine finds eligible for it
+const collectorsFor = async (pickup) => {
+  if (pickup.collectorId) {
+    return [{ collectorId: idOf(pickup.collectorId), username: pickup.collectorId.username }];
+  }
+  const { candidates } = await getAssignmentCandidates(String(pickup._id));
+  return candidates.map(({ collectorId, username }) => ({ collectorId, username }));
+};
+
+// Open slots of the given collectors in a period, within the pickup's clinic hours
+const openSlots = async (collectors, pickup, { from, to }) => {
+  const ids = collectors.map(collector => collector.collectorId);
+  const [calendars, booked, clinic] = await Promise.all([
+    collectorCalendarRepository.findByCollectors(ids),
+    slotBookingRepository.findBooked(ids, from, to),
+    clinicRepository.findById(idOf(pickup.clinicId))
+  ]);
+  const { earliest } = bookingWindow();
+
+  return collectors.flatMap(collector => {
+    const calendar = calendars.find(item => String(item.collectorId) === String(collector.collectorId));
+    if (!calendar) return [];
+    const taken = booked.filter(booking => String(booking.collectorId) === String(collector.collectorId));
+    return availableSlots(calendar, { from, to, earliest, clinicHours: clinic?.operatingHours, booked: taken })
+      .map(slot => ({ ...slot, collectorId: collector.collectorId, collector: collector.username }));
+  }).sort((a, b) => a.start - b.start);
+};
+
+// The open slot of a collector starting at a given time
+const findOpenSlot = async (collector, pickup, start) => {
+  const { earliest, latest } = bookingWindow();
+  if (start < earliest) {
+    throw new ValidationError(`Slots must be booked at least ${config.SLOT_BOOKING_LEAD_HOURS} hours ahead`);
+  }
+  if (start > latest) {
+    throw new ValidationError(`Slots can be booked at most ${config.SLOT_BOOKING_HORIZON_DAYS} days ahead`);
+  }
+
+  const day = atMinutes(start, 0);
+  const slots = await openSlots([collector], pickup, { from: day, to: atMinutes(day, 24 * 60) });
+  const slot = slots.find(candidate => candidate.start.getTime() === start.getTime());
+  if (!slot) {
+    throw new ConflictError('That slot is not open; list the open slots and choose one of them');
+  }
+  return slot;
+};
+
+const scheduleFor = ({ start, end }) => ({
+  preferredDate: start,
+  preferredTimeSlot: { start: timeOfDay(start), end: timeOfDay(end) },
+  isScheduled: true
+});
+
+// A released booking no longer holds the pickup's time
+const unschedule = (booking) => pickupRepository.clearSchedule(booking.pickupRequestId, booking.start);
+
+const notifyBooking = async (pickup, slot, collectorId, { title, verb }) => {
+  const data = { pickupRequestId: pickup._id, start: slot.start, end: slot.end, collectorId };
+  await notifyClinicStaff(pickup.clinicId, {
+    type: 'pickup_scheduled',
+    title,
+    message: `Pickup request #${pickup._id} is ${verb} for ${formatSlot(slot)}`,
+    category: 'operational',
+    data
+  });
+  await createNotification({
+    userId: collectorId,
+    type: 'pickup_scheduled',
+    title,
+    message: `Pickup request #${pickup._id} (${pickup.wasteType}, ${pickup.volumeKg} kg) is ${verb} for ${formatSlot(slot)}`,
+    category: 'operational',
+    priority: pickup.priority,
+    data
+  });
+};
+
+/**
+ * Gets a collector's published availability
+ * @param {string} collectorId - The collector ID
+ * @returns {Promise<Object>} Calendar
+ */
+export const getAvailability = async (collectorId) => {
+  try {
+    assertId(collectorId, 'collector');
+    const calendar = await collectorCalendarRepository.findByCollector(collectorId);
+    if (!calendar) throw new NotFoundError('The collector has not published their availability');
+    return calendar;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch collector availability', error);
+  }
+};
+
+/**
+ * Publishes a collector's weekly hours and slot length. Slots already booked
+ * stay booked.
+ * @param {string} collectorId - The collector ID
+ * @param {Object} data - { weeklyHours ({ monday: { open, close }, ... }), slotMinutes }
+ * @param {Object} user - The user making the change
+ * @returns {Promise<Object>} Calendar
+ */
+export const updateAvailability = async (collectorId, { weeklyHours, slotMinutes } = {}, user) => {
+  try {
+    await getCollector(collectorId);
+    const data = {};
+    if (weeklyHours !== undefined) data.weeklyHours = weeklyHours;
+    if (slotMinutes !== undefined) data.slotMinutes = slotMinutes;
+    if (Object.keys(data).length === 0) {
+      throw new ValidationError('Nothing to update. Updatable fields: weeklyHours, slotMinutes');
+    }
+
+    return await collectorCalendarRepository.saveAvailability(collectorId, data, { _id: user.id });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to update collector availability', error);
+  }
+};
+
+/**
+ * Marks a period the collector is not working, such as a holiday or vehicle
+ * maintenance. Slots already booked in that period are released and the
+ * clinics told to book again.
+ * @param {string} collectorId - The collector ID
+ * @param {Object} data - { start, end, reason, note }
+ * @param {Object} user - The user making the change
+ * @returns {Promise<Object>} { calendar, released }
+ */
+export const addAvailabilityException = async (collectorId, { start, end, reason, note } = {}, user) => {
+  try {
+    assertId(collectorId, 'collector');
+    const period = { start: parseTime(start, 'Start'), end: parseTime(end, 'End') };
+    if (period.end <= period.start) {
+      throw new ValidationError('An exception must end after it starts');
+    }
+
+    const calendar = await collectorCalendarRepository.addException(collectorId, {
+      ...period,
+      reason,
+      note,
+      createdBy: user.id
+    });
+    const released = await slotBookingRepository.releaseOverlapping(
+      collectorId,
+      period.start,
+      period.end,
+      'collector_unavailable'
+    );
+    await Promise.all(released.map(unschedule));
+
+    await Promise.all(released.map(booking => notifyClinicStaff(booking.clinicId, {
+      type: 'pickup_slot_released',
+      title: 'Pickup Slot Released',
+      message: `The collector is no longer available on ${formatSlot(booking)}; please book another slot for pickup request #${booking.pickupRequestId}`,
+      category: 'operational',
+      priority: 'high',
+      data: { pickupRequestId: booking.pickupRequestId, start: booking.start, end: booking.end, reason }
+    })));
+
+    return { calendar, released: released.map(booking => booking.pickupRequestId) };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to add availability exception', error);
+  }
+};
+
+/**
+ * Removes an availability exception, opening its slots again
+ * @param {string} collectorId - The collector ID
+ * @param {string} exceptionId - The exception ID
+ * @returns {Promise<Object>} Calendar
+ */
+export const removeAvailabilityException = async (collectorId, exceptionId) => {
+  try {
+    assertId(collectorId, 'collector');
+    assertId(exceptionId, 'exception');
+    return await collectorCalendarRepository.removeException(collectorId, exceptionId);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to remove availability exception', error);
+  }
+};
+
+/**
+ * Lists the slots a pickup can be booked into: its collector's once it is
+ * assigned, otherwise any eligible collector's, within the clinic's opening hours
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} options - { from, to } (a week from the earliest bookable time by default)
+ * @returns {Promise<Object>} { pickupRequestId, from, to, slots }
+ */
+export const listOpenSlots = async (pickupRequestId, { from, to } = {}) => {
+  try {
+    const pickup = await getBookablePickup(pickupRequestId);
+    const { earliest, latest } = bookingWindow();
+
+    const start = from ? parseTime(from, 'From') : earliest;
+    const end = to ? parseTime(to, 'To') : new Date(start.getTime() + DEFAULT_SEARCH_DAYS * DAY_MS);
+    if (end <= start) {
+      throw new ValidationError('The search period must end after it starts');
+    }
+    if (end - start > config.SLOT_SEARCH_MAX_DAYS * DAY_MS) {
+      throw new ValidationError(`Search at most ${config.SLOT_SEARCH_MAX_DAYS} days at a time`);
+    }
+
+    const period = { from: start, to: new Date(Math.min(end, latest)) };
+    const collectors = await collectorsFor(pickup);
+    const slots = period.from < period.to ? await openSlots(collectors, pickup, period) : [];
+
+    return { pickupRequestId: pickup._id, ...period, slots };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list open pickup slots', error);
+  }
+};
+
+/**
+ * Books a pickup into a collector's open slot. Reserving the slot is atomic,
+ * so when two clinics book the same slot only one succeeds. Booking a pending
+ * pickup assigns it to the slot's collector.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} data - { collectorId (required while the pickup is pending), start }
+ * @param {Object} user - The user booking
+ * @returns {Promise<Object>} { booking, pickup }
+ */
+export const bookPickupSlot = async (pickupRequestId, { collectorId, start } = {}, user) => {
+  try {
+    const pickup = await getBookablePickup(pickupRequestId);
+    const assignedId = pickup.collectorId && String(idOf(pickup.collectorId));
+    const chosenId = collectorId ? String(collectorId) : assignedId;
+    if (!chosenId) {
+      throw new ValidationError('collectorId is required to book a pickup that has no collector yet');
+    }
+    if (assignedId && chosenId !== assignedId) {
+      throw new ConflictError('The pickup is assigned to another collector; book one of their slots');
+    }
+
+    const collectors = await collectorsFor(pickup);
+    const collector = collectors.find(candidate => String(candidate.collectorId) === chosenId);
+    if (!collector) {
+      throw new ConflictError('This collector cannot take the pickup');
+    }
+
+    const slot = await findOpenSlot(collector, pickup, parseTime(start, 'Start'));
+    const booking = await slotBookingRepository.reserve({
+      collectorId: collector.collectorId,
+      clinicId: idOf(pickup.clinicId),
+      pickupRequestId: pickup._id,
+      start: slot.start,
+      end: slot.end,
+      bookedBy: user.id
+    });
+
+    let scheduled;
+    try {
+      scheduled = pickup.status === 'pending'
+        ? await pickupRepository.advanceStatus(pickup._id, 'pending', 'assigned', {
+          collectorId: collector.collectorId,
+          assignment: { method: 'booking', assignedBy: user.id, assignedAt: new Date() },
+          scheduledPickup: scheduleFor(slot)
+        }, `Booked into ${collector.username}'s slot ${formatSlot(slot)}`)
+        : await pickupRepository.updateSchedule(pickup._id, scheduleFor(slot));
+    } catch (error) {
+      await slotBookingRepository.discard(booking._id);
+      throw error;
+    }
+
+    if (pickup.status === 'pending') {
+      await openManifest(String(pickup._id));
+    }
+    await notifyBooking(scheduled, slot, collector.collectorId, { title: 'Pickup Scheduled', verb: 'booked' });
+
+    return { booking, pickup: scheduled };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to book pickup slot', error);
+  }
+};
+
+/**
+ * Moves a pickup's booking to another open slot of the same collector
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} data - { start }
+ * @param {Object} user - The user rescheduling
+ * @returns {Promise<Object>} { booking, pickup }
+ */
+export const reschedulePickupSlot = async (pickupRequestId, { start } = {}, user) => {
+  try {
+    const pickup = await getBookablePickup(pickupRequestId);
+    const booking = await slotBookingRepository.findActiveByPickup(pickup._id);
+    if (!booking) {
+      throw new NotFoundError('The pickup has no booked slot to reschedule');
+    }
+
+    const requested = parseTime(start, 'Start');
+    if (requested.getTime() === booking.start.getTime()) {
+      throw new ValidationError('The pickup is already booked for this slot');
+    }
+
+    const [collector] = await collectorsFor(pickup);
+    const slot = await findOpenSlot(collector, pickup, requested);
+    const moved = await slotBookingRepository.move(booking, slot, user.id);
+    const scheduled = await pickupRepository.updateSchedule(pickup._id, scheduleFor(slot));
+
+    await notifyBooking(scheduled, slot, collector.collectorId, { title: 'Pickup Rescheduled', verb: 'now booked' });
+
+    return { booking: moved, pickup: scheduled };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to reschedule pickup slot', error);
+  }
+};
+
+/**
+ * Gives up a pickup's booked slot without cancelling the pickup; the pickup
+ * is left unscheduled until another slot is booked
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object>} Released booking
+ */
+export const releasePickupSlot = async (pickupRequestId) => {
+  try {
+    assertId(pickupRequestId, 'pickup request');
+    const booking = await slotBookingRepository.releaseForPickup(pickupRequestId, 'unbooked');
+    if (!booking) {
+      throw new NotFoundError('The pickup has no booked slot');
+    }
+    await unschedule(booking);
+
+    await createNotification({
+      userId: booking.collectorId,
+      type: 'pickup_slot_released',
+      title: 'Pickup Slot Released',
+      message: `The clinic has released the slot on ${formatSlot(booking)} for pickup request #${pickupRequestId}`,
+      category: 'operational',
+      data: { pickupRequestId, start: booking.start, end: booking.end }
+    });
+
+    return booking;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to release pickup slot', error);
+  }
+};
+
+/**
+ * Lists booked slots
+ * @param {Object} filters - { collectorId, clinicId, status, from, to }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated bookings
+ */
+export const listBookings = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = { status: filters.status || 'booked' };
+    if (!['booked', 'released'].includes(query.status)) {
+      throw new ValidationError('Status must be booked or released');
+    }
+    ['collectorId', 'clinicId'].forEach(field => {
+      if (filters[field] === undefined) return;
+      if (!validateObjectId(filters[field])) throw new ValidationError(`Invalid ${field}`);
+      query[field] = filters[field];
+    });
+    if (filters.from || filters.to) {
+      query.start = {};
+      if (filters.from) query.start.$gte = parseTime(filters.from, 'From');
+      if (filters.to) query.start.$lt = parseTime(filters.to, 'To');
+    }
+
+    return await slotBookingRepository.findBookings(query, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list pickup bookings', error);
+  }
+};
@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 import WasteLog from '../models/wastelog.js';
 import PickupRequest from '../models/pickuprequest.js';
 import User from '../models/user.js';
+import Clinic from '../schema/clinicSchema.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
 import { ValidationError, NotFoundError, InternalError } from '../utils/errors.js';
 import { validateObjectId } from '../utils/validation.js';
 
@@ -29,7 +31,7 @@ export const getWasteStatistics = async ({
     const matchStage = {};
     if (clinicId) {
       // Verify clinic exists
-      const clinicExists = await User.exists({ _id: clinicId, role: 'clinic' });
+      const clinicExists = await Clinic.exists({ _id: clinicId, isDeleted: { $ne: true } });
       if (!clinicExists) {
         throw new NotFoundError('Clinic not found');
       }
@@ -77,7 +79,8 @@ export const getWasteStatistics = async ({
             minVolume: { $min: '$volumeKg' },
             maxVolume: { $max: '$volumeKg' }
           }
-        }
+        },
+        ...wasteCategoryRepository.catalogueLookupStages('_id')
       ]),
 
       // Overall statistics
@@ -120,12 +123,22 @@ export const getWasteStatistics = async ({
       })),
       categoryBreakdown: categoryBreakdown.map(item => ({
         category: item._id,
+        name: item.name,
+        colourCode: item.colourCode,
         volume: item.totalVolume,
         count: item.count,
         avgVolume: item.avgVolume,
         minVolume: item.minVolume,
         maxVolume: item.maxVolume
       })),
+      colourBreakdown: Object.values(categoryBreakdown.reduce((streams, item) => {
+        const colourCode = item.colourCode || 'uncatalogued';
+        streams[colourCode] ||= { colourCode, volume: 0, count: 0, categories: [] };
+        streams[colourCode].volume += item.totalVolume;
+        streams[colourCode].count += item.count;
+        streams[colourCode].categories.push(item._id);
+        return streams;
+      }, {})),
       volumeDistribution: volumeDistribution.map(item => ({
         range: typeof item._id === 'string' ? item._id : `${item._id}-${item._id + 1}`,
         count: item.count,
@@ -167,7 +180,7 @@ export const getPickupStatistics = async ({
 
     const matchStage = {};
     if (clinicId) {
-      const clinicExists = await User.exists({ _id: clinicId, role: 'clinic' });
+      const clinicExists = await Clinic.exists({ _id: clinicId, isDeleted: { $ne: true } });
       if (!clinicExists) {
         throw new NotFoundError('Clinic not found');
       }
@@ -321,7 +334,7 @@ export const getClinicPerformanceMetrics = async ({
       throw new ValidationError('Invalid clinic ID');
     }
 
-    const clinic = await User.findOne({ _id: clinicId, role: 'clinic' });
+    const clinic = await Clinic.findOne({ _id: clinicId, isDeleted: { $ne: true } });
     if (!clinic) {
       throw new NotFoundError('Clinic not found');
     }
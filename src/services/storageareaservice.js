@@ -0,0 +1,106 @@
+import storageAreaRepository from '../repository/storageAreaRepository.js';
+import clinicRepository from '../repository/clinicRepository.js';
+import {
+  ValidationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'sensorIds',
+  'temperature',
+  'humidity',
+  'gracePeriodMinutes',
+  'isActive'
+];
+
+// Helper functions
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  Object.entries(data).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
+
+/**
+ * Adds a storage area to a clinic
+ * @param {string} clinicId - The clinic ID
+ * @param {Object} data - { name, description, sensorIds, temperature: { min, max }, humidity: { min, max }, gracePeriodMinutes }
+ * @returns {Promise<Object>} Created storage area
+ */
+export const createStorageArea = async (clinicId, data = {}) => {
+  try {
+    if (!validateObjectId(clinicId)) {
+      throw new ValidationError('Valid clinic ID is required');
+    }
+    await clinicRepository.findById(clinicId);
+
+    return await storageAreaRepository.createArea({ ...pickEditable(data), clinicId });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to create storage area', error);
+  }
+};
+
+/**
+ * Lists storage areas
+ * @param {Object} filters - { clinicId, includeInactive }
+ * @returns {Promise<Array>} Storage areas
+ */
+export const listStorageAreas = async ({ clinicId, includeInactive = false } = {}) => {
+  try {
+    const query = {};
+    if (clinicId) {
+      if (!validateObjectId(clinicId)) throw new ValidationError('Invalid clinic ID');
+      query.clinicId = clinicId;
+    }
+    if (!includeInactive) query.isActive = true;
+
+    return await storageAreaRepository.findAreas(query);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list storage areas', error);
+  }
+};
+
+/**
+ * Gets a storage area
+ * @param {string} id - The storage area ID
+ * @returns {Promise<Object>} Storage area
+ */
+export const getStorageArea = async (id) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid storage area ID');
+    }
+    return await storageAreaRepository.findArea(id);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch storage area', error);
+  }
+};
+
+/**
+ * Updates a storage area's details, sensors or allowed ranges
+ * @param {string} id - The storage area ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated storage area
+ */
+export const updateStorageArea = async (id, updates = {}) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid storage area ID');
+    }
+
+    const changes = pickEditable(updates);
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    return await storageAreaRepository.updateArea(id, changes);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to update storage area', error);
+  }
+};
@@ -0,0 +1,342 @@
+import config from '../config/serverConfig.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import storageViolationRepository from '../repository/storageViolationRepository.js';
+import clinicRepository from '../repository/clinicRepository.js';
+import { STORAGE_ESCALATION_TIERS } from '../schema/wasteLogSchema.js';
+import { createBroadcastNotification } from './notificationservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import { ValidationError, InternalError, rethrowKnown } from '../utils/errors.js';
+import { validateObjectId, validateDate } from '../utils/validation.js';
+import { toCsv } from '../utils/spreadsheet.js';
+
+const MAX_LISTED_LOGS = 5; // per notification message
+const REPORT_FORMATS = ['json', 'csv'];
+const REPORT_COLUMNS = [
+  'id', 'clinic', 'wasteLogId', 'category', 'volumeKg', 'loggedAt',
+  'maxStorageHours', 'hoursStored', 'warnedAt', 'alertedAt', 'recordedAt'
+];
+
+// Helper functions
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const tierIndex = (tier) => STORAGE_ESCALATION_TIERS.indexOf(tier);
+
+// Tier a log is due for, by how long it has been kept past its limit
+const dueTier = (log) => {
+  const hoursOver = log.hoursStored - log.maxStorageHours;
+  if (hoursOver >= config.STORAGE_VIOLATION_AFTER_HOURS) return 'violation';
+  if (hoursOver >= config.STORAGE_HEALTH_ALERT_AFTER_HOURS) return 'health_officer_alert';
+  return 'clinic_warning';
+};
+
+// Moves a log to the tier it is due for. A log found late (for instance after
+// downtime) goes straight to that tier; the steps it skipped are dated now.
+// Returns the escalation fields set, or null when another run got there first.
+const escalate = async (log, tier, now) => {
+  const set = {};
+  if (!log.storageEscalation?.warnedAt) set.warnedAt = now;
+  if (tierIndex(tier) >= tierIndex('health_officer_alert') && !log.storageEscalation?.alertedAt) {
+    set.alertedAt = now;
+  }
+
+  if (tier === 'violation') {
+    const violation = await storageViolationRepository.recordViolation({
+      clinicId: log.clinicId,
+      wasteLogId: log._id,
+      category: log.category,
+      volumeKg: log.volumeKg,
+      loggedAt: log.loggedAt,
+      maxStorageHours: log.maxStorageHours,
+      hoursStored: round(log.hoursStored),
+      pickupRequestId: log.pickupRequestId,
+      warnedAt: log.storageEscalation?.warnedAt || set.warnedAt,
+      alertedAt: log.storageEscalation?.alertedAt || set.alertedAt,
+      recordedAt: now
+    });
+    set.violationId = violation._id;
+  }
+
+  const moved = await wasteLogRepository.advanceStorageEscalation(log._id, tier, set);
+  return moved ? set : null;
+};
+
+const describeLogs = (logs) => {
+  const listed = logs.slice(0, MAX_LISTED_LOGS).map(log =>
+    `${log.category} ${log.volumeKg} kg stored ${Math.floor(log.hoursStored)}h (limit ${log.maxStorageHours}h)`
+  );
+  if (logs.length > MAX_LISTED_LOGS) listed.push(`and ${logs.length - MAX_LISTED_LOGS} more`);
+  return listed.join('; ');
+};
+
+const logSummary = (logs) => logs.map(log => ({
+  wasteLogId: log._id,
+  category: log.category,
+  volumeKg: log.volumeKg,
+  hoursStored: round(log.hoursStored),
+  maxStorageHours: log.maxStorageHours
+}));
+
+// One notification per clinic and tier, listing the logs that reached it in this run
+const notifyEscalations = async (clinicId, escalated) => {
+  const warned = escalated.clinic_warning;
+  const alerted = escalated.health_officer_alert;
+  const violations = escalated.violation;
+
+  if (warned.length > 0) {
+    await notifyClinicStaff(clinicId, {
+      type: 'compliance_alert',
+      title: 'Maximum Storage Time Exceeded',
+      message: `Waste has been stored past its maximum storage time: ${describeLogs(warned)}. Arrange collection to avoid escalation to health officers.`,
+      category: 'operational',
+      priority: 'high',
+      data: { tier: 'clinic_warning', logs: logSummary(warned) }
+    }, { roles: ['owner', 'waste_officer'] });
+  }
+
+  if (alerted.length === 0 && violations.length === 0) return;
+
+  const clinic = await clinicRepository.findById(clinicId);
+
+  if (alerted.length > 0) {
+    const data = { tier: 'health_officer_alert', clinicId, logs: logSummary(alerted) };
+    await createBroadcastNotification({
+      type: 'compliance_alert',
+      title: 'Uncollected Waste Past Storage Limit',
+      message: `${clinic.name} is still storing waste past its maximum storage time: ${describeLogs(alerted)}.`,
+      targetRoles: ['health'],
+      category: 'operational',
+      priority: 'high',
+      data
+    });
+    await notifyClinicStaff(clinicId, {
+      type: 'compliance_alert',
+      title: 'Storage Time Breach Escalated',
+      message: `Health officers have been alerted to waste stored past its maximum storage time: ${describeLogs(alerted)}.`,
+      category: 'operational',
+      priority: 'urgent',
+      data
+    }, { roles: ['owner', 'waste_officer'] });
+  }
+
+  if (violations.length > 0) {
+    const data = {
+      tier: 'violation',
+      clinicId,
+      violationIds: violations.map(log => log.violationId),
+      logs: logSummary(violations)
+    };
+    await createBroadcastNotification({
+      type: 'compliance_alert',
+      title: 'Storage Time Violation Recorded',
+      message: `A compliance violation was recorded against ${clinic.name} for waste stored past its maximum storage time: ${describeLogs(violations)}.`,
+      targetRoles: ['health'],
+      category: 'operational',
+      priority: 'urgent',
+      data
+    });
+    await notifyClinicStaff(clinicId, {
+      type: 'compliance_alert',
+      title: 'Storage Time Violation Recorded',
+      message: `A compliance violation has been recorded for waste stored past its maximum storage time: ${describeLogs(violations)}.`,
+      category: 'operational',
+      priority: 'urgent',
+      data
+    }, { roles: ['owner', 'waste_officer'] });
+  }
+};
+
+const buildViolationQuery = ({ clinicId, category, startDate, endDate } = {}) => {
+  const query = {};
+  if (clinicId) {
+    if (!validateObjectId(clinicId)) throw new ValidationError('Invalid clinic ID');
+    query.clinicId = clinicId;
+  }
+  if (category) query.category = String(category).toLowerCase();
+  for (const [name, value] of Object.entries({ startDate, endDate })) {
+    if (value !== undefined && !validateDate(value)) throw new ValidationError(`${name} must be a valid date`);
+  }
+  if (startDate || endDate) {
+    query.recordedAt = {};
+    if (startDate) query.recordedAt.$gte = new Date(startDate);
+    if (endDate) query.recordedAt.$lte = new Date(endDate);
+  }
+  return query;
+};
+
+/**
+ * Finds waste kept on site past its category's maximum storage time and not
+ * yet collected, and escalates each log to the tier it is due for: the clinic
+ * is warned as soon as the limit passes, health officers are alerted after
+ * STORAGE_HEALTH_ALERT_AFTER_HOURS more, and a compliance violation is recorded
+ * after STORAGE_VIOLATION_AFTER_HOURS more. Only waste logged since
+ * STORAGE_ENFORCEMENT_SINCE is considered.
+ * @param {Date} now - Time to measure storage against
+ * @returns {Promise<Object>} { overLimit, warned, alerted, violations }
+ */
+export const runStorageEnforcement = async (now = new Date()) => {
+  try {
+    if (!config.STORAGE_ENFORCEMENT_SINCE) {
+      return { overLimit: 0, warned: 0, alerted: 0, violations: 0 };
+    }
+
+    const logs = await wasteLogRepository.findOverStorageLimit(config.STORAGE_ENFORCEMENT_SINCE, now);
+
+    const byClinic = new Map();
+    for (const log of logs) {
+      const tier = dueTier(log);
+      if (tierIndex(log.storageEscalation?.tier) >= tierIndex(tier)) continue;
+
+      const key = String(log.clinicId);
+      if (!byClinic.has(key)) byClinic.set(key, []);
+      byClinic.get(key).push({ ...log, tier });
+    }
+
+    const totals = { overLimit: logs.length, warned: 0, alerted: 0, violations: 0 };
+    for (const [clinicId, due] of byClinic) {
+      const escalated = Object.fromEntries(STORAGE_ESCALATION_TIERS.map(name => [name, []]));
+      for (const log of due) {
+        try {
+          const set = await escalate(log, log.tier, now);
+          if (set) escalated[log.tier].push({ ...log, ...set });
+        } catch (error) {
+          console.error(`Failed to escalate storage time of waste log ${log._id}:`, error);
+        }
+      }
+
+      await notifyEscalations(clinicId, escalated).catch(error => {
+        console.error(`Failed to send storage time notifications for clinic ${clinicId}:`, error);
+      });
+
+      totals.warned += escalated.clinic_warning.length;
+      totals.alerted += escalated.health_officer_alert.length;
+      totals.violations += escalated.violation.length;
+    }
+
+    return totals;
+  } catch (error) {
+    throw new InternalError('Failed to enforce maximum storage times', error);
+  }
+};
+
+/**
+ * Starts the periodic storage-time enforcement run, once STORAGE_ENFORCEMENT_SINCE is set
+ */
+export const startStorageEnforcement = () => {
+  if (!config.STORAGE_ENFORCEMENT_SINCE) {
+    console.warn('Storage time enforcement is off: set STORAGE_ENFORCEMENT_SINCE to enable it');
+    return;
+  }
+
+  setInterval(() => {
+    runStorageEnforcement().catch(error => {
+      console.error('Storage time enforcement failed:', error);
+    });
+  }, config.STORAGE_ENFORCEMENT_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+/**
+ * Lists recorded storage-time violations
+ * @param {Object} filters - { clinicId, category, startDate, endDate }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated violations
+ */
+export const listViolations = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    return await storageViolationRepository.findViolations(buildViolationQuery(filters), {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list storage violations', error);
+  }
+};
+
+/**
+ * Gets a recorded storage-time violation
+ * @param {string} id - The violation ID
+ * @returns {Promise<Object>} Violation
+ */
+export const getViolation = async (id) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid violation ID');
+    }
+    return await storageViolationRepository.findViolation(id);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch storage violation', error);
+  }
+};
+
+/**
+ * Builds the storage-time compliance report for a period: the summary per clinic
+ * and category, and every violation recorded in it
+ * @param {Object} filters - { clinicId, category, startDate, endDate }
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<Object>} The report, or { fileName, body } for CSV
+ */
+export const getComplianceReport = async (filters = {}, format = 'json') => {
+  try {
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new ValidationError(`Invalid format. Must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    const query = buildViolationQuery(filters);
+    const [summary, violations] = await Promise.all([
+      getViolationSummary(filters),
+      storageViolationRepository.findForReport(query)
+    ]);
+
+    const details = violations.map(violation => ({
+      id: violation._id,
+      clinic: violation.clinicId?.name,
+      wasteLogId: violation.wasteLogId,
+      category: violation.category,
+      volumeKg: violation.volumeKg,
+      loggedAt: violation.loggedAt,
+      maxStorageHours: violation.maxStorageHours,
+      hoursStored: round(violation.hoursStored),
+      warnedAt: violation.warnedAt || null,
+      alertedAt: violation.alertedAt || null,
+      recordedAt: violation.recordedAt
+    }));
+
+    if (format === 'csv') {
+      return {
+        fileName: 'storage-compliance-report.csv',
+        body: toCsv(REPORT_COLUMNS, details.map(row => REPORT_COLUMNS.map(column => row[column])))
+      };
+    }
+
+    return {
+      generatedAt: new Date(),
+      period: { from: filters.startDate || null, to: filters.endDate || null },
+      summary,
+      violations: details
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to build storage compliance report', error);
+  }
+};
+
+/**
+ * Summarises storage-time violations for compliance reporting
+ * @param {Object} filters - { clinicId, category, startDate, endDate }
+ * @returns {Promise<Object>} { totalViolations, totalVolumeKg, breakdown }
+ */
+export const getViolationSummary = async (filters = {}) => {
+  try {
+    const breakdown = await storageViolationRepository.summarise(buildViolationQuery(filters));
+    return {
+      totalViolations: breakdown.reduce((sum, row) => sum + row.count, 0),
+      totalVolumeKg: round(breakdown.reduce((sum, row) => sum + row.totalVolumeKg, 0), 2),
+      breakdown
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to summarise storage violations', error);
+  }
+};
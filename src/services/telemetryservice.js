@@ -0,0 +1,320 @@
+import storageAreaRepository from '../repository/storageAreaRepository.js';
+import sensorReadingRepository, { READING_INTERVALS } from '../repository/sensorReadingRepository.js';
+import excursionRepository from '../repository/excursionRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import { EXCURSION_STATUSES } from '../schema/excursionSchema.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import {
+  ValidationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId, validateDate } from '../utils/validation.js';
+
+const METRICS = ['temperature', 'humidity'];
+const UNITS = { temperature: '°C', humidity: '%' };
+const MAX_READINGS_PER_REQUEST = 500;
+// Sensor clocks drift; readings slightly ahead of the server are accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_SERIES_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper functions
+
+// The tightest range that satisfies the area and every waste log stored in it
+const effectiveRanges = (area, storedLogs) => Object.fromEntries(METRICS.map(metric => {
+  const ranges = [area[metric], ...storedLogs.map(log => log.storageConditions?.[metric])].filter(Boolean);
+  const mins = ranges.map(range => range.min).filter(Number.isFinite);
+  const maxes = ranges.map(range => range.max).filter(Number.isFinite);
+  return [metric, {
+    ...(mins.length > 0 && { min: Math.max(...mins) }),
+    ...(maxes.length > 0 && { max: Math.min(...maxes) })
+  }];
+}));
+
+const directionOf = (value, range) => {
+  if (Number.isFinite(range.max) && value > range.max) return 'above';
+  if (Number.isFinite(range.min) && value < range.min) return 'below';
+  return null;
+};
+
+const normaliseReadings = (area, readings) => {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    throw new ValidationError('readings must be a non-empty array');
+  }
+  if (readings.length > MAX_READINGS_PER_REQUEST) {
+    throw new ValidationError(`At most ${MAX_READINGS_PER_REQUEST} readings can be sent at once`);
+  }
+
+  const latest = Date.now() + CLOCK_SKEW_MS;
+  return readings.map((reading, index) => {
+    const { sensorId, recordedAt, temperature, humidity } = reading || {};
+    const position = `Reading ${index + 1}`;
+
+    if (typeof sensorId !== 'string' || !sensorId.trim()) {
+      throw new ValidationError(`${position}: sensorId is required`);
+    }
+    if (area.sensorIds.length > 0 && !area.sensorIds.includes(sensorId.trim())) {
+      throw new ValidationError(`${position}: sensor ${sensorId} is not registered to this storage area`);
+    }
+    if (!validateDate(recordedAt) || new Date(recordedAt).getTime() > latest) {
+      throw new ValidationError(`${position}: recordedAt must be a valid date that is not in the future`);
+    }
+    if (temperature === undefined && humidity === undefined) {
+      throw new ValidationError(`${position}: temperature or humidity is required`);
+    }
+    for (const [metric, value] of Object.entries({ temperature, humidity })) {
+      if (value !== undefined && !Number.isFinite(value)) {
+        throw new ValidationError(`${position}: ${metric} must be a number`);
+      }
+    }
+    if (humidity !== undefined && (humidity < 0 || humidity > 100)) {
+      throw new ValidationError(`${position}: humidity must be between 0 and 100`);
+    }
+
+    return { sensorId: sensorId.trim(), recordedAt: new Date(recordedAt), temperature, humidity };
+  }).sort((a, b) => a.recordedAt - b.recordedAt);
+};
+
+const closeExcursion = (excursion, at) => {
+  excursion.status = excursion.status === 'active' ? 'resolved' : 'cleared';
+  excursion.endedAt = at;
+};
+
+// Moves an area's excursion for one metric forward by one reading. Returns the
+// excursion left open, the excursions to save, and whether one has just become active.
+const advanceExcursion = (open, { area, metric, reading, range, wasteLogIds }) => {
+  const value = reading[metric];
+  const direction = directionOf(value, range);
+  const touched = [];
+
+  if (!direction) {
+    if (open) {
+      closeExcursion(open, reading.recordedAt);
+      touched.push(open);
+    }
+    return { open: null, touched };
+  }
+
+  let excursion = open;
+  if (excursion && excursion.direction !== direction) {
+    closeExcursion(excursion, reading.recordedAt);
+    touched.push(excursion);
+    excursion = null;
+  }
+
+  if (!excursion) {
+    excursion = excursionRepository.build({
+      clinicId: area.clinicId,
+      storageAreaId: area._id,
+      metric,
+      direction,
+      limit: range,
+      startedAt: reading.recordedAt,
+      peakValue: value,
+      readingCount: 0
+    });
+  }
+
+  excursion.readingCount += 1;
+  excursion.lastValue = value;
+  excursion.lastOutOfRangeAt = reading.recordedAt;
+  excursion.peakValue = direction === 'above'
+    ? Math.max(excursion.peakValue, value)
+    : Math.min(excursion.peakValue, value);
+  excursion.sensorIds.addToSet(reading.sensorId);
+  wasteLogIds.forEach(id => excursion.wasteLogIds.addToSet(id));
+
+  const graceMs = area.gracePeriodMinutes * 60 * 1000;
+  let activated = false;
+  if (excursion.status === 'pending' && reading.recordedAt - excursion.startedAt >= graceMs) {
+    excursion.status = 'active';
+    excursion.alertedAt = new Date();
+    activated = true;
+  }
+
+  touched.push(excursion);
+  return { open: excursion, touched, activated };
+};
+
+const describeExcursion = (area, excursion) => {
+  const unit = UNITS[excursion.metric];
+  const bound = excursion.direction === 'above' ? excursion.limit.max : excursion.limit.min;
+  const minutes = Math.round((excursion.lastOutOfRangeAt - excursion.startedAt) / 60000);
+  return `${area.name}: ${excursion.metric} has been ${excursion.direction} ${bound}${unit} for ${minutes} minute(s) ` +
+    `(latest ${excursion.lastValue}${unit}, peak ${excursion.peakValue}${unit}). ` +
+    `${excursion.wasteLogIds.length} waste log(s) are stored there.`;
+};
+
+const notifyExcursion = async (area, excursion) => {
+  await notifyClinicStaff(area.clinicId, {
+    type: 'compliance_alert',
+    title: 'Storage Condition Excursion',
+    message: describeExcursion(area, excursion),
+    category: 'operational',
+    priority: 'high',
+    data: {
+      excursionId: excursion._id,
+      storageAreaId: area._id,
+      metric: excursion.metric,
+      direction: excursion.direction,
+      wasteLogIds: excursion.wasteLogIds
+    }
+  }, { roles: ['owner', 'waste_officer'] });
+};
+
+/**
+ * Ingests sensor readings for a storage area. Each reading is checked against the
+ * tightest range allowed by the area and the waste logs stored in it, and linked
+ * to those logs. Readings out of range for longer than the area's grace period
+ * raise an excursion and a compliance alert; back in range, the excursion ends.
+ * @param {string} storageAreaId - The storage area ID
+ * @param {Array<Object>} readings - [{ sensorId, recordedAt, temperature?, humidity? }]
+ * @returns {Promise<Object>} { accepted, outOfRange, excursions }
+ */
+export const ingestReadings = async (storageAreaId, readings) => {
+  try {
+    if (!validateObjectId(storageAreaId)) {
+      throw new ValidationError('Invalid storage area ID');
+    }
+
+    const area = await storageAreaRepository.findArea(storageAreaId);
+    if (!area.isActive) {
+      throw new ValidationError('Storage area is inactive');
+    }
+
+    const normalised = normaliseReadings(area, readings);
+    const storedLogs = await wasteLogRepository.findStoredInArea(area._id);
+    const wasteLogIds = storedLogs.map(log => log._id);
+    const ranges = effectiveRanges(area, storedLogs);
+
+    const open = {};
+    for (const metric of METRICS) {
+      open[metric] = await excursionRepository.findOpen(area._id, metric);
+    }
+
+    const touched = new Map();
+    const activated = [];
+    const documents = normalised.map(reading => {
+      const outOfRange = [];
+      for (const metric of METRICS) {
+        if (reading[metric] === undefined) continue;
+        if (directionOf(reading[metric], ranges[metric])) outOfRange.push(metric);
+
+        const step = advanceExcursion(open[metric], { area, metric, reading, range: ranges[metric], wasteLogIds });
+        open[metric] = step.open;
+        step.touched.forEach(excursion => touched.set(String(excursion._id), excursion));
+        if (step.activated) activated.push(step.open);
+      }
+
+      return {
+        recordedAt: reading.recordedAt,
+        meta: { storageAreaId: area._id, clinicId: area.clinicId, sensorId: reading.sensorId },
+        temperature: reading.temperature,
+        humidity: reading.humidity,
+        outOfRange,
+        wasteLogIds
+      };
+    });
+
+    await sensorReadingRepository.insertReadings(documents);
+    for (const excursion of touched.values()) {
+      await excursionRepository.saveExcursion(excursion);
+    }
+    await storageAreaRepository.touchLastReading(area._id, normalised[normalised.length - 1].recordedAt);
+
+    for (const excursion of activated) {
+      await notifyExcursion(area, excursion);
+    }
+
+    return {
+      accepted: documents.length,
+      outOfRange: documents.filter(reading => reading.outOfRange.length > 0).length,
+      ranges,
+      excursions: [...touched.values()].map(excursion => excursion.toJSON())
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to ingest sensor readings', error);
+  }
+};
+
+/**
+ * Time series of a storage area's readings, for audits
+ * @param {string} storageAreaId - The storage area ID
+ * @param {Object} options - { from, to, interval: 'raw', '5m', '15m', '1h' or '1d' } (defaults to the last 24 hours, raw)
+ * @returns {Promise<Object>} { storageArea, from, to, interval, series }
+ */
+export const getReadingSeries = async (storageAreaId, { from, to, interval = 'raw' } = {}) => {
+  try {
+    if (!validateObjectId(storageAreaId)) {
+      throw new ValidationError('Invalid storage area ID');
+    }
+    if (interval !== 'raw' && !READING_INTERVALS[interval]) {
+      throw new ValidationError(`Interval must be one of: raw, ${Object.keys(READING_INTERVALS).join(', ')}`);
+    }
+    if ((from && !validateDate(from)) || (to && !validateDate(to))) {
+      throw new ValidationError('from and to must be valid dates');
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DAY_MS);
+    if (start > end) {
+      throw new ValidationError('from must be before to');
+    }
+    if (end - start > MAX_SERIES_DAYS * DAY_MS) {
+      throw new ValidationError(`A series can cover at most ${MAX_SERIES_DAYS} days`);
+    }
+
+    const area = await storageAreaRepository.findArea(storageAreaId);
+    const series = await sensorReadingRepository.findSeries(area._id, { from: start, to: end, interval });
+
+    return {
+      storageArea: { _id: area._id, name: area.name, temperature: area.temperature, humidity: area.humidity },
+      from: start,
+      to: end,
+      interval,
+      series
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch sensor readings', error);
+  }
+};
+
+/**
+ * Lists the excursions of a storage area
+ * @param {string} storageAreaId - The storage area ID
+ * @param {Object} filters - { status, from, to }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated excursions
+ */
+export const listExcursions = async (storageAreaId, filters = {}, options = {}) => {
+  try {
+    if (!validateObjectId(storageAreaId)) {
+      throw new ValidationError('Invalid storage area ID');
+    }
+
+    const query = { storageAreaId };
+    if (filters.status) {
+      if (!EXCURSION_STATUSES.includes(filters.status)) {
+        throw new ValidationError(`Status must be one of: ${EXCURSION_STATUSES.join(', ')}`);
+      }
+      query.status = filters.status;
+    }
+    if (filters.from || filters.to) {
+      if ((filters.from && !validateDate(filters.from)) || (filters.to && !validateDate(filters.to))) {
+        throw new ValidationError('from and to must be valid dates');
+      }
+      query.startedAt = {
+        ...(filters.from && { $gte: new Date(filters.from) }),
+        ...(filters.to && { $lte: new Date(filters.to) })
+      };
+    }
+
+    return await excursionRepository.findExcursions(query, options);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list excursions', error);
+  }
+};
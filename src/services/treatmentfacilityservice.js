@@ -0,0 +1,424 @@
+import treatmentFacilityRepository from '../repository/treatmentFacilityRepository.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import userRepository from '../repository/userRepository.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
+import { TREATMENT_METHODS } from '../schema/treatmentFacilitySchema.js';
+import { createNotification } from './notificationservice.js';
+import { issueDestructionCertificate } from './certificateservice.js';
+import { recordFacilityDelivery } from './manifestservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import { isOpenAt } from '../utils/operatingHours.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId, validateCoordinates } from '../utils/validation.js';
+
+const PROFILE_FIELDS = [
+  'name',
+  'licenseNumber',
+  'email',
+  'phone',
+  'address',
+  'acceptedCategories',
+  'treatmentMethods',
+  'dailyCapacityKg',
+  'operatingHours',
+  'isActive'
+];
+
+// Helper functions
+
+const idOf = (value) => (value?._id || value) && String(value?._id || value);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const pickProfile = (data = {}) =>
+  Object.fromEntries(PROFILE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+const assertFacilityId = (id) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError('Invalid facility ID');
+  }
+};
+
+const assertPickupId = (id) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError('Invalid pickup request ID');
+  }
+};
+
+const dayBounds = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// Weight a pickup brings to a facility: what was collected, else what was declared
+const loadOf = (pickup) => pickup.collectionDetails?.actualWeight ?? pickup.volumeKg;
+
+const remainingCapacity = async (facility, now = new Date()) => {
+  const { start, end } = dayBounds(now);
+  const delivered = await pickupRepository.getDeliveredLoad(facility._id, start, end);
+  return round(Math.max(0, facility.dailyCapacityKg - delivered));
+};
+
+// A pickup delivered to this facility, which the facility is now working on
+const findDelivered = async (facilityId, pickupRequestId) => {
+  const pickup = await pickupRepository.findById(pickupRequestId);
+  if (idOf(pickup.facilityId) !== String(facilityId)) {
+    throw new NotFoundError('Pickup request was not delivered to this facility');
+  }
+  return pickup;
+};
+
+const notifyFacilityStep = async (pickup, notification) => {
+  const data = { pickupRequestId: pickup._id, facilityId: idOf(pickup.facilityId), ...notification.data };
+  await notifyClinicStaff(idOf(pickup.clinicId), { ...notification, data }, { roles: ['owner', 'waste_officer'] });
+  if (pickup.collectorId) {
+    await createNotification({ ...notification, data, userId: idOf(pickup.collectorId) });
+  }
+};
+
+/**
+ * Registers the treatment facility a recycler account runs
+ * @param {string} operatorId - The recycler account
+ * @param {Object} data - { name, licenseNumber, email, phone, address, acceptedCategories,
+ *   treatmentMethods, dailyCapacityKg, operatingHours }; contact details default to the account's
+ * @param {Object} user - The registering user
+ * @returns {Promise<Object>} Created facility
+ */
+export const createFacility = async (operatorId, data = {}, user) => {
+  try {
+    if (!validateObjectId(operatorId)) {
+      throw new ValidationError('Invalid operator ID');
+    }
+
+    const operator = await userRepository.getUserById(operatorId);
+    const account = operator.toObject ? operator.toObject() : operator;
+    if (account.role !== 'recycler') {
+      throw new ValidationError('Only recycler accounts can run a treatment facility');
+    }
+
+    const profile = pickProfile(data);
+    if (profile.address?.location && !validateCoordinates(profile.address.location.coordinates)) {
+      throw new ValidationError('Invalid coordinates');
+    }
+
+    return await treatmentFacilityRepository.createFacility({
+      name: account.username,
+      email: account.email,
+      phone: account.phone,
+      address: account.address,
+      operatingHours: account.operatingHours,
+      ...profile,
+      operatorId
+    }, { _id: user.id });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to register treatment facility', error);
+  }
+};
+
+/**
+ * Gets a facility, with the capacity it has left today
+ * @param {string} id - The facility ID
+ * @returns {Promise<Object>} Facility
+ */
+export const getFacility = async (id) => {
+  try {
+    assertFacilityId(id);
+    const facility = await treatmentFacilityRepository.findFacility(id);
+    return {
+      ...facility.toObject({ virtuals: true }),
+      remainingCapacityKg: await remainingCapacity(facility),
+      isOpen: isOpenAt(facility.toObject().operatingHours)
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch treatment facility', error);
+  }
+};
+
+/**
+ * Gets the facility a recycler account runs
+ * @param {string} operatorId - The recycler account ID
+ * @returns {Promise<Object>} Facility
+ */
+export const getOperatorFacility = async (operatorId) => {
+  try {
+    const facility = await treatmentFacilityRepository.findByOperator(operatorId);
+    if (!facility) throw new NotFoundError('You do not run a treatment facility yet');
+    return await getFacility(String(facility._id));
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch treatment facility', error);
+  }
+};
+
+/**
+ * Lists facilities; collectors use it to find where to take a pickup
+ * @param {Object} filters - { category, method, openNow, includeInactive }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated facilities
+ */
+export const listFacilities = async ({ category, method, openNow, includeInactive } = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (category) query.acceptedCategories = String(category).toLowerCase();
+    if (method) {
+      if (!TREATMENT_METHODS.includes(method)) {
+        throw new ValidationError(`Method must be one of: ${TREATMENT_METHODS.join(', ')}`);
+      }
+      query.treatmentMethods = method;
+    }
+
+    const result = await treatmentFacilityRepository.findFacilities(query, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+
+    const now = new Date();
+    let docs = result.docs.map(facility => ({
+      ...facility.toObject({ virtuals: true }),
+      isOpen: isOpenAt(facility.toObject().operatingHours, now)
+    }));
+    if (openNow === 'true') docs = docs.filter(facility => facility.isOpen);
+
+    return { ...result, docs };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list treatment facilities', error);
+  }
+};
+
+/**
+ * Changes a facility's details
+ * @param {string} id - The facility ID
+ * @param {Object} data - Fields to change
+ * @param {Object} user - The user making the change
+ * @returns {Promise<Object>} Updated facility
+ */
+export const updateFacility = async (id, data = {}, user) => {
+  try {
+    assertFacilityId(id);
+    const profile = pickProfile(data);
+    if (Object.keys(profile).length === 0) {
+      throw new ValidationError(`Nothing to update. Updatable fields: ${PROFILE_FIELDS.join(', ')}`);
+    }
+    if (profile.address?.location && !validateCoordinates(profile.address.location.coordinates)) {
+      throw new ValidationError('Invalid coordinates');
+    }
+
+    return await treatmentFacilityRepository.updateFacility(id, profile, { _id: user.id });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to update treatment facility', error);
+  }
+};
+
+/**
+ * Records the collector handing a collected pickup over to a treatment
+ * facility. The facility must take the pickup's waste category, be open, and
+ * have enough of its daily capacity left for the pickup's weight. The
+ * manifest's facility leg is released with the collector's handover unless it
+ * already was, in which case it must name this facility; the facility's
+ * operator then confirms receipt on the manifest.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} user - The delivering collector
+ * @param {Object} data - { facilityId, weightKg, containerCount, location, signatory, notes }
+ * @returns {Promise<Object>} Delivered pickup request
+ */
+export const deliverPickup = async (pickupRequestId, user, { facilityId, ...handover } = {}) => {
+  try {
+    assertPickupId(pickupRequestId);
+    assertFacilityId(facilityId);
+
+    const [pickup, facility] = await Promise.all([
+      pickupRepository.findById(pickupRequestId),
+      treatmentFacilityRepository.findFacility(facilityId)
+    ]);
+    if (pickup.status !== 'collected') {
+      throw new ConflictError(`Only collected pickups can be delivered; this one is ${pickup.status}`);
+    }
+    if (!facility.accepts(pickup.wasteType)) {
+      throw new ValidationError(`${facility.name} does not take ${pickup.wasteType} waste`);
+    }
+
+    const now = new Date();
+    if (!isOpenAt(facility.toObject().operatingHours, now)) {
+      throw new ConflictError(`${facility.name} is closed at this time`);
+    }
+
+    const load = loadOf(pickup);
+    const remaining = await remainingCapacity(facility, now);
+    if (load > remaining) {
+      throw new ConflictError(`${facility.name} has ${remaining} kg of capacity left today; this pickup is ${load} kg`);
+    }
+
+    await recordFacilityDelivery(pickupRequestId, user, facility, handover);
+
+    const delivered = await pickupRepository.advanceStatus(pickupRequestId, 'collected', 'delivered', {
+      facilityId: facility._id,
+      deliveredAt: now,
+      'treatmentDetails.deliveredBy': user.id
+    }, `Delivered to ${facility.name}`);
+
+    await createNotification({
+      userId: idOf(facility.operatorId),
+      type: 'pickup_delivered',
+      title: 'Pickup Delivered',
+      message: `Pickup request #${delivered._id} (${delivered.wasteType}, ${load} kg) has been delivered for treatment`,
+      category: 'operational',
+      data: { pickupRequestId: delivered._id, facilityId: facility._id }
+    });
+    await notifyFacilityStep(delivered, {
+      type: 'pickup_delivered',
+      title: 'Pickup Delivered for Treatment',
+      message: `Pickup request #${delivered._id} has been delivered to ${facility.name}`,
+      category: 'operational'
+    });
+
+    return delivered;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record pickup delivery', error);
+  }
+};
+
+/**
+ * Lists pickups delivered to a facility; the intake queue by default
+ * @param {string} facilityId - The facility ID
+ * @param {Object} filters - { status: 'delivered' | 'treated' }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated pickup requests
+ */
+export const listFacilityPickups = async (facilityId, { status } = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    assertFacilityId(facilityId);
+    if (status && !['delivered', 'treated'].includes(status)) {
+      throw new ValidationError("Status must be 'delivered' or 'treated'");
+    }
+
+    return await pickupRepository.findDeliveredTo(facilityId, { status }, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list facility pickups', error);
+  }
+};
+
+/**
+ * Records the facility weighing a delivered pickup in and choosing how to treat
+ * it. The method must be one the facility operates and one the catalogue
+ * permits for the waste category.
+ * @param {string} facilityId - The facility ID
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} user - The facility user
+ * @param {Object} data - { weightKg, method, notes }
+ * @returns {Promise<Object>} Updated pickup request
+ */
+export const recordIntake = async (facilityId, pickupRequestId, user, { weightKg, method, notes } = {}) => {
+  try {
+    assertFacilityId(facilityId);
+    assertPickupId(pickupRequestId);
+    if (typeof weightKg !== 'number' || !Number.isFinite(weightKg) || weightKg < 0) {
+      throw new ValidationError('Intake weight (kg) must be a positive number');
+    }
+
+    const [facility, pickup] = await Promise.all([
+      treatmentFacilityRepository.findFacility(facilityId),
+      findDelivered(facilityId, pickupRequestId)
+    ]);
+    if (!facility.treatmentMethods.includes(method)) {
+      throw new ValidationError(`${facility.name} treats waste by: ${facility.treatmentMethods.join(', ')}`);
+    }
+    const category = wasteCategoryRepository.getCached(pickup.wasteType);
+    if (category?.disposalMethods?.length && !category.disposalMethods.includes(method)) {
+      throw new ValidationError(`${pickup.wasteType} waste may only be treated by: ${category.disposalMethods.join(', ')}`);
+    }
+    if (pickup.treatmentDetails?.receivedAt) {
+      throw new ConflictError('Intake has already been recorded for this pickup');
+    }
+
+    return await pickupRepository.advanceStatus(pickupRequestId, 'delivered', 'delivered', {
+      'treatmentDetails.intakeWeightKg': weightKg,
+      'treatmentDetails.method': method,
+      'treatmentDetails.receivedBy': user.id,
+      'treatmentDetails.receivedAt': new Date(),
+      ...(notes !== undefined && { 'treatmentDetails.notes': notes })
+    }, `Received: ${weightKg} kg for ${method.replace('_', ' ')}`);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record pickup intake', error);
+  }
+};
+
+/**
+ * Records treatment of a delivered pickup as complete, which closes its
+ * lifecycle, and issues its certificate of destruction
+ * @param {string} facilityId - The facility ID
+ * @param {string} pickupRequestId - The pickup request ID
+ * @param {Object} user - The facility user
+ * @param {Object} data - { notes }
+ * @returns {Promise<Object>} Treated pickup request, with its certificate
+ */
+export const completeTreatment = async (facilityId, pickupRequestId, user, { notes } = {}) => {
+  try {
+    assertFacilityId(facilityId);
+    assertPickupId(pickupRequestId);
+
+    const pickup = await findDelivered(facilityId, pickupRequestId);
+    if (!pickup.treatmentDetails?.receivedAt) {
+      throw new ConflictError('Record the intake weight and treatment method first');
+    }
+
+    const treated = await pickupRepository.advanceStatus(pickupRequestId, 'delivered', 'treated', {
+      treatedAt: new Date(),
+      'treatmentDetails.completedBy': user.id,
+      ...(notes !== undefined && { 'treatmentDetails.notes': notes })
+    }, `Treated by ${pickup.treatmentDetails.method.replace('_', ' ')}`);
+
+    // The treatment stands even if the certificate fails; it can be issued again later
+    let certificate = null;
+    try {
+      certificate = await issueDestructionCertificate(pickupRequestId);
+    } catch (error) {
+      console.error(`Failed to issue certificate of destruction for pickup ${pickupRequestId}:`, error);
+    }
+
+    await notifyFacilityStep(treated, {
+      type: 'pickup_treated',
+      title: 'Waste Treated',
+      message: `The waste from pickup request #${treated._id} has been treated by ${treated.treatmentDetails.method.replace('_', ' ')}` +
+        (certificate ? `; certificate of destruction ${certificate.certificateNumber} has been issued` : ''),
+      category: 'operational',
+      data: {
+        method: treated.treatmentDetails.method,
+        intakeWeightKg: treated.treatmentDetails.intakeWeightKg,
+        certificateId: certificate?._id,
+        certificateNumber: certificate?.certificateNumber
+      }
+    });
+
+    return {
+      ...treated.toObject({ virtuals: true }),
+      certificate: certificate && {
+        _id: certificate._id,
+        certificateNumber: certificate.certificateNumber,
+        checksum: certificate.checksum
+      }
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record treatment completion', error);
+  }
+};
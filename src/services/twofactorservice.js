@@ -0,0 +1,295 @@
+import jwt from 'jsonwebtoken';
+import config from '../config/serverConfig.js';
+import userRepository from '../repository/userRepository.js';
+import sessionRepository from '../repository/sessionRepository.js';
+import { createNotification } from './notificationservice.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSES = ['2fa_login', '2fa_enroll'];
+
+const issueRecoveryCodes = () => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// Checks a TOTP code (once per time step) or an unused recovery code
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const secret = decryptSecret(user.twoFactor.secret, config.TWO_FACTOR_ENCRYPTION_KEY);
+    const step = verifyTotp(secret, String(code).trim());
+    return step !== null && userRepository.consumeTotpStep(user._id, step);
+  }
+
+  if (recoveryCode) {
+    const used = await userRepository.consumeRecoveryCode(user._id, hashRecoveryCode(String(recoveryCode)));
+    if (used) {
+      const remaining = user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length - 1;
+      await createNotification({
+        userId: user._id,
+        type: 'account_update',
+        title: 'Recovery Code Used',
+        message: `A two-factor recovery code was used to sign in. ${remaining} recovery codes remain.`,
+        category: 'administrative',
+        priority: 'high'
+      });
+    }
+    return used;
+  }
+
+  throw new ValidationError('A verification code or recovery code is required');
+};
+
+/**
+ * Whether the per-role policy makes 2FA mandatory
+ * @param {string} role - The user role
+ * @returns {boolean} Whether 2FA is required
+ */
+export const isTwoFactorRequired = (role) => config.TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+/**
+ * Issues a short-lived token that proves the password step of a login
+ * @param {Object} user - The user who passed the password check
+ * @param {string} purpose - '2fa_login' or '2fa_enroll'
+ * @returns {string} Signed challenge token
+ */
+export const createLoginChallenge = (user, purpose) => {
+  if (!CHALLENGE_PURPOSES.includes(purpose)) {
+    throw new ValidationError('Invalid challenge purpose');
+  }
+
+  return jwt.sign(
+    { sub: String(user._id), purpose },
+    config.JWT_SECRET,
+    {
+      expiresIn: config.TWO_FACTOR_CHALLENGE_EXPIRY,
+      audience: 'MediClean',
+      issuer: 'MediClean-Auth'
+    }
+  );
+};
+
+/**
+ * Verifies a login challenge token
+ * @param {string} token - The challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {string} The user ID the challenge was issued for
+ */
+export const verifyLoginChallenge = (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.JWT_SECRET, {
+      audience: 'MediClean',
+      issuer: 'MediClean-Auth'
+    });
+  } catch (error) {
+    throw new AuthenticationError('Login challenge is invalid or has expired');
+  }
+
+  if (payload.purpose !== purpose || !validateObjectId(payload.sub)) {
+    throw new AuthenticationError('Login challenge is invalid or has expired');
+  }
+
+  return payload.sub;
+};
+
+/**
+ * Starts TOTP enrollment: stores a pending secret and returns it with its otpauth URI
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export const beginTwoFactorEnrollment = async (userId) => {
+  try {
+    const user = await userRepository.findWithTwoFactor(userId);
+    if (user.twoFactor?.enabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await userRepository.updateTwoFactor(userId, {
+      $set: { 'twoFactor.pendingSecret': encryptSecret(secret, config.TWO_FACTOR_ENCRYPTION_KEY) }
+    });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to start two-factor enrollment', error);
+  }
+};
+
+/**
+ * Confirms enrollment with a code from the authenticator app
+ * @param {string} userId - The user ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+ */
+export const completeTwoFactorEnrollment = async (userId, code) => {
+  try {
+    const user = await userRepository.findWithTwoFactor(userId);
+    if (user.twoFactor?.enabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw new ValidationError('Start two-factor enrollment first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret, config.TWO_FACTOR_ENCRYPTION_KEY);
+    const step = verifyTotp(secret, String(code || '').trim());
+    if (step === null) {
+      throw new AuthenticationError('Invalid verification code');
+    }
+
+    const { codes, stored } = issueRecoveryCodes();
+    await userRepository.updateTwoFactor(userId, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': stored
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    await createNotification({
+      userId,
+      type: 'account_update',
+      title: 'Two-Factor Authentication Enabled',
+      message: 'Two-factor authentication is now active on your account',
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return { recoveryCodes: codes };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to enable two-factor authentication', error);
+  }
+};
+
+/**
+ * Verifies the second factor for a user
+ * @param {string} userId - The user ID
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} The user (lean)
+ */
+export const verifySecondFactor = async (userId, factor = {}) => {
+  try {
+    const user = await userRepository.findWithTwoFactor(userId);
+    if (!user.twoFactor?.enabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await checkSecondFactor(user, factor))) {
+      throw new AuthenticationError('Invalid verification code');
+    }
+
+    return user;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to verify two-factor code', error);
+  }
+};
+
+/**
+ * Marks the current session as freshly step-up verified
+ * @param {Object} params - { userId, sessionId, code, recoveryCode }
+ * @returns {Promise<Date>} Step-up expiry
+ */
+export const stepUpSession = async ({ userId, sessionId, code, recoveryCode }) => {
+  try {
+    if (!validateObjectId(sessionId)) {
+      throw new AuthenticationError('Session is required for step-up verification');
+    }
+
+    await verifySecondFactor(userId, { code, recoveryCode });
+    const session = await sessionRepository.recordStepUp(sessionId);
+
+    return new Date(session.stepUpAt.getTime() + config.STEP_UP_MAX_AGE_SECONDS * 1000);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to complete step-up verification', error);
+  }
+};
+
+/**
+ * Replaces all recovery codes after verifying a TOTP code
+ * @param {string} userId - The user ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    await verifySecondFactor(userId, { code });
+
+    const { codes, stored } = issueRecoveryCodes();
+    await userRepository.updateTwoFactor(userId, { $set: { 'twoFactor.recoveryCodes': stored } });
+
+    return { recoveryCodes: codes };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to regenerate recovery codes', error);
+  }
+};
+
+/**
+ * Turns off 2FA, unless the role policy makes it mandatory
+ * @param {string} userId - The user ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<boolean>} true on success
+ */
+export const disableTwoFactor = async (userId, code) => {
+  try {
+    const user = await verifySecondFactor(userId, { code });
+    if (isTwoFactorRequired(user.role)) {
+      throw new AuthorizationError(`Two-factor authentication is mandatory for ${user.role} accounts`);
+    }
+
+    await userRepository.updateTwoFactor(userId, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.enabledAt': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1
+      }
+    });
+
+    await createNotification({
+      userId,
+      type: 'account_update',
+      title: 'Two-Factor Authentication Disabled',
+      message: 'Two-factor authentication was turned off for your account',
+      category: 'administrative',
+      priority: 'high'
+    });
+
+    return true;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to disable two-factor authentication', error);
+  }
+};
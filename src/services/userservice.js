@@ -1,19 +1,11 @@
-import {
-  findByEmail,
-  createUser,
-  getUserById,
-  updateUser,
-  deleteUser,
-  findUsers,
-  updatePassword,
-  updateNotificationPreferences
-} from '../repository/userRepository.js';
+import userRepository from '../repository/userRepository.js';
 
 import {
   ValidationError,
   NotFoundError,
   InternalError,
-  AuthenticationError
+  AuthenticationError,
+  ConflictError
 } from '../utils/errors.js';
 
 import {
@@ -22,84 +14,173 @@ import {
   validatePassword
 } from '../utils/validation.js';
 
-import {
-  hashPassword,
-  comparePasswords
-} from '../utils/auth.js';
+import { comparePassword } from '../utils/hash.js';
 
 import { createNotification } from './notificationservice.js';
+import { ROLES, SELF_REGISTRATION_ROLES } from '../config/permissions.js';
+import { sendVerificationEmail } from './authservice.js';
+import { createClinic, findPendingInvitation, acceptInvitation } from './clinicservice.js';
 
-const VALID_ROLES = ['admin', 'clinic', 'collector'];
+const VALID_ROLES = ROLES;
 const VALID_STATUSES = ['active', 'inactive', 'suspended'];
 
-// Find user by email
+// Find user by email; null when no account uses it
 const getUserByEmail = async (email) => {
   try {
     if (!validateEmail(email)) {
       throw new ValidationError('Invalid email format');
     }
 
-    const user = await findByEmail(email);
-    if (!user) {
-      throw new NotFoundError('User not found');
-    }
-
-    return user;
+    return await userRepository.findByEmail(email);
   } catch (error) {
-    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+    if (error instanceof ValidationError) throw error;
     throw new InternalError('Failed to fetch user by email', error);
   }
 };
 
-// Register a new user
+// Register a new user. Clinic accounts either set up a new clinic (clinicName)
+// or join an existing one through an emailed invitation (invitationToken).
 const registerUser = async (data) => {
   try {
-    if (!data.email || !data.password || !data.role) {
+    const { invitationToken, clinicName, ...userData } = data;
+
+    if (!userData.email || !userData.password || !userData.role) {
       throw new ValidationError('Email, password, and role are required');
     }
 
-    if (!validateEmail(data.email)) {
+    if (!validateEmail(userData.email)) {
       throw new ValidationError('Invalid email format');
     }
 
-    if (!validatePassword(data.password)) {
+    if (!validatePassword(userData.password)) {
       throw new ValidationError('Password does not meet security requirements');
     }
 
-    if (!VALID_ROLES.includes(data.role)) {
+    if (!VALID_ROLES.includes(userData.role)) {
       throw new ValidationError(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
     }
 
-    const existingUser = await findByEmail(data.email);
+    if (!SELF_REGISTRATION_ROLES.includes(userData.role)) {
+      throw new ValidationError(`${userData.role} accounts are created by an administrator`);
+    }
+
+    const existingUser = await userRepository.findByEmail(userData.email);
     if (existingUser) {
       throw new ValidationError('Email already registered');
     }
 
-    const hashedPassword = await hashPassword(data.password);
+    let invitation = null;
+    if (invitationToken) {
+      if (userData.role !== 'clinic') {
+        throw new ValidationError('Clinic invitations can only be accepted by clinic accounts');
+      }
+      invitation = await findPendingInvitation(invitationToken);
+      if (invitation.email !== userData.email.toLowerCase()) {
+        throw new ValidationError('Please register with the email address the invitation was sent to');
+      }
+    }
 
-    const user = await createUser({
-      ...data,
-      password: hashedPassword,
+    // Accounts can sign in right away but stay unverified until the email is confirmed.
+    // An accepted invitation already proves the address. The schema hashes the password on save.
+    const user = await userRepository.createUser({
+      ...userData,
       status: 'active',
+      emailVerification: invitation
+        ? { isVerified: true, verifiedAt: new Date(), sentCount: 0 }
+        : { isVerified: false, sentCount: 0 },
       createdAt: new Date()
     });
 
+    if (invitation) {
+      await acceptInvitation(invitationToken, user._id);
+    } else {
+      if (user.role === 'clinic') {
+        await createClinic(user._id, { name: clinicName });
+      }
+
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Failed to send verification email:', error);
+      }
+    }
+
     await createNotification({
       userId: user._id,
       type: 'account_update',
       title: 'Welcome to MediClean',
-      message: `Your account has been created successfully. Role: ${user.role}`,
+      message: invitation
+        ? `Your account has been created and you have joined ${invitation.clinicId.name}.`
+        : `Your account has been created successfully. Role: ${user.role}. Please confirm your email address to get started.`,
       category: 'administrative'
     });
 
-    const { password: _, ...userWithoutPassword } = user.toObject();
-    return userWithoutPassword;
+    return user;
   } catch (error) {
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ValidationError || error instanceof ConflictError) throw error;
     throw new InternalError('Failed to register user', error);
   }
 };
 
+// Create an account on behalf of an administrator; the only way to add roles
+// outside SELF_REGISTRATION_ROLES, such as health inspectors.
+const createUserAccount = async (data) => {
+  try {
+    const { clinicName, ...userData } = data;
+
+    if (!userData.email || !userData.password || !userData.role) {
+      throw new ValidationError('Email, password, and role are required');
+    }
+
+    if (!validateEmail(userData.email)) {
+      throw new ValidationError('Invalid email format');
+    }
+
+    if (!validatePassword(userData.password)) {
+      throw new ValidationError('Password does not meet security requirements');
+    }
+
+    if (!VALID_ROLES.includes(userData.role)) {
+      throw new ValidationError(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+
+    const existingUser = await userRepository.findByEmail(userData.email);
+    if (existingUser) {
+      throw new ValidationError('Email already registered');
+    }
+
+    const user = await userRepository.createUser({
+      ...userData,
+      status: 'active',
+      emailVerification: { isVerified: false, sentCount: 0 },
+      createdAt: new Date()
+    });
+
+    if (user.role === 'clinic') {
+      await createClinic(user._id, { name: clinicName });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+
+    await createNotification({
+      userId: user._id,
+      type: 'account_update',
+      title: 'Welcome to MediClean',
+      message: `An administrator created your account. Role: ${user.role}. Please confirm your email address to get started.`,
+      category: 'administrative'
+    });
+
+    return user;
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof ConflictError) throw error;
+    throw new InternalError('Failed to create user', error);
+  }
+};
+
 // Get user by ID
 const fetchUserById = async (id) => {
   try {
@@ -107,7 +188,7 @@ const fetchUserById = async (id) => {
       throw new ValidationError('Invalid user ID');
     }
 
-    const user = await getUserById(id);
+    const user = await userRepository.getUserById(id);
     if (!user) {
       throw new NotFoundError('User not found');
     }
@@ -139,13 +220,13 @@ const updateUserProfile = async (userId, updates) => {
     }
 
     if (updates.email) {
-      const existingUser = await findByEmail(updates.email);
+      const existingUser = await userRepository.findByEmail(updates.email);
       if (existingUser && existingUser._id.toString() !== userId) {
         throw new ValidationError('Email already registered');
       }
     }
 
-    const user = await updateUser(userId, updates);
+    const user = await userRepository.updateUser(userId, updates);
     if (!user) {
       throw new NotFoundError('User not found');
     }
@@ -181,18 +262,17 @@ const changePassword = async (userId, currentPassword, newPassword) => {
       throw new ValidationError('New password does not meet security requirements');
     }
 
-    const user = await getUserById(userId);
+    const user = await userRepository.getUserById(userId);
     if (!user) {
       throw new NotFoundError('User not found');
     }
 
-    const isValid = await comparePasswords(currentPassword, user.password);
+    const isValid = await comparePassword(currentPassword, user.password);
     if (!isValid) {
       throw new AuthenticationError('Current password is incorrect');
     }
 
-    const hashedPassword = await hashPassword(newPassword);
-    await updatePassword(userId, hashedPassword);
+    await userRepository.updateUser(userId, { password: newPassword });
 
     await createNotification({
       userId,
@@ -223,7 +303,7 @@ const updateUserNotificationPreferences = async (userId, preferences) => {
       throw new ValidationError('Invalid user ID');
     }
 
-    const user = await getUserById(userId);
+    const user = await userRepository.getUserById(userId);
     if (!user) {
       throw new NotFoundError('User not found');
     }
@@ -232,7 +312,7 @@ const updateUserNotificationPreferences = async (userId, preferences) => {
       throw new ValidationError('Invalid preferences format');
     }
 
-    await updateNotificationPreferences(userId, preferences);
+    await userRepository.updateUser(userId, { notificationPreferences: preferences });
 
     return true;
   } catch (error) {
@@ -276,7 +356,7 @@ const searchUsers = async ({
       sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 }
     };
 
-    const result = await findUsers(filters, options);
+    const result = await userRepository.findUsers(filters, options);
     return {
       users: result.users,
       pagination: {
@@ -299,7 +379,7 @@ const deleteUserAccount = async (userId) => {
       throw new ValidationError('Invalid user ID');
     }
 
-    const user = await deleteUser(userId);
+    const user = await userRepository.deleteUser(userId);
     if (!user) {
       throw new NotFoundError('User not found');
     }
@@ -322,7 +402,7 @@ const updateUserStatus = async (userId, status) => {
       throw new ValidationError(`Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`);
     }
 
-    const updated = await updateUser(userId, { status });
+    const updated = await userRepository.updateUser(userId, { status });
     if (!updated) {
       throw new NotFoundError('User not found');
     }
@@ -342,14 +422,21 @@ const updateUserStatus = async (userId, status) => {
   }
 };
 
+// Record a successful sign-in
+const recordLogin = async (userId) => {
+  await userRepository.updateLastLogin(userId);
+};
+
 export {
   getUserByEmail,
   registerUser,
+  createUserAccount,
   fetchUserById,
   updateUserProfile,
   changePassword,
   updateUserNotificationPreferences,
   searchUsers,
   deleteUserAccount,
-  updateUserStatus
+  updateUserStatus,
+  recordLogin
 };
\ No newline at end of file
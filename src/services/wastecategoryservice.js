@@ -0,0 +1,118 @@
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
+import {
+  ValidationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+
+const CATALOGUE_REFRESH_MS = 5 * 60 * 1000;
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'colourCode',
+  'subcategories',
+  'requiresSubcategory',
+  'allowedContainerTypes',
+  'handlingInstructions',
+  'maxStorageHours',
+  'disposalMethods',
+  'isActive',
+  'sortOrder'
+];
+
+// Helper functions
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  Object.entries(data).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
+
+/**
+ * Seeds and loads the category catalogue. Other server instances pick up catalogue
+ * changes on the periodic refresh.
+ * @returns {Promise<number>} Number of categories loaded
+ */
+export const initialiseCatalogue = async () => {
+  try {
+    const categories = await wasteCategoryRepository.loadCatalogue();
+
+    setInterval(() => {
+      wasteCategoryRepository.refresh().catch(error => {
+        console.error('Failed to refresh waste category catalogue:', error);
+      });
+    }, CATALOGUE_REFRESH_MS).unref();
+
+    return categories.length;
+  } catch (error) {
+    throw new InternalError('Failed to load waste category catalogue', error);
+  }
+};
+
+/**
+ * Lists the catalogue
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array>} Categories
+ */
+export const listCategories = async (options = {}) => {
+  try {
+    return await wasteCategoryRepository.findCategories(options);
+  } catch (error) {
+    throw new InternalError('Failed to list waste categories', error);
+  }
+};
+
+/**
+ * Gets a category by code
+ * @param {string} code - Category code
+ * @returns {Promise<Object>} Category
+ */
+export const getCategory = async (code) => {
+  try {
+    return await wasteCategoryRepository.findByCode(code);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch waste category', error);
+  }
+};
+
+/**
+ * Adds a category to the catalogue
+ * @param {Object} data - Category data, including its code
+ * @returns {Promise<Object>} Created category
+ */
+export const createCategory = async (data = {}) => {
+  try {
+    if (!data.code || typeof data.code !== 'string') {
+      throw new ValidationError('Category code is required');
+    }
+    return await wasteCategoryRepository.createCategory({ code: data.code, ...pickEditable(data) });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to create waste category', error);
+  }
+};
+
+/**
+ * Updates a category. Codes are permanent because records refer to them;
+ * retire a category with isActive: false instead of deleting it.
+ * @param {string} code - Category code
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated category
+ */
+export const updateCategory = async (code, updates = {}) => {
+  try {
+    if (updates.code !== undefined && updates.code !== code) {
+      throw new ValidationError('Category codes cannot be changed');
+    }
+
+    const changes = pickEditable(updates);
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    return await wasteCategoryRepository.updateByCode(code, changes);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to update waste category', error);
+  }
+};
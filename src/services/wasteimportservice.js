@@ -0,0 +1,450 @@
+import path from 'path';
+import config from '../config/serverConfig.js';
+import importJobRepository from '../repository/importJobRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import clinicRepository from '../repository/clinicRepository.js';
+import WasteLog from '../schema/wasteLogSchema.js';
+import { readSpreadsheet, toCsv } from '../utils/spreadsheet.js';
+import {
+  ValidationError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { scheduleThresholdCheck } from './wastethresholdservice.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Waste log fields a column can be mapped to, and the headers recognised for each
+// when no mapping is given (compared ignoring case, spaces and punctuation)
+const IMPORT_FIELDS = {
+  category: ['category', 'wastecategory', 'wastetype'],
+  subcategory: ['subcategory'],
+  volumeKg: ['volumekg', 'volume', 'weightkg', 'weight', 'kg'],
+  description: ['description', 'notes'],
+  handlingInstructions: ['handlinginstructions'],
+  loggedAt: ['loggedat', 'date', 'recordedat'],
+  containerType: ['containertype', 'container'],
+  containerQuantity: ['containerquantity', 'containers', 'quantity'],
+  containerCondition: ['containercondition', 'condition'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long']
+};
+
+// Every row needs these, from a column or from the defaults
+const REQUIRED_FIELDS = ['category', 'volumeKg', 'containerType', 'containerQuantity', 'containerCondition'];
+
+// Helper functions
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Multipart form fields arrive as strings; JSON bodies as objects
+const parseObjectOption = (value, name) => {
+  if (value === undefined || value === null || value === '') return {};
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new ValidationError(`${name} must be a JSON object`);
+    }
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ValidationError(`${name} must be a JSON object`);
+  }
+
+  const unknown = Object.keys(parsed).filter(field => !IMPORT_FIELDS[field]);
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown import fields in ${name}: ${unknown.join(', ')}. Valid fields: ${Object.keys(IMPORT_FIELDS).join(', ')}`);
+  }
+  return parsed;
+};
+
+// Field → header, from the explicit mapping first and recognised headers after
+const resolveMapping = (headers, mapping) => {
+  const missingHeaders = Object.values(mapping).filter(header => !headers.includes(header));
+  if (missingHeaders.length > 0) {
+    throw new ValidationError(`Mapped columns not found in the file: ${missingHeaders.join(', ')}`);
+  }
+
+  const resolved = { ...mapping };
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    if (resolved[field]) continue;
+    const header = headers.find(candidate => aliases.includes(normaliseHeader(candidate)));
+    if (header) resolved[field] = header;
+  }
+  return resolved;
+};
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number(String(value).trim()));
+
+const toDate = (value) => (value instanceof Date ? value : new Date(String(value).trim()));
+
+// Builds waste log data from one row; problems are reported instead of thrown
+const buildRow = (values, { mapping, defaults, clinic }) => {
+  const problems = [];
+  const read = (field) => {
+    const value = mapping[field] ? values[mapping[field]] : undefined;
+    return isBlank(value) ? defaults[field] : value;
+  };
+  const text = (field) => (isBlank(read(field)) ? undefined : String(read(field)).trim());
+
+  for (const field of REQUIRED_FIELDS) {
+    if (isBlank(read(field))) problems.push(`${field} is required`);
+  }
+
+  const volumeKg = isBlank(read('volumeKg')) ? undefined : toNumber(read('volumeKg'));
+  if (volumeKg !== undefined && (!Number.isFinite(volumeKg) || volumeKg <= 0)) {
+    problems.push('volumeKg must be a positive number');
+  }
+
+  const quantity = isBlank(read('containerQuantity')) ? undefined : toNumber(read('containerQuantity'));
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+    problems.push('containerQuantity must be a positive whole number');
+  }
+
+  let loggedAt;
+  if (!isBlank(read('loggedAt'))) {
+    loggedAt = toDate(read('loggedAt'));
+    if (isNaN(loggedAt)) {
+      problems.push('loggedAt is not a valid date');
+    } else if (loggedAt > new Date()) {
+      problems.push('loggedAt cannot be in the future');
+    }
+  }
+
+  // Rows without coordinates are logged at the clinic's address
+  let location = clinic.address?.location?.coordinates?.length === 2
+    ? { type: 'Point', coordinates: clinic.address.location.coordinates }
+    : undefined;
+  const hasLatitude = !isBlank(read('latitude'));
+  const hasLongitude = !isBlank(read('longitude'));
+  if (hasLatitude !== hasLongitude) {
+    problems.push('latitude and longitude must be given together');
+  } else if (hasLatitude) {
+    location = { type: 'Point', coordinates: [toNumber(read('longitude')), toNumber(read('latitude'))] };
+  }
+  if (!location) {
+    problems.push('latitude and longitude are required because the clinic has no address location');
+  }
+
+  const data = Object.fromEntries(Object.entries({
+    clinicId: clinic._id,
+    category: text('category')?.toLowerCase(),
+    subcategory: text('subcategory')?.toLowerCase(),
+    volumeKg,
+    description: text('description'),
+    handlingInstructions: text('handlingInstructions'),
+    loggedAt,
+    containerInfo: {
+      type: text('containerType')?.toLowerCase(),
+      quantity,
+      condition: text('containerCondition')?.toLowerCase()
+    },
+    location
+  }).filter(([, value]) => value !== undefined));
+
+  return { data, problems };
+};
+
+// Runs the waste log schema over rows that parsed cleanly and merges its messages in
+const validateRows = (rows) => {
+  const candidates = rows.filter(row => row.problems.length === 0);
+  const { errors } = WasteLog.validateBulk(candidates.map(row => row.data));
+  for (const { index, errors: messages } of errors) {
+    candidates[index].problems.push(...messages);
+  }
+  return rows;
+};
+
+const summarise = (job, rows = job.rows || []) => {
+  const summary = job.toJSON();
+  delete summary.rows;
+  return {
+    ...summary,
+    errors: rows
+      .filter(row => row.problems?.length > 0)
+      .map(row => ({ rowNumber: row.rowNumber, problems: row.problems }))
+  };
+};
+
+/**
+ * Dry run of a bulk waste log import. Parses the file, maps its columns onto
+ * waste log fields and validates every row without creating anything; the
+ * result is kept as an import job until it is committed or expires.
+ * @param {Object} file - Uploaded file ({ originalname, buffer })
+ * @param {Object} user - The importing user
+ * @param {Object} options - { clinicId, mapping: { field: header }, defaults: { field: value } }
+ * @returns {Promise<Object>} Import job summary with row-level errors
+ */
+export const previewImport = async (file, user, { clinicId, mapping, defaults } = {}) => {
+  try {
+    if (!file?.buffer) {
+      throw new ValidationError('A CSV or XLSX file is required');
+    }
+    if (!validateObjectId(clinicId)) {
+      throw new ValidationError('Valid clinic ID is required');
+    }
+
+    const fieldMapping = parseObjectOption(mapping, 'mapping');
+    const fieldDefaults = parseObjectOption(defaults, 'defaults');
+    const clinic = await clinicRepository.findById(clinicId);
+    const fileType = path.extname(file.originalname).toLowerCase().slice(1);
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(file.buffer, fileType, { maxRows: config.IMPORT_MAX_ROWS });
+    } catch (error) {
+      throw new ValidationError(`The file could not be read as ${fileType.toUpperCase()}`);
+    }
+
+    if (sheet.tooManyRows) {
+      throw new ValidationError(`Imports are limited to ${config.IMPORT_MAX_ROWS} rows per file`);
+    }
+    if (sheet.rows.length === 0) {
+      throw new ValidationError('The file has no data rows');
+    }
+
+    const resolved = resolveMapping(sheet.headers, fieldMapping);
+    const unmapped = REQUIRED_FIELDS.filter(field => !resolved[field] && isBlank(fieldDefaults[field]));
+    if (unmapped.length > 0) {
+      throw new ValidationError(`No column or default for: ${unmapped.join(', ')}. Map them to a column or give a default value`);
+    }
+
+    const rows = validateRows(sheet.rows.map(({ rowNumber, values }) => ({
+      rowNumber,
+      values,
+      ...buildRow(values, { mapping: resolved, defaults: fieldDefaults, clinic })
+    })));
+    const invalidRows = rows.filter(row => row.problems.length > 0).length;
+
+    const job = await importJobRepository.create({
+      clinicId: clinic._id,
+      createdBy: user.id,
+      fileName: file.originalname,
+      fileType,
+      headers: sheet.headers,
+      mapping: resolved,
+      defaults: fieldDefaults,
+      totalRows: rows.length,
+      validRows: rows.length - invalidRows,
+      invalidRows,
+      expiresAt: new Date(Date.now() + config.IMPORT_JOB_EXPIRY_HOURS * HOUR_MS),
+      rows: rows.map(row => (row.problems.length === 0
+        ? { rowNumber: row.rowNumber, data: row.data, problems: [] }
+        : { rowNumber: row.rowNumber, problems: row.problems, raw: sheet.headers.map(header => row.values[header]) }))
+    });
+
+    return summarise(job);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to validate waste log import', error);
+  }
+};
+
+/**
+ * Gets an import job with its row-level errors
+ * @param {string} id - The import job ID
+ * @returns {Promise<Object>} Import job summary
+ */
+export const getImportJob = async (id) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid import job ID');
+    }
+    return summarise(await importJobRepository.findJob(id));
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch import job', error);
+  }
+};
+
+/**
+ * Lists import jobs
+ * @param {Object} filters - { clinicId, status }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated import jobs
+ */
+export const listImportJobs = async (filters = {}, options = {}) => {
+  try {
+    const query = {};
+    if (filters.clinicId) {
+      if (!validateObjectId(filters.clinicId)) throw new ValidationError('Invalid clinic ID');
+      query.clinicId = filters.clinicId;
+    }
+    if (filters.status) query.status = filters.status;
+
+    return await importJobRepository.findJobs(query, options);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list import jobs', error);
+  }
+};
+
+/**
+ * Builds a CSV of the rows that failed validation: the row number, what is
+ * wrong with it and the original cells, so the file can be fixed and re-uploaded.
+ * @param {string} id - The import job ID
+ * @returns {Promise<Object>} { fileName, body }
+ */
+export const getErrorReport = async (id) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid import job ID');
+    }
+
+    const job = await importJobRepository.findJob(id);
+    const invalid = job.rows.filter(row => row.problems.length > 0);
+    const body = toCsv(
+      ['Row', 'Errors', ...job.headers],
+      invalid.map(row => [row.rowNumber, row.problems.join('; '), ...(row.raw || [])])
+    );
+
+    return {
+      fileName: `${path.parse(job.fileName || 'import').name}-errors.csv`,
+      body
+    };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to build import error report', error);
+  }
+};
+
+/**
+ * Creates the waste logs of a validated import. Only rows that passed the dry
+ * run are imported; they are checked again because the catalogue may have
+ * changed since. If anything fails, the logs created so far are removed.
+ * @param {string} id - The import job ID
+ * @param {Object} user - The committing user
+ * @returns {Promise<Object>} Committed import job summary
+ */
+export const commitImport = async (id, user) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid import job ID');
+    }
+
+    const job = await importJobRepository.findJob(id);
+    if (job.isExpired) {
+      throw new ValidationError('This import has expired; upload the file again');
+    }
+    if (job.status !== 'validated') {
+      throw new ConflictError(`Import job is already ${job.status}`);
+    }
+    if (job.validRows === 0) {
+      throw new ValidationError('The import has no valid rows to commit');
+    }
+
+    const rows = job.rows.filter(row => row.problems.length === 0).map(row => ({
+      rowNumber: row.rowNumber,
+      data: row.data,
+      problems: []
+    }));
+    const stale = validateRows(rows).filter(row => row.problems.length > 0);
+    if (stale.length > 0) {
+      throw new ValidationError(`Rows ${stale.map(row => row.rowNumber).join(', ')} are no longer valid; upload the file again`);
+    }
+
+    await importJobRepository.transition(id, ['validated'], 'committing');
+
+    const now = new Date();
+    let created;
+    try {
+      created = await wasteLogRepository.batchCreate(rows.map(row => ({
+        ...row.data,
+        importJobId: job._id,
+        auditTrail: [{ action: 'created', performedBy: user.id, timestamp: now, changes: { importJobId: job._id } }]
+      })));
+      if (created.length !== rows.length) {
+        throw new Error(`Only ${created.length} of ${rows.length} waste logs were created`);
+      }
+    } catch (error) {
+      await wasteLogRepository.softDeleteByImportJob(job._id, user);
+      await importJobRepository.transition(id, ['committing'], 'failed', { failureReason: error.message });
+      throw error;
+    }
+
+    const committed = await importJobRepository.transition(id, ['committing'], 'committed', {
+      committedAt: now,
+      committedBy: user.id,
+      insertedCount: created.length
+    });
+    scheduleThresholdCheck(job.clinicId, [...new Set(created.map(log => log.category))]);
+    return summarise(committed, job.rows);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to commit waste log import', error);
+  }
+};
+
+/**
+ * Undoes a committed import by deleting the waste logs it created. Refused once
+ * any of them has been added to a pickup request. Logs already deleted on their
+ * own are left as they are and listed on the job.
+ * @param {string} id - The import job ID
+ * @param {Object} user - The user undoing the import
+ * @returns {Promise<Object>} Undone import job summary
+ */
+export const undoImport = async (id, user) => {
+  try {
+    if (!validateObjectId(id)) {
+      throw new ValidationError('Invalid import job ID');
+    }
+
+    const job = await importJobRepository.findJob(id, { withRows: false });
+    if (job.status !== 'committed') {
+      throw new ConflictError('Only committed imports can be undone');
+    }
+
+    const countInPickups = () => wasteLogRepository.count({
+      importJobId: job._id,
+      isDeleted: { $ne: true },
+      pickupRequestId: { $exists: true, $ne: null }
+    });
+
+    const inPickups = await countInPickups();
+    if (inPickups > 0) {
+      throw new ConflictError(`${inPickups} imported waste log(s) are already part of a pickup request; the import cannot be undone`);
+    }
+
+    // A log can join a pickup after the check above. The delete skips logs in
+    // pickups, so if one did, the deleted logs are put back and the import stays committed.
+    const undoneAt = new Date();
+    await importJobRepository.transition(id, ['committed'], 'undone', { undoneAt, undoneBy: user.id });
+    try {
+      const deleted = await wasteLogRepository.softDeleteByImportJob(job._id, user, undoneAt);
+      const joinedPickups = await countInPickups();
+      if (joinedPickups > 0) {
+        await wasteLogRepository.restoreByImportJob(job._id, user, undoneAt);
+        throw new ConflictError(`${joinedPickups} imported waste log(s) were added to a pickup request while undoing; the import cannot be undone`);
+      }
+
+      // Everything deleted other than by this undo was deleted on its own beforehand
+      const alreadyDeleted = await wasteLogRepository.distinct('_id', {
+        importJobId: job._id,
+        isDeleted: true,
+        deletedAt: { $ne: undoneAt }
+      });
+      await importJobRepository.update(id, {
+        undoneCount: deleted,
+        alreadyDeletedLogIds: alreadyDeleted
+      }, { projection: { rows: 0 } });
+    } catch (error) {
+      await importJobRepository.transition(id, ['undone'], 'committed', {
+        undoneAt: null,
+        undoneBy: null,
+        alreadyDeletedLogIds: [],
+        undoneCount: 0
+      });
+      throw error;
+    }
+
+    return summarise(await importJobRepository.findJob(id));
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to undo waste log import', error);
+  }
+};
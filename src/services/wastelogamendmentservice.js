@@ -0,0 +1,289 @@
+import wasteLogAmendmentRepository from '../repository/wasteLogAmendmentRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import storageAreaRepository from '../repository/storageAreaRepository.js';
+import { AMENDABLE_FIELDS, AMENDMENT_STATUSES } from '../schema/wasteLogAmendmentSchema.js';
+import { PICKUP_LOCKED_FIELDS } from '../schema/wasteLogSchema.js';
+import { createBroadcastNotification } from './notificationservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+// Helper functions
+
+const idOf = (value) => (value?._id || value) && String(value?._id || value);
+
+const assertAmendmentId = (id) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError('Invalid amendment ID');
+  }
+};
+
+// Keeps the amendable fields that actually differ from the log's current values
+const pickChanges = (log, changes = {}) => {
+  const unknown = Object.keys(changes).filter(field => !AMENDABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`These fields cannot be amended: ${unknown.join(', ')}. Amendable fields: ${AMENDABLE_FIELDS.join(', ')}`);
+  }
+
+  const current = log.toObject();
+  return Object.fromEntries(
+    Object.entries(changes).filter(([field, value]) => JSON.stringify(current[field] ?? null) !== JSON.stringify(value ?? null))
+  );
+};
+
+const validateChanges = async (log, changes) => {
+  if (changes.volumeKg !== undefined && !(Number(changes.volumeKg) > 0)) {
+    throw new ValidationError('Invalid volume');
+  }
+  if (changes.storageConditions) {
+    wasteLogRepository.validateStorageConditions(changes.storageConditions);
+  }
+  if (changes.containerInfo) {
+    wasteLogRepository.validateContainerInfo(changes.containerInfo);
+  }
+  if (changes.storageAreaId) {
+    if (!validateObjectId(changes.storageAreaId)) throw new ValidationError('Invalid storage area ID');
+    const area = await storageAreaRepository.findArea(changes.storageAreaId);
+    if (idOf(area.clinicId) !== idOf(log.clinicId) || !area.isActive) {
+      throw new ValidationError('Storage area is not an active storage area of this clinic');
+    }
+  }
+
+  return wasteLogRepository.checkCorrection(log._id, changes);
+};
+
+const describeChanges = (amendment) => {
+  if (amendment.action === 'void') return 'withdraw the log';
+  return Object.entries(amendment.changes)
+    .map(([field, value]) => `${field} ${JSON.stringify(amendment.previous?.[field] ?? null)} → ${JSON.stringify(value)}`)
+    .join(', ');
+};
+
+const notifyDecision = async (amendment, log) => {
+  const approved = amendment.status === 'approved';
+  await notifyClinicStaff(amendment.clinicId, {
+    type: 'waste_log_updated',
+    title: approved ? 'Waste Log Amendment Approved' : 'Waste Log Amendment Rejected',
+    message: approved
+      ? `The amendment to waste log #${amendment.wasteLogId} (${describeChanges(amendment)}) was approved` +
+        (log ? ` as revision ${log.revision}` : '')
+      : `The amendment to waste log #${amendment.wasteLogId} was rejected: ${amendment.reviewNote}`,
+    category: 'administrative',
+    data: {
+      amendmentId: amendment._id,
+      wasteLogId: amendment.wasteLogId,
+      status: amendment.status,
+      revision: amendment.revision
+    }
+  }, { roles: ['owner', 'waste_officer'] });
+};
+
+/**
+ * Proposes a correction to a waste log that is past its 24-hour edit window,
+ * or its withdrawal. Nothing changes until a health officer approves it.
+ * @param {string} wasteLogId - The waste log ID
+ * @param {Object} user - The proposing user
+ * @param {Object} data - { action: 'correct' | 'void', changes, reason }
+ * @returns {Promise<Object>} Pending amendment
+ */
+export const proposeAmendment = async (wasteLogId, user, { action = 'correct', changes, reason } = {}) => {
+  try {
+    if (!validateObjectId(wasteLogId)) {
+      throw new ValidationError('Invalid waste log ID');
+    }
+    if (!['correct', 'void'].includes(action)) {
+      throw new ValidationError("Action must be 'correct' or 'void'");
+    }
+    if (!reason || String(reason).trim().length < 10) {
+      throw new ValidationError('Explain the amendment in at least 10 characters');
+    }
+
+    const log = await wasteLogRepository.findById(wasteLogId);
+    if (log.isEditable()) {
+      throw new ValidationError('This waste log is still within its 24-hour edit window; edit it directly');
+    }
+
+    let proposed = {};
+    let previous = {};
+    if (action === 'correct') {
+      proposed = pickChanges(log, changes);
+      if (Object.keys(proposed).length === 0) {
+        throw new ValidationError('The amendment does not change anything');
+      }
+      previous = await validateChanges(log, proposed);
+    }
+
+    // What a pickup was declared to carry is fixed once the log is on it
+    if (log.pickupRequestId && (action === 'void' || PICKUP_LOCKED_FIELDS.some(field => field in proposed))) {
+      throw new ConflictError(`This waste log is on pickup request #${log.pickupRequestId}; it cannot be voided and its ${PICKUP_LOCKED_FIELDS.join(' and ')} cannot be amended`);
+    }
+
+    const amendment = await wasteLogAmendmentRepository.createAmendment({
+      wasteLogId,
+      clinicId: idOf(log.clinicId),
+      action,
+      changes: proposed,
+      previous,
+      reason,
+      proposedBy: user.id
+    });
+
+    await createBroadcastNotification({
+      type: 'waste_log_updated',
+      title: 'Waste Log Amendment Awaiting Review',
+      message: `An amendment to waste log #${wasteLogId} is awaiting review: ${describeChanges(amendment)}. Reason: ${amendment.reason}`,
+      targetRoles: ['health'],
+      category: 'administrative',
+      data: { amendmentId: amendment._id, wasteLogId, clinicId: amendment.clinicId }
+    });
+
+    return amendment;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to propose waste log amendment', error);
+  }
+};
+
+/**
+ * Lists amendments
+ * @param {Object} filters - { clinicId, wasteLogId, status }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated amendments
+ */
+export const listAmendments = async ({ clinicId, wasteLogId, status } = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+    if (clinicId) {
+      if (!validateObjectId(clinicId)) throw new ValidationError('Invalid clinic ID');
+      query.clinicId = clinicId;
+    }
+    if (wasteLogId) {
+      if (!validateObjectId(wasteLogId)) throw new ValidationError('Invalid waste log ID');
+      query.wasteLogId = wasteLogId;
+    }
+    if (status) {
+      if (!AMENDMENT_STATUSES.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${AMENDMENT_STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+
+    return await wasteLogAmendmentRepository.findAmendments(query, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list waste log amendments', error);
+  }
+};
+
+/**
+ * Gets an amendment
+ * @param {string} id - The amendment ID
+ * @returns {Promise<Object>} Amendment
+ */
+export const getAmendment = async (id) => {
+  try {
+    assertAmendmentId(id);
+    return await wasteLogAmendmentRepository.findAmendment(id);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch waste log amendment', error);
+  }
+};
+
+/**
+ * Approves an amendment and applies it to the log as a new revision
+ * @param {string} id - The amendment ID
+ * @param {Object} reviewer - The approving health officer
+ * @param {Object} data - { note }
+ * @returns {Promise<Object>} { amendment, wasteLog }
+ */
+export const approveAmendment = async (id, reviewer, { note } = {}) => {
+  try {
+    assertAmendmentId(id);
+    const pending = await wasteLogAmendmentRepository.findAmendment(id);
+    if (idOf(pending.proposedBy) === String(reviewer.id)) {
+      throw new AuthorizationError('An amendment cannot be approved by the person who proposed it');
+    }
+
+    // Claim the amendment first so two reviewers cannot apply it twice; hand it
+    // back for review if the log can no longer take the change
+    const amendment = await wasteLogAmendmentRepository.transition(id, 'pending', 'approved', {
+      reviewedBy: reviewer.id,
+      reviewedAt: new Date(),
+      reviewNote: note
+    });
+
+    let log;
+    try {
+      log = await wasteLogRepository.applyAmendment(amendment.wasteLogId, amendment, { _id: reviewer.id });
+    } catch (error) {
+      await wasteLogAmendmentRepository.transition(id, 'approved', 'pending', {
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNote: null
+      });
+      throw error;
+    }
+
+    amendment.revision = log.revision;
+    await wasteLogAmendmentRepository.update(id, { revision: log.revision });
+    await notifyDecision(amendment, log);
+
+    return { amendment, wasteLog: log };
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to approve waste log amendment', error);
+  }
+};
+
+/**
+ * Rejects an amendment; the log is left as it is
+ * @param {string} id - The amendment ID
+ * @param {Object} reviewer - The rejecting health officer
+ * @param {Object} data - { note } explaining the rejection
+ * @returns {Promise<Object>} Rejected amendment
+ */
+export const rejectAmendment = async (id, reviewer, { note } = {}) => {
+  try {
+    assertAmendmentId(id);
+    if (!note || !String(note).trim()) {
+      throw new ValidationError('A note explaining the rejection is required');
+    }
+
+    const amendment = await wasteLogAmendmentRepository.transition(id, 'pending', 'rejected', {
+      reviewedBy: reviewer.id,
+      reviewedAt: new Date(),
+      reviewNote: note
+    });
+    await notifyDecision(amendment);
+
+    return amendment;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to reject waste log amendment', error);
+  }
+};
+
+/**
+ * Withdraws a pending amendment before it is reviewed
+ * @param {string} id - The amendment ID
+ * @returns {Promise<Object>} Withdrawn amendment
+ */
+export const withdrawAmendment = async (id) => {
+  try {
+    assertAmendmentId(id);
+    return await wasteLogAmendmentRepository.transition(id, 'pending', 'withdrawn');
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to withdraw waste log amendment', error);
+  }
+};
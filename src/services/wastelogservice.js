@@ -1,16 +1,64 @@
-import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
 import wasteLogRepository from '../repository/wasteLogRepository.js';
+import storageAreaRepository from '../repository/storageAreaRepository.js';
+import { scheduleThresholdCheck } from './wastethresholdservice.js';
 import { validateObjectId } from '../utils/validation.js';
+import { validateWasteCategory } from '../validations/wasteLogValidation.js';
+
+// Fields a client may set on a waste log. Pickup links, import jobs, revisions and
+// storage escalation are managed by the repository flows that own them.
+const EDITABLE_FIELDS = [
+  'category',
+  'subcategory',
+  'volumeKg',
+  'description',
+  'handlingInstructions',
+  'storageConditions',
+  'containerInfo',
+  'images',
+  'location',
+  'storageAreaId'
+];
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  Object.entries(data).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
+
+// New waste can only be logged under a category that is active in the catalogue
+const assertCategory = (category) => {
+  const { isValid, message } = validateWasteCategory(category);
+  if (!isValid) {
+    throw new ValidationError(message);
+  }
+};
+
+// Waste can only be placed in an active storage area of its own clinic
+const assertStorageArea = async (storageAreaId, clinicId) => {
+  if (!validateObjectId(storageAreaId)) {
+    throw new ValidationError('Invalid storage area ID');
+  }
+  const area = await storageAreaRepository.findArea(storageAreaId);
+  if (String(area.clinicId) !== String(clinicId?._id || clinicId) || !area.isActive) {
+    throw new ValidationError('Storage area is not an active storage area of this clinic');
+  }
+};
 
 export const createWasteLog = async (data) => {
   try {
     if (!data.clinicId || !validateObjectId(data.clinicId)) {
       throw new ValidationError('Valid clinic ID is required');
     }
+    const fields = pickEditable(data);
+    assertCategory(fields.category);
+    if (fields.storageAreaId) {
+      await assertStorageArea(fields.storageAreaId, data.clinicId);
+    }
 
-    return await wasteLogRepository.create(data);
+    const log = await wasteLogRepository.create({ ...fields, clinicId: data.clinicId });
+    scheduleThresholdCheck(data.clinicId, [log.category]);
+    return log;
   } catch (error) {
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
     throw new Error('Failed to create waste log');
   }
 };
@@ -60,12 +108,8 @@ export const getWasteLogById = async (id) => {
       throw new ValidationError('Invalid waste log ID');
     }
 
-    const wasteLog = await wasteLogRepository.findById(id);
-    if (!wasteLog) {
-      throw new NotFoundError('Waste log not found');
-    }
-
-    return wasteLog;
+    // Includes the revision history and who approved each amendment
+    return await wasteLogRepository.findWithHistory(id);
   } catch (error) {
     if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
     throw new Error('Failed to fetch waste log');
@@ -78,6 +122,11 @@ export const updateWasteLog = async (id, data) => {
       throw new ValidationError('Invalid waste log ID');
     }
 
+    const changes = pickEditable(data);
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
     const wasteLog = await wasteLogRepository.findById(id);
     if (!wasteLog) {
       throw new NotFoundError('Waste log not found');
@@ -89,12 +138,20 @@ export const updateWasteLog = async (id, data) => {
       throw new ValidationError('Waste logs can only be modified within 24 hours of creation');
     }
 
+    // A log may keep a category that has since been retired
+    if (changes.category !== undefined && changes.category !== wasteLog.category) {
+      assertCategory(changes.category);
+    }
+    if (changes.storageAreaId) {
+      await assertStorageArea(changes.storageAreaId, wasteLog.clinicId);
+    }
+
     return await wasteLogRepository.update(id, {
-      ...data,
+      ...changes,
       updatedAt: new Date()
     });
   } catch (error) {
-    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) throw error;
     throw new Error('Failed to update waste log');
   }
 };
@@ -118,7 +175,7 @@ export const deleteWasteLog = async (id) => {
 
     await wasteLogRepository.softDelete(id);
   } catch (error) {
-    if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) throw error;
     throw new Error('Failed to delete waste log');
   }
 };
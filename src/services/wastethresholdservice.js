@@ -0,0 +1,308 @@
+import config from '../config/serverConfig.js';
+import wasteThresholdRepository from '../repository/wasteThresholdRepository.js';
+import wasteLogRepository from '../repository/wasteLogRepository.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
+import clinicRepository from '../repository/clinicRepository.js';
+import { addPickupRequest } from './pickupservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import {
+  ValidationError,
+  ConflictError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const MAX_PICKUP_VOLUME_KG = 1000; // largest single pickup request
+const HOUR_MS = 60 * 60 * 1000;
+
+const REASON_LABELS = {
+  volume: 'accumulated volume',
+  storage_age: 'storage time'
+};
+
+// Helper functions
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const assertClinicId = (clinicId) => {
+  if (!validateObjectId(clinicId)) {
+    throw new ValidationError('Invalid clinic ID');
+  }
+};
+
+// Current un-picked-up waste per category, with the age of the oldest log
+const loadAccumulation = async (clinicId) => {
+  const now = Date.now();
+  const groups = await wasteLogRepository.getPendingAccumulation(clinicId);
+  return new Map(groups.map(group => [group._id, {
+    totalVolumeKg: round(group.totalVolumeKg),
+    logCount: group.logCount,
+    oldestLoggedAt: group.oldestLoggedAt,
+    oldestAgeHours: group.oldestLoggedAt ? round((now - new Date(group.oldestLoggedAt).getTime()) / HOUR_MS, 1) : 0
+  }]));
+};
+
+const EMPTY_ACCUMULATION = Object.freeze({ totalVolumeKg: 0, logCount: 0, oldestLoggedAt: null, oldestAgeHours: 0 });
+
+const exceededReasons = (threshold, accumulation) => {
+  const reasons = [];
+  if (Number.isFinite(threshold.maxVolumeKg) && accumulation.totalVolumeKg >= threshold.maxVolumeKg) {
+    reasons.push('volume');
+  }
+  if (Number.isFinite(threshold.maxStorageHours) && accumulation.logCount > 0 &&
+      accumulation.oldestAgeHours >= threshold.maxStorageHours) {
+    reasons.push('storage_age');
+  }
+  return reasons;
+};
+
+// Requests a pickup for the oldest pending logs of the category, up to what a
+// single request can carry, with those logs on it
+const requestPickup = async (clinic, threshold, reasons) => {
+  const location = clinic.address?.location;
+  if (!location?.coordinates?.length) {
+    throw new ValidationError('The clinic has no address location to collect from');
+  }
+
+  const logs = [];
+  let volumeKg = 0;
+  for (const log of await wasteLogRepository.findPendingByCategory(clinic._id, threshold.category)) {
+    if (volumeKg + log.volumeKg > MAX_PICKUP_VOLUME_KG) break;
+    logs.push(log);
+    volumeKg += log.volumeKg;
+  }
+  if (logs.length === 0) {
+    throw new ValidationError(`The oldest ${threshold.category} log is too large for a single pickup request`);
+  }
+
+  return addPickupRequest({
+    clinicId: clinic._id,
+    wasteType: threshold.category,
+    wasteLogIds: logs.map(log => log._id),
+    location,
+    priority: clinic.autoPickup?.priority || 'medium',
+    description: `Requested automatically: ${threshold.category} ${reasons.map(reason => REASON_LABELS[reason]).join(' and ')} threshold exceeded`
+  });
+};
+
+const describeCrossing = (threshold, accumulation, reasons, pickup, pickupError) => {
+  const parts = [];
+  if (reasons.includes('volume')) {
+    parts.push(`${accumulation.totalVolumeKg} kg awaiting pickup (limit ${threshold.maxVolumeKg} kg)`);
+  }
+  if (reasons.includes('storage_age')) {
+    parts.push(`oldest log stored for ${accumulation.oldestAgeHours} hours (limit ${threshold.maxStorageHours} hours)`);
+  }
+
+  let message = `${threshold.category} waste threshold exceeded: ${parts.join('; ')}.`;
+  if (pickup) message += ` Pickup request #${pickup._id} was created automatically.`;
+  else if (pickupError) message += ` A pickup request could not be created automatically: ${pickupError}`;
+  return message;
+};
+
+// Acts on a threshold that has just been crossed: requests a pickup when the
+// clinic has opted in, and tells the clinic's waste staff
+const triggerThreshold = async (clinic, threshold, accumulation, reasons) => {
+  let pickup = null;
+  let pickupError = null;
+  if (clinic.autoPickup?.enabled) {
+    try {
+      pickup = await requestPickup(clinic, threshold, reasons);
+    } catch (error) {
+      const expected = error instanceof ValidationError || error instanceof ConflictError;
+      pickupError = expected ? error.message : 'an unexpected error occurred';
+      if (!expected) {
+        console.error(`Failed to create automatic pickup request for clinic ${clinic._id}:`, error);
+      }
+    }
+  }
+
+  const trigger = {
+    reasons,
+    totalVolumeKg: accumulation.totalVolumeKg,
+    oldestAgeHours: accumulation.oldestAgeHours,
+    logCount: accumulation.logCount,
+    pickupRequestId: pickup?._id
+  };
+  await wasteThresholdRepository.recordTrigger(threshold._id, trigger);
+
+  await notifyClinicStaff(clinic._id, {
+    type: 'waste_threshold_exceeded',
+    title: 'Waste Threshold Exceeded',
+    message: describeCrossing(threshold, accumulation, reasons, pickup, pickupError),
+    category: 'operational',
+    priority: 'high',
+    data: {
+      thresholdId: threshold._id,
+      category: threshold.category,
+      ...trigger
+    }
+  }, { roles: ['owner', 'waste_officer'] });
+
+  return { thresholdId: threshold._id, category: threshold.category, ...trigger };
+};
+
+/**
+ * Lists a clinic's waste thresholds with the waste currently awaiting pickup in each category
+ * @param {string} clinicId - The clinic ID
+ * @returns {Promise<Array>} Thresholds with { accumulation, exceeded }
+ */
+export const listThresholds = async (clinicId) => {
+  try {
+    assertClinicId(clinicId);
+
+    const [thresholds, accumulation] = await Promise.all([
+      wasteThresholdRepository.findByClinic(clinicId),
+      loadAccumulation(clinicId)
+    ]);
+
+    return thresholds.map(threshold => {
+      const current = accumulation.get(threshold.category) || EMPTY_ACCUMULATION;
+      return {
+        ...threshold,
+        accumulation: current,
+        exceeded: exceededReasons(threshold, current)
+      };
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list waste thresholds', error);
+  }
+};
+
+/**
+ * Sets a clinic's threshold for a waste category, replacing any existing one.
+ * The clinic is checked against the new limits straight away.
+ * @param {string} clinicId - The clinic ID
+ * @param {string} category - Waste category code
+ * @param {Object} data - { maxVolumeKg, maxStorageHours, isActive }
+ * @param {Object} user - The user setting the threshold
+ * @returns {Promise<Object>} Saved threshold
+ */
+export const setThreshold = async (clinicId, category, data = {}, user) => {
+  try {
+    assertClinicId(clinicId);
+    if (!wasteCategoryRepository.isActiveCode(category)) {
+      throw new ValidationError('Invalid waste category');
+    }
+    await clinicRepository.findById(clinicId);
+
+    const limits = {};
+    for (const field of ['maxVolumeKg', 'maxStorageHours']) {
+      if (data[field] === undefined || data[field] === null) {
+        limits[field] = undefined;
+        continue;
+      }
+      const value = Number(data[field]);
+      if (!Number.isFinite(value)) throw new ValidationError(`${field} must be a number`);
+      limits[field] = value;
+    }
+    if (data.isActive !== undefined) limits.isActive = Boolean(data.isActive);
+
+    const threshold = await wasteThresholdRepository.upsertThreshold(clinicId, category, limits, { _id: user.id });
+
+    await evaluateClinicThresholds(clinicId, { categories: [threshold.category] });
+    return await wasteThresholdRepository.findThreshold(clinicId, threshold.category);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to set waste threshold', error);
+  }
+};
+
+/**
+ * Removes a clinic's threshold for a waste category
+ * @param {string} clinicId - The clinic ID
+ * @param {string} category - Waste category code
+ * @param {Object} user - The user removing the threshold
+ * @returns {Promise<Object>} Removed threshold
+ */
+export const removeThreshold = async (clinicId, category, user) => {
+  try {
+    assertClinicId(clinicId);
+    const threshold = await wasteThresholdRepository.findThreshold(clinicId, category);
+    return await threshold.softDelete({ _id: user.id });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to remove waste threshold', error);
+  }
+};
+
+/**
+ * Checks a clinic's waste awaiting pickup against its active thresholds. Each
+ * crossing is acted on once: the clinic is notified and, if it has opted in, a
+ * pickup request is created for the waste. A threshold is re-armed once the
+ * waste is back under it.
+ * @param {string} clinicId - The clinic ID
+ * @param {Object} options - { categories } to check only some categories
+ * @returns {Promise<Array>} Thresholds that were triggered by this check
+ */
+export const evaluateClinicThresholds = async (clinicId, { categories } = {}) => {
+  try {
+    assertClinicId(clinicId);
+
+    let thresholds = await wasteThresholdRepository.findByClinic(clinicId, { activeOnly: true });
+    if (categories) {
+      thresholds = thresholds.filter(threshold => categories.includes(threshold.category));
+    }
+    if (thresholds.length === 0) return [];
+
+    const accumulation = await loadAccumulation(clinicId);
+    const triggered = [];
+    let clinic = null;
+
+    for (const threshold of thresholds) {
+      const current = accumulation.get(threshold.category) || EMPTY_ACCUMULATION;
+      const reasons = exceededReasons(threshold, current);
+
+      if (reasons.length === 0) {
+        if (threshold.exceededAt) await wasteThresholdRepository.clearExceeded(threshold._id);
+        continue;
+      }
+      if (threshold.exceededAt || !(await wasteThresholdRepository.markExceeded(threshold._id))) {
+        continue;
+      }
+
+      clinic = clinic || await clinicRepository.findById(clinicId);
+      triggered.push(await triggerThreshold(clinic, threshold, current, reasons));
+    }
+
+    return triggered;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to evaluate waste thresholds', error);
+  }
+};
+
+/**
+ * Checks a clinic's thresholds after new waste is logged, without holding up
+ * the caller; failures are logged
+ * @param {string} clinicId - The clinic ID
+ * @param {Array<string>} categories - Categories that received new waste
+ */
+export const scheduleThresholdCheck = (clinicId, categories) => {
+  evaluateClinicThresholds(String(clinicId?._id || clinicId), { categories }).catch(error => {
+    console.error(`Failed to evaluate waste thresholds for clinic ${clinicId}:`, error);
+  });
+};
+
+/**
+ * Starts the periodic check of every monitored clinic, which catches storage
+ * time limits being passed while no new waste is logged
+ */
+export const startThresholdMonitor = () => {
+  const checkAll = async () => {
+    const clinicIds = await wasteThresholdRepository.findMonitoredClinics();
+    for (const clinicId of clinicIds) {
+      await evaluateClinicThresholds(String(clinicId)).catch(error => {
+        console.error(`Failed to evaluate waste thresholds for clinic ${clinicId}:`, error);
+      });
+    }
+  };
+
+  setInterval(() => {
+    checkAll().catch(error => {
+      console.error('Waste threshold check failed:', error);
+    });
+  }, config.WASTE_THRESHOLD_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+};
@@ -0,0 +1,245 @@
+import config from '../config/serverConfig.js';
+import pickupRepository from '../repository/pickupRepository.js';
+import weightDiscrepancyRepository from '../repository/weightDiscrepancyRepository.js';
+import { DISCREPANCY_STATUSES } from '../schema/weightDiscrepancySchema.js';
+import { createNotification, createBroadcastNotification } from './notificationservice.js';
+import { notifyClinicStaff } from './clinicservice.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  InternalError,
+  rethrowKnown
+} from '../utils/errors.js';
+import { validateObjectId } from '../utils/validation.js';
+
+// Helper functions
+
+const idOf = (value) => (value?._id || value) && String(value?._id || value);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const assertDiscrepancyId = (id) => {
+  if (!validateObjectId(id)) {
+    throw new ValidationError('Invalid discrepancy ID');
+  }
+};
+
+// The difference tolerated on a declared weight: a share of it, but never less
+// than a fixed amount so small loads are not flagged for scale noise
+const allowedDifference = (declaredKg) =>
+  Math.max(declaredKg * config.PICKUP_WEIGHT_TOLERANCE_PERCENT / 100, config.PICKUP_WEIGHT_TOLERANCE_KG);
+
+// The discrepancy party the user acts for, if any
+const partyOf = (discrepancy, user) => {
+  if (user.role === 'clinic' && idOf(user.clinicId) === idOf(discrepancy.clinicId)) return 'clinic';
+  if (user.role === 'collector' && idOf(user.id) === idOf(discrepancy.collectorId)) return 'collector';
+  return null;
+};
+
+const describeDifference = (discrepancy) =>
+  `declared ${discrepancy.declaredKg} kg, measured ${discrepancy.measuredKg} kg ` +
+  `(${discrepancy.differenceKg > 0 ? '+' : ''}${discrepancy.differenceKg} kg; ${discrepancy.allowedKg} kg tolerated)`;
+
+// Tells the clinic's waste staff and the collector
+const notifyParties = async (discrepancy, notification) => {
+  const data = { discrepancyId: discrepancy._id, pickupRequestId: discrepancy.pickupRequestId, ...notification.data };
+  await notifyClinicStaff(discrepancy.clinicId, { ...notification, data }, { roles: ['owner', 'waste_officer'] });
+  if (discrepancy.collectorId) {
+    await createNotification({ ...notification, data, userId: idOf(discrepancy.collectorId) });
+  }
+};
+
+/**
+ * Checks the weight measured when a pickup was collected against the weight
+ * the clinic declared. A difference beyond PICKUP_WEIGHT_TOLERANCE_PERCENT of
+ * the declared weight (or PICKUP_WEIGHT_TOLERANCE_KG, whichever is larger)
+ * puts the pickup in the discrepancy queue and asks the clinic and the
+ * collector to explain it. A pickup is only reconciled once.
+ * @param {string} pickupRequestId - The pickup request ID
+ * @returns {Promise<Object|null>} Reconciliation, or null when there is no measured weight yet
+ */
+export const reconcilePickupWeight = async (pickupRequestId) => {
+  try {
+    if (!validateObjectId(pickupRequestId)) {
+      throw new ValidationError('Invalid pickup request ID');
+    }
+
+    const pickup = await pickupRepository.findById(pickupRequestId);
+    const measuredKg = pickup.collectionDetails?.actualWeight;
+    if (!Number.isFinite(measuredKg)) return null;
+    if (pickup.reconciliation?.reconciledAt) return pickup.reconciliation;
+
+    const declaredKg = pickup.volumeKg;
+    const differenceKg = round(measuredKg - declaredKg);
+    const allowedKg = round(allowedDifference(declaredKg));
+    const reconciliation = {
+      declaredKg,
+      measuredKg,
+      differenceKg,
+      differencePercent: declaredKg > 0 ? round(differenceKg / declaredKg * 100, 1) : null,
+      allowedKg,
+      withinTolerance: Math.abs(differenceKg) <= allowedKg,
+      reconciledAt: new Date()
+    };
+
+    let discrepancy = null;
+    if (!reconciliation.withinTolerance) {
+      discrepancy = await weightDiscrepancyRepository.openDiscrepancy({
+        pickupRequestId: pickup._id,
+        clinicId: idOf(pickup.clinicId),
+        collectorId: idOf(pickup.collectorId),
+        manifestId: pickup.manifestId,
+        wasteType: pickup.wasteType,
+        declaredKg,
+        measuredKg,
+        differenceKg,
+        differencePercent: reconciliation.differencePercent,
+        allowedKg
+      });
+      reconciliation.discrepancyId = discrepancy._id;
+    }
+
+    await pickupRepository.update(pickup._id, { reconciliation });
+
+    if (discrepancy) {
+      await notifyParties(discrepancy, {
+        type: 'compliance_alert',
+        title: 'Pickup Weight Discrepancy',
+        message: `The weight collected on pickup request #${pickup._id} differs from the weight declared: ${describeDifference(discrepancy)}. Please explain the difference.`,
+        category: 'operational',
+        priority: 'high',
+        data: { declaredKg, measuredKg, differenceKg, allowedKg }
+      });
+    }
+
+    return reconciliation;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to reconcile pickup weight', error);
+  }
+};
+
+/**
+ * Lists weight discrepancies
+ * @param {Object} filters - { clinicId, collectorId, status }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated discrepancies
+ */
+export const listDiscrepancies = async ({ clinicId, collectorId, status } = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+    for (const [field, value] of Object.entries({ clinicId, collectorId })) {
+      if (value) {
+        if (!validateObjectId(value)) throw new ValidationError(`Invalid ${field}`);
+        query[field] = value;
+      }
+    }
+    if (status) {
+      if (!DISCREPANCY_STATUSES.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${DISCREPANCY_STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+
+    return await weightDiscrepancyRepository.findDiscrepancies(query, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100)
+    });
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to list weight discrepancies', error);
+  }
+};
+
+/**
+ * Gets a weight discrepancy
+ * @param {string} id - The discrepancy ID
+ * @returns {Promise<Object>} Discrepancy
+ */
+export const getDiscrepancy = async (id) => {
+  try {
+    assertDiscrepancyId(id);
+    return await weightDiscrepancyRepository.findDiscrepancy(id);
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to fetch weight discrepancy', error);
+  }
+};
+
+/**
+ * Records the clinic's or the collector's explanation of a discrepancy; the
+ * party is the one the user acts for. Health officers are told once both
+ * parties have explained it.
+ * @param {string} id - The discrepancy ID
+ * @param {Object} user - The explaining user
+ * @param {Object} data - { explanation }
+ * @returns {Promise<Object>} Updated discrepancy
+ */
+export const explainDiscrepancy = async (id, user, { explanation } = {}) => {
+  try {
+    assertDiscrepancyId(id);
+    if (!explanation || String(explanation).trim().length < 10) {
+      throw new ValidationError('Explain the difference in at least 10 characters');
+    }
+
+    const current = await weightDiscrepancyRepository.findDiscrepancy(id);
+    const party = partyOf(current, user);
+    if (!party) {
+      throw new AuthorizationError('Only the clinic and the collector of the pickup can explain a discrepancy');
+    }
+
+    const discrepancy = await weightDiscrepancyRepository.recordExplanation(id, party, {
+      text: explanation,
+      submittedBy: user.id
+    });
+
+    if (discrepancy.awaitingExplanation.length === 0) {
+      await createBroadcastNotification({
+        type: 'compliance_alert',
+        title: 'Weight Discrepancy Ready for Review',
+        message: `Both parties have explained the weight discrepancy on pickup request #${discrepancy.pickupRequestId}: ${describeDifference(discrepancy)}.`,
+        targetRoles: ['health'],
+        category: 'operational',
+        data: { discrepancyId: discrepancy._id, pickupRequestId: discrepancy.pickupRequestId }
+      });
+    }
+
+    return discrepancy;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to record discrepancy explanation', error);
+  }
+};
+
+/**
+ * Resolves a discrepancy, taking it out of the queue
+ * @param {string} id - The discrepancy ID
+ * @param {Object} reviewer - The resolving health officer
+ * @param {Object} data - { note } recording the outcome
+ * @returns {Promise<Object>} Resolved discrepancy
+ */
+export const resolveDiscrepancy = async (id, reviewer, { note } = {}) => {
+  try {
+    assertDiscrepancyId(id);
+    if (!note || !String(note).trim()) {
+      throw new ValidationError('A note recording the outcome is required');
+    }
+
+    const discrepancy = await weightDiscrepancyRepository.resolve(id, {
+      resolutionNote: note,
+      resolvedBy: reviewer.id
+    });
+
+    await notifyParties(discrepancy, {
+      type: 'compliance_alert',
+      title: 'Weight Discrepancy Resolved',
+      message: `The weight discrepancy on pickup request #${discrepancy.pickupRequestId} was resolved: ${discrepancy.resolutionNote}`,
+      category: 'administrative'
+    });
+
+    return discrepancy;
+  } catch (error) {
+    rethrowKnown(error);
+    throw new InternalError('Failed to resolve weight discrepancy', error);
+  }
+};
@@ -0,0 +1,140 @@
+import bwipjs from 'bwip-js';
+import PDFDocument from 'pdfkit';
+
+// Printable certificate of destruction (A4, one or more pages). The signed
+// content travels inside the PDF as an attached certificate.json so the
+// certificate can be checked offline against the published public key.
+
+const MARGIN = 50;
+const METHOD_NAMES = {
+  incineration: 'Incineration',
+  autoclave: 'Autoclave',
+  shredding: 'Shredding',
+  deep_burial: 'Deep burial'
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—');
+const formatKg = (kg) => `${Number(kg).toFixed(2)} kg`;
+
+/**
+ * Link that opens the public verification page for a certificate
+ * @param {string} baseUrl - Verification page URL
+ * @param {Object} certificate - { certificateNumber, checksum }
+ * @returns {string} Verification link
+ */
+export const verificationLink = (baseUrl, { certificateNumber, checksum }) =>
+  `${baseUrl}?number=${encodeURIComponent(certificateNumber)}&checksum=${checksum}`;
+
+/**
+ * Renders a certificate of destruction as a PDF
+ * @param {Object} certificate - Certificate document
+ * @param {Object} options - { verifyUrl, publicKey } where publicKey is { keyId, algorithm, publicKey }
+ * @returns {Promise<Buffer>} PDF document
+ */
+export const renderCertificatePdf = async (certificate, { verifyUrl, publicKey }) => {
+  const link = verificationLink(verifyUrl, certificate);
+  const qrCode = await bwipjs.toBuffer({ bcid: 'qrcode', text: link, scale: 3, eclevel: 'M' });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `Certificate of Destruction ${certificate.certificateNumber}`,
+      Subject: 'Certificate of destruction of healthcare waste'
+    }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - 2 * MARGIN;
+  const { treatment, facility, clinic, collector } = certificate;
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Certificate of Destruction', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(11).text(`No. ${certificate.certificateNumber}`, { align: 'center' });
+  doc.moveDown(1.5);
+
+  doc.fontSize(10).text(
+    `This certifies that the healthcare waste listed below, generated by ${clinic?.name || 'the clinic'}, ` +
+    `was received by ${facility?.name || 'the treatment facility'} and destroyed by ` +
+    `${(METHOD_NAMES[treatment.method] || treatment.method).toLowerCase()} on ${formatDate(treatment.treatedAt)}.`,
+    { width }
+  );
+  doc.moveDown();
+
+  const details = [
+    ['Generator', clinic?.name],
+    ['Collector', collector?.name],
+    ['Treatment facility', facility?.name],
+    ['Facility licence', facility?.licenseNumber],
+    ['Manifest', certificate.manifestNumber],
+    ['Pickup request', String(certificate.pickupRequestId)],
+    ['Delivered', formatDate(treatment.deliveredAt)],
+    ['Treatment method', METHOD_NAMES[treatment.method] || treatment.method],
+    ['Treated', formatDate(treatment.treatedAt)],
+    ['Weight received', formatKg(treatment.intakeWeightKg)]
+  ];
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, MARGIN, y, { width: 130 });
+    doc.font('Helvetica').text(value || '—', MARGIN + 140, y, { width: width - 140 });
+  });
+  doc.moveDown();
+
+  // Waste log table
+  const columns = [
+    { title: 'Waste log', width: 150, value: log => String(log.wasteLogId) },
+    { title: 'Category', width: 170, value: log => log.categoryName || log.category },
+    { title: 'Logged', width: 100, value: log => formatDate(log.loggedAt).slice(0, 10) },
+    { title: 'Weight', width: width - 420, value: log => formatKg(log.volumeKg), align: 'right' }
+  ];
+  const row = (cells, font) => {
+    if (doc.y > doc.page.height - MARGIN - 40) doc.addPage();
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(font).fontSize(9);
+    columns.forEach((column, index) => {
+      doc.text(cells[index], x, y, { width: column.width - 6, align: column.align || 'left', lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.moveDown(0.4);
+  };
+
+  row(columns.map(column => column.title), 'Helvetica-Bold');
+  certificate.wasteLogs.forEach(log => row(columns.map(column => column.value(log)), 'Helvetica'));
+  row(['Total declared', certificate.wasteType, '', formatKg(certificate.declaredKg)], 'Helvetica-Bold');
+  doc.moveDown(1.5);
+
+  // Verification block
+  if (doc.y > doc.page.height - MARGIN - 170) doc.addPage();
+  const top = doc.y;
+  doc.image(qrCode, MARGIN, top, { fit: [110, 110] });
+  const textX = MARGIN + 125;
+  const textWidth = width - 125;
+  doc.font('Helvetica-Bold').fontSize(10).text('Verification', textX, top, { width: textWidth });
+  doc.font('Helvetica').fontSize(8)
+    .text(`Issued ${formatDate(certificate.issuedAt)}. Scan the code or open the link below to check this certificate.`, { width: textWidth })
+    .text(link, { width: textWidth, link })
+    .moveDown(0.5)
+    .text(`SHA-256 checksum: ${certificate.checksum}`, { width: textWidth })
+    .text(`${publicKey.algorithm} signature (key ${certificate.keyId}): ${certificate.signature}`, { width: textWidth });
+  doc.moveDown(0.5).text(
+    'The signed content is attached to this file as certificate.json. Its SHA-256 digest is the checksum ' +
+    'above, and the signature over its bytes verifies with the public key below.',
+    { width: textWidth }
+  );
+  doc.font('Courier').fontSize(7).text(publicKey.publicKey.trim(), { width: textWidth });
+
+  doc.file(Buffer.from(certificate.signedContent()), {
+    name: 'certificate.json',
+    type: 'application/json',
+    description: `Signed content of certificate ${certificate.certificateNumber}`
+  });
+
+  doc.end();
+  return finished;
+};
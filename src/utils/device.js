@@ -0,0 +1,45 @@
+/**
+ * Extracts the device context used to bind a session to a client
+ * @param {Object} req - Express request
+ * @returns {{deviceId: string|undefined, userAgent: string|undefined, ip: string}} Device context
+ */
+export const getDeviceContext = (req) => ({
+  deviceId: req.get('x-device-id') || req.body?.deviceId,
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Checked in order: Edge and Opera also identify as Chrome, Chrome also as Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Summarises a User-Agent header for session listings
+ * @param {string} userAgent - The User-Agent header
+ * @returns {{browser: string, os: string, deviceType: string, label: string}} Device summary
+ */
+export const describeUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown browser';
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown OS';
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua)) deviceType = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(ua)) deviceType = 'mobile';
+  else if (!ua) deviceType = 'unknown';
+
+  return { browser, os, deviceType, label: ua ? `${browser} on ${os}` : 'Unknown device' };
+};
@@ -91,4 +91,11 @@ export const isOperationalError = (error) => {
     return true;
   }
   return false;
-}; 
\ No newline at end of file
+};
+
+// Let expected errors from a service body propagate unchanged; callers wrap anything else in an InternalError
+export const rethrowKnown = (error) => {
+  if (isOperationalError(error)) {
+    throw error;
+  }
+};
@@ -0,0 +1,23 @@
+// Great-circle distances between GeoJSON coordinates ([longitude, latitude])
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Haversine distance between two points
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @returns {number} Distance in km
+ */
+export const haversineKm = ([fromLng, fromLat], [toLng, toLat]) => {
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export default {
+  haversineKm
+};
@@ -0,0 +1,124 @@
+import bwipjs from 'bwip-js';
+import PDFDocument from 'pdfkit';
+
+// Printable A4 label sheets (3 × 7 labels, 70 × 42 mm) for container codes.
+// Each label carries the code as a QR code or a Code 128 barcode plus a few text lines.
+
+export const SYMBOLOGIES = ['qrcode', 'code128'];
+
+const MM_TO_PT = 72 / 25.4;
+const PAGE = { width: 210, height: 297 };
+const GRID = { columns: 3, rows: 7, marginX: 0, marginY: 8.5 };
+const CELL = {
+  width: (PAGE.width - 2 * GRID.marginX) / GRID.columns,
+  height: (PAGE.height - 2 * GRID.marginY) / GRID.rows
+};
+const PADDING = 3;
+export const LABELS_PER_PAGE = GRID.columns * GRID.rows;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const barcodeOptions = (symbology, text) => (symbology === 'code128'
+  ? { bcid: 'code128', text, scale: 3, height: 12, includetext: false }
+  : { bcid: 'qrcode', text, scale: 4, eclevel: 'M' });
+
+// Where the barcode and text go inside a label, in mm relative to its top-left corner
+const layout = (symbology) => {
+  if (symbology === 'code128') {
+    return {
+      barcode: { x: PADDING, y: PADDING, width: CELL.width - 2 * PADDING, height: 14 },
+      text: { x: PADDING, y: PADDING + 18, width: CELL.width - 2 * PADDING }
+    };
+  }
+  const size = CELL.height - 2 * PADDING;
+  return {
+    barcode: { x: PADDING, y: PADDING, width: size, height: size },
+    text: { x: size + 2 * PADDING, y: PADDING + 4, width: CELL.width - size - 3 * PADDING }
+  };
+};
+
+const cellOrigin = (index) => {
+  const slot = index % LABELS_PER_PAGE;
+  return {
+    x: GRID.marginX + (slot % GRID.columns) * CELL.width,
+    y: GRID.marginY + Math.floor(slot / GRID.columns) * CELL.height
+  };
+};
+
+/**
+ * Renders one page of labels as an SVG document
+ * @param {Array<Object>} labels - [{ code, title, lines }], at most LABELS_PER_PAGE
+ * @param {Object} options - { symbology }
+ * @returns {string} SVG document
+ */
+export const renderLabelSheetSvg = (labels, { symbology = 'qrcode' } = {}) => {
+  const { barcode, text } = layout(symbology);
+
+  const cells = labels.slice(0, LABELS_PER_PAGE).map((label, index) => {
+    const origin = cellOrigin(index);
+
+    // Nest the barcode's own <svg> inside the label cell
+    const symbol = bwipjs.toSVG(barcodeOptions(symbology, label.code)).replace(
+      /^<svg\b/,
+      `<svg x="${barcode.x}" y="${barcode.y}" width="${barcode.width}" height="${barcode.height}" preserveAspectRatio="xMinYMin meet"`
+    );
+
+    const lines = [label.code, label.title, ...(label.lines || [])]
+      .filter(Boolean)
+      .map((line, lineIndex) => `<text x="${text.x}" y="${text.y + lineIndex * 4.5}" font-size="${lineIndex === 0 ? 3.6 : 3}" font-weight="${lineIndex === 0 ? 'bold' : 'normal'}">${escapeXml(line)}</text>`)
+      .join('');
+
+    return `<g transform="translate(${origin.x} ${origin.y})">${symbol}${lines}</g>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}mm" height="${PAGE.height}mm" viewBox="0 0 ${PAGE.width} ${PAGE.height}" font-family="Helvetica, Arial, sans-serif">`,
+    ...cells,
+    '</svg>'
+  ].join('');
+};
+
+/**
+ * Renders labels as a multi-page A4 PDF
+ * @param {Array<Object>} labels - [{ code, title, lines }]
+ * @param {Object} options - { symbology }
+ * @returns {Promise<Buffer>} PDF document
+ */
+export const renderLabelSheetPdf = async (labels, { symbology = 'qrcode' } = {}) => {
+  const { barcode, text } = layout(symbology);
+  const images = await Promise.all(labels.map(label => bwipjs.toBuffer(barcodeOptions(symbology, label.code))));
+
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  labels.forEach((label, index) => {
+    if (index % LABELS_PER_PAGE === 0) doc.addPage();
+    const origin = cellOrigin(index);
+    const x = (origin.x + barcode.x) * MM_TO_PT;
+    const y = (origin.y + barcode.y) * MM_TO_PT;
+
+    doc.image(images[index], x, y, { fit: [barcode.width * MM_TO_PT, barcode.height * MM_TO_PT] });
+
+    doc.font('Helvetica-Bold').fontSize(10)
+      .text(label.code, (origin.x + text.x) * MM_TO_PT, (origin.y + text.y - 3) * MM_TO_PT, {
+        width: text.width * MM_TO_PT,
+        lineBreak: false
+      });
+    doc.font('Helvetica').fontSize(8);
+    [label.title, ...(label.lines || [])].filter(Boolean).forEach(line => {
+      doc.text(line, { width: text.width * MM_TO_PT, lineBreak: false, ellipsis: true });
+    });
+  });
+
+  doc.end();
+  return finished;
+};
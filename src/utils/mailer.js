@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/serverConfig.js';
+import { ses } from '../config/awsConfig.js';
+import { ValidationError, InternalError } from './errors.js';
+
+// Console transport: prints the message, handy during development
+const consoleTransport = async (message) => {
+  console.info('📧 Mail:', {
+    to: message.to,
+    subject: message.subject,
+    text: message.text
+  });
+  return { id: null, transport: 'console' };
+};
+
+// File transport: writes every message as JSON into the outbox directory
+const fileTransport = async (message) => {
+  const dir = path.resolve(config.MAIL_OUTBOX_DIR);
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  await fs.writeFile(
+    path.join(dir, `${id}.json`),
+    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+  );
+  return { id, transport: 'file' };
+};
+
+// SES transport: delivers through Amazon SES; MAIL_FROM must be a verified sender
+const sesTransport = async (message) => {
+  const body = {};
+  if (message.text) body.Text = { Data: message.text, Charset: 'UTF-8' };
+  if (message.html) body.Html = { Data: message.html, Charset: 'UTF-8' };
+
+  const result = await ses.sendEmail({
+    Source: message.from,
+    Destination: { ToAddresses: [].concat(message.to) },
+    Message: {
+      Subject: { Data: message.subject, Charset: 'UTF-8' },
+      Body: body
+    }
+  }).promise();
+  return { id: result.MessageId, transport: 'ses' };
+};
+
+const transports = new Map([
+  ['console', consoleTransport],
+  ['file', fileTransport],
+  ['ses', sesTransport]
+]);
+
+/**
+ * Registers a mail transport (e.g. SMTP or a provider API)
+ * @param {string} name - Transport name, selected through MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => ({ id, transport })
+ */
+export const registerMailTransport = (name, transport) => {
+  if (!name || typeof transport !== 'function') {
+    throw new ValidationError('Mail transport needs a name and a send function');
+  }
+  transports.set(name, transport);
+};
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || (!text && !html)) {
+    throw new ValidationError('to, subject and a body are required');
+  }
+
+  const transport = transports.get(config.MAIL_TRANSPORT);
+  if (!transport) {
+    throw new InternalError(`Unknown mail transport: ${config.MAIL_TRANSPORT}`);
+  }
+
+  try {
+    return await transport({ from: config.MAIL_FROM, to, subject, text, html });
+  } catch (error) {
+    throw new InternalError('Failed to send email', error);
+  }
+};
+
+export default {
+  registerMailTransport,
+  sendMail
+};
@@ -0,0 +1,64 @@
+import sharp from 'sharp';
+import exifr from 'exifr';
+
+// Inspection and thumbnailing of uploaded photos and documents
+
+const THUMBNAIL_SIZE = 320;
+
+// File types accepted as attachments, recognised by their leading bytes
+// rather than the name or Content-Type the client sent
+export const ATTACHMENT_TYPES = Object.freeze({
+  'image/jpeg': { extension: '.jpg', kind: 'image', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  'image/png': { extension: '.png', kind: 'image', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: '.webp', kind: 'image', matches: bytes => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP' },
+  'application/pdf': { extension: '.pdf', kind: 'document', matches: bytes => bytes.toString('ascii', 0, 5) === '%PDF-' }
+});
+
+/**
+ * Works out a file's type from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null when it is not an accepted type
+ */
+export const detectMimeType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const match = Object.entries(ATTACHMENT_TYPES).find(([, type]) => type.matches(buffer));
+  return match ? match[0] : null;
+};
+
+/**
+ * Renders a JPEG thumbnail, rotated upright according to the photo's EXIF orientation
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Buffer>} Thumbnail
+ */
+export const createThumbnail = async (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality: 80 })
+  .toBuffer();
+
+/**
+ * Reads an image's dimensions and the capture time and GPS position recorded
+ * by the camera. Missing or unreadable EXIF data is not an error.
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Object>} { width, height, capturedAt?, location? }
+ */
+export const readImageMetadata = async (buffer) => {
+  const { width, height } = await sharp(buffer).metadata();
+
+  let exif = null;
+  try {
+    exif = await exifr.parse(buffer, { gps: true, pick: ['DateTimeOriginal', 'CreateDate', 'latitude', 'longitude'] });
+  } catch {
+    exif = null;
+  }
+
+  const capturedAt = exif?.DateTimeOriginal || exif?.CreateDate;
+  const hasPosition = Number.isFinite(exif?.latitude) && Number.isFinite(exif?.longitude);
+
+  return {
+    width,
+    height,
+    ...(capturedAt instanceof Date && !isNaN(capturedAt) && { capturedAt }),
+    ...(hasPosition && { location: { type: 'Point', coordinates: [exif.longitude, exif.latitude] } })
+  };
+};
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Helpers for the OpenID Connect authorization-code flow with PKCE (RFC 7636)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Generates a URL-safe random value (state, nonce)
+ * @param {number} bytes - Entropy in bytes
+ * @returns {string} base64url string
+ */
+export const randomUrlToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Generates a PKCE code verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export const generatePkcePair = () => {
+  const codeVerifier = randomUrlToken(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Reads the key ID from an unverified JWT header
+ * @param {string} token - Compact JWT
+ * @returns {string|null} kid
+ */
+export const getTokenKeyId = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  return decoded?.header?.kid || null;
+};
+
+/**
+ * Verifies an ID token against the provider's signing keys
+ * @param {string} idToken - Compact JWT from the token endpoint
+ * @param {Array<Object>} keys - JWKS keys
+ * @param {Object} expected - { issuer, audience, nonce }
+ * @returns {Object} Verified claims
+ */
+export const verifyIdToken = (idToken, keys, { issuer, audience, nonce }) => {
+  const kid = getTokenKeyId(idToken);
+  const candidates = keys.filter(key => (!key.use || key.use === 'sig') && (!kid || key.kid === kid));
+
+  if (candidates.length === 0) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  let claims = null;
+  let lastError = null;
+  for (const jwk of candidates) {
+    try {
+      claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer,
+        audience,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+      break;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  if (!claims) throw lastError;
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== audience) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  return claims;
+};
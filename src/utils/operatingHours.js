@@ -0,0 +1,68 @@
+// Weekly opening hours, as stored on clinics and treatment facilities:
+// { monday: { open: 'HH:MM', close: 'HH:MM' }, ... }. A day without both
+// times is closed. Times are server-local.
+
+// Indexed like Date.prototype.getDay()
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Converts an 'HH:MM' time to minutes after midnight
+ * @param {string} time - The time
+ * @returns {number} Minutes after midnight
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Validates weekly opening hours: known days, 'HH:MM' times, and each open day
+ * closing after it opens
+ * @param {Object} hours - Opening hours by day
+ * @returns {boolean} Whether the hours are valid
+ */
+export const validateOperatingHours = (hours) => {
+  if (!hours || typeof hours !== 'object') return false;
+  return Object.entries(hours).every(([day, slot]) => {
+    if (!WEEKDAYS.includes(day)) return false;
+    if (!slot || (!slot.open && !slot.close)) return true;
+    return TIME_PATTERN.test(slot.open) && TIME_PATTERN.test(slot.close) &&
+      toMinutes(slot.open) < toMinutes(slot.close);
+  });
+};
+
+/**
+ * Whether any day has opening hours set; places without any are treated as
+ * having no restriction rather than as always closed
+ * @param {Object} hours - Opening hours by day
+ * @returns {boolean} Whether hours have been set
+ */
+export const hasOpeningHours = (hours) =>
+  WEEKDAYS.some(day => hours?.[day]?.open && hours?.[day]?.close);
+
+/**
+ * Opening hours on the day of a date
+ * @param {Object} hours - Opening hours by day
+ * @param {Date} date - Any time on the day
+ * @returns {Object|null} { open, close } in minutes after midnight, or null when closed
+ */
+export const hoursOn = (hours, date) => {
+  const slot = hours?.[WEEKDAYS[date.getDay()]];
+  if (!slot?.open || !slot?.close) return null;
+  return { open: toMinutes(slot.open), close: toMinutes(slot.close) };
+};
+
+/**
+ * Whether a place is open at a given time
+ * @param {Object} hours - Opening hours by day
+ * @param {Date} date - The time
+ * @returns {boolean} Whether it is open
+ */
+export const isOpenAt = (hours, date = new Date()) => {
+  const today = hoursOn(hours, date);
+  if (!today) return false;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return minutes >= today.open && minutes < today.close;
+};
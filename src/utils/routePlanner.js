@@ -0,0 +1,159 @@
+import { haversineKm } from './geo.js';
+
+// Collection route planning for one collector's day: a nearest-neighbour tour
+// from the depot, improved with 2-opt, that respects each stop's time window
+// and the shift. Distances are straight-line (haversine) distances stretched by
+// a road factor; times are minutes after midnight of the planned day.
+//
+// A stop is { id, coordinates, window: { open, close } }: service must start
+// no earlier than open and finish no later than close.
+
+const MAX_TWO_OPT_PASSES = 50;
+
+/**
+ * Travel between two points
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @param {Object} options - { speedKmh, roadFactor }
+ * @returns {Object} { km, minutes }
+ */
+export const travel = (from, to, { speedKmh, roadFactor }) => {
+  const km = haversineKm(from, to) * roadFactor;
+  return { km, minutes: (km / speedKmh) * 60 };
+};
+
+/**
+ * Times a route: when each stop is reached, served and left, and whether every
+ * stop fits its window and the collector is back at the depot by the end of
+ * the shift
+ * @param {Array<Object>} order - Stops in visiting order
+ * @param {Object} options - { origin, depot, start, end, speedKmh, roadFactor, serviceMinutes }
+ * @returns {Object} { feasible, legs, totalKm, returnKm, finish, failedAt }
+ */
+export const simulate = (order, options) => {
+  const { origin, depot, start, end, serviceMinutes } = options;
+  const legs = [];
+  let position = origin;
+  let time = start;
+  let totalKm = 0;
+
+  for (const [index, stop] of order.entries()) {
+    const leg = travel(position, stop.coordinates, options);
+    const arrival = time + leg.minutes;
+    const serviceStart = Math.max(arrival, stop.window.open);
+    const departure = serviceStart + serviceMinutes;
+    if (departure > stop.window.close || departure > end) {
+      return { feasible: false, failedAt: index, legs, totalKm };
+    }
+
+    legs.push({
+      stop,
+      from: position,
+      legKm: leg.km,
+      legMinutes: leg.minutes,
+      arrival,
+      serviceStart,
+      waitMinutes: serviceStart - arrival,
+      departure
+    });
+    totalKm += leg.km;
+    position = stop.coordinates;
+    time = departure;
+  }
+
+  const back = travel(position, depot, options);
+  const finish = time + back.minutes;
+  return {
+    feasible: finish <= end,
+    failedAt: finish <= end ? undefined : order.length,
+    legs,
+    totalKm: totalKm + back.km,
+    returnKm: back.km,
+    finish
+  };
+};
+
+// Reversing any segment of the route, keep the shortest one that still fits
+const twoOpt = (order, options) => {
+  let best = order;
+  let bestKm = simulate(best, options).totalKm;
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const result = simulate(candidate, options);
+        if (result.feasible && result.totalKm < bestKm - 1e-9) {
+          best = candidate;
+          bestKm = result.totalKm;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+/**
+ * Plans the order to visit stops in. Each step goes to the stop whose service
+ * can start soonest; stops that cannot be fitted into their windows and the
+ * shift are left out.
+ * @param {Array<Object>} stops - Stops to visit
+ * @param {Object} options - { origin, depot, start, end, speedKmh, roadFactor, serviceMinutes }
+ * @returns {Object} { legs, totalKm, returnKm, finish, unscheduled }
+ */
+export const planRoute = (stops, options) => {
+  const order = [];
+  let remaining = [...stops];
+
+  while (remaining.length > 0) {
+    let next = null;
+    let nextStart = Infinity;
+    let nextKm = Infinity;
+
+    for (const stop of remaining) {
+      const result = simulate([...order, stop], options);
+      if (!result.feasible) continue;
+      const { serviceStart, legKm } = result.legs[result.legs.length - 1];
+      if (serviceStart < nextStart || (serviceStart === nextStart && legKm < nextKm)) {
+        next = stop;
+        nextStart = serviceStart;
+        nextKm = legKm;
+      }
+    }
+
+    if (!next) break;
+    order.push(next);
+    remaining = remaining.filter(stop => stop !== next);
+  }
+
+  const improved = twoOpt(order, options);
+  return { ...simulate(improved, options), unscheduled: remaining };
+};
+
+/**
+ * Puts an extra stop into a route as early as possible without making any
+ * other stop miss its window
+ * @param {Array<Object>} order - Stops still to visit, in order
+ * @param {Object} stop - The stop to add
+ * @param {Object} options - { origin, depot, start, end, speedKmh, roadFactor, serviceMinutes }
+ * @returns {Object|null} Timed route with the stop added, and its position, or null if it does not fit
+ */
+export const insertStop = (order, stop, options) => {
+  for (let position = 0; position <= order.length; position++) {
+    const candidate = [...order.slice(0, position), stop, ...order.slice(position)];
+    const result = simulate(candidate, options);
+    if (result.feasible) return { ...result, position };
+  }
+  return null;
+};
+
+export default {
+  travel,
+  simulate,
+  planRoute,
+  insertStop
+};
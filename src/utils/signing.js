@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import config from '../config/serverConfig.js';
+
+// Ed25519 document signing for certificates of destruction. Anyone holding the
+// public key can check a signature without calling the API. Public keys of
+// retired signing keys stay available by keyId, so certificates signed before
+// a key rotation still verify.
+
+// PKCS #8 DER header of an Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const PEM_PUBLIC_KEY = /-----BEGIN PUBLIC KEY-----[\s\S]+?-----END PUBLIC KEY-----/g;
+
+let signingKey;
+let verificationKeys;
+
+// Fingerprint of a public key, stored on everything it signs
+const keyIdOf = (publicKey) => crypto
+  .createHash('sha256')
+  .update(publicKey.export({ format: 'der', type: 'spki' }))
+  .digest('hex')
+  .slice(0, 16);
+
+const loadSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  if (config.CERTIFICATE_SIGNING_KEY) {
+    const privateKey = crypto.createPrivateKey(config.CERTIFICATE_SIGNING_KEY.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('CERTIFICATE_SIGNING_KEY must be an Ed25519 private key');
+    }
+    signingKey = { privateKey };
+  } else {
+    const seed = Buffer.from(crypto.hkdfSync('sha256', config.JWT_SECRET, '', 'certificate-signing', 32));
+    signingKey = {
+      privateKey: crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+        format: 'der',
+        type: 'pkcs8'
+      })
+    };
+  }
+
+  signingKey.publicKey = crypto.createPublicKey(signingKey.privateKey);
+  signingKey.keyId = keyIdOf(signingKey.publicKey);
+  return signingKey;
+};
+
+// The current public key and those in CERTIFICATE_PREVIOUS_PUBLIC_KEYS, by keyId
+const loadVerificationKeys = () => {
+  if (verificationKeys) return verificationKeys;
+
+  const { publicKey, keyId } = loadSigningKey();
+  const keys = new Map([[keyId, publicKey]]);
+
+  const previous = (config.CERTIFICATE_PREVIOUS_PUBLIC_KEYS || '').replace(/\\n/g, '\n');
+  for (const pem of previous.match(PEM_PUBLIC_KEY) || []) {
+    const retiredKey = crypto.createPublicKey(pem);
+    if (retiredKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('CERTIFICATE_PREVIOUS_PUBLIC_KEYS must contain Ed25519 public keys');
+    }
+    keys.set(keyIdOf(retiredKey), retiredKey);
+  }
+
+  verificationKeys = keys;
+  return verificationKeys;
+};
+
+/**
+ * Signs content with the server key
+ * @param {string} content - The content to sign
+ * @returns {Object} { signature (base64), keyId }
+ */
+export const signContent = (content) => {
+  const { privateKey, keyId } = loadSigningKey();
+  return {
+    signature: crypto.sign(null, Buffer.from(content), privateKey).toString('base64'),
+    keyId
+  };
+};
+
+/**
+ * Checks a signature made by signContent
+ * @param {string} content - The signed content
+ * @param {string} signature - Signature, base64
+ * @param {string} keyId - Fingerprint of the key it claims to be made with
+ * @returns {boolean} Whether the signature is valid for that key, current or retired
+ */
+export const verifyContent = (content, signature, keyId) => {
+  const publicKey = loadVerificationKeys().get(keyId);
+  if (!publicKey || typeof signature !== 'string') return false;
+  try {
+    return crypto.verify(null, Buffer.from(content), publicKey, Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A public key, for offline verification
+ * @param {string} [keyId] - Fingerprint of a current or retired key; the current key by default
+ * @returns {Object|null} { keyId, algorithm, publicKey (PEM) }, or null for an unknown keyId
+ */
+export const getPublicKey = (keyId = loadSigningKey().keyId) => {
+  const publicKey = loadVerificationKeys().get(keyId);
+  if (!publicKey) return null;
+  return {
+    keyId,
+    algorithm: 'Ed25519',
+    publicKey: publicKey.export({ format: 'pem', type: 'spki' })
+  };
+};
+
+export default {
+  signContent,
+  verifyContent,
+  getPublicKey
+};
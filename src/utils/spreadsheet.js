@@ -0,0 +1,71 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+
+// Reads the first worksheet of a CSV or XLSX file into plain rows keyed by header.
+
+// Cells can hold formulas, rich text or hyperlinks; reduce them to their displayed value
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return value.text;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  return null;
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Parses a spreadsheet. The first non-empty row is the header row.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - 'csv' or 'xlsx'
+ * @param {Object} options - { maxRows }; rows past the limit are dropped and flagged
+ * @returns {Promise<Object>} { headers, rows: [{ rowNumber, values }], tooManyRows }
+ */
+export const readSpreadsheet = async (buffer, fileType, { maxRows = Infinity } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = fileType === 'xlsx'
+    ? (await workbook.xlsx.load(buffer)).worksheets[0]
+    : await workbook.csv.read(Readable.from(buffer));
+
+  const headers = [];
+  const rows = [];
+  let tooManyRows = false;
+
+  worksheet?.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = row.values.slice(1).map(cellValue);
+
+    if (headers.length === 0) {
+      headers.push(...cells.map((cell, index) => (isBlank(cell) ? `Column ${index + 1}` : String(cell).trim())));
+      return;
+    }
+    if (cells.every(isBlank)) return;
+    if (rows.length >= maxRows) {
+      tooManyRows = true;
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      values: Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? null]))
+    });
+  });
+
+  return { headers, rows, tooManyRows };
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - Row values, in column order
+ * @returns {string} CSV text
+ */
+export const toCsv = (headers, rows) => [headers, ...rows]
+  .map(row => row.map(escapeCsv).join(','))
+  .join('\r\n');
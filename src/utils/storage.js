@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import config from '../config/serverConfig.js';
+import s3 from '../config/awsConfig.js';
+import { ValidationError, NotFoundError, InternalError } from './errors.js';
+
+// Storage drivers for uploaded files. Every driver stores objects under flat keys
+// and implements:
+//   put(key, buffer, { contentType })     → Promise
+//   get(key)                              → Promise<Readable>
+//   remove(key)                           → Promise
+//   getSignedUrl(key, { expiresIn, fileName, contentType }) → Promise<string>
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const assertKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new ValidationError('Invalid storage key');
+  }
+};
+
+const signKey = (key, expires) => crypto
+  .createHmac('sha256', config.ATTACHMENT_URL_SECRET)
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+// Local driver: files on disk, downloaded through a signed link to the API
+const localDir = () => path.resolve(config.ATTACHMENT_LOCAL_DIR);
+
+const localDriver = {
+  async put(key, buffer) {
+    await fsp.mkdir(localDir(), { recursive: true });
+    await fsp.writeFile(path.join(localDir(), key), buffer, { flag: 'wx' });
+  },
+
+  async get(key) {
+    const filePath = path.join(localDir(), key);
+    try {
+      await fsp.access(filePath);
+    } catch {
+      throw new NotFoundError('File not found');
+    }
+    return fs.createReadStream(filePath);
+  },
+
+  async remove(key) {
+    await fsp.rm(path.join(localDir(), key), { force: true });
+  },
+
+  async getSignedUrl(key, { expiresIn }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${config.ATTACHMENT_PUBLIC_URL}/${encodeURIComponent(key)}?expires=${expires}&signature=${signKey(key, expires)}`;
+  }
+};
+
+// S3 driver: objects in AWS_BUCKET_NAME, downloaded straight from S3 with presigned URLs
+const s3Key = (key) => `${config.ATTACHMENT_S3_PREFIX}${key}`;
+
+const s3Driver = {
+  async put(key, buffer, { contentType }) {
+    await s3.putObject({
+      Bucket: config.AWS_BUCKET_NAME,
+      Key: s3Key(key),
+      Body: buffer,
+      ContentType: contentType,
+      ServerSideEncryption: 'AES256'
+    }).promise();
+  },
+
+  async get(key) {
+    return s3.getObject({ Bucket: config.AWS_BUCKET_NAME, Key: s3Key(key) }).createReadStream();
+  },
+
+  async remove(key) {
+    await s3.deleteObject({ Bucket: config.AWS_BUCKET_NAME, Key: s3Key(key) }).promise();
+  },
+
+  async getSignedUrl(key, { expiresIn, fileName, contentType }) {
+    return s3.getSignedUrlPromise('getObject', {
+      Bucket: config.AWS_BUCKET_NAME,
+      Key: s3Key(key),
+      Expires: expiresIn,
+      ResponseContentType: contentType,
+      ResponseContentDisposition: `inline; filename="${String(fileName || key).replace(/"/g, '')}"`
+    });
+  }
+};
+
+const drivers = new Map([
+  ['local', localDriver],
+  ['s3', s3Driver]
+]);
+
+/**
+ * Registers a storage driver (e.g. another S3-compatible service)
+ * @param {string} name - Driver name, selected through ATTACHMENT_STORAGE
+ * @param {Object} driver - { put, get, remove, getSignedUrl }
+ */
+export const registerStorageDriver = (name, driver) => {
+  const methods = ['put', 'get', 'remove', 'getSignedUrl'];
+  if (!name || !driver || methods.some(method => typeof driver[method] !== 'function')) {
+    throw new ValidationError(`Storage driver needs a name and the methods: ${methods.join(', ')}`);
+  }
+  drivers.set(name, driver);
+};
+
+/**
+ * Name of the driver new files are stored with
+ * @returns {string} Driver name
+ */
+export const defaultStorageDriver = () => config.ATTACHMENT_STORAGE;
+
+/**
+ * Gets a storage driver. Files keep the driver they were stored with, so
+ * switching ATTACHMENT_STORAGE does not orphan older files.
+ * @param {string} name - Driver name (defaults to ATTACHMENT_STORAGE)
+ * @returns {Object} Driver wrapping put/get/remove/getSignedUrl with key checks
+ */
+export const getStorage = (name = defaultStorageDriver()) => {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new InternalError(`Unknown storage driver: ${name}`);
+  }
+
+  return {
+    name,
+    put: (key, buffer, options = {}) => {
+      assertKey(key);
+      return driver.put(key, buffer, options);
+    },
+    get: (key) => {
+      assertKey(key);
+      return driver.get(key);
+    },
+    remove: (key) => {
+      assertKey(key);
+      return driver.remove(key);
+    },
+    getSignedUrl: (key, options = {}) => {
+      assertKey(key);
+      return driver.getSignedUrl(key, { expiresIn: config.ATTACHMENT_URL_EXPIRY_SECONDS, ...options });
+    }
+  };
+};
+
+/**
+ * Checks a link produced by the local driver's getSignedUrl
+ * @param {string} key - Storage key
+ * @param {string|number} expires - Expiry, in seconds since the epoch
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} Whether the link is authentic and unexpired
+ */
+export const verifySignedKey = (key, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!KEY_PATTERN.test(String(key)) || !Number.isInteger(expiresAt) || typeof signature !== 'string') {
+    return false;
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(signKey(key, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Generates a storage key that cannot be guessed
+ * @param {string} extension - File extension, with its dot
+ * @returns {string} Storage key
+ */
+export const generateStorageKey = (extension = '') => `${crypto.randomBytes(16).toString('hex')}${extension}`;
+
+export default {
+  registerStorageDriver,
+  defaultStorageDriver,
+  getStorage,
+  verifySignedKey,
+  generateStorageKey
+};
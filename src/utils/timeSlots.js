@@ -0,0 +1,70 @@
+import { hoursOn, hasOpeningHours } from './operatingHours.js';
+
+// Bookable pickup slots from a collector's calendar: their weekly hours cut
+// into fixed-length slots, less exceptions (holidays, vehicle maintenance) and
+// slots already booked, within the clinic's opening hours. Slots always start
+// on the collector's own grid (from the start of their working day), so every
+// clinic sees the same slot boundaries for a collector.
+
+const overlaps = (start, end, periods) =>
+  periods.some(period => start < period.end && end > period.start);
+
+/**
+ * A time on a day, in server-local time
+ * @param {Date} day - Any time on the day
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Date} The time
+ */
+export const atMinutes = (day, minutes) =>
+  new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+
+/**
+ * Formats the time of day of a date as HH:MM
+ * @param {Date} date - The date
+ * @returns {string} HH:MM
+ */
+export const timeOfDay = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+/**
+ * Lists a collector's open slots in a period
+ * @param {Object} calendar - { weeklyHours, slotMinutes, exceptions: [{ start, end }] }
+ * @param {Object} options - { from, to, earliest, clinicHours, booked: [{ start, end }] }
+ * @returns {Array<Object>} Slots as { start, end }, in time order
+ */
+export const availableSlots = (calendar, { from, to, earliest = from, clinicHours, booked = [] }) => {
+  const slots = [];
+  const blocked = [...(calendar.exceptions || []), ...booked];
+  const withinClinicHours = hasOpeningHours(clinicHours);
+  const slotMinutes = calendar.slotMinutes;
+
+  for (let day = atMinutes(from, 0); day < to; day = atMinutes(day, 24 * 60)) {
+    const working = hoursOn(calendar.weeklyHours, day);
+    if (!working) continue;
+
+    let { open, close } = working;
+    if (withinClinicHours) {
+      const clinic = hoursOn(clinicHours, day);
+      if (!clinic) continue;
+      open = Math.max(open, clinic.open);
+      close = Math.min(close, clinic.close);
+    }
+
+    for (let minute = working.open; minute + slotMinutes <= close; minute += slotMinutes) {
+      if (minute < open) continue;
+      const start = atMinutes(day, minute);
+      const end = atMinutes(day, minute + slotMinutes);
+      if (start < from || start < earliest || end > to) continue;
+      if (overlaps(start, end, blocked)) continue;
+      slots.push({ start, end });
+    }
+  }
+
+  return slots;
+};
+
+export default {
+  atMinutes,
+  timeOfDay,
+  availableSlots
+};
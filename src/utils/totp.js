@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps),
+// compatible with Google Authenticator, Authy, 1Password, etc.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Gets the current TOTP time step
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {number} Time step counter
+ */
+export const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generates a random base32 TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Generates the code for a secret at a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} 6-digit code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => hotp(secret, currentStep(timestamp));
+
+/**
+ * Verifies a code, tolerating clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window, timestamp }
+ * @returns {number|null} Matched time step (for replay protection), or null
+ */
+export const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const step = currentStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(hotp(secret, step + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(code))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI encoded in enrollment QR codes
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = 'MediClean' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generates one-time recovery codes such as "3f9a-c21b"
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Recovery codes
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+/**
+ * Hashes a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump does not expose them
+const deriveKey = (keyMaterial) => crypto.createHash('sha256').update(keyMaterial).digest();
+
+/**
+ * Encrypts a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @param {string} keyMaterial - Encryption key material
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+export const encryptSecret = (secret, keyMaterial) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypts a stored TOTP secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @param {string} keyMaterial - Encryption key material
+ * @returns {string} Base32 secret
+ */
+export const decryptSecret = (payload, keyMaterial) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
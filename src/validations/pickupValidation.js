@@ -11,20 +11,22 @@ import {
 } from './commonValidation.js';
 
 import { validateCoordinates } from './userValidation.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
 
 // Constants
-const WASTE_TYPES = ['sharps', 'biohazard', 'expired_meds', 'others'];
-const PICKUP_STATUSES = ['pending', 'assigned', 'collected', 'cancelled'];
+const PICKUP_STATUSES = ['pending', 'assigned', 'collected', 'delivered', 'treated', 'cancelled'];
 const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
 const MAX_DESCRIPTION_LENGTH = 500;
 const MAX_VOLUME_KG = 1000;
 const MAX_NOTE_LENGTH = 200;
 const MAX_BULK_OPERATIONS = 50;
+const MAX_PICKUP_WASTE_LOGS = 200;
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
 
-// Waste type validation
+// Waste type validation (codes from the waste category catalogue)
 export const validateWasteType = (type) => {
   return validateEnum(type, {
-    values: WASTE_TYPES,
+    values: wasteCategoryRepository.getActiveCodes(),
     fieldName: 'Waste type',
     caseSensitive: true
   });
@@ -195,7 +197,9 @@ export const validateStatusTransition = (currentStatus, newStatus) => {
   const validTransitions = {
     pending: ['assigned', 'cancelled'],
     assigned: ['collected', 'cancelled'],
-    collected: [],
+    collected: ['delivered'],
+    delivered: ['treated'],
+    treated: [],
     cancelled: []
   };
 
@@ -218,15 +222,33 @@ export const validatePriority = (priority) => {
   });
 };
 
-// Validate new pickup request
+// Waste logs picked for a pickup request
+export const validateWasteLogIds = (wasteLogIds) => {
+  return validateArray(wasteLogIds, {
+    minLength: 1,
+    maxLength: MAX_PICKUP_WASTE_LOGS,
+    unique: true,
+    elementValidator: (id) => validateId(id, 'Waste log ID'),
+    fieldName: 'Waste logs'
+  });
+};
+
+// Validate new pickup request. When waste logs are picked, the waste type and
+// volume come from them.
 export const validatePickupRequest = (data) => {
+  const fromWasteLogs = data?.wasteLogIds !== undefined;
+
   return validateObject(data, {
+    wasteLogIds: {
+      required: false,
+      validate: validateWasteLogIds
+    },
     wasteType: {
-      required: true,
+      required: !fromWasteLogs,
       validate: validateWasteType
     },
     volumeKg: {
-      required: true,
+      required: !fromWasteLogs,
       validate: validateVolume
     },
     description: {
@@ -261,7 +283,7 @@ export const validatePickupRequest = (data) => {
           },
           responseDeadline: {
             required: true,
-            validate: (date) => validatePickupDate(date, {
+            validate: (date) => validateDate(date, {
               future: true,
               fieldName: 'Response deadline'
             })
@@ -274,7 +296,42 @@ export const validatePickupRequest = (data) => {
   });
 };
 
-// Validate pickup request update
+// Preferred collection date and time window
+const validateScheduledPickup = (scheduledPickup) => {
+  return validateObject(scheduledPickup, {
+    preferredDate: {
+      required: false,
+      validate: (date) => validateDate(date, {
+        future: true,
+        fieldName: 'Preferred date'
+      })
+    },
+    preferredTimeSlot: {
+      required: false,
+      validate: (slot) => validateObject(slot, {
+        start: {
+          required: true,
+          validate: (time) => validateString(time, { pattern: TIME_PATTERN, fieldName: 'Start time' })
+        },
+        end: {
+          required: true,
+          validate: (time) => validateString(time, { pattern: TIME_PATTERN, fieldName: 'End time' })
+        }
+      }, {
+        fieldName: 'Preferred time slot'
+      })
+    },
+    isScheduled: {
+      required: false,
+      validate: (value) => createValidationResult(typeof value === 'boolean', 'isScheduled must be a boolean')
+    }
+  }, {
+    fieldName: 'Scheduled pickup'
+  });
+};
+
+// Validate pickup request update. The status transition is checked when the
+// current status is known.
 export const validatePickupRequestUpdate = (data, currentStatus) => {
   const baseValidation = validateObject(data, {
     wasteType: {
@@ -301,11 +358,19 @@ export const validatePickupRequestUpdate = (data, currentStatus) => {
       required: false,
       validate: (status) => {
         const statusValidation = validateStatus(status);
-        if (!statusValidation.isValid) return statusValidation;
+        if (!statusValidation.isValid || currentStatus === undefined) return statusValidation;
 
         return validateStatusTransition(currentStatus, status);
       }
     },
+    collectorId: {
+      required: false,
+      validate: (id) => validateId(id, 'Collector ID')
+    },
+    scheduledPickup: {
+      required: false,
+      validate: validateScheduledPickup
+    },
     note: {
       required: false,
       validate: validateNote
@@ -367,41 +432,54 @@ export const validateCancellation = (data) => {
   });
 };
 
+// Pickup requests selected for a bulk operation
+const validateBulkIds = (ids) => {
+  return validateArray(ids, {
+    minLength: 1,
+    maxLength: MAX_BULK_OPERATIONS,
+    unique: true,
+    elementValidator: (id) => validateId(id, 'Request ID'),
+    fieldName: 'Request IDs'
+  });
+};
+
 /**
- * Validate bulk status update
+ * Validate bulk status update ({ ids, status, reason })
  */
-export const validateBulkStatusUpdate = (updates) => {
-  if (!Array.isArray(updates)) {
-    return createValidationResult(false, 'Updates must be an array');
-  }
-
-  if (updates.length === 0) {
-    return createValidationResult(false, 'Updates array cannot be empty');
-  }
-
-  if (updates.length > MAX_BULK_OPERATIONS) {
-    return createValidationResult(
-      false,
-      `Cannot update more than ${MAX_BULK_OPERATIONS} requests at once`
-    );
-  }
+export const validateBulkStatusUpdate = (data) => {
+  return validateObject(data, {
+    ids: {
+      required: true,
+      validate: validateBulkIds
+    },
+    status: {
+      required: true,
+      validate: validateStatus
+    },
+    reason: {
+      required: false,
+      validate: validateNote
+    }
+  }, {
+    fieldName: 'Bulk status update'
+  });
+};
 
-  return validateArray(updates, {
-    validate: (update) => validateObject(update, {
-      id: {
-        required: true,
-        validate: (id) => validateId(id, 'Request ID')
-      },
-      status: {
-        required: true,
-        validate: validateStatus
-      },
-      note: {
-        required: false,
-        validate: validateNote
-      }
-    }),
-    fieldName: 'Status updates'
+/**
+ * Validate bulk collector assignment ({ ids, collectorId })
+ */
+export const validateBulkAssignment = (data) => {
+  return validateObject(data, {
+    ids: {
+      required: true,
+      validate: validateBulkIds
+    },
+    collectorId: {
+      required: true,
+      validate: (id) => validateId(id, 'Collector ID')
+    }
+  }, {
+    fieldName: 'Bulk assignment'
   });
 };
 
@@ -426,7 +504,7 @@ export const validateNearbyParams = (params) => {
         fieldName: 'Latitude'
       })
     },
-    maxDistance: {
+    radius: {
       required: false,
       validate: (dist) => validateNumber(dist, {
         min: 0,
@@ -1,3 +1,5 @@
+import { ROLES } from '../config/permissions.js';
+
 // Core validations
 export const validateEmail = (email) => {
   if (!email) return { isValid: false, message: 'Email is required' };
@@ -38,10 +40,9 @@ export const validateUsername = (username) => {
 };
 
 export const validateRole = (role) => {
-  const validRoles = ['clinic', 'collector', 'health'];
   if (!role) return { isValid: false, message: 'Role is required' };
-  if (!validRoles.includes(role)) {
-    return { isValid: false, message: `Role must be one of: ${validRoles.join(', ')}` };
+  if (!ROLES.includes(role)) {
+    return { isValid: false, message: `Role must be one of: ${ROLES.join(', ')}` };
   }
   return { isValid: true };
 };
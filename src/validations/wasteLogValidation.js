@@ -8,16 +8,16 @@ import {
   combineValidations,
   createValidationResult
 } from './commonValidation.js';
+import wasteCategoryRepository from '../repository/wasteCategoryRepository.js';
 
 // Constants
-const WASTE_CATEGORIES = ['sharps', 'biohazard', 'expired_meds', 'others'];
 const MAX_DESCRIPTION_LENGTH = 500;
 const MAX_VOLUME_KG = 1000;
 
-// Waste category validation
+// Waste category validation (codes from the waste category catalogue)
 export const validateWasteCategory = (category) => {
   return validateEnum(category, {
-    values: WASTE_CATEGORIES,
+    values: wasteCategoryRepository.getActiveCodes(),
     fieldName: 'Waste category',
     caseSensitive: true
   });
@@ -89,7 +89,7 @@ export const validateLocation = (location) => {
 };
 
 // Date validation
-export const validateDate = (date, fieldName = 'Date') => {
+export const validateLogDate = (date, fieldName = 'Date') => {
   return validateDate(date, {
     past: true,
     fieldName
@@ -105,11 +105,11 @@ export const validateDateRange = (startDate, endDate) => {
   const validations = [];
 
   if (startDate) {
-    validations.push(validateDate(startDate, 'Start date'));
+    validations.push(validateLogDate(startDate, 'Start date'));
   }
 
   if (endDate) {
-    validations.push(validateDate(endDate, 'End date'));
+    validations.push(validateLogDate(endDate, 'End date'));
   }
 
   if (startDate && endDate) {
@@ -212,11 +212,3 @@ export const validateWasteLogUpdate = (data) => {
     allowUnknown: false
   });
 };
-
-// Export shared validation helpers
-export {
-  validatePagination,
-  validateDateRange,
-  validateDate,
-  validateId
-};